@@ -2,11 +2,28 @@ import { Navigate, Route, Routes } from "react-router-dom";
 import Landing from "./pages/Landing";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import UnlockAccount from "./pages/UnlockAccount";
 import AppShell from "./pages/app/AppShell";
 import Home from "./pages/app/Home";
 import Tasks from "./pages/app/Tasks";
 import Withdraw from "./pages/app/Withdraw";
 import Account from "./pages/app/Account";
+import AdminShell from "./pages/admin/AdminShell";
+import AdminUsers from "./pages/admin/Users";
+import AdminUserDetail from "./pages/admin/UserDetail";
+import AdminWithdrawals from "./pages/admin/Withdrawals";
+import AdminReferrals from "./pages/admin/Referrals";
+import AdminCampaigns from "./pages/admin/Campaigns";
+import AdminTasks from "./pages/admin/Tasks";
+import AdminImports from "./pages/admin/Imports";
+import AdminMedia from "./pages/admin/Media";
+import AdminQuality from "./pages/admin/Quality";
+import AdminReviews from "./pages/admin/Reviews";
+import AdminAudit from "./pages/admin/Audit";
+import AdminJobs from "./pages/admin/Jobs";
 import { useAuth } from "./state/auth";
 
 function Protected({ children }: { children: JSX.Element }) {
@@ -21,6 +38,10 @@ export default function App() {
       <Route path="/" element={<Landing />} />
       <Route path="/login" element={<Login />} />
       <Route path="/register" element={<Register />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
+      <Route path="/unlock-account" element={<UnlockAccount />} />
 
       <Route
         path="/app"
@@ -36,6 +57,28 @@ export default function App() {
         <Route path="account" element={<Account />} />
       </Route>
 
+      <Route
+        path="/admin"
+        element={
+          <Protected>
+            <AdminShell />
+          </Protected>
+        }
+      >
+        <Route index element={<AdminUsers />} />
+        <Route path="users/:id" element={<AdminUserDetail />} />
+        <Route path="withdrawals" element={<AdminWithdrawals />} />
+        <Route path="referrals" element={<AdminReferrals />} />
+        <Route path="campaigns" element={<AdminCampaigns />} />
+        <Route path="tasks" element={<AdminTasks />} />
+        <Route path="imports" element={<AdminImports />} />
+        <Route path="media" element={<AdminMedia />} />
+        <Route path="quality" element={<AdminQuality />} />
+        <Route path="reviews" element={<AdminReviews />} />
+        <Route path="jobs" element={<AdminJobs />} />
+        <Route path="audit" element={<AdminAudit />} />
+      </Route>
+
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -0,0 +1,230 @@
+import { useMemo, useState, type KeyboardEvent, type PointerEvent } from "react";
+import LabelChips from "./LabelChips";
+import { labelColor, readAnnotation, writeAnnotation, type Annotation, type AnnotationFormat } from "../lib/annotation";
+
+type Props = {
+  // what the answer is made of (the task's answer_format)
+  format: AnnotationFormat;
+  src: string;
+  // the task's label set
+  labels: string[];
+  // the answer as JSON text
+  value: string;
+  // leave out to only show the answer
+  onChange?: (value: string) => void;
+  onFocus?: () => void;
+};
+
+type Draft = { x0: number; y0: number; x1: number; y1: number };
+
+// smaller drags are clicks, not boxes
+const MIN_SIZE = 0.01;
+
+function clamp(n: number) {
+  return Math.min(1, Math.max(0, n));
+}
+
+function pct(n: number) {
+  return `${n * 100}%`;
+}
+
+// The image with the answer drawn over it. Drag to draw a box, click to drop a
+// point; click a mark to select it, then pick a label to relabel it or press
+// Delete. Keys 1–9 choose the label for new marks.
+export default function ImageAnnotator({ format, src, labels, value, onChange, onFocus }: Props) {
+  const answer = useMemo(() => readAnnotation(value), [value]);
+  const options = labels.length ? labels : ["object"];
+  const [active, setActive] = useState(options[0]);
+  const [selected, setSelected] = useState<number | null>(null);
+  const [draft, setDraft] = useState<Draft | null>(null);
+  const [broken, setBroken] = useState(false);
+  const editable = !!onChange;
+  const label = options.includes(active) ? active : options[0];
+
+  function emit(next: Partial<Annotation>) {
+    onChange?.(writeAnnotation(format, { ...answer, ...next }));
+  }
+
+  const marks: { label: string }[] = format === "boxes" ? answer.boxes : format === "points" ? answer.points : [];
+
+  function removeMark(i: number) {
+    if (format === "boxes") emit({ boxes: answer.boxes.filter((_, k) => k !== i) });
+    else emit({ points: answer.points.filter((_, k) => k !== i) });
+    setSelected(null);
+  }
+
+  function relabel(i: number, l: string) {
+    if (format === "boxes") emit({ boxes: answer.boxes.map((b, k) => (k === i ? { ...b, label: l } : b)) });
+    else emit({ points: answer.points.map((p, k) => (k === i ? { ...p, label: l } : p)) });
+  }
+
+  function chooseLabel(l: string) {
+    setActive(l);
+    if (selected !== null && selected < marks.length) relabel(selected, l);
+  }
+
+  function pos(e: PointerEvent<HTMLDivElement>) {
+    const box = e.currentTarget.getBoundingClientRect();
+    return { x: clamp((e.clientX - box.left) / box.width), y: clamp((e.clientY - box.top) / box.height) };
+  }
+
+  function onPointerDown(e: PointerEvent<HTMLDivElement>) {
+    if (!editable || e.button !== 0) return;
+    onFocus?.();
+    const p = pos(e);
+    if (format === "points") {
+      emit({ points: [...answer.points, { label, x: p.x, y: p.y }] });
+      setSelected(answer.points.length);
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDraft({ x0: p.x, y0: p.y, x1: p.x, y1: p.y });
+    setSelected(null);
+  }
+
+  function onPointerMove(e: PointerEvent<HTMLDivElement>) {
+    if (!draft) return;
+    const p = pos(e);
+    setDraft({ ...draft, x1: p.x, y1: p.y });
+  }
+
+  function onPointerUp() {
+    if (!draft) return;
+    const w = Math.abs(draft.x1 - draft.x0);
+    const h = Math.abs(draft.y1 - draft.y0);
+    if (w >= MIN_SIZE && h >= MIN_SIZE) {
+      emit({ boxes: [...answer.boxes, { label, x: Math.min(draft.x0, draft.x1), y: Math.min(draft.y0, draft.y1), w, h }] });
+      setSelected(answer.boxes.length);
+    }
+    setDraft(null);
+  }
+
+  function onKeyDown(e: KeyboardEvent<HTMLDivElement>) {
+    if (!editable) return;
+    if ((e.key === "Delete" || e.key === "Backspace") && selected !== null) {
+      e.preventDefault();
+      removeMark(selected);
+    } else if (e.key === "Escape") {
+      setSelected(null);
+      setDraft(null);
+    } else if (/^[1-9]$/.test(e.key) && !e.altKey && !e.ctrlKey && !e.metaKey) {
+      const l = options[Number(e.key) - 1];
+      if (l) chooseLabel(l);
+    }
+  }
+
+  const markStyle = (l: string, i: number) => ({
+    borderColor: labelColor(options, l),
+    boxShadow: i === selected ? `0 0 0 2px ${labelColor(options, l)}` : undefined,
+  });
+
+  return (
+    <div className="mt-3 space-y-2">
+      {broken ? (
+        <div className="rounded-xl border border-white/10 bg-black/30 p-4 text-sm text-white/60">The image could not be loaded.</div>
+      ) : (
+        <div
+          tabIndex={editable ? 0 : undefined}
+          onKeyDown={onKeyDown}
+          className="relative inline-block max-w-full rounded-xl outline-none focus:ring-2 focus:ring-emerald-500/30"
+        >
+          <img
+            src={src}
+            alt=""
+            draggable={false}
+            onError={() => setBroken(true)}
+            className="block max-h-[70vh] max-w-full select-none rounded-xl border border-white/10"
+          />
+          {format !== "labels" && (
+            <div
+              className={`absolute inset-0 ${editable ? (format === "boxes" ? "cursor-crosshair touch-none" : "cursor-cell touch-none") : ""}`}
+              onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerCancel={() => setDraft(null)}
+            >
+              {format === "boxes" &&
+                answer.boxes.map((b, i) => (
+                  <div
+                    key={i}
+                    onPointerDown={(e) => {
+                      if (!editable) return;
+                      e.stopPropagation();
+                      setSelected(i);
+                    }}
+                    style={{ left: pct(b.x), top: pct(b.y), width: pct(b.w), height: pct(b.h), ...markStyle(b.label, i) }}
+                    className="absolute border-2 bg-black/10"
+                  >
+                    <span
+                      style={{ backgroundColor: labelColor(options, b.label) }}
+                      className="absolute left-0 top-0 -translate-y-full whitespace-nowrap rounded-t px-1 text-[10px] font-semibold text-black"
+                    >
+                      {b.label}
+                    </span>
+                  </div>
+                ))}
+              {format === "points" &&
+                answer.points.map((p, i) => (
+                  <div
+                    key={i}
+                    title={p.label}
+                    onPointerDown={(e) => {
+                      if (!editable) return;
+                      e.stopPropagation();
+                      setSelected(i);
+                    }}
+                    style={{ left: pct(p.x), top: pct(p.y), backgroundColor: labelColor(options, p.label), ...markStyle(p.label, i), borderColor: "white" }}
+                    className="absolute h-3 w-3 -translate-x-1/2 -translate-y-1/2 rounded-full border-2"
+                  />
+                ))}
+              {draft && (
+                <div
+                  style={{
+                    left: pct(Math.min(draft.x0, draft.x1)),
+                    top: pct(Math.min(draft.y0, draft.y1)),
+                    width: pct(Math.abs(draft.x1 - draft.x0)),
+                    height: pct(Math.abs(draft.y1 - draft.y0)),
+                    borderColor: labelColor(options, label),
+                  }}
+                  className="absolute border-2 border-dashed"
+                />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {format === "labels" ? (
+        <LabelChips options={options} value={answer.labels} onChange={(v) => emit({ labels: v })} disabled={!editable} onFocus={onFocus} />
+      ) : (
+        editable && (
+          <>
+            <LabelChips options={options} value={[label]} onChange={(v) => v[0] && chooseLabel(v[0])} single onFocus={onFocus} />
+            <div className="flex flex-wrap items-center gap-2 text-xs text-white/60">
+              <span>
+                {format === "boxes" ? "Drag on the image to draw a box." : "Click the image to mark a point."} Click a mark to select it;
+                Delete removes it, 1–9 pick a label.
+              </span>
+              <span className="ml-auto">
+                {marks.length} {format === "boxes" ? "box(es)" : "point(s)"}
+              </span>
+              {marks.length > 0 && (
+                <button type="button" onClick={() => removeMark(marks.length - 1)} className="rounded-lg bg-white/10 px-2 py-1 hover:bg-white/20">
+                  Undo
+                </button>
+              )}
+            </div>
+            {selected !== null && selected < marks.length && (
+              <div className="flex items-center gap-2 text-xs text-white/70">
+                Selected: <b style={{ color: labelColor(options, marks[selected].label) }}>{marks[selected].label}</b>
+                <button type="button" onClick={() => removeMark(selected)} className="rounded-lg bg-red-500/20 px-2 py-1 text-red-200 hover:bg-red-500/30">
+                  Delete
+                </button>
+              </div>
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { useId, useState, type KeyboardEvent } from "react";
+import { labelColor } from "../lib/annotation";
+
+type Props = {
+  // the task's label set; nothing else can be picked
+  options: string[];
+  value: string[];
+  onChange: (value: string[]) => void;
+  // one label at a time (the label new boxes/points get)
+  single?: boolean;
+  disabled?: boolean;
+  onFocus?: () => void;
+};
+
+// Picked labels as chips, with a box that suggests labels from the task's set
+// as you type. Short sets are also shown as buttons to click.
+export default function LabelChips({ options, value, onChange, single = false, disabled = false, onFocus }: Props) {
+  const [text, setText] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const listId = useId();
+
+  const q = text.trim().toLowerCase();
+  const suggestions = options.filter((o) => (single || !value.includes(o)) && (!q || o.includes(q))).slice(0, 8);
+  const showAll = options.length <= 12;
+
+  function pick(label: string) {
+    onChange(single ? [label] : value.includes(label) ? value : [...value, label]);
+    setText("");
+    setActive(0);
+  }
+
+  function remove(label: string) {
+    onChange(value.filter((v) => v !== label));
+  }
+
+  function onKey(e: KeyboardEvent<HTMLInputElement>) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((a) => (suggestions.length ? (a + step + suggestions.length) % suggestions.length : 0));
+    } else if (e.key === "Enter" && q) {
+      e.preventDefault();
+      const choice = suggestions[Math.min(active, suggestions.length - 1)];
+      if (choice) pick(choice);
+    } else if (e.key === "Backspace" && !text && value.length && !single) {
+      remove(value[value.length - 1]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  const chip = (label: string, on: boolean) => ({
+    borderColor: labelColor(options, label),
+    backgroundColor: on ? labelColor(options, label) : "transparent",
+  });
+
+  return (
+    <div className="space-y-2">
+      {showAll ? (
+        <div className="flex flex-wrap gap-1.5">
+          {options.map((o, i) => {
+            const on = value.includes(o);
+            return (
+              <button
+                key={o}
+                type="button"
+                disabled={disabled}
+                title={i < 9 && single ? `Key ${i + 1}` : undefined}
+                onFocus={onFocus}
+                onClick={() => (on && !single ? remove(o) : pick(o))}
+                style={chip(o, on)}
+                className={`rounded-full border px-3 py-1 text-xs font-semibold disabled:opacity-50 ${on ? "text-black" : "text-white/80"}`}
+              >
+                {o}
+              </button>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-1.5 rounded-xl bg-black/30 border border-white/10 p-2">
+          {value.map((v) => (
+            <span key={v} style={chip(v, true)} className="flex items-center gap-1 rounded-full border px-2.5 py-0.5 text-xs font-semibold text-black">
+              {v}
+              {!disabled && !single && (
+                <button type="button" onClick={() => remove(v)} aria-label={`Remove ${v}`} className="text-black/60 hover:text-black">
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+          <div className="relative min-w-[140px] flex-1">
+            <input
+              value={text}
+              disabled={disabled}
+              role="combobox"
+              aria-expanded={open && suggestions.length > 0}
+              aria-controls={listId}
+              placeholder={single ? "Label for new marks…" : "Type to add a label…"}
+              onChange={(e) => {
+                setText(e.target.value);
+                setActive(0);
+                setOpen(true);
+              }}
+              onFocus={() => {
+                setOpen(true);
+                onFocus?.();
+              }}
+              onBlur={() => setOpen(false)}
+              onKeyDown={onKey}
+              className="w-full bg-transparent px-1 py-0.5 text-sm text-white outline-none placeholder:text-white/30"
+            />
+            {open && suggestions.length > 0 && (
+              <ul id={listId} role="listbox" className="absolute left-0 top-full z-20 mt-1 w-full min-w-[180px] rounded-xl border border-white/10 bg-neutral-900 py-1 text-sm shadow-lg">
+                {suggestions.map((s, i) => (
+                  <li
+                    key={s}
+                    role="option"
+                    aria-selected={i === active}
+                    // mousedown so the input's blur doesn't close the list first
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      pick(s);
+                    }}
+                    className={`cursor-pointer px-3 py-1 ${i === active ? "bg-white/10 text-white" : "text-white/70"}`}
+                  >
+                    {s}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useEffect, useRef, useState } from "react";
+import { orderRenditions, type MediaQuality, type Rendition } from "../lib/media";
+
+type Peaks = { per_second: number; peaks: number[] };
+
+const BAR = 3; // px per bar, including the gap
+
+// Waveform of an audio file with the played part highlighted; click to seek.
+function Waveform({ url, progress, onSeek }: { url: string; progress: number; onSeek: (fraction: number) => void }) {
+  const canvas = useRef<HTMLCanvasElement>(null);
+  const [data, setData] = useState<Peaks | null>(null);
+
+  useEffect(() => {
+    let live = true;
+    fetch(url)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((d: Peaks | null) => live && setData(d))
+      .catch(() => live && setData(null));
+    return () => {
+      live = false;
+    };
+  }, [url]);
+
+  useEffect(() => {
+    const c = canvas.current;
+    if (!c || !data?.peaks.length) return;
+    const width = c.clientWidth;
+    const height = c.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    c.width = width * ratio;
+    c.height = height * ratio;
+    const ctx = c.getContext("2d");
+    if (!ctx) return;
+    ctx.scale(ratio, ratio);
+
+    // loudest peak in each bar's share of the recording
+    const bars = Math.max(1, Math.floor(width / BAR));
+    const per = data.peaks.length / bars;
+    for (let i = 0; i < bars; i++) {
+      let v = 0;
+      for (let j = Math.floor(i * per); j < Math.max(Math.floor((i + 1) * per), Math.floor(i * per) + 1); j++) {
+        v = Math.max(v, data.peaks[j] || 0);
+      }
+      const h = Math.max(1, (v / 100) * height);
+      ctx.fillStyle = i / bars < progress ? "rgb(52 211 153)" : "rgb(255 255 255 / 0.3)";
+      ctx.fillRect(i * BAR, (height - h) / 2, BAR - 1, h);
+    }
+  }, [data, progress]);
+
+  if (!data?.peaks.length) return null;
+
+  return (
+    <canvas
+      ref={canvas}
+      className="mt-2 h-12 w-full cursor-pointer"
+      title="Loud parts are speech; click to jump there"
+      onClick={(e) => {
+        const box = e.currentTarget.getBoundingClientRect();
+        onSeek((e.clientX - box.left) / box.width);
+      }}
+    />
+  );
+}
+
+type Props = {
+  kind: "audio" | "video";
+  src: string;
+  renditions?: Rendition[];
+  poster?: string | null;
+  peaksUrl?: string | null;
+  quality: MediaQuality;
+  // called with the <audio>/<video> element, for callers with their own controls
+  onElement?: (el: HTMLMediaElement | null) => void;
+};
+
+// Audio/video for a task. Only metadata is fetched until play is pressed, and
+// the server answers range requests, so seeking doesn't download the whole
+// file first.
+export default function MediaPlayer({ kind, src, renditions, poster, peaksUrl, quality, onElement }: Props) {
+  const audio = useRef<HTMLAudioElement>(null);
+  const [progress, setProgress] = useState(0);
+  const sources = renditions?.length ? orderRenditions(renditions, quality) : [{ name: "original", url: src, mime: "", kbps: null }];
+  // a different first choice needs a new element; <source> changes alone
+  // are ignored once loading has started
+  const key = sources.map((s) => s.name).join(",");
+
+  if (kind === "video") {
+    return (
+      <video
+        key={key}
+        ref={onElement}
+        controls
+        className="w-full rounded-xl border border-white/10"
+        preload="metadata"
+        poster={poster || undefined}
+      >
+        {sources.map((s) => (
+          <source key={s.name} src={s.url} type={s.mime || undefined} />
+        ))}
+      </video>
+    );
+  }
+  return (
+    <>
+      <audio
+        key={key}
+        ref={(el) => {
+          audio.current = el;
+          onElement?.(el);
+        }}
+        controls
+        className="w-full"
+        preload="metadata"
+        onTimeUpdate={(e) => setProgress(e.currentTarget.duration ? e.currentTarget.currentTime / e.currentTarget.duration : 0)}
+      >
+        {sources.map((s) => (
+          <source key={s.name} src={s.url} type={s.mime || undefined} />
+        ))}
+      </audio>
+      {peaksUrl && (
+        <Waveform
+          url={peaksUrl}
+          progress={progress}
+          onSeek={(fraction) => {
+            const el = audio.current;
+            if (el?.duration) el.currentTime = fraction * el.duration;
+          }}
+        />
+      )}
+    </>
+  );
+}
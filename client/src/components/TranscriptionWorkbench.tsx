@@ -0,0 +1,337 @@
+import { useCallback, useEffect, useId, useRef, useState, type KeyboardEvent } from "react";
+import MediaPlayer from "./MediaPlayer";
+import type { MediaQuality, Rendition } from "../lib/media";
+import { fmtStamp, formatTranscript, parseTranscript, type Segment } from "../lib/transcript";
+
+const SPEAKERS = ["Agent", "Customer", "Speaker 1", "Speaker 2"];
+const MAX_PRESETS = 9; // Alt+1 … Alt+9
+const REWIND_SECONDS = 3;
+const SLOW_RATE = 0.75;
+const INAUDIBLE = "[inaudible]";
+
+const SHORTCUTS: [string, string][] = [
+  ["Ctrl+Space / Alt+K", "play or pause"],
+  ["Alt+J", `back ${REWIND_SECONDS}s`],
+  ["Alt+S", `${SLOW_RATE}× speed`],
+  ["Alt+T", "timestamp"],
+  ["Alt+I", INAUDIBLE],
+  ["Alt+1…9", "speaker"],
+  ["Enter", "new segment"],
+  ["Ctrl+Enter", "submit"],
+];
+
+type Props = {
+  kind: "audio" | "video";
+  src: string;
+  renditions?: Rendition[];
+  poster?: string | null;
+  peaksUrl?: string | null;
+  quality: MediaQuality;
+  value: string;
+  onChange: (value: string) => void;
+  onFocus?: () => void;
+  onSubmit?: () => void;
+};
+
+type Field = HTMLTextAreaElement | null;
+
+// Player and editor for audio/video transcription. The transcript is edited
+// either as segments ("[00:12] Agent: text", one per row) or as plain text;
+// both produce the same text, which is what gets saved and submitted.
+export default function TranscriptionWorkbench(props: Props) {
+  const { value, onChange, onFocus, onSubmit } = props;
+  const media = useRef<HTMLMediaElement | null>(null);
+  const [mode, setMode] = useState<"segments" | "text">("segments");
+  const [segments, setSegments] = useState<Segment[]>(() => parseTranscript(value));
+  const [active, setActive] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [rate, setRate] = useState(1);
+  const fields = useRef<Field[]>([]);
+  const plain = useRef<HTMLTextAreaElement>(null);
+  const speakerList = useId();
+  // where to put the cursor after the next render: [segment index or -1 for the plain editor, offset]
+  const caret = useRef<[number, number] | null>(null);
+
+  useEffect(() => {
+    if (!caret.current) return;
+    const [index, pos] = caret.current;
+    caret.current = null;
+    const el = index < 0 ? plain.current : fields.current[index];
+    el?.focus();
+    el?.setSelectionRange(pos, pos);
+  });
+
+  const attach = useCallback((el: HTMLMediaElement | null) => {
+    media.current = el;
+    if (!el) return;
+    setPlaying(!el.paused);
+    setRate(el.playbackRate);
+    el.addEventListener("play", () => setPlaying(true));
+    el.addEventListener("pause", () => setPlaying(false));
+    el.addEventListener("ratechange", () => setRate(el.playbackRate));
+  }, []);
+
+  const presets = [...new Set([...SPEAKERS, ...segments.map((s) => s.speaker.trim()).filter(Boolean)])].slice(0, MAX_PRESETS);
+
+  function now() {
+    return media.current?.currentTime || 0;
+  }
+
+  function commit(next: Segment[]) {
+    setSegments(next);
+    onChange(formatTranscript(next));
+  }
+
+  function update(index: number, patch: Partial<Segment>) {
+    commit(segments.map((s, i) => (i === index ? { ...s, ...patch } : s)));
+  }
+
+  function togglePlay() {
+    const el = media.current;
+    if (!el) return;
+    if (el.paused) el.play().catch(() => {});
+    else el.pause();
+  }
+
+  function rewind() {
+    const el = media.current;
+    if (el) el.currentTime = Math.max(0, el.currentTime - REWIND_SECONDS);
+  }
+
+  function toggleSlow() {
+    const el = media.current;
+    if (el) el.playbackRate = el.playbackRate === SLOW_RATE ? 1 : SLOW_RATE;
+  }
+
+  function seek(seconds: number) {
+    const el = media.current;
+    if (el) el.currentTime = seconds;
+  }
+
+  // Types text at the cursor of the segment (or plain editor) being edited.
+  function insert(text: string) {
+    if (mode === "text") {
+      const el = plain.current;
+      const start = el?.selectionStart ?? value.length;
+      const end = el?.selectionEnd ?? start;
+      onChange(value.slice(0, start) + text + value.slice(end));
+      caret.current = [-1, start + text.length];
+      return;
+    }
+    const seg = segments[active];
+    if (!seg) return;
+    const el = fields.current[active];
+    const start = el?.selectionStart ?? seg.text.length;
+    const end = el?.selectionEnd ?? start;
+    const before = seg.text.slice(0, start);
+    const pad = before && !before.endsWith(" ") ? " " : "";
+    update(active, { text: before + pad + text + " " + seg.text.slice(end).trimStart() });
+    caret.current = [active, start + pad.length + text.length + 1];
+  }
+
+  function stamp() {
+    if (mode === "text") insert(`[${fmtStamp(now())}] `);
+    else update(active, { time: Math.floor(now()) });
+  }
+
+  function setSpeaker(name: string) {
+    if (mode === "text") insert(`${name}: `);
+    else {
+      update(active, { speaker: name });
+      caret.current = [active, segments[active]?.text.length ?? 0];
+    }
+  }
+
+  // Enter: split the segment at the cursor; the new one starts now.
+  function split(index: number) {
+    const el = fields.current[index];
+    const seg = segments[index];
+    const pos = el?.selectionStart ?? seg.text.length;
+    const next = [...segments];
+    next.splice(index, 1, { ...seg, text: seg.text.slice(0, pos).trimEnd() }, {
+      time: now() > 0 ? Math.floor(now()) : null,
+      speaker: "",
+      text: seg.text.slice(pos).trimStart(),
+    });
+    commit(next);
+    setActive(index + 1);
+    caret.current = [index + 1, 0];
+  }
+
+  // Backspace at the start of a segment: join it onto the one before.
+  function join(index: number) {
+    if (index === 0) return;
+    const prev = segments[index - 1];
+    const seg = segments[index];
+    const glue = prev.text && seg.text ? " " : "";
+    const next = [...segments];
+    next.splice(index - 1, 2, { ...prev, text: prev.text + glue + seg.text });
+    commit(next);
+    setActive(index - 1);
+    caret.current = [index - 1, prev.text.length + glue.length];
+  }
+
+  function remove(index: number) {
+    const next = segments.filter((_, i) => i !== index);
+    commit(next.length ? next : [{ time: null, speaker: "", text: "" }]);
+    setActive(Math.max(0, Math.min(active, next.length - 1)));
+  }
+
+  function onShortcut(e: KeyboardEvent) {
+    const digit = /^Digit([1-9])$/.exec(e.code);
+    let action: (() => void) | null = null;
+    if ((e.ctrlKey && e.code === "Space") || (e.altKey && e.code === "KeyK")) action = togglePlay;
+    else if (e.altKey && e.code === "KeyJ") action = rewind;
+    else if (e.altKey && e.code === "KeyS") action = toggleSlow;
+    else if (e.altKey && e.code === "KeyT") action = stamp;
+    else if (e.altKey && e.code === "KeyI") action = () => insert(INAUDIBLE);
+    else if (e.altKey && digit && presets[Number(digit[1]) - 1]) action = () => setSpeaker(presets[Number(digit[1]) - 1]);
+    else if ((e.ctrlKey || e.metaKey) && e.key === "Enter" && onSubmit) action = onSubmit;
+    if (!action) return;
+    e.preventDefault();
+    e.stopPropagation();
+    action();
+  }
+
+  function onSegmentKey(e: KeyboardEvent<HTMLTextAreaElement>, index: number) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const el = e.currentTarget;
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      split(index);
+    } else if (e.key === "Backspace" && el.selectionStart === 0 && el.selectionEnd === 0 && index > 0) {
+      e.preventDefault();
+      join(index);
+    }
+  }
+
+  function switchMode() {
+    if (mode === "text") {
+      const next = parseTranscript(value);
+      setSegments(next);
+      setActive(Math.min(active, next.length - 1));
+      setMode("segments");
+    } else {
+      setMode("text");
+    }
+  }
+
+  const btn = "rounded-lg bg-white/10 px-2.5 py-1 text-xs font-semibold text-white hover:bg-white/20";
+
+  return (
+    <div className="mt-3 space-y-3" onKeyDown={onShortcut} onFocus={onFocus}>
+      <MediaPlayer
+        kind={props.kind}
+        src={props.src}
+        renditions={props.renditions}
+        poster={props.poster}
+        peaksUrl={props.peaksUrl}
+        quality={props.quality}
+        onElement={attach}
+      />
+
+      <div className="flex flex-wrap items-center gap-1.5">
+        <button type="button" onClick={togglePlay} className={btn} title="Ctrl+Space or Alt+K">
+          {playing ? "Pause" : "Play"}
+        </button>
+        <button type="button" onClick={rewind} className={btn} title="Alt+J">
+          −{REWIND_SECONDS}s
+        </button>
+        <button
+          type="button"
+          onClick={toggleSlow}
+          className={`${btn} ${rate === SLOW_RATE ? "bg-emerald-500/30" : ""}`}
+          title="Alt+S"
+        >
+          {SLOW_RATE}×
+        </button>
+        <button type="button" onClick={stamp} className={btn} title="Alt+T">
+          Time
+        </button>
+        <button type="button" onClick={() => insert(INAUDIBLE)} className={btn} title="Alt+I">
+          {INAUDIBLE}
+        </button>
+        {presets.map((name, i) => (
+          <button key={name} type="button" onClick={() => setSpeaker(name)} className={btn} title={`Alt+${i + 1}`}>
+            {name}
+          </button>
+        ))}
+        <button type="button" onClick={switchMode} className="ml-auto text-xs text-white/60 hover:text-white">
+          {mode === "segments" ? "Edit as text" : "Edit as segments"}
+        </button>
+      </div>
+
+      {mode === "text" ? (
+        <textarea
+          ref={plain}
+          className="w-full rounded-xl bg-black/30 border border-white/10 p-3 font-mono text-sm text-white outline-none focus:border-emerald-500/40"
+          rows={8}
+          value={value}
+          placeholder="[00:00] Agent: …"
+          onChange={(e) => onChange(e.target.value)}
+        />
+      ) : (
+        <div className="space-y-1.5">
+          {segments.map((s, i) => (
+            <div
+              key={i}
+              className={`flex items-start gap-2 rounded-xl border p-1.5 ${i === active ? "border-emerald-500/40 bg-black/30" : "border-white/10 bg-black/20"}`}
+            >
+              <button
+                type="button"
+                onClick={(e) => (s.time === null || e.shiftKey ? update(i, { time: Math.floor(now()) }) : seek(s.time))}
+                className="mt-1 w-14 shrink-0 rounded bg-white/5 py-1 font-mono text-xs text-white/70 hover:bg-white/10"
+                title={s.time === null ? "Set to the current playback time" : "Play from here (Shift+click: set to now)"}
+              >
+                {s.time === null ? "--:--" : fmtStamp(s.time)}
+              </button>
+              <input
+                value={s.speaker}
+                list={speakerList}
+                placeholder="Speaker"
+                onFocus={() => setActive(i)}
+                onChange={(e) => update(i, { speaker: e.target.value.replace(/:/g, "") })}
+                className="mt-0.5 w-24 shrink-0 rounded bg-transparent px-1 py-1 text-xs text-white outline-none placeholder:text-white/30"
+              />
+              <textarea
+                ref={(el) => {
+                  fields.current[i] = el;
+                }}
+                rows={Math.min(4, Math.max(1, Math.ceil(s.text.length / 60)))}
+                value={s.text}
+                placeholder={i === 0 ? "Type what you hear…" : ""}
+                onFocus={() => setActive(i)}
+                onChange={(e) => update(i, { text: e.target.value.replace(/\n/g, " ") })}
+                onKeyDown={(e) => onSegmentKey(e, i)}
+                className="min-w-0 flex-1 resize-none bg-transparent py-1 text-sm text-white outline-none"
+              />
+              {segments.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => remove(i)}
+                  className="mt-1 px-1 text-white/40 hover:text-red-300"
+                  title="Delete this segment"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+          <datalist id={speakerList}>
+            {presets.map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-white/40">
+        {SHORTCUTS.map(([keys, what]) => (
+          <span key={keys}>
+            <span className="text-white/60">{keys}</span> {what}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
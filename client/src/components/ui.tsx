@@ -65,3 +65,29 @@ export function SoftButton({
     </button>
   );
 }
+
+// Full-page backdrop and card for the email-link pages (verify, forgot, reset).
+export function AuthFrame({ title, subtitle, children }: { title: string; subtitle: string; children: React.ReactNode }) {
+  return (
+    <div className="min-h-screen relative flex items-center justify-center bg-black px-4">
+      <div
+        className="absolute inset-0 bg-cover bg-center"
+        style={{
+          backgroundImage:
+            "linear-gradient(rgba(0,0,0,0.60),rgba(0,0,0,0.60)), url(https://images.unsplash.com/photo-1521737604893-d14cc237f11d?auto=format&fit=crop&w=1600&q=80)",
+        }}
+      />
+      <Glass className="relative z-10 w-full max-w-[430px] p-6 sm:p-7">
+        <div className="flex items-center gap-3">
+          <div className="h-10 w-10 rounded-xl bg-emerald-600 flex items-center justify-center font-black text-white">S</div>
+          <div>
+            <div className="text-white font-bold text-lg">{title}</div>
+            <div className="text-white/55 text-xs">{subtitle}</div>
+          </div>
+        </div>
+        <div className="my-5 h-px bg-white/10" />
+        {children}
+      </Glass>
+    </div>
+  );
+}
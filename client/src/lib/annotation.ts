@@ -0,0 +1,57 @@
+// Structured image annotation answers. They travel as JSON text (so drafts
+// and submissions work like any other answer) and are checked by the server
+// against the task's label set (see server/src/annotations). Coordinates are
+// fractions of the image, 0–1 from the top left.
+
+export type Box = { label: string; x: number; y: number; w: number; h: number };
+export type Point = { label: string; x: number; y: number };
+
+export type Annotation = { labels: string[]; boxes: Box[]; points: Point[] };
+
+// The list an annotation task's answer is made of; the server sends it as
+// the task's answer_format ("text" for everything else).
+export type AnnotationFormat = keyof Annotation;
+export type AnswerFormat = "text" | AnnotationFormat;
+
+export function annotationFormat(format: AnswerFormat | null | undefined): AnnotationFormat | null {
+  return format && format !== "text" ? format : null;
+}
+
+// Whatever could be read from `text`; empty lists for the rest.
+export function readAnnotation(text: string | null | undefined): Annotation {
+  const empty: Annotation = { labels: [], boxes: [], points: [] };
+  if (!text) return empty;
+  try {
+    const v = JSON.parse(text);
+    return {
+      labels: Array.isArray(v?.labels) ? v.labels.filter((l: unknown) => typeof l === "string") : [],
+      boxes: Array.isArray(v?.boxes) ? v.boxes : [],
+      points: Array.isArray(v?.points) ? v.points : [],
+    };
+  } catch {
+    return empty;
+  }
+}
+
+// Only the list the task uses goes to the server.
+export function writeAnnotation(format: AnnotationFormat, a: Annotation) {
+  return JSON.stringify({ [format]: a[format] });
+}
+
+export function describeAnnotation(format: AnnotationFormat, text: string | null | undefined) {
+  const a = readAnnotation(text);
+  if (format === "labels") return a.labels.join(", ") || "no labels";
+  const list: { label: string }[] = a[format];
+  const noun = format === "boxes" ? ["box", "boxes"] : ["point", "points"];
+  const counts = new Map<string, number>();
+  for (const i of list) counts.set(i.label, (counts.get(i.label) || 0) + 1);
+  const detail = [...counts].map(([l, n]) => `${n} ${l}`).join(", ");
+  return `${list.length} ${noun[list.length === 1 ? 0 : 1]}${detail ? `: ${detail}` : ""}`;
+}
+
+const COLORS = ["#34d399", "#f59e0b", "#60a5fa", "#f472b6", "#a78bfa", "#f87171", "#2dd4bf", "#facc15", "#fb923c", "#a3e635"];
+
+export function labelColor(labels: string[], label: string) {
+  const i = labels.indexOf(label);
+  return COLORS[(i < 0 ? labels.length : i) % COLORS.length];
+}
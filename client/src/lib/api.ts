@@ -2,27 +2,117 @@ type ApiOpts = {
   method?: string;
   body?: any;
   token?: string;
+  // send a string or file body as-is with this content type instead of JSON
+  contentType?: string;
+  // return a successful response as a Blob (file downloads)
+  blob?: boolean;
 };
 
+// Thrown for non-2xx responses; `code` is set when the server sends one
+// (e.g. "otp_required").
+export class ApiError extends Error {
+  status: number;
+  code?: string;
+
+  constructor(message: string, status: number, code?: string) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export type Session = { token: string; refresh_token: string };
+
+// What login returns: a session, or a challenge to answer at /auth/login/2fa.
+export type SignInResult = Session | { mfa_required: true; mfa_token: string };
+
+// Fired whenever the stored session changes; AuthProvider listens for it.
+export const AUTH_EVENT = "auth:changed";
+
+export function saveSession(s: Session | null) {
+  if (s) {
+    localStorage.setItem("token", s.token);
+    localStorage.setItem("refresh_token", s.refresh_token);
+  } else {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refresh_token");
+  }
+  window.dispatchEvent(new Event(AUTH_EVENT));
+}
+
+// A random id kept for the life of this browser profile and sent with every
+// request, so the server can tell when two accounts share a device.
+function deviceId() {
+  let id = localStorage.getItem("device_id");
+  if (!id) {
+    // getRandomValues, unlike randomUUID, also works over plain http
+    id = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+    localStorage.setItem("device_id", id);
+  }
+  return id;
+}
+
+let refreshing: Promise<boolean> | null = null;
+
+// Swaps the refresh token for a new pair. Concurrent 401s share one request,
+// since a refresh token is only good once.
+function refreshSession(): Promise<boolean> {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refresh_token = localStorage.getItem("refresh_token");
+      if (!refresh_token) return false;
+      try {
+        const res = await fetch("/api/auth/refresh", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "X-Device-Id": deviceId() },
+          body: JSON.stringify({ refresh_token }),
+        });
+        if (!res.ok) {
+          // the session is gone; only a network failure keeps the tokens
+          saveSession(null);
+          return false;
+        }
+        saveSession(await res.json());
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
 export async function api<T = any>(path: string, opts: ApiOpts = {}): Promise<T> {
-  const token = opts.token || localStorage.getItem("token") || "";
   const cleanPath = path.startsWith("/") ? path : `/${path}`;
   const url = cleanPath.startsWith("/api/") ? cleanPath : `/api${cleanPath}`;
 
-  const headers: Record<string, string> = {};
-  if (token) headers["Authorization"] = `Bearer ${token}`;
+  const send = () => {
+    const token = opts.token || localStorage.getItem("token") || "";
+    const headers: Record<string, string> = { "X-Device-Id": deviceId() };
+    if (token) headers["Authorization"] = `Bearer ${token}`;
+
+    let body: any = undefined;
+    if (opts.body !== undefined) {
+      headers["Content-Type"] = opts.contentType || "application/json";
+      body = (typeof opts.body === "string" || opts.body instanceof Blob) ? opts.body : JSON.stringify(opts.body);
+    }
+
+    return fetch(url, {
+      method: opts.method || "GET",
+      headers,
+      body,
+    });
+  };
 
-  let body: any = undefined;
-  if (opts.body !== undefined) {
-    headers["Content-Type"] = "application/json";
-    body = (typeof opts.body === "string") ? opts.body : JSON.stringify(opts.body);
+  let res = await send();
+  // access tokens are short-lived: refresh once and retry
+  if (res.status === 401 && !opts.token && !url.startsWith("/api/auth/") && (await refreshSession())) {
+    res = await send();
   }
 
-  const res = await fetch(url, {
-    method: opts.method || "GET",
-    headers,
-    body,
-  });
+  if (opts.blob && res.ok) return (await res.blob()) as T;
 
   const ct = (res.headers.get("content-type") || "").toLowerCase();
   const text = await res.text();
@@ -45,7 +135,7 @@ export async function api<T = any>(path: string, opts: ApiOpts = {}): Promise<T>
   }
 
   if (!res.ok) {
-    throw new Error(data?.error || `Request failed (${res.status})`);
+    throw new ApiError(data?.error || `Request failed (${res.status})`, res.status, data?.code);
   }
 
   return data as T;
@@ -0,0 +1,52 @@
+// Choosing which copy of a task's audio/video to play. The server lists each
+// file's renditions (a small "low" one when it has been made, and the
+// original); on a slow or metered connection we start with the smallest.
+
+export type Rendition = { name: string; url: string; mime: string; kbps: number | null };
+
+export type MediaQuality = "auto" | "low" | "high";
+
+// Network Information API; only some browsers (Chrome, Android) have it.
+type NetInfo = { effectiveType?: string; downlink?: number; saveData?: boolean };
+
+const KEY = "media_quality";
+
+export function savedQuality(): MediaQuality {
+  const q = localStorage.getItem(KEY);
+  return q === "low" || q === "high" ? q : "auto";
+}
+
+export function saveQuality(q: MediaQuality) {
+  if (q === "auto") localStorage.removeItem(KEY);
+  else localStorage.setItem(KEY, q);
+}
+
+function connection(): NetInfo | undefined {
+  return (navigator as Navigator & { connection?: NetInfo }).connection;
+}
+
+// The bitrate (kbps) the connection can keep up with, or null when the
+// browser doesn't say.
+function usableKbps(net: NetInfo | undefined) {
+  if (!net) return null;
+  if (net.saveData || net.effectiveType === "slow-2g" || net.effectiveType === "2g") return 0;
+  // downlink is in Mbit/s; leave headroom for the rest of the page
+  return net.downlink ? net.downlink * 1000 * 0.6 : null;
+}
+
+// Renditions in the order to try them: the preferred one first, the rest as
+// fallbacks for browsers that can't play it (e.g. Opus on older iPhones).
+export function orderRenditions(renditions: Rendition[], quality: MediaQuality = savedQuality()): Rendition[] {
+  if (renditions.length < 2) return renditions;
+  const low = renditions.filter((r) => r.name !== "original");
+  const original = renditions.filter((r) => r.name === "original");
+
+  let preferLow = quality === "low";
+  if (quality === "auto") {
+    const net = connection();
+    const kbps = usableKbps(net);
+    const bitrate = original[0]?.kbps;
+    preferLow = kbps !== null && (kbps === 0 || (bitrate !== null && bitrate > kbps) || net?.effectiveType === "3g");
+  }
+  return preferLow ? [...low, ...original] : [...original, ...low];
+}
@@ -0,0 +1,39 @@
+import { api } from "./api";
+import type { AnswerFormat } from "./annotation";
+
+// The task types the server knows (GET /tasks/types, from its registry in
+// server/src/task_types). Rows in the daily task list already carry their
+// renderer and answer format; this is for screens that list the types
+// themselves.
+
+export type TaskRenderer = "text" | "transcription" | "annotation";
+
+export type TaskTypeInfo = {
+  type: string;
+  title: string;
+  media: "audio" | "video" | "image" | null;
+  complexity: number;
+  // workers per item for consensus types
+  consensus: number | null;
+  // answers pick from the task's label set
+  labels: boolean;
+  importable: boolean;
+  renderer: TaskRenderer;
+  answer_format: AnswerFormat;
+  placeholder: string;
+};
+
+let cached: Promise<TaskTypeInfo[]> | null = null;
+
+// Loaded once per page load; a failed load is retried next time.
+export function loadTaskTypes() {
+  if (!cached) {
+    cached = api<{ types: TaskTypeInfo[] }>("/tasks/types")
+      .then((r) => r.types)
+      .catch((e) => {
+        cached = null;
+        throw e;
+      });
+  }
+  return cached;
+}
@@ -0,0 +1,52 @@
+// Transcripts are plain text, one segment per line:
+//   [00:12] Agent: Hello, how can I help?
+// The timestamp and speaker label are optional. The server ignores both when
+// scoring (see server/src/scoring.js), so they never cost accuracy.
+
+export type Segment = { time: number | null; speaker: string; text: string };
+
+const LINE_RE = /^\s*(?:\[(\d{1,2}(?::\d{2}){1,2})\]\s*)?(?:([\p{L}][\p{L}\p{N} .'_-]{0,29}):(?:\s+|$))?(.*)$/u;
+
+export function fmtStamp(seconds: number) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
+  const ss = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+function parseStamp(stamp: string) {
+  return stamp.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+export function parseTranscript(text: string): Segment[] {
+  const lines = text.replace(/\r/g, "").split("\n");
+  const segments = lines
+    .filter((line) => line.trim())
+    .map((line) => {
+      const m = LINE_RE.exec(line);
+      return {
+        time: m?.[1] ? parseStamp(m[1]) : null,
+        speaker: m?.[2]?.trim() || "",
+        text: (m ? m[3] : line).trim(),
+      };
+    });
+  return segments.length ? segments : [{ time: null, speaker: "", text: "" }];
+}
+
+export function formatSegment(s: Segment) {
+  const parts = [];
+  if (s.time !== null) parts.push(`[${fmtStamp(s.time)}]`);
+  if (s.speaker.trim()) parts.push(`${s.speaker.trim()}:`);
+  parts.push(s.text.trim());
+  return parts.join(" ").trim();
+}
+
+// Empty segments are dropped; a lone timestamp or speaker is kept so work in
+// progress survives a draft save.
+export function formatTranscript(segments: Segment[]) {
+  return segments
+    .map(formatSegment)
+    .filter(Boolean)
+    .join("\n");
+}
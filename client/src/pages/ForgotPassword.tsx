@@ -0,0 +1,48 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../lib/api";
+import { AuthFrame, Button, Input } from "../components/ui";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+  const [err, setErr] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  async function onSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    setErr("");
+    setLoading(true);
+    try {
+      await api("/auth/forgot", { method: "POST", body: { email } });
+      setSent(true);
+    } catch (e) {
+      setErr(e instanceof Error ? e.message : "Request failed");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <AuthFrame title="Forgot password" subtitle="We'll email you a link to choose a new one">
+      {sent ? (
+        <div className="text-sm text-white/80">
+          If an account exists for <b className="text-white">{email}</b>, a reset link is on its way. The link works once
+          and expires in an hour.
+        </div>
+      ) : (
+        <form onSubmit={onSubmit} className="space-y-4">
+          <Input placeholder="name@example.com" type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+          {err && <div className="text-sm text-red-300">{err}</div>}
+          <Button disabled={loading || !email}>{loading ? "Sending..." : "Send reset link →"}</Button>
+        </form>
+      )}
+
+      <div className="mt-5 text-center text-sm text-white/60">
+        <Link to="/login" className="text-white font-semibold hover:underline">
+          BACK TO LOG IN
+        </Link>
+      </div>
+    </AuthFrame>
+  );
+}
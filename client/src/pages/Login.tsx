@@ -1,14 +1,22 @@
 import { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
-import { api } from "../lib/api";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { api, ApiError, type Session, type SignInResult } from "../lib/api";
 import { useAuth } from "../state/auth";
 import { Glass, Input, Button } from "../components/ui";
 
 export default function Login() {
   const nav = useNavigate();
-  const { setToken } = useAuth();
+  const notice = (useLocation().state as { notice?: string } | null)?.notice || "";
+  const { setSession } = useAuth();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [mode, setMode] = useState<"email" | "phone">("email");
+  const [phone, setPhone] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  // set once the first factor is right and the account has 2FA on
+  const [mfaToken, setMfaToken] = useState("");
+  const [mfaCode, setMfaCode] = useState("");
   const [err, setErr] = useState("");
   const [loading, setLoading] = useState(false);
 
@@ -17,12 +25,11 @@ export default function Login() {
     setErr("");
     setLoading(true);
     try {
-      const res = await api<{ token: string }>("/auth/login", {
+      const res = await api<SignInResult>("/auth/login", {
         method: "POST",
         body: { email, password },
       });
-      setToken(res.token);
-      nav("/app");
+      signedIn(res);
     } catch (e: any) {
       setErr(e.message);
     } finally {
@@ -30,6 +37,68 @@ export default function Login() {
     }
   }
 
+  function signedIn(res: SignInResult) {
+    if ("mfa_required" in res) {
+      setMfaToken(res.mfa_token);
+      setMfaCode("");
+      return;
+    }
+    setSession(res);
+    nav("/app");
+  }
+
+  async function onMfaSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    setErr("");
+    setLoading(true);
+    try {
+      const res = await api<Session>("/auth/login/2fa", { method: "POST", body: { mfa_token: mfaToken, code: mfaCode } });
+      setSession(res);
+      nav("/app");
+    } catch (e) {
+      setErr(e instanceof Error ? e.message : "Verification failed");
+      // the challenge has expired; start over
+      if (e instanceof ApiError && e.status === 401) setMfaToken("");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function sendCode() {
+    setErr("");
+    setLoading(true);
+    try {
+      await api("/auth/otp/request", { method: "POST", body: { phone } });
+      setCodeSent(true);
+    } catch (e) {
+      setErr(e instanceof Error ? e.message : "Could not send code");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onPhoneSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    if (!codeSent) return sendCode();
+    setErr("");
+    setLoading(true);
+    try {
+      const res = await api<SignInResult>("/auth/otp/verify", { method: "POST", body: { phone, code } });
+      signedIn(res);
+    } catch (e) {
+      setErr(e instanceof Error ? e.message : "Verification failed");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function switchMode(m: "email" | "phone") {
+    setMode(m);
+    setErr("");
+    setCodeSent(false);
+    setCode("");
+  }
+
   return (
     <div className="min-h-screen relative flex items-center justify-center bg-black px-4">
       <div
@@ -60,12 +129,100 @@ export default function Login() {
 
         <div className="my-5 h-px bg-white/10" />
 
+        {notice && <div className="mb-4 text-sm text-emerald-300">{notice}</div>}
+
+        {mfaToken ? (
+          <form onSubmit={onMfaSubmit} className="space-y-4">
+            <div className="text-sm text-white/70">
+              Two-factor authentication is on. Enter the 6-digit code from your authenticator app, or one of your
+              recovery codes.
+            </div>
+            <Input
+              autoFocus
+              placeholder="123456"
+              autoComplete="one-time-code"
+              value={mfaCode}
+              onChange={(e) => setMfaCode(e.target.value)}
+            />
+            {err && <div className="text-sm text-red-300">{err}</div>}
+            <Button disabled={loading || !mfaCode.trim()}>{loading ? "Checking..." : "Verify →"}</Button>
+            <button
+              type="button"
+              onClick={() => setMfaToken("")}
+              className="w-full text-xs text-white/60 hover:text-white hover:underline"
+            >
+              Back to log in
+            </button>
+          </form>
+        ) : (
+        <>
+        <div className="mb-4 grid grid-cols-2 gap-1 rounded-xl bg-black/35 border border-white/10 p-1 text-sm">
+          {(["email", "phone"] as const).map((m) => (
+            <button
+              key={m}
+              type="button"
+              onClick={() => switchMode(m)}
+              className={"rounded-lg py-2 font-semibold " + (mode === m ? "bg-emerald-600 text-white" : "text-white/60 hover:text-white")}
+            >
+              {m === "email" ? "Email" : "Phone (SMS code)"}
+            </button>
+          ))}
+        </div>
+
+        {mode === "phone" ? (
+          <form onSubmit={onPhoneSubmit} className="space-y-4">
+            <Input
+              placeholder="07XXXXXXXX"
+              inputMode="tel"
+              value={phone}
+              disabled={codeSent}
+              onChange={(e) => setPhone(e.target.value)}
+            />
+            {codeSent && (
+              <>
+                <div className="text-xs text-white/60">
+                  If this number is confirmed on an account, we've sent it a 6-digit code.
+                </div>
+                <Input
+                  placeholder="6-digit code"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+                />
+              </>
+            )}
+            {err && <div className="text-sm text-red-300">{err}</div>}
+            <Button disabled={loading || (codeSent ? code.length !== 6 : !phone)}>
+              {loading ? "Please wait..." : codeSent ? "Log in →" : "Send code →"}
+            </Button>
+            {codeSent && (
+              <div className="flex justify-between text-xs text-white/60">
+                <button type="button" onClick={() => switchMode("phone")} className="hover:text-white hover:underline">
+                  Use another number
+                </button>
+                <button type="button" onClick={sendCode} disabled={loading} className="hover:text-white hover:underline">
+                  Resend code
+                </button>
+              </div>
+            )}
+          </form>
+        ) : (
         <form onSubmit={onSubmit} className="space-y-4">
           <Input placeholder="name@example.com" value={email} onChange={(e) => setEmail(e.target.value)} />
           <Input placeholder="••••••••" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+          <div className="text-right -mt-2">
+            <Link to="/forgot-password" className="text-xs text-white/60 hover:text-white hover:underline">
+              Forgot password?
+            </Link>
+          </div>
           {err && <div className="text-sm text-red-300">{err}</div>}
           <Button disabled={loading}>{loading ? "Logging in..." : "Log in →"}</Button>
         </form>
+        )}
+        </>
+        )}
 
         <div className="mt-5 text-center text-sm text-white/60">
           NO ACCOUNT?{" "}
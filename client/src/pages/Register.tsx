@@ -1,12 +1,12 @@
 import { useState } from "react";
 import { Link, useNavigate, useSearchParams } from "react-router-dom";
-import { api } from "../lib/api";
+import { api, type Session } from "../lib/api";
 import { useAuth } from "../state/auth";
 import { Glass, Input, Button } from "../components/ui";
 
 export default function Register() {
   const nav = useNavigate();
-  const { setToken } = useAuth();
+  const { setSession } = useAuth();
   const [params] = useSearchParams();
 
   const [username, setUsername] = useState("");
@@ -22,11 +22,11 @@ export default function Register() {
     setErr("");
     setLoading(true);
     try {
-      const res = await api<{ token: string }>("/auth/register", {
+      const res = await api<Session>("/auth/register", {
         method: "POST",
         body: { username, email, password, referralCode },
       });
-      setToken(res.token);
+      setSession(res);
       nav("/app");
     } catch (e: any) {
       setErr(e.message);
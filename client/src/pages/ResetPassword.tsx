@@ -0,0 +1,51 @@
+import { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { api } from "../lib/api";
+import { AuthFrame, Button, Input } from "../components/ui";
+
+export default function ResetPassword() {
+  const nav = useNavigate();
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const [password, setPassword] = useState("");
+  const [password2, setPassword2] = useState("");
+  const [err, setErr] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  async function onSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    setErr("");
+    if (password.length < 6) return setErr("Password must be at least 6 characters");
+    if (password !== password2) return setErr("Passwords do not match");
+    setLoading(true);
+    try {
+      await api("/auth/reset", { method: "POST", body: { token, password } });
+      nav("/login", { replace: true, state: { notice: "Password changed. Log in with your new password." } });
+    } catch (e) {
+      setErr(e instanceof Error ? e.message : "Reset failed");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <AuthFrame title="Choose a new password" subtitle="You'll be signed out on every device">
+      {!token ? (
+        <div className="text-sm text-red-300">This link is missing its token. Request a new one.</div>
+      ) : (
+        <form onSubmit={onSubmit} className="space-y-4">
+          <Input placeholder="New password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+          <Input placeholder="Confirm new password" type="password" value={password2} onChange={(e) => setPassword2(e.target.value)} />
+          {err && <div className="text-sm text-red-300">{err}</div>}
+          <Button disabled={loading}>{loading ? "Saving..." : "Set password →"}</Button>
+        </form>
+      )}
+
+      <div className="mt-5 text-center text-sm text-white/60">
+        <Link to="/forgot-password" className="text-white font-semibold hover:underline">
+          REQUEST A NEW LINK
+        </Link>
+      </div>
+    </AuthFrame>
+  );
+}
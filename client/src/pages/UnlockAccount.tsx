@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { api } from "../lib/api";
+import { AuthFrame } from "../components/ui";
+
+// Landing page for the link emailed when sign-in gets locked after too many
+// wrong passwords.
+export default function UnlockAccount() {
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const [state, setState] = useState<{ status: "working" | "done" | "error"; text: string }>(
+    token ? { status: "working", text: "Unlocking sign-in…" } : { status: "error", text: "This link is missing its token." }
+  );
+  // the token is single-use; don't send it twice under StrictMode
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+    api("/auth/unlock", { method: "POST", body: { token } })
+      .then(() => setState({ status: "done", text: "Sign-in is unlocked. You can log in again." }))
+      .catch((e) => setState({ status: "error", text: e instanceof Error ? e.message : "Unlock failed" }));
+  }, [token]);
+
+  return (
+    <AuthFrame title="Unlock sign-in" subtitle="After several failed sign-in attempts">
+      <div className={"text-sm " + (state.status === "error" ? "text-red-300" : "text-white/80")}>{state.text}</div>
+      {state.status === "error" && (
+        <div className="mt-2 text-sm text-white/60">
+          You can also{" "}
+          <Link to="/forgot-password" className="text-white font-semibold hover:underline">
+            reset your password
+          </Link>
+          , which unlocks sign-in too.
+        </div>
+      )}
+      <div className="mt-5 text-center text-sm text-white/60">
+        <Link to="/login" className="text-white font-semibold hover:underline">
+          GO TO LOG IN
+        </Link>
+      </div>
+    </AuthFrame>
+  );
+}
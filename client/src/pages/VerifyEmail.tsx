@@ -0,0 +1,38 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { api } from "../lib/api";
+import { useAuth } from "../state/auth";
+import { AuthFrame } from "../components/ui";
+
+export default function VerifyEmail() {
+  const { token: session } = useAuth();
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const [state, setState] = useState<{ status: "working" | "done" | "error"; text: string }>(
+    token ? { status: "working", text: "Confirming your email…" } : { status: "error", text: "This link is missing its token." }
+  );
+  // the token is single-use; don't send it twice under StrictMode
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+    api<{ email: string }>("/auth/verify", { method: "POST", body: { token } })
+      .then((r) => setState({ status: "done", text: `${r.email} is confirmed. Withdrawals are now enabled.` }))
+      .catch((e) => setState({ status: "error", text: e instanceof Error ? e.message : "Verification failed" }));
+  }, [token]);
+
+  return (
+    <AuthFrame title="Email verification" subtitle="Confirming the address on your account">
+      <div className={"text-sm " + (state.status === "error" ? "text-red-300" : "text-white/80")}>{state.text}</div>
+      {state.status === "error" && session && (
+        <div className="mt-2 text-sm text-white/60">You can request a new link from your Account page.</div>
+      )}
+      <div className="mt-5 text-center text-sm text-white/60">
+        <Link to={session ? "/app/account" : "/login"} className="text-white font-semibold hover:underline">
+          {session ? "GO TO ACCOUNT" : "GO TO LOG IN"}
+        </Link>
+      </div>
+    </AuthFrame>
+  );
+}
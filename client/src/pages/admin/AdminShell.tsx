@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+import { Navigate, NavLink, Outlet, useLocation } from "react-router-dom";
+import { api } from "../../lib/api";
+
+export type StaffRole = "reviewer" | "finance" | "admin";
+
+export type AdminContext = { role: StaffRole };
+
+const SECTIONS: { label: string; to: string; roles: StaffRole[] }[] = [
+  { label: "Users", to: "/admin", roles: ["finance", "admin"] },
+  { label: "Withdrawals", to: "/admin/withdrawals", roles: ["finance", "admin"] },
+  { label: "Referrals", to: "/admin/referrals", roles: ["finance", "admin"] },
+  { label: "Campaigns", to: "/admin/campaigns", roles: ["finance", "admin"] },
+  { label: "Tasks", to: "/admin/tasks", roles: ["admin"] },
+  { label: "Imports", to: "/admin/imports", roles: ["admin"] },
+  { label: "Media", to: "/admin/media", roles: ["admin"] },
+  { label: "Reviews", to: "/admin/reviews", roles: ["reviewer"] },
+  { label: "Quality", to: "/admin/quality", roles: ["reviewer"] },
+  { label: "Jobs", to: "/admin/jobs", roles: ["admin"] },
+  { label: "Audit Log", to: "/admin/audit", roles: ["admin"] },
+];
+
+export default function AdminShell() {
+  const [role, setRole] = useState<StaffRole | null>(null);
+  const [denied, setDenied] = useState(false);
+  const { pathname } = useLocation();
+
+  useEffect(() => {
+    api<{ role: StaffRole }>("/admin/whoami")
+      .then((r) => setRole(r.role))
+      .catch(() => setDenied(true));
+  }, []);
+
+  if (denied) return <Navigate to="/app" replace />;
+  // the user list needs finance; reviewers land on their own section
+  if (role === "reviewer" && pathname.replace(/\/$/, "") === "/admin") return <Navigate to="/admin/reviews" replace />;
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100">
+      <div className="bg-slate-900 border-b border-slate-800">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="h-9 w-9 rounded-xl bg-amber-500 text-black flex items-center justify-center font-black">A</div>
+            <div className="leading-tight">
+              <div className="font-extrabold tracking-wide">SYNTHGRAPHIX ADMIN</div>
+              <div className="text-xs text-slate-400">Signed in as {role || "…"}</div>
+            </div>
+          </div>
+          <NavLink
+            to="/app"
+            className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-slate-700 text-sm font-semibold"
+          >
+            ← Back to app
+          </NavLink>
+        </div>
+
+        <div className="max-w-6xl mx-auto px-4 pb-3 flex flex-wrap gap-2">
+          {SECTIONS.filter((s) => role && (role === "admin" || s.roles.includes(role))).map((s) => (
+            <NavLink
+              key={s.to}
+              to={s.to}
+              end={s.to === "/admin"}
+              className={({ isActive }) =>
+                "px-4 py-2 rounded-xl text-sm font-semibold border transition " +
+                (isActive
+                  ? "bg-amber-500 text-black border-amber-500"
+                  : "bg-slate-900 text-slate-200 border-slate-800 hover:bg-slate-800")
+              }
+            >
+              {s.label}
+            </NavLink>
+          ))}
+        </div>
+      </div>
+
+      <div className="max-w-6xl mx-auto px-4 py-6">
+        {role ? <Outlet context={{ role } satisfies AdminContext} /> : <div className="text-white/60">Loading…</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useEffect, useState } from "react";
+import { api } from "../../lib/api";
+import { errMsg, fmtTime } from "./format";
+
+type AuditRow = {
+  id: number;
+  actor: string | null;
+  action: string;
+  target_type: string | null;
+  target_id: number | null;
+  detail: string | null;
+  created_at: string;
+};
+
+export default function AdminAudit() {
+  const [rows, setRows] = useState<AuditRow[]>([]);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    api<AuditRow[]>("/admin/audit")
+      .then(setRows)
+      .catch((e) => setErr(errMsg(e, "Failed to load audit log")));
+  }, []);
+
+  return (
+    <div className="space-y-4 text-white">
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">When</th>
+              <th className="p-3">Who</th>
+              <th className="p-3">Action</th>
+              <th className="p-3">Target</th>
+              <th className="p-3">Detail</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.id} className="border-t border-white/10 align-top">
+                <td className="p-3 text-white/60 whitespace-nowrap">{fmtTime(r.created_at)}</td>
+                <td className="p-3">{r.actor || "—"}</td>
+                <td className="p-3 font-semibold">{r.action}</td>
+                <td className="p-3">{r.target_type ? `${r.target_type}${r.target_id ? ` #${r.target_id}` : ""}` : "—"}</td>
+                <td className="p-3 font-mono text-xs text-white/60 break-all">{r.detail}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,464 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+import { api } from "../../lib/api";
+import type { AdminContext } from "./AdminShell";
+import { errMsg, fmtKsh, fmtTime } from "./format";
+
+type Campaign = {
+  id: number;
+  name: string;
+  starts_at: string;
+  ends_at: string | null;
+  signup_bonus_ksh: number;
+  tier1_commission_pct: number;
+  tier2_commission_pct: number;
+  max_referrals: number | null;
+  max_earnings_ksh: number | null;
+  redeem_step_ksh: number;
+  running: number;
+  signups: number;
+};
+
+type VanityCode = {
+  code: string;
+  user_id: number;
+  username: string;
+  campaign_id: number | null;
+  campaign: string | null;
+  created_at: string;
+  disabled_at: string | null;
+  signups: number;
+};
+
+type Report = {
+  campaign: Campaign;
+  signups: number;
+  statuses: Record<string, number>;
+  bonus: { pending_ksh: number; paid_ksh: number; clawed_back_ksh: number };
+  commissions: { tier: number; n: number; paid_ksh: number; reversed_ksh: number }[];
+  codes: { code: string | null; signups: number; vested: number; bonus_ksh: number }[];
+  referees: { signed_up: number; active: number; earnings_ksh: number };
+  top_referrers: { rank: number; user_id: number; username: string; vested: number }[];
+};
+
+type Form = {
+  name: string;
+  starts_at: string;
+  ends_at: string;
+  signup_bonus_ksh: string;
+  tier1_commission_pct: string;
+  tier2_commission_pct: string;
+  max_referrals: string;
+  max_earnings_ksh: string;
+  redeem_step_ksh: string;
+};
+
+const EMPTY: Form = {
+  name: "",
+  starts_at: "",
+  ends_at: "",
+  signup_bonus_ksh: "100",
+  tier1_commission_pct: "0",
+  tier2_commission_pct: "0",
+  max_referrals: "",
+  max_earnings_ksh: "",
+  redeem_step_ksh: "1000",
+};
+
+// Server times are UTC "YYYY-MM-DD HH:MM:SS"; the inputs are local time.
+function toLocalInput(s: string | null) {
+  if (!s) return "";
+  const d = new Date(s.replace(" ", "T") + "Z");
+  const pad = (n: number) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function toForm(c: Campaign): Form {
+  return {
+    name: c.name,
+    starts_at: toLocalInput(c.starts_at),
+    ends_at: toLocalInput(c.ends_at),
+    signup_bonus_ksh: String(c.signup_bonus_ksh),
+    tier1_commission_pct: String(c.tier1_commission_pct),
+    tier2_commission_pct: String(c.tier2_commission_pct),
+    max_referrals: c.max_referrals == null ? "" : String(c.max_referrals),
+    max_earnings_ksh: c.max_earnings_ksh == null ? "" : String(c.max_earnings_ksh),
+    redeem_step_ksh: String(c.redeem_step_ksh),
+  };
+}
+
+function toBody(f: Form) {
+  const optional = (v: string) => (v.trim() === "" ? null : Number(v));
+  return {
+    name: f.name,
+    starts_at: f.starts_at ? new Date(f.starts_at).toISOString() : "",
+    ends_at: f.ends_at ? new Date(f.ends_at).toISOString() : null,
+    signup_bonus_ksh: Number(f.signup_bonus_ksh),
+    tier1_commission_pct: Number(f.tier1_commission_pct),
+    tier2_commission_pct: Number(f.tier2_commission_pct),
+    max_referrals: optional(f.max_referrals),
+    max_earnings_ksh: optional(f.max_earnings_ksh),
+    redeem_step_ksh: Number(f.redeem_step_ksh),
+  };
+}
+
+const inputCls = "w-full rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none";
+
+export default function AdminCampaigns() {
+  const { role } = useOutletContext<AdminContext>();
+  const canEdit = role === "admin";
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [codes, setCodes] = useState<VanityCode[]>([]);
+  const [editing, setEditing] = useState<number | "new" | null>(null);
+  const [form, setForm] = useState<Form>(EMPTY);
+  const [report, setReport] = useState<Report | null>(null);
+  const [codeForm, setCodeForm] = useState({ code: "", username: "", campaign_id: "" });
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const load = useCallback(() => {
+    return api<{ campaigns: Campaign[]; codes: VanityCode[] }>("/admin/campaigns")
+      .then((r) => {
+        setCampaigns(r.campaigns);
+        setCodes(r.codes);
+      })
+      .catch((e) => setErr(errMsg(e, "Failed to load campaigns")));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function act(fn: () => Promise<unknown>, done: string) {
+    setErr("");
+    setMsg("");
+    try {
+      await fn();
+      setMsg(done);
+      await load();
+      return true;
+    } catch (e) {
+      setErr(errMsg(e, "Action failed"));
+      return false;
+    }
+  }
+
+  async function save() {
+    const body = toBody(form);
+    const ok =
+      editing === "new"
+        ? await act(() => api("/admin/campaigns", { method: "POST", body }), "Campaign created")
+        : await act(() => api(`/admin/campaigns/${editing}`, { method: "PUT", body }), "Campaign saved");
+    if (ok) setEditing(null);
+  }
+
+  async function openReport(id: number) {
+    setErr("");
+    try {
+      setReport(await api<Report>(`/admin/campaigns/${id}/report`));
+    } catch (e) {
+      setErr(errMsg(e, "Failed to load report"));
+    }
+  }
+
+  async function addCode() {
+    const body = {
+      code: codeForm.code.trim(),
+      username: codeForm.username.trim(),
+      campaign_id: codeForm.campaign_id ? Number(codeForm.campaign_id) : null,
+    };
+    if (await act(() => api("/admin/referral-codes", { method: "POST", body }), `Code ${body.code} created`)) {
+      setCodeForm({ code: "", username: "", campaign_id: "" });
+    }
+  }
+
+  const field = (key: keyof Form, label: string, type = "text") => (
+    <label className="block text-xs text-white/60">
+      {label}
+      <input
+        type={type}
+        value={form[key]}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+        className={inputCls + " mt-1 text-white"}
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-4 text-white">
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      {msg && <div className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-3 text-emerald-200">{msg}</div>}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Referral campaigns</div>
+          {canEdit && (
+            <button
+              onClick={() => {
+                setForm(EMPTY);
+                setEditing("new");
+              }}
+              className="rounded-xl bg-amber-500 text-black px-3 py-1.5 text-sm font-semibold"
+            >
+              New campaign
+            </button>
+          )}
+        </div>
+        <div className="text-xs text-white/50 mb-3">
+          New signups join the running campaign that started last. Commissions are a share of the referee's task rewards:
+          tier 1 to their referrer, tier 2 to the referrer's referrer.
+        </div>
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="py-2">Campaign</th>
+              <th className="py-2">Runs</th>
+              <th className="py-2">Bonus</th>
+              <th className="py-2">Tier 1 / 2</th>
+              <th className="py-2">Caps</th>
+              <th className="py-2">Redeem step</th>
+              <th className="py-2">Signups</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {campaigns.map((c) => (
+              <tr key={c.id} className="border-t border-white/10">
+                <td className="py-2">
+                  {c.name} {!!c.running && <span className="text-xs text-emerald-300">running</span>}
+                </td>
+                <td className="py-2 text-white/60">
+                  {fmtTime(c.starts_at)} → {c.ends_at ? fmtTime(c.ends_at) : "open"}
+                </td>
+                <td className="py-2">KSH {fmtKsh(c.signup_bonus_ksh)}</td>
+                <td className="py-2">
+                  {c.tier1_commission_pct}% / {c.tier2_commission_pct}%
+                </td>
+                <td className="py-2 text-white/60">
+                  {c.max_referrals ?? "∞"} referrals · KSH {c.max_earnings_ksh == null ? "∞" : fmtKsh(c.max_earnings_ksh)}
+                </td>
+                <td className="py-2">KSH {fmtKsh(c.redeem_step_ksh)}</td>
+                <td className="py-2">{c.signups}</td>
+                <td className="py-2 text-right whitespace-nowrap space-x-2">
+                  <button onClick={() => openReport(c.id)} className="text-amber-300 hover:underline">
+                    Report
+                  </button>
+                  {canEdit && (
+                    <button
+                      onClick={() => {
+                        setForm(toForm(c));
+                        setEditing(c.id);
+                      }}
+                      className="text-amber-300 hover:underline"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {canEdit && !!c.running && (
+                    <button
+                      onClick={() => act(() => api(`/admin/campaigns/${c.id}/end`, { method: "POST" }), `${c.name} ended`)}
+                      className="text-red-300 hover:underline"
+                    >
+                      End now
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {editing !== null && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+          <div className="font-semibold">{editing === "new" ? "New campaign" : "Edit campaign"}</div>
+          <div className="grid gap-3 md:grid-cols-3">
+            {field("name", "Name")}
+            {field("starts_at", "Starts", "datetime-local")}
+            {field("ends_at", "Ends (blank: open-ended)", "datetime-local")}
+            {field("signup_bonus_ksh", "Signup bonus (KSH)", "number")}
+            {field("tier1_commission_pct", "Tier 1 commission (%)", "number")}
+            {field("tier2_commission_pct", "Tier 2 commission (%)", "number")}
+            {field("max_referrals", "Max bonus referrals per referrer", "number")}
+            {field("max_earnings_ksh", "Max earnings per referrer (KSH)", "number")}
+            {field("redeem_step_ksh", "Redeem step (KSH)", "number")}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={save} className="rounded-xl bg-amber-500 text-black px-3 py-2 text-sm font-semibold">
+              Save
+            </button>
+            <button onClick={() => setEditing(null)} className="rounded-xl border border-white/10 px-3 py-2 text-sm">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {report && <CampaignReport report={report} onClose={() => setReport(null)} />}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+        <div className="font-semibold">Vanity codes</div>
+        {canEdit && (
+          <div className="flex flex-wrap gap-2">
+            <input
+              value={codeForm.code}
+              onChange={(e) => setCodeForm({ ...codeForm, code: e.target.value })}
+              placeholder="Code, e.g. RADIO24"
+              className={inputCls + " max-w-[200px]"}
+            />
+            <input
+              value={codeForm.username}
+              onChange={(e) => setCodeForm({ ...codeForm, username: e.target.value })}
+              placeholder="Credits username"
+              className={inputCls + " max-w-[200px]"}
+            />
+            <select
+              value={codeForm.campaign_id}
+              onChange={(e) => setCodeForm({ ...codeForm, campaign_id: e.target.value })}
+              className={inputCls + " max-w-[220px]"}
+            >
+              <option value="">Whichever campaign is running</option>
+              {campaigns.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+            <button onClick={addCode} className="rounded-xl bg-amber-500 text-black px-3 py-2 text-sm font-semibold">
+              Add code
+            </button>
+          </div>
+        )}
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="py-2">Code</th>
+              <th className="py-2">Credits</th>
+              <th className="py-2">Campaign</th>
+              <th className="py-2">Signups</th>
+              <th className="py-2">Created</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {codes.map((c) => (
+              <tr key={c.code} className={"border-t border-white/10 " + (c.disabled_at ? "text-white/40" : "")}>
+                <td className="py-2 font-mono">{c.code}</td>
+                <td className="py-2">
+                  <Link to={`/admin/users/${c.user_id}`} className="hover:underline">
+                    {c.username}
+                  </Link>
+                </td>
+                <td className="py-2">{c.campaign || "Running"}</td>
+                <td className="py-2">{c.signups}</td>
+                <td className="py-2 text-white/60">{fmtTime(c.created_at)}</td>
+                <td className="py-2 text-right">
+                  {c.disabled_at ? (
+                    `Disabled ${fmtTime(c.disabled_at)}`
+                  ) : canEdit ? (
+                    <button
+                      onClick={() =>
+                        act(
+                          () => api(`/admin/referral-codes/${encodeURIComponent(c.code)}/disable`, { method: "POST" }),
+                          `Code ${c.code} disabled`
+                        )
+                      }
+                      className="text-red-300 hover:underline"
+                    >
+                      Disable
+                    </button>
+                  ) : null}
+                </td>
+              </tr>
+            ))}
+            {!codes.length && (
+              <tr>
+                <td colSpan={6} className="py-2 text-white/50">
+                  No vanity codes yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function CampaignReport({ report, onClose }: { report: Report; onClose: () => void }) {
+  const stat = (label: string, value: string | number) => (
+    <div className="rounded-xl border border-white/10 bg-black/20 p-3">
+      <div className="text-xs text-white/60">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+    </div>
+  );
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">Attribution · {report.campaign.name}</div>
+        <button onClick={onClose} className="text-sm text-white/60 hover:text-white">
+          Close
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-3 lg:grid-cols-6">
+        {stat("Signups", report.signups)}
+        {stat("Vested", report.statuses.vested || 0)}
+        {stat("Pending / flagged", (report.statuses.pending || 0) + (report.statuses.flagged || 0))}
+        {stat("Active referees", report.referees.active)}
+        {stat("Bonuses paid", `KSH ${fmtKsh(report.bonus.paid_ksh)}`)}
+        {stat("Referee earnings", `KSH ${fmtKsh(report.referees.earnings_ksh)}`)}
+      </div>
+
+      <div className="text-xs text-white/60">
+        Bonuses pending KSH {fmtKsh(report.bonus.pending_ksh)} · clawed back KSH {fmtKsh(report.bonus.clawed_back_ksh)} ·{" "}
+        {report.commissions.length
+          ? report.commissions
+              .map((c) => `tier ${c.tier} commissions KSH ${fmtKsh(c.paid_ksh)} (${fmtKsh(c.reversed_ksh)} reversed)`)
+              .join(" · ")
+          : "no commissions"}
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <div className="text-sm font-semibold mb-2">By code</div>
+          <table className="w-full text-sm">
+            <thead className="text-white/60">
+              <tr className="text-left">
+                <th className="py-1">Code</th>
+                <th className="py-1">Signups</th>
+                <th className="py-1">Vested</th>
+                <th className="py-1">Bonus</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.codes.map((c) => (
+                <tr key={c.code || ""} className="border-t border-white/10">
+                  <td className="py-1 font-mono">{c.code || <span className="font-sans text-white/50">personal codes</span>}</td>
+                  <td className="py-1">{c.signups}</td>
+                  <td className="py-1">{c.vested}</td>
+                  <td className="py-1">KSH {fmtKsh(c.bonus_ksh)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <div className="text-sm font-semibold mb-2">Leaderboard</div>
+          <ol className="text-sm space-y-1">
+            {report.top_referrers.map((r) => (
+              <li key={r.user_id} className="flex justify-between">
+                <Link to={`/admin/users/${r.user_id}`} className="hover:underline">
+                  #{r.rank} {r.username}
+                </Link>
+                <span className="text-white/60">{r.vested} vested</span>
+              </li>
+            ))}
+            {!report.top_referrers.length && <li className="text-white/50">No vested referrals yet.</li>}
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+}
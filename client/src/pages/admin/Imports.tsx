@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../../lib/api";
+import { errMsg, fmtTime } from "./format";
+import { loadTaskTypes, type TaskTypeInfo } from "../../lib/taskTypes";
+
+type ImportError = { line: number; field: string | null; message: string; warning?: boolean };
+
+type Report = {
+  format: "csv" | "jsonl";
+  dry_run: boolean;
+  row_count: number;
+  valid_count: number;
+  invalid_count: number;
+  by_type: Record<string, number>;
+  errors: ImportError[];
+  errors_truncated: boolean;
+  batch_id?: number;
+  inserted_count?: number;
+};
+
+type Batch = {
+  id: number;
+  filename: string | null;
+  format: string;
+  status: string;
+  row_count: number;
+  inserted_count: number;
+  skipped_count: number;
+  active_count: number;
+  created_by: string | null;
+  created_at: string;
+  rolled_back_at: string | null;
+};
+
+const COLUMNS =
+  "type, prompt, media_url, reward, complexity, gold_answer, tags (optional: title, description, category, is_gold, consensus, language; labels for types that pick from a label set)";
+
+export default function AdminImports() {
+  const [file, setFile] = useState<{ name: string; text: string } | null>(null);
+  const [report, setReport] = useState<Report | null>(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [batches, setBatches] = useState<Batch[]>([]);
+  const [types, setTypes] = useState<TaskTypeInfo[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const loadBatches = useCallback(
+    () =>
+      api<Batch[]>("/admin/tasks/imports")
+        .then(setBatches)
+        .catch((e) => setErr(errMsg(e, "Failed to load imports"))),
+    []
+  );
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  useEffect(() => {
+    loadTaskTypes()
+      .then((t) => setTypes(t.filter((x) => x.importable)))
+      .catch((e) => setErr(errMsg(e, "Failed to load task types")));
+  }, []);
+
+  const labelTypes = types.filter((t) => t.labels).map((t) => t.type);
+
+  async function pick(f: File | undefined) {
+    setReport(null);
+    setMsg("");
+    setErr("");
+    setFile(f ? { name: f.name, text: await f.text() } : null);
+  }
+
+  async function send(dryRun: boolean) {
+    if (!file) return;
+    setBusy(true);
+    setErr("");
+    setMsg("");
+    try {
+      const qs = new URLSearchParams({
+        filename: file.name,
+        dry_run: dryRun ? "1" : "0",
+        skip_invalid: skipInvalid ? "1" : "0",
+      });
+      const r = await api<Report>(`/admin/tasks/import?${qs}`, {
+        method: "POST",
+        body: file.text,
+        contentType: file.name.toLowerCase().endsWith(".csv") ? "text/csv" : "application/x-ndjson",
+      });
+      setReport(r);
+      if (!dryRun) {
+        setMsg(`Imported ${r.inserted_count} task(s) as batch #${r.batch_id}.`);
+        setFile(null);
+        await loadBatches();
+      }
+    } catch (e) {
+      setErr(errMsg(e, "Import failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function rollback(b: Batch) {
+    if (!confirm(`Roll back import #${b.id}? Unused tasks are deleted, used ones deactivated.`)) return;
+    setErr("");
+    setMsg("");
+    try {
+      const r = await api<{ deleted: number; deactivated: number }>(`/admin/tasks/imports/${b.id}/rollback`, { method: "POST" });
+      setMsg(`Batch #${b.id} rolled back: ${r.deleted} deleted, ${r.deactivated} deactivated.`);
+      await loadBatches();
+    } catch (e) {
+      setErr(errMsg(e, "Rollback failed"));
+    }
+  }
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+        <div className="font-semibold">Import tasks</div>
+        <div className="text-sm text-white/60">
+          Upload a CSV (with a header row) or JSONL file. Columns: {COLUMNS}. Types:{" "}
+          {types.map((t) => t.type).join(", ") || "…"}. Tags and labels are separated by commas or "|".
+          {labelTypes.length > 0 && ` Rows of ${labelTypes.join(", ")} need labels.`} Gold answers for the structured image
+          types are JSON, e.g.{" "}
+          <code>{'{"boxes":[{"label":"car","x":0.1,"y":0.2,"w":0.3,"h":0.25}]}'}</code>, with positions as fractions of the
+          image.
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="file"
+            accept=".csv,.jsonl,.ndjson"
+            onChange={(e) => pick(e.target.files?.[0])}
+            className="text-sm file:mr-3 file:rounded-xl file:border-0 file:bg-white/10 file:px-3 file:py-2 file:text-white"
+          />
+          <label className="flex items-center gap-1 text-sm text-white/70">
+            <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+            Skip invalid rows
+          </label>
+          <button
+            disabled={!file || busy}
+            onClick={() => send(true)}
+            className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20 disabled:opacity-50"
+          >
+            Validate
+          </button>
+          <button
+            disabled={!file || busy || !report || (report.invalid_count > 0 && !skipInvalid)}
+            onClick={() => send(false)}
+            className="rounded-xl bg-amber-500 px-4 py-2 text-sm font-semibold text-black hover:bg-amber-400 disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      {msg && <div className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-3 text-emerald-200">{msg}</div>}
+
+      {report && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+          <div className="text-sm">
+            {report.row_count} row(s) · <span className="text-emerald-300">{report.valid_count} valid</span> ·{" "}
+            <span className={report.invalid_count ? "text-red-300" : ""}>{report.invalid_count} invalid</span>
+            {Object.entries(report.by_type).map(([t, n]) => (
+              <span key={t} className="ml-2 text-white/60">
+                {t}: {n}
+              </span>
+            ))}
+          </div>
+          {report.errors.length > 0 && (
+            <div className="max-h-80 overflow-y-auto rounded-xl bg-black/30 p-3 text-sm">
+              {report.errors.map((e, i) => (
+                <div key={i} className={e.warning ? "text-amber-200" : "text-red-200"}>
+                  Line {e.line}
+                  {e.field && <span className="text-white/50"> [{e.field}]</span>}: {e.message}
+                </div>
+              ))}
+              {report.errors_truncated && <div className="text-white/50">More errors not shown.</div>}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">Batch</th>
+              <th className="p-3">File</th>
+              <th className="p-3">Imported</th>
+              <th className="p-3">Skipped</th>
+              <th className="p-3">Active</th>
+              <th className="p-3">By</th>
+              <th className="p-3">When</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map((b) => (
+              <tr key={b.id} className="border-t border-white/10">
+                <td className="p-3">#{b.id}</td>
+                <td className="p-3">
+                  {b.filename || "—"} <span className="text-white/50">{b.format}</span>
+                </td>
+                <td className="p-3">{b.inserted_count}</td>
+                <td className="p-3">{b.skipped_count}</td>
+                <td className="p-3">{b.active_count}</td>
+                <td className="p-3">{b.created_by || "—"}</td>
+                <td className="p-3 text-white/60">{fmtTime(b.created_at)}</td>
+                <td className="p-3">
+                  {b.status === "rolled_back" ? (
+                    <span className="text-white/50">Rolled back {fmtTime(b.rolled_back_at)}</span>
+                  ) : (
+                    <button onClick={() => rollback(b)} className="rounded-lg bg-red-600 px-3 py-1 text-xs font-semibold hover:bg-red-500">
+                      Roll back
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {!batches.length && (
+              <tr>
+                <td colSpan={8} className="p-4 text-white/50">
+                  No imports yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../../lib/api";
+import { errMsg, fmtTime } from "./format";
+
+type JobStatus = "queued" | "running" | "done" | "dead";
+
+type Job = {
+  id: number;
+  type: string;
+  status: JobStatus;
+  attempts: number;
+  max_attempts: number;
+  run_at: string;
+  locked_by: string | null;
+  last_error: string | null;
+  result: unknown;
+  created_at: string;
+  finished_at: string | null;
+};
+
+type Schedule = {
+  name: string;
+  cron: string;
+  timeZone: string;
+  type: string;
+  next_run_at?: string;
+  last_run_at?: string | null;
+};
+
+type StatRow = { type: string; status: JobStatus; n: number; oldest_run_at: string };
+
+type Report = { id: number; kind: string; period: string; data: string; created_at: string };
+
+type JobsView = { types: string[]; stats: StatRow[]; schedules: Schedule[]; jobs: Job[]; reports: Report[] };
+
+const STATUSES: JobStatus[] = ["queued", "running", "done", "dead"];
+
+const STATUS_STYLE: Record<JobStatus, string> = {
+  queued: "text-sky-300",
+  running: "text-amber-300",
+  done: "text-emerald-300",
+  dead: "text-red-300",
+};
+
+export default function AdminJobs() {
+  const [view, setView] = useState<JobsView | null>(null);
+  const [status, setStatus] = useState("");
+  const [type, setType] = useState("");
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const load = useCallback(() => {
+    const qs = new URLSearchParams({ status, type });
+    return api<JobsView>(`/admin/jobs?${qs}`)
+      .then(setView)
+      .catch((e) => setErr(errMsg(e, "Failed to load jobs")));
+  }, [status, type]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function act(path: string, body: unknown, done: string) {
+    setErr("");
+    setMsg("");
+    try {
+      await api(path, { method: "POST", body });
+      setMsg(done);
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Action failed"));
+    }
+  }
+
+  const counts = new Map<string, Partial<Record<JobStatus, number>>>();
+  for (const s of view?.stats || []) counts.set(s.type, { ...counts.get(s.type), [s.status]: s.n });
+
+  return (
+    <div className="space-y-4 text-white">
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      {msg && <div className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-3 text-emerald-200">{msg}</div>}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">Job type</th>
+              {STATUSES.map((s) => (
+                <th key={s} className="p-3 capitalize">
+                  {s}
+                </th>
+              ))}
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {(view?.types || []).map((t) => (
+              <tr key={t} className="border-t border-white/10">
+                <td className="p-3 font-mono text-xs">{t}</td>
+                {STATUSES.map((s) => (
+                  <td key={s} className={"p-3 " + (counts.get(t)?.[s] ? STATUS_STYLE[s] : "text-white/30")}>
+                    {counts.get(t)?.[s] || 0}
+                  </td>
+                ))}
+                <td className="p-3 text-right">
+                  <button
+                    onClick={() => act("/admin/jobs", { type: t }, `Queued ${t}.`)}
+                    className="rounded-lg bg-white/10 px-3 py-1 text-xs font-semibold hover:bg-white/20"
+                  >
+                    Run now
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">Schedule</th>
+              <th className="p-3">Cron</th>
+              <th className="p-3">Job</th>
+              <th className="p-3">Last run (UTC)</th>
+              <th className="p-3">Next run (UTC)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(view?.schedules || []).map((s) => (
+              <tr key={s.name} className="border-t border-white/10">
+                <td className="p-3 font-semibold">{s.name}</td>
+                <td className="p-3 font-mono text-xs">
+                  {s.cron} <span className="text-white/50">{s.timeZone}</span>
+                </td>
+                <td className="p-3 font-mono text-xs">{s.type}</td>
+                <td className="p-3 text-white/60">{s.last_run_at ? fmtTime(s.last_run_at) : "—"}</td>
+                <td className="p-3 text-white/60">{s.next_run_at ? fmtTime(s.next_run_at) : "waiting for a worker"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="rounded-xl bg-slate-900 border border-slate-700 px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="rounded-xl bg-slate-900 border border-slate-700 px-3 py-2 text-sm"
+        >
+          <option value="">All types</option>
+          {(view?.types || []).map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => load()} className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20">
+          Refresh
+        </button>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">Job</th>
+              <th className="p-3">Type</th>
+              <th className="p-3">Status</th>
+              <th className="p-3">Attempts</th>
+              <th className="p-3">Run at (UTC)</th>
+              <th className="p-3">Outcome</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {(view?.jobs || []).map((j) => (
+              <tr key={j.id} className="border-t border-white/10 align-top">
+                <td className="p-3">#{j.id}</td>
+                <td className="p-3 font-mono text-xs">{j.type}</td>
+                <td className={"p-3 font-semibold " + STATUS_STYLE[j.status]}>
+                  {j.status}
+                  {j.locked_by && <div className="text-xs font-normal text-white/50">{j.locked_by}</div>}
+                </td>
+                <td className="p-3">
+                  {j.attempts}/{j.max_attempts}
+                </td>
+                <td className="p-3 text-white/60 whitespace-nowrap">{fmtTime(j.run_at)}</td>
+                <td className="p-3 font-mono text-xs break-all">
+                  {j.last_error ? (
+                    <span className="text-red-200">{j.last_error}</span>
+                  ) : (
+                    <span className="text-white/60">{j.result == null ? "—" : JSON.stringify(j.result)}</span>
+                  )}
+                </td>
+                <td className="p-3">
+                  {j.status === "dead" && (
+                    <button
+                      onClick={() => act(`/admin/jobs/${j.id}/retry`, {}, `Job #${j.id} queued again.`)}
+                      className="rounded-lg bg-amber-500 px-3 py-1 text-xs font-semibold text-black hover:bg-amber-400"
+                    >
+                      Retry
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {view && !view.jobs.length && (
+              <tr>
+                <td colSpan={7} className="p-4 text-white/50">
+                  No jobs.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {!!view?.reports.length && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-2">
+          <div className="font-semibold">Recent reports</div>
+          {view.reports.map((r) => (
+            <details key={r.id} className="text-sm">
+              <summary className="cursor-pointer">
+                {r.kind} · {r.period} <span className="text-white/50">built {fmtTime(r.created_at)}</span>
+              </summary>
+              <pre className="mt-2 rounded-xl bg-black/30 p-3 text-xs text-white/70 overflow-x-auto">
+                {JSON.stringify(JSON.parse(r.data), null, 2)}
+              </pre>
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
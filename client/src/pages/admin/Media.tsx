@@ -0,0 +1,288 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../../lib/api";
+import { errMsg, fmtTime } from "./format";
+
+type Kind = "image" | "audio" | "video";
+
+type Asset = {
+  id: number;
+  sha256: string;
+  mime: string;
+  kind: Kind;
+  size_bytes: number;
+  width: number | null;
+  height: number | null;
+  duration_ms: number | null;
+  original_name: string | null;
+  source_url: string | null;
+  status: "processing" | "ready";
+  error: string | null;
+  created_by_name: string | null;
+  created_at: string;
+  tasks: number;
+  media_url: string;
+  thumb_url: string | null;
+};
+
+type MediaPage = {
+  total: number;
+  items: Asset[];
+  hotlinked: { urls: number; tasks: number; failing: number };
+};
+
+type Ingested = Asset & { created: boolean };
+
+const PAGE = 50;
+
+function fmtSize(n: number) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function fmtDuration(ms: number | null) {
+  if (ms === null) return "";
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+export default function AdminMedia() {
+  const [kind, setKind] = useState<Kind | "">("");
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState<MediaPage | null>(null);
+  const [url, setUrl] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const load = useCallback(() => {
+    const qs = new URLSearchParams({ limit: String(PAGE), offset: String(offset) });
+    if (kind) qs.set("kind", kind);
+    return api<MediaPage>(`/admin/media?${qs}`)
+      .then(setPage)
+      .catch((e) => setErr(errMsg(e, "Failed to load media")));
+  }, [kind, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function act(fn: () => Promise<string>, fallback: string) {
+    setBusy(true);
+    setErr("");
+    setMsg("");
+    try {
+      setMsg(await fn());
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, fallback));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const done = (a: Ingested) => (a.created ? `Stored as media #${a.id}.` : `Already stored as media #${a.id}.`);
+
+  async function upload(files: FileList | null) {
+    if (!files?.length) return;
+    await act(async () => {
+      const out: string[] = [];
+      for (const f of Array.from(files)) {
+        const a = await api<Ingested>(`/admin/media?filename=${encodeURIComponent(f.name)}`, {
+          method: "POST",
+          body: f,
+          contentType: "application/octet-stream",
+        });
+        out.push(`${f.name}: ${done(a)}`);
+      }
+      return out.join(" ");
+    }, "Upload failed");
+  }
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+        <div className="font-semibold">Task media</div>
+        <div className="text-sm text-white/60">
+          Images, audio and video are stored on our own server and only played to workers who have the task. Attach a
+          file to a task from the Tasks page by its media id.
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="file"
+            multiple
+            accept="image/*,audio/*,video/*"
+            disabled={busy}
+            onChange={(e) => upload(e.target.files)}
+            className="text-sm file:mr-3 file:rounded-xl file:border-0 file:bg-white/10 file:px-3 file:py-2 file:text-white"
+          />
+          <input
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://… (import from a URL)"
+            className="min-w-[260px] flex-1 rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none"
+          />
+          <button
+            disabled={!url.trim() || busy}
+            onClick={() =>
+              act(async () => {
+                const a = await api<Ingested>("/admin/media/import", { method: "POST", body: { url: url.trim() } });
+                setUrl("");
+                return done(a);
+              }, "Import failed")
+            }
+            className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20 disabled:opacity-50"
+          >
+            Import
+          </button>
+          <button
+            disabled={busy}
+            title="Queue processing for audio and video stored before low-bitrate copies were made"
+            onClick={() =>
+              act(async () => {
+                const r = await api<{ queued: number }>("/admin/media/reprocess", { method: "POST" });
+                return `${r.queued} file(s) queued for low-bitrate copies.`;
+              }, "Failed to queue processing")
+            }
+            className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20 disabled:opacity-50"
+          >
+            Make missing renditions
+          </button>
+        </div>
+        {page && page.hotlinked.urls > 0 && (
+          <div className="flex flex-wrap items-center gap-3 text-sm text-amber-200">
+            {page.hotlinked.tasks} task(s) still link to {page.hotlinked.urls} external file(s)
+            {page.hotlinked.failing > 0 && ` (${page.hotlinked.failing} failing to download)`}.
+            <button
+              disabled={busy}
+              onClick={() =>
+                act(async () => {
+                  await api("/admin/media/localize", { method: "POST", body: {} });
+                  return "Download queued; check Jobs for the result.";
+                }, "Failed to queue download")
+              }
+              className="rounded-xl bg-amber-500 px-3 py-1 text-xs font-semibold text-black hover:bg-amber-400 disabled:opacity-50"
+            >
+              Download now
+            </button>
+          </div>
+        )}
+      </div>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      {msg && <div className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-3 text-emerald-200">{msg}</div>}
+
+      <div className="flex items-center gap-2 text-sm">
+        {(["", "image", "audio", "video"] as const).map((k) => (
+          <button
+            key={k || "all"}
+            onClick={() => {
+              setKind(k);
+              setOffset(0);
+            }}
+            className={`rounded-xl px-3 py-1 ${kind === k ? "bg-amber-500 text-black" : "bg-white/10 hover:bg-white/20"}`}
+          >
+            {k || "all"}
+          </button>
+        ))}
+        <span className="ml-auto text-white/60">{page?.total ?? 0} file(s)</span>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">Media</th>
+              <th className="p-3">Preview</th>
+              <th className="p-3">File</th>
+              <th className="p-3">Details</th>
+              <th className="p-3">Tasks</th>
+              <th className="p-3">Added</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {page?.items.map((a) => (
+              <tr key={a.id} className="border-t border-white/10 align-top">
+                <td className="p-3">#{a.id}</td>
+                <td className="p-3">
+                  {a.kind === "audio" ? (
+                    <audio controls preload="none" src={a.media_url} className="w-48" />
+                  ) : (
+                    <a href={a.media_url} target="_blank" rel="noreferrer">
+                      {a.thumb_url || a.kind === "image" ? (
+                        <img src={a.thumb_url || a.media_url} alt="" className="h-12 w-20 rounded object-cover" loading="lazy" />
+                      ) : (
+                        <span className="text-amber-300 hover:underline">Play</span>
+                      )}
+                    </a>
+                  )}
+                </td>
+                <td className="p-3">
+                  <div className="max-w-[220px] truncate">{a.original_name || "—"}</div>
+                  {a.source_url && (
+                    <div className="max-w-[220px] truncate text-xs text-white/50" title={a.source_url}>
+                      {a.source_url}
+                    </div>
+                  )}
+                </td>
+                <td className="p-3 text-white/70">
+                  {a.mime} · {fmtSize(a.size_bytes)}
+                  {a.width && a.height ? ` · ${a.width}×${a.height}` : ""}
+                  {a.duration_ms !== null ? ` · ${fmtDuration(a.duration_ms)}` : ""}
+                  {a.status === "processing" && <div className="text-xs text-white/50">Processing…</div>}
+                  {a.error && <div className="text-xs text-amber-200">{a.error}</div>}
+                </td>
+                <td className="p-3">{a.tasks}</td>
+                <td className="p-3 text-white/60">
+                  {fmtTime(a.created_at)}
+                  {a.created_by_name && <div className="text-xs">{a.created_by_name}</div>}
+                </td>
+                <td className="p-3">
+                  <button
+                    disabled={busy}
+                    onClick={() =>
+                      act(async () => {
+                        await api(`/admin/media/${a.id}/reprocess`, { method: "POST" });
+                        return `Media #${a.id} queued for processing.`;
+                      }, "Failed to queue processing")
+                    }
+                    className="rounded-lg bg-white/10 px-3 py-1 text-xs font-semibold hover:bg-white/20 disabled:opacity-50"
+                  >
+                    Reprocess
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {page && !page.items.length && (
+              <tr>
+                <td colSpan={7} className="p-4 text-white/50">
+                  No media yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {page && page.total > PAGE && (
+        <div className="flex items-center gap-2 text-sm">
+          <button
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE))}
+            className="rounded-xl bg-white/10 px-3 py-1 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <button
+            disabled={offset + PAGE >= page.total}
+            onClick={() => setOffset(offset + PAGE)}
+            className="rounded-xl bg-white/10 px-3 py-1 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,285 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../../lib/api";
+import { errMsg, fmtTime } from "./format";
+import { annotationFormat, describeAnnotation, type AnswerFormat } from "../../lib/annotation";
+import { loadTaskTypes } from "../../lib/taskTypes";
+
+type Item = {
+  task_id: number;
+  type: string;
+  title: string;
+  media_url: string | null;
+  answers: number;
+  target: number;
+  status: "collecting" | "agreed" | "disputed";
+  agreement: number | null;
+  consensus_answer: string | null;
+  updated_at: string;
+};
+
+type ItemPage = {
+  total: number;
+  items: Item[];
+  summary: { type: string; status: string; n: number; avg_agreement: number | null }[];
+};
+
+type Worker = {
+  user_id: number;
+  username: string;
+  trust: number;
+  gold_count: number;
+  gold_sum: number;
+  consensus_count: number;
+  consensus_sum: number;
+  updated_at: string;
+};
+
+const PAGE = 50;
+
+function pct(n: number | null) {
+  return n === null ? "—" : `${Math.round(n * 100)}%`;
+}
+
+const STATUS_CLASS: Record<string, string> = {
+  agreed: "text-emerald-300",
+  disputed: "text-red-300",
+  collecting: "text-white/60",
+};
+
+export default function AdminQuality() {
+  const [filters, setFilters] = useState({ type: "", status: "" });
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState<ItemPage>({ total: 0, items: [], summary: [] });
+  const [workers, setWorkers] = useState<Worker[]>([]);
+  const [err, setErr] = useState("");
+  const [withImages, setWithImages] = useState(false);
+  // answer format of each task type, from the server's registry
+  const [formats, setFormats] = useState<Record<string, AnswerFormat>>({});
+
+  const load = useCallback(() => {
+    const qs = new URLSearchParams({ ...filters, limit: String(PAGE), offset: String(offset) });
+    return api<ItemPage>(`/admin/quality/items?${qs}`)
+      .then(setPage)
+      .catch((e) => setErr(errMsg(e, "Failed to load items")));
+  }, [filters, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    api<Worker[]>("/admin/quality/workers")
+      .then(setWorkers)
+      .catch((e) => setErr(errMsg(e, "Failed to load workers")));
+  }, []);
+
+  useEffect(() => {
+    loadTaskTypes()
+      .then((t) => setFormats(Object.fromEntries(t.map((x) => [x.type, x.answer_format]))))
+      .catch((e) => setErr(errMsg(e, "Failed to load task types")));
+  }, []);
+
+  function setFilter(key: "type" | "status", value: string) {
+    setOffset(0);
+    setFilters((f) => ({ ...f, [key]: value }));
+  }
+
+  // jsonl: every item with its answers; coco/yolo: agreed boxes or points
+  // for training tools (a .tar when images are included)
+  async function exportItems(format: "jsonl" | "coco" | "yolo" = "jsonl", images = false) {
+    setErr("");
+    try {
+      const qs = new URLSearchParams({ status: filters.status || "agreed", ...(filters.type ? { type: filters.type } : {}) });
+      let blob: Blob;
+      let ext = "jsonl";
+      if (format === "jsonl") {
+        const items = await api<unknown[]>(`/admin/quality/export?${qs}`);
+        blob = new Blob([items.map((i) => JSON.stringify(i)).join("\n")], { type: "application/x-ndjson" });
+      } else {
+        qs.set("format", format);
+        if (images) qs.set("images", "1");
+        blob = await api<Blob>(`/admin/quality/export?${qs}`, { blob: true });
+        ext = format === "coco" && !images ? "json" : "tar";
+      }
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `labels_${filters.type || "all"}_${filters.status || "agreed"}${format === "jsonl" ? "" : `_${format}`}.${ext}`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (e) {
+      setErr(errMsg(e, "Export failed"));
+    }
+  }
+
+  const types = [...new Set(page.summary.map((s) => s.type))];
+  // COCO takes boxes and points, YOLO only boxes
+  const geometry = formats[filters.type] === "boxes" || formats[filters.type] === "points";
+
+  function consensusText(i: Item) {
+    const format = annotationFormat(formats[i.type]);
+    return i.consensus_answer && format ? describeAnnotation(format, i.consensus_answer) : i.consensus_answer || "—";
+  }
+
+  const selectCls = "rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none";
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+        {types.map((t) => (
+          <div key={t} className="rounded-2xl border border-white/10 bg-white/5 p-4 text-sm">
+            <div className="font-semibold">{t}</div>
+            {page.summary
+              .filter((s) => s.type === t)
+              .map((s) => (
+                <div key={s.status} className={STATUS_CLASS[s.status]}>
+                  {s.n} {s.status} · avg agreement {pct(s.avg_agreement)}
+                </div>
+              ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <select value={filters.type} onChange={(e) => setFilter("type", e.target.value)} className={selectCls}>
+          <option value="">All types</option>
+          {types.map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>
+        <select value={filters.status} onChange={(e) => setFilter("status", e.target.value)} className={selectCls}>
+          <option value="">Any status</option>
+          <option value="collecting">Collecting</option>
+          <option value="agreed">Agreed</option>
+          <option value="disputed">Disputed</option>
+        </select>
+        <button onClick={() => exportItems()} className="rounded-xl bg-amber-500 px-4 py-2 text-sm font-semibold text-black hover:bg-amber-400">
+          Export JSONL
+        </button>
+        {geometry && (
+          <>
+            <button
+              onClick={() => exportItems("coco", withImages)}
+              className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20"
+            >
+              Export COCO
+            </button>
+            {formats[filters.type] === "boxes" && (
+              <button
+                onClick={() => exportItems("yolo", withImages)}
+                className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20"
+              >
+                Export YOLO
+              </button>
+            )}
+            <label className="flex items-center gap-2 text-sm text-white/70" title="Put the image files in a .tar with the annotations">
+              <input type="checkbox" checked={withImages} onChange={(e) => setWithImages(e.target.checked)} />
+              with images
+            </label>
+          </>
+        )}
+      </div>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">Task</th>
+              <th className="p-3">Answers</th>
+              <th className="p-3">Status</th>
+              <th className="p-3">Agreement</th>
+              <th className="p-3">Consensus</th>
+              <th className="p-3">Updated</th>
+            </tr>
+          </thead>
+          <tbody>
+            {page.items.map((i) => (
+              <tr key={i.task_id} className="border-t border-white/10 align-top">
+                <td className="p-3">
+                  <div className="font-semibold">{i.title}</div>
+                  <div className="text-xs text-white/50">
+                    #{i.task_id} · {i.type}
+                  </div>
+                </td>
+                <td className="p-3">
+                  {i.answers}/{i.target}
+                </td>
+                <td className={"p-3 " + STATUS_CLASS[i.status]}>{i.status}</td>
+                <td className="p-3">{pct(i.agreement)}</td>
+                <td className="p-3 max-w-xs">
+                  {consensusText(i)}
+                </td>
+                <td className="p-3 text-white/60">{fmtTime(i.updated_at)}</td>
+              </tr>
+            ))}
+            {!page.items.length && (
+              <tr>
+                <td colSpan={6} className="p-4 text-white/50">
+                  No consensus items yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-white/60">
+        <div>
+          {page.total ? offset + 1 : 0}–{Math.min(offset + PAGE, page.total)} of {page.total}
+        </div>
+        <div className="flex gap-2">
+          <button
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE))}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <button
+            disabled={offset + PAGE >= page.total}
+            onClick={() => setOffset(offset + PAGE)}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
+        <div className="font-semibold mb-2">Worker trust (lowest first)</div>
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="py-2">Worker</th>
+              <th className="py-2">Trust</th>
+              <th className="py-2">Gold</th>
+              <th className="py-2">Consensus</th>
+            </tr>
+          </thead>
+          <tbody>
+            {workers.map((w) => (
+              <tr key={w.user_id} className="border-t border-white/10">
+                <td className="py-2">
+                  <Link to={`/admin/users/${w.user_id}`} className="hover:underline">
+                    {w.username}
+                  </Link>
+                </td>
+                <td className="py-2 font-semibold">{pct(w.trust)}</td>
+                <td className="py-2">
+                  {w.gold_count} · avg {pct(w.gold_count ? w.gold_sum / w.gold_count : null)}
+                </td>
+                <td className="py-2">
+                  {w.consensus_count} · avg {pct(w.consensus_count ? w.consensus_sum / w.consensus_count : null)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../../lib/api";
+import { errMsg, fmtKsh, fmtTime } from "./format";
+
+type ReferralStatus = "pending" | "flagged" | "vested" | "rejected" | "clawed_back";
+
+type Flag = { signal: string; devices?: string[]; ips?: string[]; numbers?: string[] };
+
+type Referral = {
+  id: number;
+  status: ReferralStatus;
+  bonus_ksh: number;
+  bonus_awarded_ksh: number;
+  flags: Flag[];
+  flagged_at: string | null;
+  vested_at: string | null;
+  reviewed_at: string | null;
+  review_note: string | null;
+  clawed_back_at: string | null;
+  signup_ip: string | null;
+  created_at: string;
+  referrer_id: number;
+  referrer: string;
+  referred_user_id: number;
+  referee: string;
+  reviewer: string | null;
+  referrer_total: number;
+  tasks: number;
+  days: number;
+};
+
+type ReferralPage = {
+  total: number;
+  items: Referral[];
+  counts: Partial<Record<ReferralStatus, number>>;
+  rules: { min_tasks: number; min_days: number };
+};
+
+const STATUSES: { key: ReferralStatus | "all"; label: string }[] = [
+  { key: "flagged", label: "Flagged" },
+  { key: "pending", label: "Pending" },
+  { key: "vested", label: "Vested" },
+  { key: "rejected", label: "Rejected" },
+  { key: "clawed_back", label: "Clawed back" },
+  { key: "all", label: "All" },
+];
+
+const SIGNAL_LABEL: Record<string, string> = {
+  shared_device: "Same device",
+  shared_ip: "Same IP address",
+  shared_payout_number: "Same payout number",
+};
+
+const STATUS_CLASS: Record<ReferralStatus, string> = {
+  pending: "text-amber-300",
+  flagged: "text-red-300",
+  vested: "text-emerald-300",
+  rejected: "text-white/50",
+  clawed_back: "text-red-300",
+};
+
+const PAGE = 20;
+
+export default function AdminReferrals() {
+  const [status, setStatus] = useState<ReferralStatus | "all">("flagged");
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState<ReferralPage | null>(null);
+  const [err, setErr] = useState("");
+
+  const load = useCallback(() => {
+    const qs = new URLSearchParams({ status, limit: String(PAGE), offset: String(offset) });
+    return api<ReferralPage>(`/admin/referrals?${qs}`)
+      .then(setPage)
+      .catch((e) => setErr(errMsg(e, "Failed to load referrals")));
+  }, [status, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function decide(id: number, action: "approve" | "reject" | "claw-back", note: string) {
+    setErr("");
+    try {
+      await api(`/admin/referrals/${id}/${action}`, { method: "POST", body: note ? { note } : {} });
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Action failed"));
+    }
+  }
+
+  const total = page?.total || 0;
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-4 text-sm text-white/70">
+        Bonuses vest once the referred account has {page?.rules.min_tasks ?? "…"} accepted tasks on{" "}
+        {page?.rules.min_days ?? "…"} different days. Referrals sharing a device, IP address or payout number with the
+        referrer are flagged here instead.
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {STATUSES.map((s) => (
+          <button
+            key={s.key}
+            onClick={() => {
+              setOffset(0);
+              setStatus(s.key);
+            }}
+            className={
+              "px-3 py-1.5 rounded-xl text-sm font-semibold border " +
+              (status === s.key ? "bg-amber-500 text-black border-amber-500" : "border-white/10 hover:bg-white/10")
+            }
+          >
+            {s.label}
+            {s.key !== "all" && page?.counts[s.key] ? ` (${page.counts[s.key]})` : ""}
+          </button>
+        ))}
+      </div>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+
+      <div className="space-y-3">
+        {page?.items.map((r) => (
+          <ReferralCard key={r.id} item={r} rules={page.rules} onDecide={(action, note) => decide(r.id, action, note)} />
+        ))}
+        {page && !page.items.length && (
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-5 text-white/50">Nothing here.</div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-white/60">
+        <div>
+          {total ? offset + 1 : 0}–{Math.min(offset + PAGE, total)} of {total}
+        </div>
+        <div className="flex gap-2">
+          <button
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE))}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <button
+            disabled={offset + PAGE >= total}
+            onClick={() => setOffset(offset + PAGE)}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ReferralCard({
+  item,
+  rules,
+  onDecide,
+}: {
+  item: Referral;
+  rules: ReferralPage["rules"];
+  onDecide: (action: "approve" | "reject" | "claw-back", note: string) => Promise<void>;
+}) {
+  const [mode, setMode] = useState<"reject" | "claw-back" | null>(null);
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit(action: "approve" | "reject" | "claw-back") {
+    setBusy(true);
+    await onDecide(action, note.trim());
+    setBusy(false);
+    setMode(null);
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="font-semibold">
+            <Link to={`/admin/users/${item.referrer_id}`} className="hover:underline">
+              {item.referrer}
+            </Link>{" "}
+            <span className="text-white/50">referred</span>{" "}
+            <Link to={`/admin/users/${item.referred_user_id}`} className="hover:underline">
+              {item.referee}
+            </Link>
+          </div>
+          <div className="text-xs text-white/50">
+            #{item.id} · signed up {fmtTime(item.created_at)}
+            {item.signup_ip ? ` from ${item.signup_ip}` : ""} · referrer has {item.referrer_total} referral
+            {item.referrer_total === 1 ? "" : "s"}
+          </div>
+        </div>
+        <div className="text-right text-sm">
+          <div className={"font-semibold " + STATUS_CLASS[item.status]}>{item.status.replace("_", " ")}</div>
+          <div className="text-xs text-white/50">KSH {fmtKsh(item.bonus_ksh)}</div>
+        </div>
+      </div>
+
+      {!!item.flags.length && (
+        <ul className="space-y-1 text-sm">
+          {item.flags.map((f) => (
+            <li key={f.signal} className="rounded-xl border border-red-500/20 bg-red-500/10 px-3 py-2 text-red-100">
+              {SIGNAL_LABEL[f.signal] || f.signal}
+              <span className="text-red-200/70">: {(f.devices || f.ips || f.numbers || []).join(", ")}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-4 text-xs text-white/60">
+        <span>
+          Tasks {item.tasks}/{rules.min_tasks}
+        </span>
+        <span>
+          Days {item.days}/{rules.min_days}
+        </span>
+        {item.flagged_at && <span>Flagged {fmtTime(item.flagged_at)}</span>}
+        {item.vested_at && <span>Vested {fmtTime(item.vested_at)}</span>}
+        {item.clawed_back_at && <span>Clawed back {fmtTime(item.clawed_back_at)}</span>}
+        {item.reviewed_at && (
+          <span>
+            Reviewed by {item.reviewer || "—"} {fmtTime(item.reviewed_at)}
+            {item.review_note ? `: ${item.review_note}` : ""}
+          </span>
+        )}
+      </div>
+
+      {mode ? (
+        <div className="flex flex-wrap gap-2">
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={mode === "reject" ? "Why is this referral rejected?" : "Why is this bonus being taken back?"}
+            className="flex-1 min-w-[200px] rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none"
+          />
+          <button
+            disabled={busy || !note.trim()}
+            onClick={() => submit(mode)}
+            className="rounded-xl bg-red-500/80 hover:bg-red-500 px-3 py-2 text-sm font-semibold disabled:opacity-40"
+          >
+            {mode === "reject" ? "Reject" : `Claw back KSH ${fmtKsh(item.bonus_awarded_ksh)}`}
+          </button>
+          <button onClick={() => setMode(null)} className="rounded-xl border border-white/10 px-3 py-2 text-sm">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {item.status === "flagged" && (
+            <button
+              disabled={busy}
+              onClick={() => submit("approve")}
+              className="rounded-xl bg-emerald-500/80 hover:bg-emerald-500 px-3 py-2 text-sm font-semibold text-black disabled:opacity-40"
+            >
+              Approve
+            </button>
+          )}
+          {(item.status === "flagged" || item.status === "pending") && (
+            <button onClick={() => setMode("reject")} className="rounded-xl border border-white/10 hover:bg-white/10 px-3 py-2 text-sm">
+              Reject
+            </button>
+          )}
+          {item.status === "vested" && (
+            <button onClick={() => setMode("claw-back")} className="rounded-xl border border-red-500/30 hover:bg-red-500/10 px-3 py-2 text-sm text-red-200">
+              Claw back
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,441 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+import { api } from "../../lib/api";
+import MediaPlayer from "../../components/MediaPlayer";
+import ImageAnnotator from "../../components/ImageAnnotator";
+import { annotationFormat, describeAnnotation, type AnswerFormat } from "../../lib/annotation";
+import type { Rendition } from "../../lib/media";
+import type { AdminContext } from "./AdminShell";
+import { errMsg, fmtKsh, fmtTime } from "./format";
+
+type ReviewStatus = "pending" | "approved" | "rejected" | "corrected";
+
+type Item = {
+  id: number;
+  task_id: number;
+  user_id: number;
+  username: string;
+  trust: number;
+  type: string;
+  title: string;
+  prompt: string | null;
+  media_url: string | null;
+  // the stored file's kind, else what the task type takes
+  media_kind: "image" | "audio" | "video" | null;
+  peaks_url?: string | null;
+  renditions?: Rendition[];
+  // from the server's type registry
+  answer_format: AnswerFormat;
+  labels: string[] | null;
+  is_gold: number;
+  gold_answer: string | null;
+  consensus_status: string | null;
+  consensus_answer: string | null;
+  answer_text: string;
+  corrected_answer: string | null;
+  score: number | null;
+  score_band: string | null;
+  agreement: number | null;
+  reward_ksh: number;
+  base_reward_ksh: number | null;
+  reward_held: number;
+  review_status: ReviewStatus;
+  review_reason: string;
+  review_note: string | null;
+  reviewed_at: string | null;
+  reviewer: string | null;
+  created_at: string;
+};
+
+type QueuePage = {
+  total: number;
+  items: Item[];
+  pending: { reason: string; n: number; held: number }[];
+};
+
+type ReviewerStat = {
+  reviewer_id: number;
+  username: string;
+  role: string;
+  reviewed: number;
+  approved: number;
+  rejected: number;
+  corrected: number;
+  last_reviewed_at: string;
+};
+
+const STATUSES: { key: ReviewStatus | "all"; label: string }[] = [
+  { key: "pending", label: "Pending" },
+  { key: "approved", label: "Approved" },
+  { key: "rejected", label: "Rejected" },
+  { key: "corrected", label: "Corrected" },
+  { key: "all", label: "All" },
+];
+
+const REASON_LABEL: Record<string, string> = {
+  low_trust: "Low trust (reward held)",
+  low_score: "Low score",
+  disputed: "Disputed consensus",
+  sample: "Random sample",
+};
+
+const STATUS_CLASS: Record<ReviewStatus, string> = {
+  pending: "text-amber-300",
+  approved: "text-emerald-300",
+  rejected: "text-red-300",
+  corrected: "text-sky-300",
+};
+
+const PAGE = 20;
+
+function pct(n: number | null) {
+  return n === null ? "—" : `${Math.round(n * 100)}%`;
+}
+
+export default function AdminReviews() {
+  const { role } = useOutletContext<AdminContext>();
+  const [status, setStatus] = useState<ReviewStatus | "all">("pending");
+  const [reason, setReason] = useState("");
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState<QueuePage>({ total: 0, items: [], pending: [] });
+  const [reviewers, setReviewers] = useState<ReviewerStat[]>([]);
+  const [err, setErr] = useState("");
+
+  const load = useCallback(() => {
+    const qs = new URLSearchParams({ status, limit: String(PAGE), offset: String(offset), ...(reason ? { reason } : {}) });
+    return api<QueuePage>(`/admin/reviews?${qs}`)
+      .then(setPage)
+      .catch((e) => setErr(errMsg(e, "Failed to load review queue")));
+  }, [status, reason, offset]);
+
+  const loadReviewers = useCallback(() => {
+    if (role !== "admin") return Promise.resolve();
+    return api<ReviewerStat[]>("/admin/reviews/reviewers")
+      .then(setReviewers)
+      .catch((e) => setErr(errMsg(e, "Failed to load reviewers")));
+  }, [role]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    loadReviewers();
+  }, [loadReviewers]);
+
+  async function decide(id: number, body: { action: string; reason?: string; corrected_answer?: string }) {
+    setErr("");
+    try {
+      await api(`/admin/reviews/${id}`, { method: "POST", body });
+      await Promise.all([load(), loadReviewers()]);
+    } catch (e) {
+      setErr(errMsg(e, "Review failed"));
+    }
+  }
+
+  const selectCls = "rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none";
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+        {Object.keys(REASON_LABEL).map((r) => {
+          const p = page.pending.find((x) => x.reason === r);
+          return (
+            <div key={r} className="rounded-2xl border border-white/10 bg-white/5 p-4 text-sm">
+              <div className="text-white/60">{REASON_LABEL[r]}</div>
+              <div className="text-2xl font-bold">{p?.n || 0}</div>
+              {!!p?.held && <div className="text-xs text-amber-300">{p.held} with reward held</div>}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {STATUSES.map((s) => (
+          <button
+            key={s.key}
+            onClick={() => {
+              setOffset(0);
+              setStatus(s.key);
+            }}
+            className={
+              "px-3 py-1.5 rounded-xl text-sm font-semibold border " +
+              (status === s.key ? "bg-amber-500 text-black border-amber-500" : "border-white/10 hover:bg-white/10")
+            }
+          >
+            {s.label}
+          </button>
+        ))}
+        <select
+          value={reason}
+          onChange={(e) => {
+            setOffset(0);
+            setReason(e.target.value);
+          }}
+          className={selectCls}
+        >
+          <option value="">Any reason</option>
+          {Object.entries(REASON_LABEL).map(([k, v]) => (
+            <option key={k} value={k}>
+              {v}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+
+      <div className="space-y-3">
+        {page.items.map((i) => (
+          <ReviewCard key={i.id} item={i} onDecide={(body) => decide(i.id, body)} />
+        ))}
+        {!page.items.length && (
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-5 text-white/50">Nothing here.</div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-white/60">
+        <div>
+          {page.total ? offset + 1 : 0}–{Math.min(offset + PAGE, page.total)} of {page.total}
+        </div>
+        <div className="flex gap-2">
+          <button
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE))}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <button
+            disabled={offset + PAGE >= page.total}
+            onClick={() => setOffset(offset + PAGE)}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      {role === "admin" && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
+          <div className="font-semibold mb-2">Reviewers (last 30 days)</div>
+          <table className="w-full text-sm">
+            <thead className="text-white/60">
+              <tr className="text-left">
+                <th className="py-2">Reviewer</th>
+                <th className="py-2">Reviewed</th>
+                <th className="py-2">Approved</th>
+                <th className="py-2">Rejected</th>
+                <th className="py-2">Corrected</th>
+                <th className="py-2">Last review</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reviewers.map((r) => (
+                <tr key={r.reviewer_id} className="border-t border-white/10">
+                  <td className="py-2">
+                    <Link to={`/admin/users/${r.reviewer_id}`} className="hover:underline">
+                      {r.username}
+                    </Link>{" "}
+                    <span className="text-white/50">({r.role})</span>
+                  </td>
+                  <td className="py-2 font-semibold">{r.reviewed}</td>
+                  <td className="py-2">{r.approved}</td>
+                  <td className="py-2">{r.rejected}</td>
+                  <td className="py-2">{r.corrected}</td>
+                  <td className="py-2 text-white/60">{fmtTime(r.last_reviewed_at)}</td>
+                </tr>
+              ))}
+              {!reviewers.length && (
+                <tr>
+                  <td colSpan={6} className="py-2 text-white/50">
+                    No reviews yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReviewCard({
+  item,
+  onDecide,
+}: {
+  item: Item;
+  onDecide: (body: { action: string; reason?: string; corrected_answer?: string }) => Promise<void>;
+}) {
+  const [mode, setMode] = useState<"reject" | "correct" | null>(null);
+  const [note, setNote] = useState("");
+  const [corrected, setCorrected] = useState(item.answer_text);
+  const [busy, setBusy] = useState(false);
+  const kind = item.media_kind;
+  const reference = item.gold_answer || item.consensus_answer;
+  // structured answers are shown drawn on the image, side by side
+  const annotate = item.media_url ? annotationFormat(item.answer_format) : null;
+
+  async function submit(body: { action: string; reason?: string; corrected_answer?: string }) {
+    setBusy(true);
+    await onDecide(body);
+    setBusy(false);
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="font-semibold">{item.title}</div>
+          <div className="text-xs text-white/50">
+            #{item.id} · task {item.task_id} · {item.type} · {REASON_LABEL[item.review_reason] || item.review_reason} ·{" "}
+            {fmtTime(item.created_at)}
+          </div>
+        </div>
+        <div className="text-right text-sm">
+          <Link to={`/admin/users/${item.user_id}`} className="hover:underline">
+            {item.username}
+          </Link>
+          <div className="text-xs text-white/50">trust {pct(item.trust)}</div>
+        </div>
+      </div>
+
+      {item.prompt && <div className="text-sm text-white/70">{item.prompt}</div>}
+
+      {item.media_url && kind === "image" && !annotate && (
+        <img src={item.media_url} alt={item.title} className="max-h-64 rounded-xl border border-white/10" />
+      )}
+      {item.media_url && kind === "audio" && (
+        <MediaPlayer kind="audio" src={item.media_url} renditions={item.renditions} peaksUrl={item.peaks_url} quality="high" />
+      )}
+      {item.media_url && kind === "video" && (
+        <video controls src={item.media_url} preload="metadata" className="max-h-64 rounded-xl border border-white/10" />
+      )}
+      {item.media_url && !kind && (
+        <a href={item.media_url} target="_blank" rel="noreferrer" className="text-sm text-amber-300 hover:underline">
+          Open media
+        </a>
+      )}
+
+      <div className="grid gap-3 md:grid-cols-2">
+        <div>
+          <div className="text-xs text-white/50 mb-1">Worker answer</div>
+          {annotate && item.media_url ? (
+            <>
+              <div className="text-sm">{describeAnnotation(annotate, item.answer_text)}</div>
+              <ImageAnnotator format={annotate} src={item.media_url} labels={item.labels || []} value={item.answer_text} />
+            </>
+          ) : (
+            <div className="rounded-xl bg-black/30 border border-white/10 p-3 text-sm whitespace-pre-wrap">{item.answer_text}</div>
+          )}
+        </div>
+        <div>
+          <div className="text-xs text-white/50 mb-1">
+            {item.gold_answer ? "Gold answer" : item.consensus_answer ? `Consensus (${item.consensus_status})` : "Reference"}
+          </div>
+          {annotate && item.media_url && reference ? (
+            <>
+              <div className="text-sm text-white/70">{describeAnnotation(annotate, reference)}</div>
+              <ImageAnnotator format={annotate} src={item.media_url} labels={item.labels || []} value={reference} />
+            </>
+          ) : (
+            <div className="rounded-xl bg-black/30 border border-white/10 p-3 text-sm whitespace-pre-wrap text-white/70">
+              {reference || "—"}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs text-white/60">
+        <span>Score {item.score === null ? "—" : `${pct(item.score)} (${item.score_band})`}</span>
+        <span>Agreement {pct(item.agreement)}</span>
+        <span>
+          Reward {fmtKsh(item.reward_ksh)}
+          {item.base_reward_ksh !== null && item.base_reward_ksh !== item.reward_ksh && ` of ${fmtKsh(item.base_reward_ksh)}`}
+          {item.reward_held ? " · held" : ""}
+        </span>
+      </div>
+
+      {item.review_status === "pending" ? (
+        <div className="space-y-2">
+          {mode === "reject" && (
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Reason shown to the worker"
+              className="w-full rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none"
+            />
+          )}
+          {mode === "correct" && annotate && item.media_url && (
+            <ImageAnnotator format={annotate} src={item.media_url} labels={item.labels || []} value={corrected} onChange={setCorrected} />
+          )}
+          {mode === "correct" && !annotate && (
+            <textarea
+              value={corrected}
+              onChange={(e) => setCorrected(e.target.value)}
+              rows={3}
+              className="w-full rounded-xl bg-black/30 border border-white/10 p-3 text-sm outline-none"
+            />
+          )}
+          <div className="flex flex-wrap gap-2">
+            {mode === null ? (
+              <>
+                <button
+                  disabled={busy}
+                  onClick={() => submit({ action: "approve" })}
+                  className="rounded-xl bg-emerald-500 px-4 py-2 text-sm font-semibold text-black hover:bg-emerald-400 disabled:opacity-50"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => setMode("correct")}
+                  className="rounded-xl border border-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/10"
+                >
+                  Correct…
+                </button>
+                <button
+                  onClick={() => setMode("reject")}
+                  className="rounded-xl border border-red-500/40 px-4 py-2 text-sm font-semibold text-red-200 hover:bg-red-500/10"
+                >
+                  Reject…
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  disabled={busy || (mode === "reject" ? !note.trim() : !corrected.trim())}
+                  onClick={() =>
+                    submit(
+                      mode === "reject"
+                        ? { action: "reject", reason: note.trim() }
+                        : { action: "correct", corrected_answer: corrected.trim(), reason: note.trim() || undefined }
+                    )
+                  }
+                  className="rounded-xl bg-amber-500 px-4 py-2 text-sm font-semibold text-black hover:bg-amber-400 disabled:opacity-50"
+                >
+                  {mode === "reject" ? "Confirm reject" : "Save correction"}
+                </button>
+                <button onClick={() => setMode(null)} className="rounded-xl border border-white/10 px-4 py-2 text-sm hover:bg-white/10">
+                  Cancel
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm">
+          <span className={STATUS_CLASS[item.review_status]}>{item.review_status}</span>
+          {item.reviewer && <span className="text-white/50"> by {item.reviewer}</span>}
+          {item.reviewed_at && <span className="text-white/50"> · {fmtTime(item.reviewed_at)}</span>}
+          {item.review_note && <div className="text-white/70 mt-1">“{item.review_note}”</div>}
+          {item.corrected_answer && (
+            <div className="mt-2 rounded-xl bg-black/30 border border-sky-500/20 p-3 whitespace-pre-wrap">
+              {annotate ? describeAnnotation(annotate, item.corrected_answer) : item.corrected_answer}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
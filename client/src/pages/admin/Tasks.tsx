@@ -0,0 +1,233 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../../lib/api";
+import { errMsg, fmtKsh } from "./format";
+
+type TaskRow = {
+  id: number;
+  type: string;
+  category: string;
+  title: string;
+  prompt: string;
+  media_url: string | null;
+  media_id: number | null;
+  // label set of structured annotation tasks
+  labels: string[] | null;
+  reward_ksh: number;
+  complexity: string;
+  active: number;
+};
+
+type TaskPage = { total: number; tasks: TaskRow[]; types: { type: string; n: number; active: number }[] };
+
+const PAGE = 50;
+
+export default function AdminTasks() {
+  const [q, setQ] = useState("");
+  const [filters, setFilters] = useState({ q: "", type: "", active: "" });
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState<TaskPage>({ total: 0, tasks: [], types: [] });
+  const [selected, setSelected] = useState<Set<number>>(new Set());
+  const [err, setErr] = useState("");
+
+  const load = useCallback(() => {
+    const qs = new URLSearchParams({ ...filters, limit: String(PAGE), offset: String(offset) });
+    return api<TaskPage>(`/admin/tasks?${qs}`)
+      .then((r) => {
+        setPage(r);
+        setSelected(new Set());
+      })
+      .catch((e) => setErr(errMsg(e, "Failed to load tasks")));
+  }, [filters, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  function setFilter(key: "type" | "active", value: string) {
+    setOffset(0);
+    setFilters((f) => ({ ...f, [key]: value }));
+  }
+
+  function toggle(id: number) {
+    setSelected((s) => {
+      const next = new Set(s);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  async function setActive(active: boolean) {
+    setErr("");
+    try {
+      await api("/admin/tasks/active", { method: "POST", body: { ids: [...selected], active } });
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Update failed"));
+    }
+  }
+
+  async function setMedia(t: TaskRow) {
+    const v = prompt(`Media id for task #${t.id} (empty to detach):`, t.media_id ? String(t.media_id) : "");
+    if (v === null) return;
+    setErr("");
+    try {
+      await api(`/admin/tasks/${t.id}/media`, { method: "PUT", body: { media_id: v.trim() ? Number(v) : null } });
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Update failed"));
+    }
+  }
+
+  async function setLabels(t: TaskRow) {
+    const v = prompt(`Labels for task #${t.id}, separated by commas:`, (t.labels || []).join(", "));
+    if (v === null) return;
+    setErr("");
+    try {
+      await api(`/admin/tasks/${t.id}/labels`, { method: "PUT", body: { labels: v.split(",") } });
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Update failed"));
+    }
+  }
+
+  const selectCls = "rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none";
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="flex flex-wrap gap-2">
+        {page.types.map((t) => (
+          <div key={t.type} className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm">
+            <b>{t.type}</b> <span className="text-white/60">{t.active}/{t.n} active</span>
+          </div>
+        ))}
+      </div>
+
+      <form
+        className="flex flex-wrap gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setOffset(0);
+          setFilters((f) => ({ ...f, q: q.trim() }));
+        }}
+      >
+        <input
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+          placeholder="Search title, prompt or id"
+          className="flex-1 min-w-[200px] rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none"
+        />
+        <select value={filters.type} onChange={(e) => setFilter("type", e.target.value)} className={selectCls}>
+          <option value="">All types</option>
+          {page.types.map((t) => (
+            <option key={t.type} value={t.type}>
+              {t.type}
+            </option>
+          ))}
+        </select>
+        <select value={filters.active} onChange={(e) => setFilter("active", e.target.value)} className={selectCls}>
+          <option value="">Active and inactive</option>
+          <option value="1">Active</option>
+          <option value="0">Inactive</option>
+        </select>
+        <button className="rounded-xl bg-amber-500 px-4 py-2 text-sm font-semibold text-black hover:bg-amber-400">Search</button>
+      </form>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+
+      {selected.size > 0 && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-4 flex items-center gap-3 text-sm">
+          {selected.size} selected
+          <button onClick={() => setActive(true)} className="rounded-xl bg-emerald-600 px-3 py-2 font-semibold hover:bg-emerald-500">
+            Activate
+          </button>
+          <button onClick={() => setActive(false)} className="rounded-xl bg-red-600 px-3 py-2 font-semibold hover:bg-red-500">
+            Deactivate
+          </button>
+        </div>
+      )}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3"></th>
+              <th className="p-3">ID</th>
+              <th className="p-3">Task</th>
+              <th className="p-3">Type</th>
+              <th className="p-3">Media</th>
+              <th className="p-3">Reward</th>
+              <th className="p-3">Active</th>
+            </tr>
+          </thead>
+          <tbody>
+            {page.tasks.map((t) => (
+              <tr key={t.id} className="border-t border-white/10 hover:bg-white/5">
+                <td className="p-3">
+                  <input type="checkbox" checked={selected.has(t.id)} onChange={() => toggle(t.id)} />
+                </td>
+                <td className="p-3">{t.id}</td>
+                <td className="p-3">
+                  <div className="font-semibold">{t.title}</div>
+                  <div className="text-xs text-white/50 line-clamp-1">{t.prompt}</div>
+                </td>
+                <td className="p-3">
+                  {t.type}
+                  <div className="text-xs text-white/50">{t.complexity}</div>
+                  {t.labels && (
+                    <div className="text-xs text-white/50">
+                      <span title={t.labels.join(", ")}>{t.labels.length} label(s)</span>
+                      <button onClick={() => setLabels(t)} className="ml-2 text-white/60 hover:text-white">
+                        Edit
+                      </button>
+                    </div>
+                  )}
+                </td>
+                <td className="p-3">
+                  {t.media_id ? (
+                    <a href={t.media_url || undefined} target="_blank" rel="noreferrer" className="text-amber-300 hover:underline">
+                      #{t.media_id}
+                    </a>
+                  ) : t.media_url ? (
+                    <span className="text-white/50" title={t.media_url}>
+                      external
+                    </span>
+                  ) : (
+                    <span className="text-white/50">—</span>
+                  )}
+                  <button onClick={() => setMedia(t)} className="ml-2 text-xs text-white/60 hover:text-white">
+                    Set
+                  </button>
+                </td>
+                <td className="p-3">KSH {fmtKsh(t.reward_ksh)}</td>
+                <td className="p-3">{t.active ? "Yes" : "No"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-white/60">
+        <div>
+          {page.total ? offset + 1 : 0}–{Math.min(offset + PAGE, page.total)} of {page.total}
+        </div>
+        <div className="flex gap-2">
+          <button
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE))}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <button
+            disabled={offset + PAGE >= page.total}
+            onClick={() => setOffset(offset + PAGE)}
+            className="rounded-xl border border-white/10 px-3 py-1.5 disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
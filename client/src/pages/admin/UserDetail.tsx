@@ -0,0 +1,388 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link, useOutletContext, useParams } from "react-router-dom";
+import { api } from "../../lib/api";
+import type { AdminContext } from "./AdminShell";
+import { errMsg, fmtKsh, fmtTime } from "./format";
+
+type LedgerLine = {
+  id: number;
+  kind: string;
+  wallet: string;
+  amount_ksh: number;
+  memo: string | null;
+  created_at: string;
+};
+
+type Detail = {
+  user: {
+    id: number;
+    username: string;
+    email: string;
+    full_name: string;
+    phone: string;
+    payment_number: string;
+    referral_code: string;
+    role: string;
+    frozen_at: string | null;
+    frozen_reason: string | null;
+    created_at: string;
+  };
+  balances: { main: number; bonus: number; held: number };
+  ledger: LedgerLine[];
+  completions: {
+    id: number;
+    task_id: number;
+    title: string;
+    type: string;
+    reward_ksh: number;
+    score: number | null;
+    score_band: string | null;
+    agreement: number | null;
+    review_status: string | null;
+    review_note: string | null;
+    created_at: string;
+  }[];
+  withdrawals: { id: number; amount_ksh: number; method: string; status: string; status_reason: string | null; created_at: string }[];
+  referrals: number;
+  quality: { trust: number; evidence: number; probation: boolean; max_complexity: number };
+  login_lockout: { failures: number; lockouts: number; locked_until: string | null; locked: number } | null;
+};
+
+type Parts = { skill: number; fit: number; need: number; device: number };
+
+type AllocationProfile = {
+  tier: string;
+  quota: number;
+  trust: number;
+  max_complexity: number;
+  languages: string[];
+  capabilities: string[];
+  accuracy: Record<string, { answers: number; accuracy: number; skill: number }>;
+};
+
+type Allocation = {
+  day_key: string;
+  weights: Parts;
+  allocation: { runs: number; replaced: number; updated_at: string; profile: AllocationProfile } | null;
+  profile: AllocationProfile;
+  assignments: {
+    id: number;
+    task_id: number;
+    title: string;
+    type: string;
+    complexity: number;
+    language: string | null;
+    completed_at: string | null;
+    allocation: { score: number; parts: Parts; target_complexity: number; seen: boolean; gold: boolean } | null;
+  }[];
+  next: {
+    funnel: Record<"active" | "done" | "language" | "device" | "complexity" | "consensus_full" | "eligible", number>;
+    candidates: { task_id: number; type: string; complexity: number; score: number; parts: Parts; seen: boolean }[];
+  } | null;
+};
+
+const ROLES = ["user", "reviewer", "finance", "admin"];
+
+export default function AdminUserDetail() {
+  const { id } = useParams();
+  const { role } = useOutletContext<AdminContext>();
+  const [d, setD] = useState<Detail | null>(null);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+  const [reason, setReason] = useState("");
+
+  const load = useCallback(
+    () =>
+      api<Detail>(`/admin/users/${id}`)
+        .then(setD)
+        .catch((e) => setErr(errMsg(e, "Failed to load user"))),
+    [id]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function act(path: string, body: object, method = "POST") {
+    setErr("");
+    setMsg("");
+    try {
+      await api(`/admin/users/${id}/${path}`, { method, body });
+      setMsg("Saved.");
+      setReason("");
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Action failed"));
+    }
+  }
+
+  if (!d) return <div className="text-white/60">{err || "Loading…"}</div>;
+  const u = d.user;
+
+  return (
+    <div className="space-y-4 text-white">
+      <Link to="/admin" className="text-sm text-white/60 hover:underline">
+        ← All users
+      </Link>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      {msg && <div className="rounded-xl border border-emerald-500/30 bg-emerald-500/10 p-3 text-emerald-200">{msg}</div>}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 p-5 grid gap-4 md:grid-cols-2">
+        <div>
+          <div className="text-xl font-bold">
+            {u.username} <span className="text-white/40 text-sm">#{u.id}</span>
+          </div>
+          <div className="text-white/70 text-sm">{u.full_name}</div>
+          <div className="text-white/70 text-sm">{u.email}</div>
+          <div className="text-white/70 text-sm">Phone: {u.phone || "—"} · Payout: {u.payment_number || "—"}</div>
+          <div className="text-white/70 text-sm">
+            Referral code {u.referral_code} · {d.referrals} referrals · joined {fmtTime(u.created_at)}
+          </div>
+          <div className="text-white/70 text-sm">
+            Trust {Math.round(d.quality.trust * 100)}% from {d.quality.evidence} checks · complexity up to{" "}
+            {d.quality.max_complexity}
+            {d.quality.probation && <span className="ml-1 text-red-300">(probation: gold tasks only)</span>}
+          </div>
+          {u.frozen_at && (
+            <div className="mt-2 text-sm text-red-300">
+              Frozen {fmtTime(u.frozen_at)}: {u.frozen_reason}
+            </div>
+          )}
+          {d.login_lockout?.locked ? (
+            <div className="mt-2 text-sm text-amber-300">
+              Sign-in locked until {fmtTime(d.login_lockout.locked_until)} (lockout #{d.login_lockout.lockouts})
+            </div>
+          ) : null}
+        </div>
+        <div className="grid grid-cols-3 gap-2 text-center">
+          {(["main", "bonus", "held"] as const).map((w) => (
+            <div key={w} className="rounded-xl bg-black/30 p-3">
+              <div className="text-xs uppercase text-white/50">{w}</div>
+              <div className="font-bold">KSH {fmtKsh(d.balances[w])}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {role === "admin" && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-5 flex flex-wrap items-center gap-3">
+          <label className="text-sm text-white/70">
+            Role{" "}
+            <select
+              value={u.role}
+              onChange={(e) => act("role", { role: e.target.value }, "PUT")}
+              className="ml-1 rounded-lg bg-black/30 border border-white/10 px-2 py-1"
+            >
+              {ROLES.map((r) => (
+                <option key={r} value={r}>
+                  {r}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {d.login_lockout && (
+            <button
+              onClick={() => act("unlock-login", {})}
+              className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold hover:bg-white/20"
+            >
+              Clear login lockout
+            </button>
+          )}
+
+          {u.frozen_at ? (
+            <button
+              onClick={() => act("unfreeze", {})}
+              className="rounded-xl bg-emerald-600 px-4 py-2 text-sm font-semibold hover:bg-emerald-500"
+            >
+              Unfreeze account
+            </button>
+          ) : (
+            <>
+              <input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason for freezing"
+                className="flex-1 min-w-[200px] rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none"
+              />
+              <button
+                onClick={() => act("freeze", { reason })}
+                disabled={!reason.trim()}
+                className="rounded-xl bg-red-600 px-4 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50"
+              >
+                Freeze account
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      <AllocationPanel userId={u.id} />
+
+      <Section title="Ledger">
+        {d.ledger.map((l) => (
+          <Row key={`${l.id}-${l.wallet}`} left={`${l.kind} · ${l.wallet}`} sub={l.memo || ""} right={fmtKsh(l.amount_ksh)} time={l.created_at} />
+        ))}
+      </Section>
+
+      <Section title="Withdrawals">
+        {d.withdrawals.map((w) => (
+          <Row
+            key={w.id}
+            left={`#${w.id} · ${w.method} · ${w.status}`}
+            sub={w.status_reason || ""}
+            right={fmtKsh(w.amount_ksh)}
+            time={w.created_at}
+          />
+        ))}
+      </Section>
+
+      <Section title="Task history">
+        {d.completions.map((c) => (
+          <Row key={c.id} left={c.title} sub={[
+              `${c.type} · task ${c.task_id}`,
+              c.score !== null && `${Math.round(c.score * 100)}% (${c.score_band})`,
+              c.agreement !== null && `agreement ${Math.round(c.agreement * 100)}%`,
+              c.review_status && `review ${c.review_status}${c.review_note ? `: ${c.review_note}` : ""}`,
+            ]
+              .filter(Boolean)
+              .join(" · ")} right={fmtKsh(c.reward_ksh)} time={c.created_at} />
+        ))}
+      </Section>
+    </div>
+  );
+}
+
+function fmtParts(p: Parts) {
+  return `skill ${p.skill} · fit ${p.fit} · need ${p.need} · device ${p.device}`;
+}
+
+// Why the allocator gave this worker their tasks on a day.
+function AllocationPanel({ userId }: { userId: number }) {
+  const [day, setDay] = useState("");
+  const [a, setA] = useState<Allocation | null>(null);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    const qs = day ? `?day=${day}` : "";
+    api<Allocation>(`/admin/users/${userId}/allocation${qs}`)
+      .then((r) => {
+        setA(r);
+        setErr("");
+      })
+      .catch((e) => setErr(errMsg(e, "Failed to load allocation")));
+  }, [userId, day]);
+
+  const p = a?.allocation?.profile || a?.profile;
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-semibold">Task allocation</div>
+        <input
+          type="date"
+          value={day || a?.day_key || ""}
+          onChange={(e) => setDay(e.target.value)}
+          className="rounded-lg bg-black/30 border border-white/10 px-2 py-1"
+        />
+      </div>
+      {err && <div className="text-red-300">{err}</div>}
+      {a && p && (
+        <>
+          <div className="text-white/70">
+            Tier <span className="text-white font-semibold">{p.tier}</span> · {p.quota} tasks/day · complexity up to{" "}
+            {p.max_complexity} · languages {p.languages.join(", ")} · device {p.capabilities.join(", ") || "none"}
+            {a.allocation && (
+              <span className="text-white/50">
+                {" "}
+                · topped up {a.allocation.runs}× (last {fmtTime(a.allocation.updated_at)}), {a.allocation.replaced} replaced
+              </span>
+            )}
+          </div>
+          <div className="text-xs text-white/50">
+            Score = {Object.entries(a.weights).map(([k, w]) => `${w} × ${k}`).join(" + ")}; halved for tasks served before.
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(p.accuracy).map(([type, acc]) => (
+              <div key={type} className="rounded-xl bg-black/30 px-3 py-2">
+                <div className="text-xs text-white/50">{type}</div>
+                <div>
+                  {Math.round(acc.accuracy * 100)}% over {acc.answers} · skill {acc.skill}
+                </div>
+              </div>
+            ))}
+            {!Object.keys(p.accuracy).length && <div className="text-white/50">No checked answers yet; skill is the trust score.</div>}
+          </div>
+
+          <div className="divide-y divide-white/10">
+            {a.assignments.map((t) => (
+              <div key={t.id} className="flex items-center justify-between gap-3 py-2">
+                <div>
+                  <div>
+                    {t.title} <span className="text-white/40">#{t.task_id}</span>
+                  </div>
+                  <div className="text-xs text-white/50">
+                    {t.type} · complexity {t.complexity}
+                    {t.language && ` · ${t.language}`}
+                    {t.allocation?.gold && " · gold"}
+                    {t.allocation?.seen && " · served before"}
+                    {t.allocation && ` · ${fmtParts(t.allocation.parts)}`}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="font-semibold">{t.allocation ? t.allocation.score : "—"}</div>
+                  <div className="text-xs text-white/50">{t.completed_at ? "done" : "open"}</div>
+                </div>
+              </div>
+            ))}
+            {!a.assignments.length && <div className="py-2 text-white/50">Nothing assigned this day.</div>}
+          </div>
+
+          {a.next && (
+            <div className="space-y-2">
+              <div className="text-xs text-white/60">
+                Of {a.next.funnel.active} active tasks: {a.next.funnel.done} already done, {a.next.funnel.language} in other
+                languages, {a.next.funnel.device} not playable on the device, {a.next.funnel.complexity} too complex,{" "}
+                {a.next.funnel.consensus_full} with no open slot — {a.next.funnel.eligible} eligible.
+              </div>
+              {!!a.next.candidates.length && (
+                <div className="text-xs text-white/60">
+                  Next up:{" "}
+                  {a.next.candidates
+                    .slice(0, 5)
+                    .map((c) => `#${c.task_id} ${c.type} (${c.score})`)
+                    .join(", ")}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function Section({ title, children }: { title: string; children: React.ReactNode[] }) {
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
+      <div className="font-semibold mb-2">{title}</div>
+      {children.length ? <div className="divide-y divide-white/10">{children}</div> : <div className="text-sm text-white/50">Nothing yet.</div>}
+    </div>
+  );
+}
+
+function Row({ left, sub, right, time }: { left: string; sub: string; right: string; time: string }) {
+  return (
+    <div className="flex items-center justify-between py-2 text-sm">
+      <div>
+        <div>{left}</div>
+        <div className="text-xs text-white/50">
+          {fmtTime(time)} {sub && `· ${sub}`}
+        </div>
+      </div>
+      <div className="font-semibold">KSH {right}</div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../../lib/api";
+import { errMsg, fmtKsh, fmtTime } from "./format";
+
+type UserRow = {
+  id: number;
+  username: string;
+  email: string;
+  phone: string;
+  role: string;
+  balance_ksh: number;
+  bonus_ksh: number;
+  frozen_at: string | null;
+  created_at: string;
+  completions: number;
+};
+
+export default function AdminUsers() {
+  const [q, setQ] = useState("");
+  const [query, setQuery] = useState("");
+  const [rows, setRows] = useState<UserRow[]>([]);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    api<UserRow[]>(`/admin/users?q=${encodeURIComponent(query)}`)
+      .then((r) => {
+        setRows(r);
+        setErr("");
+      })
+      .catch((e) => setErr(errMsg(e, "Failed to load users")));
+  }, [query]);
+
+  return (
+    <div className="space-y-4">
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setQuery(q.trim());
+        }}
+      >
+        <input
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+          placeholder="Search by id, username, email or phone"
+          className="flex-1 rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-white outline-none focus:border-white/25"
+        />
+        <button className="rounded-xl bg-amber-500 px-4 py-2 font-semibold text-black hover:bg-amber-400">Search</button>
+      </form>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm text-white">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">ID</th>
+              <th className="p-3">User</th>
+              <th className="p-3">Role</th>
+              <th className="p-3">Balance</th>
+              <th className="p-3">Bonus</th>
+              <th className="p-3">Tasks</th>
+              <th className="p-3">Joined</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((u) => (
+              <tr key={u.id} className="border-t border-white/10 hover:bg-white/5">
+                <td className="p-3">{u.id}</td>
+                <td className="p-3">
+                  <Link to={`/admin/users/${u.id}`} className="font-semibold hover:underline">
+                    {u.username}
+                  </Link>
+                  <div className="text-xs text-white/50">{u.email}</div>
+                  {u.frozen_at && <span className="text-xs text-red-300">Frozen</span>}
+                </td>
+                <td className="p-3">{u.role}</td>
+                <td className="p-3">KSH {fmtKsh(u.balance_ksh)}</td>
+                <td className="p-3">KSH {fmtKsh(u.bonus_ksh)}</td>
+                <td className="p-3">{u.completions}</td>
+                <td className="p-3 text-white/60">{fmtTime(u.created_at)}</td>
+              </tr>
+            ))}
+            {!rows.length && (
+              <tr>
+                <td colSpan={7} className="p-4 text-white/50">
+                  No users found.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
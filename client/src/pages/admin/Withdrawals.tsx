@@ -0,0 +1,203 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../../lib/api";
+import { errMsg, fmtKsh, fmtTime } from "./format";
+
+type Row = {
+  id: number;
+  user_id: number;
+  username: string;
+  amount_ksh: number;
+  phone_number: string;
+  method: string;
+  status: string;
+  status_reason: string | null;
+  provider_status: string | null;
+  created_at: string;
+};
+
+type BulkResult = { id: number; ok: boolean; status?: string; error?: string };
+
+const STATUSES = ["requested", "under_review", "approved", "processing", "paid", "failed", "rejected", "cancelled"];
+
+export default function AdminWithdrawals() {
+  const [status, setStatus] = useState("requested");
+  const [rows, setRows] = useState<Row[]>([]);
+  const [selected, setSelected] = useState<Set<number>>(new Set());
+  const [reason, setReason] = useState("");
+  const [dispatch, setDispatch] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [results, setResults] = useState<BulkResult[]>([]);
+
+  const load = useCallback(
+    () =>
+      api<Row[]>(`/admin/withdrawals?status=${encodeURIComponent(status)}`)
+        .then((r) => {
+          setRows(r);
+          setSelected(new Set());
+        })
+        .catch((e) => setErr(errMsg(e, "Failed to load withdrawals"))),
+    [status]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  function toggle(id: number) {
+    setSelected((s) => {
+      const next = new Set(s);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function toggleAll() {
+    setSelected((s) => (s.size === rows.length ? new Set() : new Set(rows.map((r) => r.id))));
+  }
+
+  async function bulk(action: "review" | "approve" | "reject") {
+    setErr("");
+    setResults([]);
+    setBusy(true);
+    try {
+      const r = await api<{ results: BulkResult[] }>("/admin/withdrawals/bulk", {
+        method: "POST",
+        body: { ids: [...selected], action, reason: reason.trim() || undefined, dispatch: action === "approve" && dispatch },
+      });
+      setResults(r.results);
+      setReason("");
+      await load();
+    } catch (e) {
+      setErr(errMsg(e, "Bulk action failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const total = rows.filter((r) => selected.has(r.id)).reduce((sum, r) => sum + r.amount_ksh, 0);
+  const failed = results.filter((r) => !r.ok);
+
+  return (
+    <div className="space-y-4 text-white">
+      <div className="flex flex-wrap gap-2">
+        {STATUSES.map((s) => (
+          <button
+            key={s}
+            onClick={() => setStatus(s)}
+            className={
+              "rounded-xl px-3 py-1.5 text-sm font-semibold border " +
+              (s === status ? "bg-amber-500 text-black border-amber-500" : "border-white/10 bg-white/5 hover:bg-white/10")
+            }
+          >
+            {s.replace("_", " ")}
+          </button>
+        ))}
+      </div>
+
+      {err && <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-red-200">{err}</div>}
+      {!!results.length && (
+        <div className="rounded-xl border border-white/10 bg-white/5 p-3 text-sm">
+          {results.length - failed.length} of {results.length} updated.
+          {failed.map((f) => (
+            <div key={f.id} className="text-red-300">
+              #{f.id}: {f.error}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selected.size > 0 && (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-4 flex flex-wrap items-center gap-3">
+          <div className="text-sm">
+            {selected.size} selected · KSH {fmtKsh(total)}
+          </div>
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (required to reject)"
+            className="flex-1 min-w-[200px] rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-sm outline-none"
+          />
+          <button
+            disabled={busy}
+            onClick={() => bulk("review")}
+            className="rounded-xl bg-white/10 px-3 py-2 text-sm font-semibold hover:bg-white/20 disabled:opacity-50"
+          >
+            Mark under review
+          </button>
+          <label className="flex items-center gap-1 text-sm text-white/70">
+            <input type="checkbox" checked={dispatch} onChange={(e) => setDispatch(e.target.checked)} />
+            Send payout
+          </label>
+          <button
+            disabled={busy}
+            onClick={() => bulk("approve")}
+            className="rounded-xl bg-emerald-600 px-3 py-2 text-sm font-semibold hover:bg-emerald-500 disabled:opacity-50"
+          >
+            Approve
+          </button>
+          <button
+            disabled={busy || !reason.trim()}
+            onClick={() => bulk("reject")}
+            className="rounded-xl bg-red-600 px-3 py-2 text-sm font-semibold hover:bg-red-500 disabled:opacity-50"
+          >
+            Reject
+          </button>
+        </div>
+      )}
+
+      <div className="rounded-2xl border border-white/10 bg-white/5 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-white/60">
+            <tr className="text-left">
+              <th className="p-3">
+                <input type="checkbox" checked={!!rows.length && selected.size === rows.length} onChange={toggleAll} />
+              </th>
+              <th className="p-3">ID</th>
+              <th className="p-3">User</th>
+              <th className="p-3">Amount</th>
+              <th className="p-3">Method</th>
+              <th className="p-3">Number</th>
+              <th className="p-3">Status</th>
+              <th className="p-3">Requested</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.id} className="border-t border-white/10 hover:bg-white/5">
+                <td className="p-3">
+                  <input type="checkbox" checked={selected.has(r.id)} onChange={() => toggle(r.id)} />
+                </td>
+                <td className="p-3">{r.id}</td>
+                <td className="p-3">
+                  <Link to={`/admin/users/${r.user_id}`} className="hover:underline">
+                    {r.username}
+                  </Link>
+                </td>
+                <td className="p-3 font-semibold">KSH {fmtKsh(r.amount_ksh)}</td>
+                <td className="p-3">{r.method}</td>
+                <td className="p-3">{r.phone_number}</td>
+                <td className="p-3">
+                  {r.status}
+                  {(r.status_reason || r.provider_status) && (
+                    <div className="text-xs text-white/50">{r.status_reason || r.provider_status}</div>
+                  )}
+                </td>
+                <td className="p-3 text-white/60">{fmtTime(r.created_at)}</td>
+              </tr>
+            ))}
+            {!rows.length && (
+              <tr>
+                <td colSpan={8} className="p-4 text-white/50">
+                  No withdrawals in this state.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
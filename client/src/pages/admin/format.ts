@@ -0,0 +1,15 @@
+export function fmtTime(s: string | null | undefined) {
+  return String(s || "").slice(0, 19).replace("T", " ");
+}
+
+export function fmtKsh(n: number) {
+  try {
+    return new Intl.NumberFormat("en-KE").format(n);
+  } catch {
+    return String(n);
+  }
+}
+
+export function errMsg(e: unknown, fallback: string) {
+  return e instanceof Error && e.message ? e.message : fallback;
+}
@@ -1,5 +1,6 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import { api } from "../../lib/api";
+import { api, saveSession, type Session } from "../../lib/api";
+import { useStepUp } from "../../state/stepUp";
 
 type Me = {
   id: number;
@@ -10,19 +11,92 @@ type Me = {
   balance_ksh: number;
   bonus_ksh: number;
   full_name: string;
+  languages: string[];
   payment_number: string;
+  payment_number_verified: boolean;
+  email_verified_at: string | null;
   delete_requested_at?: string | null;
   delete_effective_at?: string | null;
+  deletion_balance_policy?: "settle" | "forfeit";
 };
 
+type Campaign = {
+  id: number;
+  name: string;
+  starts_at: string;
+  ends_at: string | null;
+  signup_bonus_ksh: number;
+  tier1_commission_pct: number;
+  tier2_commission_pct: number;
+  max_referrals: number | null;
+  max_earnings_ksh: number | null;
+};
+
+type Tier = {
+  tier: 1 | 2;
+  referrals: number;
+  vested?: number;
+  pending?: number;
+  bonus_ksh?: number;
+  commission_pct: number;
+  commission_ksh: number;
+};
+
+// Bonuses stay pending until the referred account qualifies (see server
+// referral_vesting.js); tiers are the caller's progress in the running campaign.
+type ReferralStatus = {
+  referrals: number;
+  pending: number;
+  pending_ksh: number;
+  bonus_ksh: number;
+  redeem_step_ksh: number;
+  vesting: { min_tasks: number; min_days: number };
+  campaign: Campaign | null;
+  earned_ksh: number;
+  tiers: Tier[];
+};
+
+type Leaderboard = {
+  campaign: { id: number; name: string } | null;
+  top: { rank: number; user_id: number; username: string; vested: number }[];
+  me: { rank: number; vested: number } | null;
+};
+
+type TwoFactor = { enabled: boolean; enabled_at: string | null; recovery_codes_left: number };
+type TwoFactorSetup = { secret: string; otpauth_url: string; qr_data_url: string };
+
+type SessionRow = {
+  id: number;
+  user_agent: string | null;
+  ip: string | null;
+  created_at: string;
+  last_seen_at: string;
+  current: boolean;
+};
+
+function deviceLabel(ua: string | null) {
+  if (!ua) return "Unknown device";
+  const browser = ua.match(/(Edg|OPR|Chrome|Firefox|Safari)\//)?.[1]?.replace("Edg", "Edge").replace("OPR", "Opera");
+  const os = ua.match(/Android|iPhone|iPad|Windows|Mac OS X|Linux/)?.[0]?.replace("Mac OS X", "macOS");
+  return [browser, os].filter(Boolean).join(" on ") || ua.slice(0, 60);
+}
+
 export default function Account() {
   const [me, setMe] = useState<Me | null>(null);
 
   const [fullName, setFullName] = useState("");
   const [phone, setPhone] = useState("");
-  const [paymentNumber, setPaymentNumber] = useState("");
+  const [languages, setLanguages] = useState("");
+
+  // changing the payment number needs an SMS code sent to the new number
+  const [pnEditing, setPnEditing] = useState(false);
+  const [pnNew, setPnNew] = useState("");
+  const [pnCode, setPnCode] = useState("");
+  const [pnCodeSent, setPnCodeSent] = useState(false);
+  const [pnBusy, setPnBusy] = useState(false);
 
-  const [referrals, setReferrals] = useState(0);
+  const [referrals, setReferrals] = useState<ReferralStatus | null>(null);
+  const [board, setBoard] = useState<Leaderboard | null>(null);
   const [bonusKsh, setBonusKsh] = useState(0);
 
   const [msg, setMsg] = useState<string>("");
@@ -35,6 +109,17 @@ export default function Account() {
   const [newPw2, setNewPw2] = useState("");
   const [pwSaving, setPwSaving] = useState(false);
 
+  const [sessions, setSessions] = useState<SessionRow[]>([]);
+
+  const [tfa, setTfa] = useState<TwoFactor | null>(null);
+  const [tfaSetup, setTfaSetup] = useState<TwoFactorSetup | null>(null);
+  const [tfaCode, setTfaCode] = useState("");
+  const [tfaBusy, setTfaBusy] = useState(false);
+  // shown once, right after they are created
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+  const { withStepUp, prompt: stepUpPrompt } = useStepUp();
+
   const [delLoading, setDelLoading] = useState(false);
   const [redeemLoading, setRedeemLoading] = useState(false);
 
@@ -50,11 +135,15 @@ export default function Account() {
       setMe(m);
       setFullName(m.full_name || "");
       setPhone(m.phone || "");
-      setPaymentNumber(m.payment_number || "");
+      setLanguages((m.languages || []).join(", "));
 
-      const r = await api<{ referrals: number; bonus_ksh: number }>("/referrals/status");
-      setReferrals(r.referrals || 0);
+      const r = await api<ReferralStatus>("/referrals/status");
+      setReferrals(r);
       setBonusKsh(Number(r.bonus_ksh || 0));
+      setBoard(await api<Leaderboard>("/referrals/leaderboard"));
+
+      setSessions(await api<SessionRow[]>("/me/sessions"));
+      setTfa(await api<TwoFactor>("/me/2fa"));
     } catch (e: any) {
       setErr(e.message || "Failed to load account");
     }
@@ -94,16 +183,16 @@ export default function Account() {
     try {
       const updated = await api<Me>("/me", {
         method: "PUT",
-        body: { full_name: fullName, phone, payment_number: paymentNumber },
+        body: { full_name: fullName, phone, languages },
       });
       setMe(updated);
       setFullName((updated as any).full_name || "");
       setPhone((updated as any).phone || "");
-      setPaymentNumber((updated as any).payment_number || "");
+      setLanguages((updated.languages || []).join(", "));
       flashSuccess("Saved successfully ✓");
       // refresh referral stats too
-      const r = await api<{ referrals: number; bonus_ksh: number }>("/referrals/status");
-      setReferrals(r.referrals || 0);
+      const r = await api<ReferralStatus>("/referrals/status");
+      setReferrals(r);
       setBonusKsh(Number(r.bonus_ksh || 0));
     } catch (e: any) {
       flashError(e.message || "Save failed");
@@ -112,6 +201,45 @@ export default function Account() {
     }
   }
 
+  function cancelPaymentNumber() {
+    setPnEditing(false);
+    setPnNew("");
+    setPnCode("");
+    setPnCodeSent(false);
+  }
+
+  async function onSendPaymentCode() {
+    setPnBusy(true);
+    try {
+      await withStepUp(() => api("/me/payment-number/otp", { method: "POST", body: { payment_number: pnNew } }));
+      setPnCodeSent(true);
+      flashSuccess("Code sent by SMS to " + pnNew);
+    } catch (e) {
+      flashError(e instanceof Error ? e.message : "Could not send code");
+    } finally {
+      setPnBusy(false);
+    }
+  }
+
+  async function onConfirmPaymentNumber() {
+    setPnBusy(true);
+    try {
+      const r = await withStepUp(() =>
+        api<{ ok: true; payment_number: string }>("/me/payment-number", {
+          method: "POST",
+          body: { payment_number: pnNew, code: pnCode },
+        })
+      );
+      setMe((m) => (m ? { ...m, payment_number: r.payment_number, payment_number_verified: true } : m));
+      cancelPaymentNumber();
+      flashSuccess("Payment number confirmed ✓");
+    } catch (e) {
+      flashError(e instanceof Error ? e.message : "Could not confirm number");
+    } finally {
+      setPnBusy(false);
+    }
+  }
+
   async function onUpdatePassword() {
     setPwSaving(true);
     setMsg("");
@@ -121,15 +249,20 @@ export default function Account() {
       if (!newPw || newPw.length < 6) throw new Error("New password must be at least 6 characters");
       if (newPw !== newPw2) throw new Error("Passwords do not match");
 
-      await api<{ ok: true }>("/me/password", {
-        method: "POST",
-        body: { currentPassword: curPw, newPassword: newPw },
-      });
+      // every other device is signed out; this one gets a fresh session
+      const fresh = await withStepUp(() =>
+        api<Session>("/me/password", {
+          method: "POST",
+          body: { currentPassword: curPw, newPassword: newPw },
+        })
+      );
+      saveSession(fresh);
 
       setCurPw("");
       setNewPw("");
       setNewPw2("");
-      flashSuccess("Password updated ✓");
+      setSessions(await api<SessionRow[]>("/me/sessions"));
+      flashSuccess("Password updated ✓ Other devices have been signed out.");
     } catch (e: any) {
       flashError(e.message || "Password update failed");
     } finally {
@@ -137,6 +270,69 @@ export default function Account() {
     }
   }
 
+  async function onStartTwoFactor() {
+    setTfaBusy(true);
+    try {
+      setTfaSetup(await api<TwoFactorSetup>("/me/2fa/setup", { method: "POST" }));
+      setTfaCode("");
+      setRecoveryCodes(null);
+    } catch (e) {
+      flashError(e instanceof Error ? e.message : "Could not start setup");
+    } finally {
+      setTfaBusy(false);
+    }
+  }
+
+  // action: "enable" finishes setup; "disable" and "recovery-codes" need a
+  // current code too.
+  async function onTwoFactor(action: "enable" | "disable" | "recovery-codes") {
+    setTfaBusy(true);
+    try {
+      const r = await api<{ ok: true; recovery_codes?: string[] }>(`/me/2fa/${action}`, {
+        method: "POST",
+        body: { code: tfaCode },
+      });
+      setRecoveryCodes(r.recovery_codes || null);
+      setTfaSetup(null);
+      setTfaCode("");
+      setTfa(await api<TwoFactor>("/me/2fa"));
+      flashSuccess(
+        action === "enable"
+          ? "Two-factor authentication is on ✓"
+          : action === "disable"
+            ? "Two-factor authentication is off"
+            : "New recovery codes created ✓"
+      );
+    } catch (e) {
+      flashError(e instanceof Error ? e.message : "Request failed");
+    } finally {
+      setTfaBusy(false);
+    }
+  }
+
+  async function onRevokeSession(id?: number) {
+    setMsg("");
+    setErr("");
+    try {
+      await api(id ? `/me/sessions/${id}` : "/me/sessions", { method: "DELETE" });
+      setSessions(await api<SessionRow[]>("/me/sessions"));
+      flashSuccess(id ? "Device signed out ✓" : "Signed out of all other devices ✓");
+    } catch (e) {
+      flashError(e instanceof Error ? e.message : "Could not sign out device");
+    }
+  }
+
+  async function onResendVerification() {
+    setMsg("");
+    setErr("");
+    try {
+      await api("/auth/verify/resend", { method: "POST" });
+      flashSuccess(`Verification email sent to ${me?.email} ✓`);
+    } catch (e) {
+      flashError(e instanceof Error ? e.message : "Could not send email");
+    }
+  }
+
   async function onRequestDeletion() {
     setDelLoading(true);
     setMsg("");
@@ -173,7 +369,7 @@ export default function Account() {
     setErr("");
     try {
       await api("/referrals/redeem", { method: "POST" });
-      flashSuccess("Redeemed KSH 1000 into your main balance ✓");
+      flashSuccess(`Redeemed KSH ${redeemStep} into your main balance ✓`);
       await loadAll();
     } catch (e: any) {
       flashError(e.message || "Redeem failed");
@@ -191,12 +387,16 @@ export default function Account() {
     }
   }
 
-  const canRedeem = bonusKsh >= 1000;
-  const remaining = Math.max(0, 1000 - bonusKsh);
-  const progress = Math.min(100, Math.round((bonusKsh / 1000) * 100));
+  const campaign = referrals?.campaign || null;
+  const perReferral = campaign?.signup_bonus_ksh ?? 0;
+  const redeemStep = referrals?.redeem_step_ksh ?? 1000;
+  const canRedeem = bonusKsh >= redeemStep;
+  const remaining = Math.max(0, redeemStep - bonusKsh);
+  const progress = Math.min(100, Math.round((bonusKsh / redeemStep) * 100));
 
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
+      {stepUpPrompt}
       <h1 className="text-xl font-semibold text-white mb-2">Account Management</h1>
 
       {(msg || err) && (
@@ -235,13 +435,90 @@ export default function Account() {
             </div>
           </div>
 
-          <label className="block text-white/70 text-xs mb-1">Payment Number (M-Pesa / Airtel Money)</label>
+          <label className="block text-white/70 text-xs mb-1">Task Languages</label>
           <input
-            className="w-full mb-4 rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-white outline-none focus:border-emerald-400/50"
-            value={paymentNumber}
-            onChange={(e) => setPaymentNumber(e.target.value)}
-            placeholder="e.g. 07XXXXXXXX"
+            className="w-full mb-1 rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-white outline-none focus:border-emerald-400/50"
+            value={languages}
+            onChange={(e) => setLanguages(e.target.value)}
+            placeholder="en, sw"
           />
+          <div className="text-white/50 text-xs mb-3">Language codes, comma separated. You only get tasks in these languages.</div>
+
+          <label className="block text-white/70 text-xs mb-1">Payment Number (M-Pesa / Airtel Money)</label>
+          {!pnEditing ? (
+            <div className="mb-4 flex items-center gap-3">
+              <input
+                className="flex-1 rounded-xl bg-black/30 border border-white/10 px-3 py-2 text-white/70"
+                value={me?.payment_number || "Not set"}
+                disabled
+              />
+              {me?.payment_number && (
+                <span className={`text-xs ${me.payment_number_verified ? "text-emerald-300" : "text-amber-300"}`}>
+                  {me.payment_number_verified ? "Confirmed" : "Not confirmed"}
+                </span>
+              )}
+              <button
+                onClick={() => setPnEditing(true)}
+                className="rounded-xl border border-white/15 px-4 py-2 text-sm text-white hover:bg-white/10"
+              >
+                {me?.payment_number ? "Change" : "Add"}
+              </button>
+            </div>
+          ) : (
+            <div className="mb-4 rounded-xl border border-white/10 bg-black/20 p-3 space-y-2">
+              <div className="text-xs text-white/60">We'll text a code to the new number to make sure it's yours.</div>
+              <input
+                className="w-full rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-white outline-none focus:border-emerald-400/50 disabled:text-white/60"
+                value={pnNew}
+                onChange={(e) => setPnNew(e.target.value)}
+                disabled={pnCodeSent}
+                inputMode="tel"
+                placeholder="e.g. 07XXXXXXXX"
+              />
+              {pnCodeSent && (
+                <input
+                  className="w-full rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-white outline-none focus:border-emerald-400/50"
+                  value={pnCode}
+                  onChange={(e) => setPnCode(e.target.value.replace(/\D/g, ""))}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  placeholder="6-digit code"
+                />
+              )}
+              <div className="flex flex-wrap gap-2">
+                {pnCodeSent ? (
+                  <>
+                    <button
+                      onClick={onConfirmPaymentNumber}
+                      disabled={pnBusy || pnCode.length !== 6}
+                      className="rounded-xl bg-emerald-600 hover:bg-emerald-500 disabled:opacity-60 px-4 py-2 text-sm text-white font-semibold"
+                    >
+                      {pnBusy ? "Confirming..." : "Confirm"}
+                    </button>
+                    <button
+                      onClick={onSendPaymentCode}
+                      disabled={pnBusy}
+                      className="rounded-xl border border-white/15 px-4 py-2 text-sm text-white hover:bg-white/10 disabled:opacity-60"
+                    >
+                      Resend code
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    onClick={onSendPaymentCode}
+                    disabled={pnBusy || !pnNew.trim()}
+                    className="rounded-xl bg-emerald-600 hover:bg-emerald-500 disabled:opacity-60 px-4 py-2 text-sm text-white font-semibold"
+                  >
+                    {pnBusy ? "Sending..." : "Send code"}
+                  </button>
+                )}
+                <button onClick={cancelPaymentNumber} className="px-3 py-2 text-sm text-white/60 hover:text-white">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
 
           <button
             onClick={onSaveProfile}
@@ -258,6 +535,16 @@ export default function Account() {
             <div className="text-white font-semibold mb-3">Account Summary</div>
             <div className="text-sm text-white/70 flex justify-between"><span>Status</span><span className="text-emerald-300">Active</span></div>
             <div className="text-sm text-white/70 flex justify-between"><span>Email</span><span className="text-white">{me?.email || ""}</span></div>
+            <div className="text-sm text-white/70 flex justify-between">
+              <span>Email Status</span>
+              {me?.email_verified_at ? (
+                <span className="text-emerald-300">Verified</span>
+              ) : (
+                <button onClick={onResendVerification} className="text-amber-300 hover:underline">
+                  Not verified · resend link
+                </button>
+              )}
+            </div>
             <div className="text-sm text-white/70 flex justify-between"><span>Main Balance</span><span className="text-white">KSH {Number(me?.balance_ksh || 0).toFixed(2)}</span></div>
             <div className="text-sm text-white/70 flex justify-between"><span>Referral Code</span><span className="text-white">{me?.referral_code || ""}</span></div>
           </div>
@@ -265,10 +552,25 @@ export default function Account() {
           <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
             <div className="text-white font-semibold mb-2">How bonuses work</div>
             <ul className="text-sm text-white/70 space-y-1 list-disc pl-5">
-              <li>You earn <b className="text-white">KSH 100</b> for every verified referral.</li>
+              <li>
+                You earn <b className="text-white">KSH {perReferral}</b> for every referral once they have completed{" "}
+                {referrals?.vesting.min_tasks ?? 5} tasks on {referrals?.vesting.min_days ?? 3} different days.
+              </li>
               <li>Bonus is stored in your <b className="text-white">Bonus Wallet</b>.</li>
-              <li>You can redeem only when bonus reaches <b className="text-white">KSH 1000+</b>.</li>
-              <li>Redeem moves <b className="text-white">KSH 1000</b> into your main balance.</li>
+              {!!campaign?.tier1_commission_pct && (
+                <li>
+                  Once a referral counts, you also get <b className="text-white">{campaign.tier1_commission_pct}%</b> of what they earn
+                  {campaign.tier2_commission_pct ? (
+                    <>
+                      {" "}
+                      and <b className="text-white">{campaign.tier2_commission_pct}%</b> of what their referrals earn
+                    </>
+                  ) : null}
+                  .
+                </li>
+              )}
+              <li>You can redeem only when bonus reaches <b className="text-white">KSH {redeemStep}+</b>.</li>
+              <li>Redeem moves <b className="text-white">KSH {redeemStep}</b> into your main balance.</li>
             </ul>
           </div>
         </div>
@@ -278,15 +580,20 @@ export default function Account() {
           <div className="flex items-center justify-between">
             <div>
               <div className="text-white font-semibold">Referral Program</div>
-              <div className="text-white/60 text-sm">Bonus becomes redeemable only when it reaches KSH 1000+.</div>
+              <div className="text-white/60 text-sm">Bonus becomes redeemable only when it reaches KSH {redeemStep}+.</div>
             </div>
-            <span className="text-xs rounded-full border border-emerald-500/30 bg-emerald-500/10 text-emerald-200 px-3 py-1">+KSH 100 / referral</span>
+            <span className="text-xs rounded-full border border-emerald-500/30 bg-emerald-500/10 text-emerald-200 px-3 py-1">+KSH {perReferral} / referral</span>
           </div>
 
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-4">
             <div className="rounded-xl border border-white/10 bg-black/20 p-3">
               <div className="text-white/60 text-xs">Referrals</div>
-              <div className="text-white text-lg font-semibold">{referrals}</div>
+              <div className="text-white text-lg font-semibold">{referrals?.referrals || 0}</div>
+              {!!referrals?.pending && (
+                <div className="text-xs text-amber-200">
+                  {referrals.pending} pending · KSH {referrals.pending_ksh} on the way
+                </div>
+              )}
             </div>
             <div className="rounded-xl border border-white/10 bg-black/20 p-3">
               <div className="text-white/60 text-xs">Bonus Wallet</div>
@@ -298,6 +605,61 @@ export default function Account() {
             </div>
           </div>
 
+          {campaign && (
+            <div className="mt-4 rounded-2xl border border-white/10 bg-black/20 p-4">
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                <div className="text-white font-semibold">{campaign.name}</div>
+                <div className="text-white/50 text-xs">
+                  {campaign.ends_at ? `Ends ${campaign.ends_at.slice(0, 16)} UTC` : "Ongoing"}
+                </div>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+                {referrals?.tiers.map((t) => (
+                  <div key={t.tier} className="rounded-xl border border-white/10 bg-white/5 p-3 text-sm">
+                    <div className="text-white/60 text-xs">
+                      {t.tier === 1 ? "Tier 1 · people you referred" : "Tier 2 · people they referred"}
+                    </div>
+                    <div className="text-white text-lg font-semibold">{t.referrals}</div>
+                    {t.tier === 1 && (
+                      <div className="text-white/60 text-xs">
+                        {t.vested} counted · {t.pending} pending · KSH {t.bonus_ksh} in bonuses
+                      </div>
+                    )}
+                    <div className="text-white/60 text-xs">
+                      {t.commission_pct ? `${t.commission_pct}% commission · KSH ${t.commission_ksh} earned` : "No commission this campaign"}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {(campaign.max_referrals || campaign.max_earnings_ksh) && (
+                <div className="text-white/50 text-xs mt-3">
+                  Limits:
+                  {campaign.max_referrals ? ` ${campaign.max_referrals} bonus referrals` : ""}
+                  {campaign.max_referrals && campaign.max_earnings_ksh ? " ·" : ""}
+                  {campaign.max_earnings_ksh ? ` KSH ${referrals?.earned_ksh ?? 0} of ${campaign.max_earnings_ksh} earned` : ""}
+                </div>
+              )}
+
+              {!!board?.top.length && (
+                <div className="mt-4">
+                  <div className="text-white/70 text-xs mb-2">
+                    Leaderboard{board.me ? ` · you are #${board.me.rank}` : ""}
+                  </div>
+                  <ol className="text-sm space-y-1">
+                    {board.top.slice(0, 5).map((b) => (
+                      <li key={b.user_id} className="flex justify-between text-white/80">
+                        <span>
+                          #{b.rank} {b.username}
+                        </span>
+                        <span className="text-white/60">{b.vested} referrals</span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="mt-4 rounded-2xl border border-white/10 bg-black/20 p-4">
             <div className="text-white/70 text-xs mb-2">Your referral link</div>
             <div className="flex gap-2">
@@ -326,12 +688,12 @@ export default function Account() {
                 disabled={!canRedeem || redeemLoading}
                 className={`ml-auto rounded-xl px-4 py-2 text-sm font-semibold ${canRedeem ? "bg-emerald-600 hover:bg-emerald-500 text-white" : "bg-white/10 text-white/50"} disabled:opacity-60`}
               >
-                {redeemLoading ? "Redeeming..." : "Redeem 1000"}
+                {redeemLoading ? "Redeeming..." : `Redeem ${redeemStep}`}
               </button>
             </div>
 
             <div className="mt-4">
-              <div className="text-white/60 text-xs mb-1">Progress to next KSH 1000</div>
+              <div className="text-white/60 text-xs mb-1">Progress to next KSH {redeemStep}</div>
               <div className="h-2 rounded-full bg-white/10 overflow-hidden">
                 <div className="h-2 bg-emerald-500" style={{ width: `${progress}%` }} />
               </div>
@@ -359,10 +721,133 @@ export default function Account() {
             </button>
           </div>
 
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
+            <div className="text-white font-semibold">Two-Factor Authentication</div>
+            <div className="text-white/60 text-sm mb-3">
+              {tfa?.enabled
+                ? `On since ${tfa.enabled_at}. ${tfa.recovery_codes_left} recovery codes left.`
+                : "Ask for a code from an authenticator app when you log in, withdraw or change security details."}
+            </div>
+
+            {recoveryCodes && (
+              <div className="mb-3 rounded-xl border border-amber-400/30 bg-amber-400/10 p-3">
+                <div className="text-amber-200 text-xs mb-2">
+                  Save these recovery codes somewhere safe. Each works once if you lose your phone. They won't be shown again.
+                </div>
+                <div className="grid grid-cols-2 gap-1 font-mono text-sm text-white">
+                  {recoveryCodes.map((c) => (
+                    <span key={c}>{c}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {tfaSetup && (
+              <div className="mb-3 space-y-2">
+                <div className="text-white/70 text-xs">Scan with Google Authenticator, Authy or similar, then enter the code it shows.</div>
+                <img src={tfaSetup.qr_data_url} alt="2FA QR code" className="h-44 w-44 rounded-lg bg-white p-2" />
+                <div className="text-white/50 text-xs break-all">
+                  Or enter this key: <span className="font-mono text-white/80">{tfaSetup.secret}</span>
+                </div>
+              </div>
+            )}
+
+            {(tfaSetup || tfa?.enabled) && (
+              <input
+                className="w-full mb-3 rounded-xl bg-black/20 border border-white/10 px-3 py-2 text-white"
+                value={tfaCode}
+                onChange={(e) => setTfaCode(e.target.value)}
+                autoComplete="one-time-code"
+                placeholder={tfaSetup ? "6-digit code" : "Code from your app or a recovery code"}
+              />
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              {tfaSetup ? (
+                <>
+                  <button
+                    onClick={() => onTwoFactor("enable")}
+                    disabled={tfaBusy || !tfaCode.trim()}
+                    className="rounded-xl bg-emerald-600 hover:bg-emerald-500 disabled:opacity-60 px-4 py-2 text-white text-sm font-semibold"
+                  >
+                    Turn on
+                  </button>
+                  <button onClick={() => setTfaSetup(null)} className="px-3 py-2 text-sm text-white/60 hover:text-white">
+                    Cancel
+                  </button>
+                </>
+              ) : tfa?.enabled ? (
+                <>
+                  <button
+                    onClick={() => onTwoFactor("recovery-codes")}
+                    disabled={tfaBusy || !tfaCode.trim()}
+                    className="rounded-xl border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-60 px-4 py-2 text-white text-sm font-semibold"
+                  >
+                    New recovery codes
+                  </button>
+                  <button
+                    onClick={() => onTwoFactor("disable")}
+                    disabled={tfaBusy || !tfaCode.trim()}
+                    className="rounded-xl border border-red-500/30 bg-red-500/10 hover:bg-red-500/20 disabled:opacity-60 px-4 py-2 text-red-200 text-sm font-semibold"
+                  >
+                    Turn off
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={onStartTwoFactor}
+                  disabled={tfaBusy}
+                  className="rounded-xl bg-emerald-600 hover:bg-emerald-500 disabled:opacity-60 px-4 py-2 text-white text-sm font-semibold"
+                >
+                  Set up 2FA
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-5">
+            <div className="text-white font-semibold mb-3">Signed-in Devices</div>
+            <div className="space-y-2">
+              {sessions.map((s) => (
+                <div key={s.id} className="flex items-start justify-between gap-2 rounded-xl border border-white/10 bg-black/20 p-3">
+                  <div className="text-sm">
+                    <div className="text-white">
+                      {deviceLabel(s.user_agent)}
+                      {s.current && <span className="ml-2 text-xs text-emerald-300">This device</span>}
+                    </div>
+                    <div className="text-white/50 text-xs">
+                      {s.ip || "unknown IP"} · last active {s.last_seen_at}
+                    </div>
+                  </div>
+                  {!s.current && (
+                    <button onClick={() => onRevokeSession(s.id)} className="text-xs rounded-lg border border-white/10 px-2 py-1 text-white/80 hover:bg-white/10">
+                      Sign out
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {sessions.length > 1 && (
+              <button
+                onClick={() => onRevokeSession()}
+                className="mt-3 rounded-xl border border-white/10 bg-white/5 hover:bg-white/10 px-4 py-2 text-white text-sm font-semibold"
+              >
+                Sign out all other devices
+              </button>
+            )}
+          </div>
+
           <div className="rounded-2xl border border-red-500/30 bg-red-500/10 p-5">
             <div className="text-white font-semibold mb-2">Account Deletion</div>
             <div className="text-white/70 text-sm mb-3">
               When you request deletion, your account will be permanently removed after <b className="text-white">7 days</b>.
+              Until then you can cancel, but earning and withdrawals are paused. Withdrawals in progress must finish first.
+            </div>
+            <div className="text-white/60 text-xs mb-3">
+              {me?.deletion_balance_policy === "forfeit"
+                ? "Any wallet or bonus balance left at that point is forfeited, so withdraw it before requesting deletion."
+                : "Your wallet balance is then paid out to your confirmed payment number (or forfeited if there isn't one). Bonus balance is forfeited."}
+              {" "}Records of completed tasks and payouts are kept without your personal details.
             </div>
 
             {me?.delete_effective_at ? (
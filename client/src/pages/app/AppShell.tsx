@@ -21,12 +21,14 @@ export default function AppShell() {
 
   const [balance, setBalance] = useState<number>(0);
   const [username, setUsername] = useState<string>("");
+  const [role, setRole] = useState<string>("user");
   const [theme, setTheme] = useState<"light" | "dark">(getTheme());
 
   async function loadMe() {
     const me = await api<any>("/me");
     setBalance(Number(me.balance_ksh || 0));
     setUsername(me.username || "");
+    setRole(me.role || "user");
   }
 
   useEffect(() => {
@@ -97,6 +99,7 @@ export default function AppShell() {
             ["Tasks Center", "/app/tasks"],
             ["Withdrawal", "/app/withdraw"],
             ["Account", "/app/account"],
+            ...(role !== "user" ? [["Admin", "/admin"]] : []),
           ].map(([label, to]) => (
             <NavLink
               key={to}
@@ -1,5 +1,12 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { api } from "../../lib/api";
+import { errMsg } from "../admin/format";
+import MediaPlayer from "../../components/MediaPlayer";
+import TranscriptionWorkbench from "../../components/TranscriptionWorkbench";
+import ImageAnnotator from "../../components/ImageAnnotator";
+import { annotationFormat, type AnswerFormat } from "../../lib/annotation";
+import type { TaskRenderer } from "../../lib/taskTypes";
+import { saveQuality, savedQuality, type MediaQuality, type Rendition } from "../../lib/media";
 
 type TaskRow = {
   id: number;
@@ -7,38 +14,110 @@ type TaskRow = {
   category: string;
   title: string;
   prompt: string;
+  // a signed, expiring link when the file is in our media store
   media_url: string | null;
+  // the stored file's kind, else what the task type takes
+  media_kind: "image" | "audio" | "video" | null;
+  poster_url?: string | null;
+  peaks_url?: string | null;
+  renditions?: Rendition[];
+  // how the task type is answered, from the server's type registry
+  renderer: TaskRenderer;
+  answer_format: AnswerFormat;
+  placeholder: string | null;
+  // label set of structured annotation tasks
+  labels: string[] | null;
   reward_ksh: number;
   complexity: number;
+  language: string | null;
   completed: number | boolean;
   answer_text: string | null;
+  lease_expires_at: string | null;
+  draft_text: string | null;
+  draft_saved_at: string | null;
 };
 
 type TasksResp = {
   day_key: string;
+  tier: string | null;
+  quota: number;
   remaining: number;
   balance_ksh: number;
+  lease_seconds: number;
   tasks: TaskRow[];
 };
 
+type Lease = { task_id: number; expires_at: string; lease_seconds: number };
+
+type DraftState = "saving" | "saved" | "error";
+
 type HistoryRow = {
   id: number;
   created_at: string;
   reward_ksh: number;
+  base_reward_ksh: number | null;
+  score: number | null;
+  score_band: string | null;
+  review_status: "pending" | "approved" | "rejected" | "corrected" | null;
+  review_note: string | null;
+  reward_held: number;
   title: string;
   type: string;
 };
 
-function inferMediaKind(task: TaskRow): "audio" | "video" | "image" | "unknown" {
-  const t = (task.type || task.category || "").toLowerCase();
-  const url = (task.media_url || "").toLowerCase();
+type CompleteResp = {
+  ok: true;
+  balance_ksh: number;
+  remaining: number;
+  reward_ksh: number;
+  score: number | null;
+  band: string | null;
+  review_status: "pending" | null;
+  reward_held: boolean;
+};
+
+function fmtScore(score: number | null) {
+  return score === null ? "—" : `${Math.round(score * 100)}%`;
+}
+
+const REVIEW_LABEL: Record<string, { label: string; cls: string }> = {
+  pending: { label: "In review", cls: "text-amber-300" },
+  approved: { label: "Approved", cls: "text-emerald-300" },
+  rejected: { label: "Rejected", cls: "text-red-300" },
+  corrected: { label: "Corrected", cls: "text-sky-300" },
+};
+
+function bandClass(band: string | null) {
+  if (band === "withheld") return "text-red-300";
+  if (band === "excellent") return "text-emerald-300";
+  return "text-white/70";
+}
 
-  if (t.includes("audio") || url.match(/\.(mp3|ogg|wav|m4a)(\?|$)/)) return "audio";
-  if (t.includes("video") || url.match(/\.(mp4|webm|mov|ogv)(\?|$)/)) return "video";
-  if (t.includes("image") || url.match(/\.(jpg|jpeg|png|webp|gif|svg)(\?|$)/)) return "image";
-  return "unknown";
+// What this device can work on, for the allocator: media it can play and
+// whether the screen is big enough for long tasks.
+function deviceCaps() {
+  const caps: string[] = [];
+  if (document.createElement("audio").canPlayType("audio/mpeg")) caps.push("audio");
+  if (document.createElement("video").canPlayType("video/mp4")) caps.push("video");
+  if (window.matchMedia("(min-width: 768px)").matches) caps.push("large_screen");
+  return caps.join(",");
 }
 
+// Server times are UTC "YYYY-MM-DD HH:MM:SS".
+function parseUtc(s: string) {
+  return new Date(s.replace(" ", "T") + "Z");
+}
+
+function leaseLive(expiresAt: string | undefined) {
+  return !!expiresAt && parseUtc(expiresAt).getTime() > Date.now();
+}
+
+function fmtClock(s: string) {
+  return parseUtc(s).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+const AUTOSAVE_MS = 1500;
+
 export default function Tasks() {
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState("");
@@ -48,38 +127,36 @@ export default function Tasks() {
   const [history, setHistory] = useState<HistoryRow[]>([]);
   const [inputs, setInputs] = useState<Record<number, string>>({});
   const [submittingId, setSubmittingId] = useState<number | null>(null);
+  const [quality, setQuality] = useState<MediaQuality>(savedQuality);
 
-  const tasks = useMemo(() => {
-    const list = data?.tasks || [];
-    // client-side safety: avoid duplicate types even if server ever returns them
-    const seen = new Set<string>();
-    const out: TaskRow[] = [];
-    for (const t of list) {
-      const key = (t.type || t.category || "").toLowerCase();
-      if (!key) continue;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      out.push(t);
-    }
-    return out.slice(0, 5);
-  }, [data?.tasks]);
+  // leases on tasks being worked (task id -> expiry) and autosave status
+  const [leases, setLeases] = useState<Record<number, string>>({});
+  const [drafts, setDrafts] = useState<Record<number, DraftState>>({});
+  const saveTimers = useRef<Record<number, number>>({});
+  const lastTyped = useRef<Record<number, number>>({});
 
-  async function loadAll() {
-    setErr("");
-    setMsg("");
-    setLoading(true);
+  const tasks = data?.tasks || [];
+  const leaseSeconds = data?.lease_seconds || 600;
+
+  async function loadAll(quiet = false) {
+    if (!quiet) {
+      setErr("");
+      setMsg("");
+      setLoading(true);
+    }
     try {
-      const t = await api<TasksResp>("/tasks");
+      const t = await api<TasksResp>(`/tasks?caps=${encodeURIComponent(deviceCaps())}`);
       setData(t);
 
-      // initialize answer boxes (don’t wipe if user already typed)
+      // initialize answer boxes from saved drafts (don’t wipe if user already typed)
       setInputs((prev) => {
         const next = { ...prev };
         for (const row of t.tasks) {
-          if (next[row.id] === undefined) next[row.id] = row.answer_text || "";
+          if (next[row.id] === undefined) next[row.id] = row.answer_text || row.draft_text || "";
         }
         return next;
       });
+      setLeases(Object.fromEntries(t.tasks.filter((r) => r.lease_expires_at).map((r) => [r.id, r.lease_expires_at as string])));
 
       const h = await api<HistoryRow[]>("/history");
       setHistory(h);
@@ -95,29 +172,86 @@ export default function Tasks() {
   useEffect(() => {
     loadAll();
     // refresh every 60s so midnight reset appears without reload
-    const i = window.setInterval(loadAll, 60000);
+    const i = window.setInterval(() => loadAll(true), 60000);
     return () => window.clearInterval(i);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // keep leases alive while the worker is typing in them
+  useEffect(() => {
+    const i = window.setInterval(async () => {
+      for (const id of Object.keys(leases).map(Number)) {
+        if (Date.now() - (lastTyped.current[id] || 0) > leaseSeconds * 1000) continue;
+        try {
+          const r = await api<Lease>(`/tasks/${id}/heartbeat`, { method: "POST" });
+          setLeases((p) => ({ ...p, [id]: r.expires_at }));
+        } catch (e) {
+          setLeases((p) => {
+            const next = { ...p };
+            delete next[id];
+            return next;
+          });
+          setErr(errMsg(e, "This task is no longer reserved for you"));
+        }
+      }
+    }, Math.max(30, leaseSeconds / 3) * 1000);
+    return () => window.clearInterval(i);
+  }, [leases, leaseSeconds]);
+
+  async function claim(taskId: number) {
+    if (leaseLive(leases[taskId])) return;
+    try {
+      const r = await api<Lease>(`/tasks/${taskId}/claim`, { method: "POST" });
+      setLeases((p) => ({ ...p, [taskId]: r.expires_at }));
+    } catch (e) {
+      setErr(errMsg(e, "Could not reserve this task"));
+    }
+  }
+
+  async function saveDraft(taskId: number, answer_text: string) {
+    setDrafts((p) => ({ ...p, [taskId]: "saving" }));
+    try {
+      await api(`/tasks/${taskId}/draft`, { method: "PUT", body: { answer_text } });
+      setDrafts((p) => ({ ...p, [taskId]: "saved" }));
+    } catch {
+      setDrafts((p) => ({ ...p, [taskId]: "error" }));
+    }
+  }
+
+  function onType(taskId: number, value: string) {
+    setInputs((p) => ({ ...p, [taskId]: value }));
+    lastTyped.current[taskId] = Date.now();
+    window.clearTimeout(saveTimers.current[taskId]);
+    saveTimers.current[taskId] = window.setTimeout(() => saveDraft(taskId, value), AUTOSAVE_MS);
+  }
+
   async function submitTask(taskId: number) {
     setSubmittingId(taskId);
     setErr("");
     setMsg("");
+    // the server drops the draft on completion
+    window.clearTimeout(saveTimers.current[taskId]);
     try {
       const answer_text = (inputs[taskId] || "").trim();
-      if (!answer_text) throw new Error("Please enter your answer before submitting.");
+      if (!answer_text) {
+        const annotate = tasks.find((t) => t.id === taskId)?.renderer === "annotation";
+        throw new Error(annotate ? "Please mark the image before submitting." : "Please enter your answer before submitting.");
+      }
 
-      const res = await api<{ ok: true; balance_ksh: number; remaining: number }>(`/tasks/${taskId}/complete`, {
+      const res = await api<CompleteResp>(`/tasks/${taskId}/complete`, {
         method: "POST",
         body: { answer_text },
       });
 
       localStorage.setItem("balance_ksh", String(res.balance_ksh || 0));
-      setMsg("Task submitted successfully ✓");
 
       // reload tasks + history + remaining + balance
       await loadAll();
+
+      if (res.reward_held) setMsg(`Task submitted ✓ — KSH ${res.reward_ksh} will be paid once it passes review`);
+      else if (res.score === null) setMsg("Task submitted successfully ✓");
+      else if (res.reward_ksh > 0) setMsg(`Task scored ${fmtScore(res.score)} accuracy — KSH ${res.reward_ksh} earned ✓`);
+      else setErr(`Task scored ${fmtScore(res.score)} accuracy — below the payout threshold, no reward this time.`);
     } catch (e: any) {
       setErr(e.message || "Submission failed");
     } finally {
@@ -132,7 +266,8 @@ export default function Tasks() {
         <div>
           <div className="text-3xl font-extrabold text-white">Tasks Center</div>
           <div className="text-white/60 mt-1 text-sm">
-            You can complete up to <span className="text-white font-semibold">5 tasks/day</span>. Resets at midnight (Nairobi). No duplicate task types per day.
+            You can complete up to <span className="text-white font-semibold">{data?.quota ?? "…"} tasks/day</span>. Resets at
+            midnight (Nairobi). Answers are saved as you type, so you can pick up on any device.
           </div>
         </div>
 
@@ -148,6 +283,22 @@ export default function Tasks() {
         </div>
       </div>
 
+      <div className="mt-3 flex items-center gap-2 text-xs text-white/60">
+        Audio/video quality:
+        {(["auto", "low", "high"] as const).map((q) => (
+          <button
+            key={q}
+            onClick={() => {
+              saveQuality(q);
+              setQuality(q);
+            }}
+            className={`rounded-full px-3 py-1 ${quality === q ? "bg-emerald-500/20 text-emerald-200" : "bg-white/5 hover:bg-white/10"}`}
+          >
+            {q === "auto" ? "Auto" : q === "low" ? "Data saver" : "Best"}
+          </button>
+        ))}
+      </div>
+
       {err && (
         <div className="mt-4 rounded-xl border border-red-500/30 bg-red-500/10 px-4 py-3 text-red-200 text-sm">
           {err}
@@ -165,11 +316,20 @@ export default function Tasks() {
         <div className="mt-6 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
           {tasks.map((t) => {
             const done = !!t.completed;
-            const kind = inferMediaKind(t);
+            const kind = t.media_kind;
             const media = t.media_url || "";
+            // open transcription tasks get the full-width workbench
+            const bench = !done && !!media && t.renderer === "transcription" && (kind === "audio" || kind === "video");
+            // structured image tasks are answered on the image itself
+            const annotate = !!media && t.renderer === "annotation" ? annotationFormat(t.answer_format) : null;
 
             return (
-              <div key={t.id} className="rounded-2xl border border-white/10 bg-white/5 p-4">
+              <div
+                key={t.id}
+                className={`rounded-2xl border border-white/10 bg-white/5 p-4 ${
+                  bench ? "md:col-span-2 xl:col-span-3" : annotate && annotate !== "labels" && !done ? "md:col-span-2" : ""
+                }`}
+              >
                 <div className="flex items-start justify-between gap-3">
                   <div>
                     <div className="text-white font-bold">{t.title}</div>
@@ -184,7 +344,29 @@ export default function Tasks() {
 
                 <div className="mt-3 text-white/70 text-sm leading-relaxed">{t.prompt}</div>
 
-                {media ? (
+                {bench && (kind === "audio" || kind === "video") ? (
+                  <TranscriptionWorkbench
+                    kind={kind}
+                    src={media}
+                    renditions={t.renditions}
+                    poster={t.poster_url}
+                    peaksUrl={t.peaks_url}
+                    quality={quality}
+                    value={inputs[t.id] || ""}
+                    onChange={(v) => onType(t.id, v)}
+                    onFocus={() => claim(t.id)}
+                    onSubmit={() => submitTask(t.id)}
+                  />
+                ) : annotate ? (
+                  <ImageAnnotator
+                    format={annotate}
+                    src={media}
+                    labels={t.labels || []}
+                    value={inputs[t.id] || ""}
+                    onChange={done ? undefined : (v) => onType(t.id, v)}
+                    onFocus={() => claim(t.id)}
+                  />
+                ) : media ? (
                   <div className="mt-3">
                     {kind === "image" && (
                       <img
@@ -195,27 +377,45 @@ export default function Tasks() {
                         onError={(e) => ((e.currentTarget.style.display = "none"))}
                       />
                     )}
-                    {kind === "audio" && (
-                      <audio controls className="w-full">
-                        <source src={media} />
-                      </audio>
-                    )}
-                    {kind === "video" && (
-                      <video controls className="w-full rounded-xl border border-white/10" preload="metadata">
-                        <source src={media} />
-                      </video>
+                    {(kind === "audio" || kind === "video") && (
+                      <MediaPlayer
+                        kind={kind}
+                        src={media}
+                        renditions={t.renditions}
+                        poster={t.poster_url}
+                        peaksUrl={t.peaks_url}
+                        quality={quality}
+                      />
                     )}
                   </div>
                 ) : null}
 
-                <textarea
-                  className="mt-3 w-full rounded-xl bg-black/30 border border-white/10 p-3 text-white text-sm outline-none focus:border-emerald-500/40"
-                  placeholder={t.type.includes("image") ? "Write your caption/tags here…" : "Type your transcription/answer here…"}
-                  rows={3}
-                  value={inputs[t.id] || ""}
-                  disabled={done}
-                  onChange={(e) => setInputs((p) => ({ ...p, [t.id]: e.target.value }))}
-                />
+                {!bench && !annotate && (
+                  <textarea
+                    className="mt-3 w-full rounded-xl bg-black/30 border border-white/10 p-3 text-white text-sm outline-none focus:border-emerald-500/40"
+                    placeholder={t.placeholder || "Type your answer here…"}
+                    rows={3}
+                    value={inputs[t.id] || ""}
+                    disabled={done}
+                    onFocus={() => claim(t.id)}
+                    onChange={(e) => onType(t.id, e.target.value)}
+                  />
+                )}
+
+                {!done && (
+                  <div className="mt-1 flex justify-between text-xs text-white/50">
+                    <span>{leaseLive(leases[t.id]) ? `Reserved for you until ${fmtClock(leases[t.id])}` : ""}</span>
+                    <span className={drafts[t.id] === "error" ? "text-red-300" : ""}>
+                      {drafts[t.id] === "saving"
+                        ? "Saving…"
+                        : drafts[t.id] === "error"
+                          ? "Draft not saved"
+                          : drafts[t.id] === "saved" || t.draft_saved_at
+                            ? "Draft saved"
+                            : ""}
+                    </span>
+                  </div>
+                )}
 
                 <button
                   className={`mt-3 w-full rounded-xl px-4 py-2.5 text-sm font-semibold ${
@@ -245,13 +445,15 @@ export default function Tasks() {
                 <th className="text-left py-2 pr-3">Date</th>
                 <th className="text-left py-2 pr-3">Task</th>
                 <th className="text-left py-2 pr-3">Type</th>
+                <th className="text-left py-2 pr-3">Score</th>
+                <th className="text-left py-2 pr-3">Review</th>
                 <th className="text-right py-2">Reward</th>
               </tr>
             </thead>
             <tbody>
               {history.length === 0 ? (
                 <tr>
-                  <td colSpan={4} className="py-4 text-white/50">No completions yet.</td>
+                  <td colSpan={6} className="py-4 text-white/50">No completions yet.</td>
                 </tr>
               ) : (
                 history.map((h) => (
@@ -259,7 +461,27 @@ export default function Tasks() {
                     <td className="py-2 pr-3 text-white/70">{String(h.created_at).slice(0, 19).replace("T", " ")}</td>
                     <td className="py-2 pr-3 text-white">{h.title}</td>
                     <td className="py-2 pr-3 text-white/70">{h.type}</td>
-                    <td className="py-2 text-right text-white font-semibold">KSH {h.reward_ksh}</td>
+                    <td className={"py-2 pr-3 " + bandClass(h.score_band)}>
+                      {fmtScore(h.score)}
+                      {h.score_band && <span className="ml-1 text-xs">({h.score_band})</span>}
+                    </td>
+                    <td className="py-2 pr-3">
+                      {h.review_status ? (
+                        <>
+                          <span className={REVIEW_LABEL[h.review_status].cls}>{REVIEW_LABEL[h.review_status].label}</span>
+                          {h.review_note && <div className="text-xs text-white/60">{h.review_note}</div>}
+                        </>
+                      ) : (
+                        <span className="text-white/40">—</span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right text-white font-semibold">
+                      KSH {h.reward_ksh}
+                      {!!h.reward_held && <span className="ml-1 text-xs text-amber-300">(held)</span>}
+                      {h.base_reward_ksh !== null && h.base_reward_ksh !== h.reward_ksh && (
+                        <span className="ml-1 text-xs text-white/50 line-through">{h.base_reward_ksh}</span>
+                      )}
+                    </td>
                   </tr>
                 ))
               )}
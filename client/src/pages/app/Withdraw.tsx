@@ -1,5 +1,15 @@
 import { useEffect, useMemo, useState } from "react";
-import { api } from "../../lib/api";
+import { Link } from "react-router-dom";
+import { api, ApiError } from "../../lib/api";
+import { useStepUp } from "../../state/stepUp";
+
+type WithdrawEvent = {
+  from_status: string | null;
+  to_status: string;
+  actor_type: string;
+  reason: string | null;
+  created_at: string;
+};
 
 type WithdrawRow = {
   id: number;
@@ -10,8 +20,34 @@ type WithdrawRow = {
   phone_number?: string | null;
   method: string;
   status: string;
+  status_reason?: string | null;
+  events?: WithdrawEvent[];
+};
+
+const METHOD_LABEL: Record<string, string> = { mpesa: "M-Pesa", airtel: "Airtel Money" };
+
+const STATUS_LABEL: Record<string, string> = {
+  requested: "Requested",
+  under_review: "Under review",
+  approved: "Approved",
+  processing: "Processing",
+  paid: "Paid",
+  failed: "Failed (refunded)",
+  rejected: "Rejected (refunded)",
+  cancelled: "Cancelled (refunded)",
 };
 
+function statusClass(status: string) {
+  if (status === "paid") return "bg-emerald-500/15 text-emerald-200";
+  if (status === "failed" || status === "rejected") return "bg-red-500/15 text-red-200";
+  if (status === "cancelled") return "bg-white/10 text-white/50";
+  return "bg-amber-500/15 text-amber-200";
+}
+
+function fmtTime(s: string) {
+  return String(s || "").slice(0, 19).replace("T", " ");
+}
+
 type Slide = {
   tag: string;
   title: string;
@@ -29,15 +65,23 @@ function fmtKsh(n: number) {
 
 export default function Withdraw() {
   const [amount, setAmount] = useState<string>("");
-  const [method, setMethod] = useState<string>("M-Pesa");
+  const [method, setMethod] = useState<string>("mpesa");
   const [phone, setPhone] = useState<string>("");
 
   const [history, setHistory] = useState<WithdrawRow[]>([]);
   const [loading, setLoading] = useState(false);
   const [loadingHistory, setLoadingHistory] = useState(false);
+  const [openId, setOpenId] = useState<number | null>(null);
+  const [cancellingId, setCancellingId] = useState<number | null>(null);
 
   const [msg, setMsg] = useState("");
   const [err, setErr] = useState("");
+  // null until /me answers; withdrawals need a verified email
+  const [verified, setVerified] = useState<boolean | null>(null);
+  // set to the number an SMS code was sent to, when it isn't confirmed yet
+  const [otpFor, setOtpFor] = useState<string | null>(null);
+  const [otpCode, setOtpCode] = useState("");
+  const { withStepUp, prompt: stepUpPrompt } = useStepUp();
 
   const slides: Slide[] = useMemo(
     () => [
@@ -74,8 +118,9 @@ export default function Withdraw() {
 
   const canSubmit = useMemo(() => {
     const a = Number(amount || 0);
-    return Number.isFinite(a) && a > 0 && phone.trim().length >= 8 && !loading;
-  }, [amount, phone, loading]);
+    const needsCode = otpFor !== null && otpFor === phone.trim();
+    return Number.isFinite(a) && a > 0 && phone.trim().length >= 8 && !loading && verified !== false && (!needsCode || otpCode.length === 6);
+  }, [amount, phone, loading, verified, otpFor, otpCode]);
 
   function flashOk(text: string) {
     setMsg(text);
@@ -91,16 +136,7 @@ export default function Withdraw() {
     setLoadingHistory(true);
     setErr("");
     try {
-      let rows: any = null;
-      try {
-        rows = await api<WithdrawRow[]>("/withdrawals");
-      } catch {
-        try {
-          rows = await api<WithdrawRow[]>("/withdraw/history");
-        } catch {
-          rows = await api<WithdrawRow[]>("/withdrawals/history");
-        }
-      }
+      const rows = await api<WithdrawRow[]>("/withdrawals");
       setHistory(Array.isArray(rows) ? rows : []);
     } catch (e: any) {
       setHistory([]);
@@ -121,30 +157,62 @@ export default function Withdraw() {
       if (!Number.isFinite(a) || a <= 0) throw new Error("Enter a valid amount");
       if (p.length < 8) throw new Error("Enter a valid phone number");
 
-      const payload: any = {
-        amount: a,
-        amount_ksh: a,
-        phone_number: p,
-        phoneNumber: p,
-        method,
-      };
-
-      try {
-        await api("/withdrawals", { method: "POST", body: payload });
-      } catch {
-        await api("/withdraw/request", { method: "POST", body: payload });
-      }
+      const otp_code = otpFor === p ? otpCode : undefined;
+      await withStepUp(() =>
+        api("/withdrawals", { method: "POST", body: { amount: a, phone_number: p, method, otp_code } })
+      );
 
-      flashOk("Withdrawal request submitted ✓");
+      flashOk("Withdrawal requested ✓ Funds are held until it is paid.");
       setAmount("");
+      setOtpFor(null);
+      setOtpCode("");
       await loadHistory();
     } catch (e: any) {
-      flashErr(e?.message || "Submit failed");
+      if (e instanceof ApiError && e.code === "otp_required") {
+        await sendOtp(phone.trim());
+      } else {
+        flashErr(e?.message || "Submit failed");
+      }
     } finally {
       setLoading(false);
     }
   }
 
+  async function sendOtp(p: string) {
+    try {
+      const r = await api<{ already_verified?: boolean }>("/withdrawals/otp", { method: "POST", body: { phone_number: p } });
+      if (r.already_verified) {
+        setOtpFor(null);
+        flashErr("This number is already confirmed. Please submit again.");
+        return;
+      }
+      setOtpFor(p);
+      setOtpCode("");
+      flashOk(`This number is new on your account. Enter the code we sent by SMS to ${p}.`);
+    } catch (e) {
+      flashErr(e instanceof Error ? e.message : "Could not send code");
+    }
+  }
+
+  async function cancelWithdraw(id: number) {
+    setCancellingId(id);
+    try {
+      await api(`/withdrawals/${id}/cancel`, { method: "POST" });
+      flashOk("Withdrawal cancelled. Funds returned to your balance ✓");
+      await loadHistory();
+    } catch (e) {
+      flashErr(e instanceof Error ? e.message : "Cancel failed");
+    } finally {
+      setCancellingId(null);
+    }
+  }
+
+  useEffect(() => {
+    api<{ email_verified_at: string | null }>("/me")
+      .then((m) => setVerified(!!m.email_verified_at))
+      .catch(() => {});
+  }, []);
+
   useEffect(() => {
     loadHistory();
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -154,6 +222,7 @@ export default function Withdraw() {
 
   return (
     <div className="w-full">
+      {stepUpPrompt}
       <style>{`
         @property --neon {
           syntax: "<color>";
@@ -242,6 +311,16 @@ export default function Withdraw() {
             <div className="text-white font-semibold text-lg">Request Withdrawal</div>
             <div className="text-white/60 text-sm mt-1">Withdraw earnings to your preferred payment method.</div>
 
+            {verified === false && (
+              <div className="mt-4 rounded-xl border border-amber-500/30 bg-amber-500/10 p-3 text-sm text-amber-100">
+                Confirm your email address before withdrawing. Use the link we emailed you, or{" "}
+                <Link to="/app/account" className="font-semibold underline">
+                  resend it from Account
+                </Link>
+                .
+              </div>
+            )}
+
             {(err || msg) && (
               <div className={`mt-4 rounded-xl border p-3 text-sm ${err ? "border-red-500/30 bg-red-500/10 text-red-200" : "border-emerald-500/30 bg-emerald-500/10 text-emerald-100"}`}>
                 {err || msg}
@@ -267,8 +346,8 @@ export default function Withdraw() {
                   value={method}
                   onChange={(e) => setMethod(e.target.value)}
                 >
-                  <option value="M-Pesa">M-Pesa</option>
-                  <option value="Airtel Money">Airtel Money</option>
+                  <option value="mpesa">M-Pesa</option>
+                  <option value="airtel">Airtel Money</option>
                 </select>
               </div>
 
@@ -282,6 +361,30 @@ export default function Withdraw() {
                   inputMode="tel"
                 />
               </div>
+
+              {otpFor !== null && otpFor === phone.trim() && (
+                <div className="md:col-span-2">
+                  <div className="text-xs text-white/60 mb-1">SMS Code sent to {otpFor}</div>
+                  <div className="flex gap-3">
+                    <input
+                      className="flex-1 rounded-xl bg-black/30 border border-white/10 px-4 py-3 text-white outline-none focus:border-emerald-400/50"
+                      value={otpCode}
+                      onChange={(e) => setOtpCode(e.target.value.replace(/\D/g, ""))}
+                      placeholder="6-digit code"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      maxLength={6}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => sendOtp(otpFor)}
+                      className="rounded-xl border border-white/15 px-4 py-3 text-sm text-white hover:bg-white/10"
+                    >
+                      Resend
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
 
             <div className="mt-4 text-xs text-white/50">Tip: double-check your phone number before submitting.</div>
@@ -332,7 +435,7 @@ export default function Withdraw() {
                 <thead className="bg-white/5 text-white/70">
                   <tr>
                     <th className="text-left px-3 py-2 font-semibold">Date</th>
-                    <th className="text-left px-3 py-2 font-semibold">Ref</th>
+                    <th className="text-left px-3 py-2 font-semibold">Status</th>
                     <th className="text-right px-3 py-2 font-semibold">Amount</th>
                   </tr>
                 </thead>
@@ -344,20 +447,65 @@ export default function Withdraw() {
                       </td>
                     </tr>
                   ) : (
-                    history.slice(0, 12).map((r) => (
-                      <tr key={r.id} className="border-t border-white/10">
-                        <td className="px-3 py-2 whitespace-nowrap">{String(r.created_at || "").slice(0, 19).replace("T", " ")}</td>
-                        <td className="px-3 py-2">{r.receipt_ref || "-"}</td>
-                        <td className="px-3 py-2 text-right">KSH {fmtKsh(Number(r.amount_ksh || 0))}</td>
-                      </tr>
-                    ))
+                    history.slice(0, 12).map((r) => {
+                      const open = openId === r.id;
+                      const cancellable = r.status === "requested" || r.status === "under_review";
+                      return [
+                        <tr
+                          key={r.id}
+                          className="border-t border-white/10 cursor-pointer hover:bg-white/5"
+                          onClick={() => setOpenId(open ? null : r.id)}
+                        >
+                          <td className="px-3 py-2 whitespace-nowrap">{fmtTime(r.created_at)}</td>
+                          <td className="px-3 py-2">
+                            <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${statusClass(r.status)}`}>
+                              {STATUS_LABEL[r.status] || r.status}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 text-right">KSH {fmtKsh(Number(r.amount_ksh || 0))}</td>
+                        </tr>,
+                        open ? (
+                          <tr key={`${r.id}-events`} className="bg-black/20">
+                            <td colSpan={3} className="px-3 py-3 text-xs">
+                              <div className="text-white/60">
+                                {METHOD_LABEL[r.method] || r.method} • {r.phone_number || r.phone || "-"} • Ref: {r.receipt_ref || "-"}
+                              </div>
+                              <ol className="mt-2 space-y-1">
+                                {(r.events || []).map((ev, i) => (
+                                  <li key={i} className="text-white/75">
+                                    <span className="text-white/45">{fmtTime(ev.created_at)}</span>{" "}
+                                    {STATUS_LABEL[ev.to_status] || ev.to_status}
+                                    <span className="text-white/45"> by {ev.actor_type}</span>
+                                    {ev.reason ? <span className="text-white/60"> — {ev.reason}</span> : null}
+                                  </li>
+                                ))}
+                              </ol>
+                              {cancellable && (
+                                <button
+                                  type="button"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    cancelWithdraw(r.id);
+                                  }}
+                                  disabled={cancellingId === r.id}
+                                  className="mt-3 rounded-lg px-3 py-1.5 font-semibold bg-red-600/80 hover:bg-red-500 text-white disabled:opacity-60"
+                                >
+                                  {cancellingId === r.id ? "Cancelling..." : "Cancel request"}
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ) : null,
+                      ];
+                    })
                   )}
                 </tbody>
               </table>
             </div>
 
             <div className="mt-3 text-xs text-white/45">
-              If history or submitting fails, your server route naming differs—this page tries multiple common endpoints.
+              Tap a request to see its status history. Pending requests can be cancelled; failed, rejected and cancelled
+              requests are refunded to your balance.
             </div>
           </div>
         </div>
@@ -1,15 +1,32 @@
-import React, { createContext, useContext, useMemo, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { api, AUTH_EVENT, saveSession, type Session } from "../lib/api";
 
-type AuthCtx = { token: string; setToken: (t: string) => void; logout: () => void; };
+type AuthCtx = { token: string; setSession: (s: Session) => void; logout: () => void; };
 const Ctx = createContext<AuthCtx | null>(null);
 
 export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [token, setTokenState] = useState(localStorage.getItem("token") || "");
 
-  const setToken = (t: string) => { setTokenState(t); localStorage.setItem("token", t); };
-  const logout = () => { setTokenState(""); localStorage.removeItem("token"); };
+  // api() refreshes or clears the stored tokens; other tabs do too
+  useEffect(() => {
+    const sync = () => setTokenState(localStorage.getItem("token") || "");
+    window.addEventListener(AUTH_EVENT, sync);
+    window.addEventListener("storage", sync);
+    return () => {
+      window.removeEventListener(AUTH_EVENT, sync);
+      window.removeEventListener("storage", sync);
+    };
+  }, []);
 
-  const value = useMemo(() => ({ token, setToken, logout }), [token]);
+  const value = useMemo(() => {
+    const setSession = (s: Session) => saveSession(s);
+    const logout = () => {
+      const refresh_token = localStorage.getItem("refresh_token");
+      if (refresh_token) api("/auth/logout", { method: "POST", body: { refresh_token } }).catch(() => {});
+      saveSession(null);
+    };
+    return { token, setSession, logout };
+  }, [token]);
   return <Ctx.Provider value={value}>{children}</Ctx.Provider>;
 }
 
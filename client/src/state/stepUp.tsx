@@ -0,0 +1,78 @@
+import { useCallback, useRef, useState } from "react";
+import { api, ApiError } from "../lib/api";
+import { Glass, Input, Button } from "../components/ui";
+
+// Sensitive actions (withdrawals, password and payment number changes) answer
+// 403 "step_up_required" when 2FA is on and the session hasn't entered a code
+// recently. withStepUp(fn) runs fn, and in that case asks for a code, sends it
+// to /auth/step-up and runs fn once more. Render `prompt` somewhere in the page.
+export function useStepUp() {
+  const [open, setOpen] = useState(false);
+  const [code, setCode] = useState("");
+  const [err, setErr] = useState("");
+  const [busy, setBusy] = useState(false);
+  const pending = useRef<((ok: boolean) => void) | null>(null);
+
+  const withStepUp = useCallback(async <T,>(fn: () => Promise<T>): Promise<T> => {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!(e instanceof ApiError && e.code === "step_up_required")) throw e;
+      const ok = await new Promise<boolean>((resolve) => {
+        pending.current = resolve;
+        setCode("");
+        setErr("");
+        setOpen(true);
+      });
+      if (!ok) throw new Error("Your authenticator code is needed to continue.");
+      return fn();
+    }
+  }, []);
+
+  function finish(ok: boolean) {
+    setOpen(false);
+    pending.current?.(ok);
+    pending.current = null;
+  }
+
+  async function onSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true);
+    setErr("");
+    try {
+      await api("/auth/step-up", { method: "POST", body: { code } });
+      finish(true);
+    } catch (e) {
+      setErr(e instanceof Error ? e.message : "Verification failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const prompt = open ? (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 px-4">
+      <Glass className="w-full max-w-[380px] p-6">
+        <div className="text-white font-semibold">Confirm it's you</div>
+        <div className="text-white/60 text-sm mt-1 mb-4">
+          Enter the 6-digit code from your authenticator app, or a recovery code.
+        </div>
+        <form onSubmit={onSubmit} className="space-y-3">
+          <Input
+            autoFocus
+            placeholder="123456"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          {err && <div className="text-sm text-red-300">{err}</div>}
+          <Button disabled={busy || !code.trim()}>{busy ? "Checking..." : "Continue"}</Button>
+          <button type="button" onClick={() => finish(false)} className="w-full text-sm text-white/60 hover:text-white">
+            Cancel
+          </button>
+        </form>
+      </Glass>
+    </div>
+  ) : null;
+
+  return { withStepUp, prompt };
+}
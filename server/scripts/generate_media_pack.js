@@ -1,100 +1,99 @@
-const path = require("path");
+// Generates spoken audio (and, for video tasks, a simple video) for
+// transcription tasks from their gold answer, so those tasks have media whose
+// correct transcript is known. Files go into the media store (src/media) and
+// the tasks are pointed at them. Needs espeak-ng and ffmpeg.
+//   node scripts/generate_media_pack.js [--limit 250] [--force]
+// --force regenerates for tasks that already have local media.
 const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { spawnSync } = require("child_process");
-const dbMod = require("../src/db");
-const initDb = dbMod.initDb || dbMod.init;
-const run = dbMod.run;
-const all = dbMod.all;
+const { initDb, run, all } = require("../src/db");
+const media = require("../src/media");
+
+const FONT = "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf";
 
 function sh(cmd, args) {
-  const r = spawnSync(cmd, args, { stdio: "inherit" });
-  if (r.status !== 0) throw new Error(`Command failed: ${cmd} ${args.join(" ")}`);
+  const r = spawnSync(cmd, args, { stdio: ["ignore", "ignore", "pipe"] });
+  if (r.error?.code === "ENOENT") throw new Error(`${cmd} is not installed`);
+  if (r.status !== 0) throw new Error(`${cmd} failed: ${String(r.stderr).trim().split("\n").pop()}`);
 }
 
+// drawtext needs ':' and quotes escaped
 function safeText(s) {
-  // keep drawtext safe
-  return String(s || "")
-    .replace(/:/g, "\\:")
-    .replace(/'/g, "’")
-    .replace(/"/g, "”");
+  return String(s).replace(/\\/g, "\\\\").replace(/:/g, "\\:").replace(/'/g, "’");
 }
 
-async function main() {
-  await (initDb || (async()=>{}))();
+function wrap(text, width = 34) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.slice(0, 8).join("\n");
+}
 
-  const outDir = path.join(__dirname, "..", "public", "media");
-  fs.mkdirSync(outDir, { recursive: true });
+async function main() {
+  const args = process.argv.slice(2);
+  const limitAt = args.indexOf("--limit");
+  const limit = limitAt !== -1 ? Number(args[limitAt + 1]) : 250;
+  await initDb();
 
-  // Pick some tasks (you can increase later)
   const tasks = await all(
-    `SELECT id, answer_text FROM tasks
-     WHERE task_type='transcription' AND active=1
+    `SELECT id, type, gold_answer FROM tasks
+     WHERE type IN ('audio_transcription', 'video_transcription') AND active = 1
+       AND gold_answer IS NOT NULL AND TRIM(gold_answer) != ''
+       ${args.includes("--force") ? "" : "AND media_id IS NULL"}
      ORDER BY id ASC
-     LIMIT 250`
+     LIMIT ?`,
+    [limit]
   );
 
-  for (const t of tasks) {
-    const id = t.id;
-    const txt = String(t.answer_text || "").replace(/\r/g, "").trim();
-
-    const base = `t_${id}`;
-    const wav = path.join(outDir, `${base}.wav`);
-    const mp3 = path.join(outDir, `${base}.mp3`);
-    const mp4 = path.join(outDir, `${base}.mp4`);
-    const png = path.join(outDir, `${base}.png`);
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "media-pack-"));
+  let done = 0;
+  try {
+    for (const t of tasks) {
+      const text = String(t.gold_answer).replace(/\r/g, "").trim();
+      const wav = path.join(tmp, `t_${t.id}.wav`);
+      sh("espeak-ng", ["-s", "145", "-w", wav, text]);
 
-    // 1) audio (espeak -> wav)
-    if (!fs.existsSync(mp3)) {
-      sh("espeak-ng", ["-s", "145", "-w", wav, txt]);
-      sh("ffmpeg", ["-y", "-i", wav, "-codec:a", "libmp3lame", "-q:a", "4", mp3]);
-      try { fs.unlinkSync(wav); } catch {}
-    }
+      let file = path.join(tmp, `t_${t.id}.mp3`);
+      if (t.type === "video_transcription") {
+        file = path.join(tmp, `t_${t.id}.mp4`);
+        sh("ffmpeg", [
+          "-y", "-v", "error",
+          "-f", "lavfi", "-i", "color=c=#05070a:s=720x1280:r=25",
+          "-i", wav,
+          "-vf", `drawtext=fontfile=${FONT}:text='${safeText(wrap(text))}':fontcolor=white:fontsize=30:line_spacing=10:x=(w-tw)/2:y=h-th-240`,
+          "-shortest",
+          "-c:v", "libx264", "-pix_fmt", "yuv420p",
+          "-c:a", "aac",
+          file,
+        ]);
+      } else {
+        sh("ffmpeg", ["-y", "-v", "error", "-i", wav, "-codec:a", "libmp3lame", "-q:a", "4", file]);
+      }
 
-    // 2) image (imagemagick)
-    if (!fs.existsSync(png)) {
-      // wrap a bit
-      const wrapped = txt.length > 220 ? txt.slice(0, 220) + "…" : txt;
-      sh("convert", [
-        "-size","1080x1080","xc:#0b0f14",
-        "-fill","#e5e7eb",
-        "-font","DejaVu-Sans",
-        "-pointsize","34",
-        "-gravity","center",
-        "-annotate","+0+0", wrapped,
-        png
-      ]);
+      const { asset } = await media.ingestFile(file);
+      await run("UPDATE tasks SET media_id = ?, media_url = NULL, image = NULL WHERE id = ?", [asset.id, t.id]);
+      fs.rmSync(wav, { force: true });
+      fs.rmSync(file, { force: true });
+      done++;
     }
-
-    // 3) video (ffmpeg): background + subtitle text overlay + audio
-    if (!fs.existsSync(mp4)) {
-      const overlay = safeText(txt.length > 240 ? txt.slice(0, 240) + "…" : txt);
-      sh("ffmpeg", [
-        "-y",
-        "-f","lavfi","-i","color=c=#05070a:s=720x1280:d=8",
-        "-i", mp3,
-        "-vf", `drawtext=fontfile=/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf:text='${overlay}':fontcolor=white:fontsize=26:line_spacing=8:x=40:y=H-420:box=1:boxcolor=black@0.45:boxborderw=20`,
-        "-shortest",
-        "-c:v","libx264","-pix_fmt","yuv420p",
-        "-c:a","aac",
-        mp4
-      ]);
-    }
-
-    // Rotate media kind based on id (so your pool includes all kinds)
-    const kind = (id % 3 === 0) ? "video" : (id % 3 === 1) ? "audio" : "image";
-    const url = kind === "video" ? `/media/${base}.mp4` : kind === "audio" ? `/media/${base}.mp3` : `/media/${base}.png`;
-    const thumb = kind === "video" ? `/media/${base}.png` : (kind === "audio" ? `/media/${base}.png` : `/media/${base}.png`);
-
-    await run(
-      "UPDATE tasks SET media_kind=?, media_url=?, media_thumb=? WHERE id=?",
-      [kind, url, thumb, id]
-    );
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
   }
 
-  console.log("✅ Media pack generated and tasks updated!");
+  console.log(`Generated media for ${done} of ${tasks.length} task(s).`);
 }
 
 main().catch((e) => {
-  console.error(e);
+  console.error(e.message || e);
   process.exit(1);
 });
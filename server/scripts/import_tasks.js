@@ -0,0 +1,56 @@
+// Imports tasks from a CSV or JSONL file (same rules as the admin import).
+//   node scripts/import_tasks.js tasks.csv [--dry-run] [--skip-invalid]
+//   node scripts/import_tasks.js --rollback <batch id>
+const fs = require("fs");
+const path = require("path");
+const { initDb } = require("../src/db");
+const taskImport = require("../src/task_import");
+
+function printErrors(errors) {
+  for (const e of errors) {
+    console.log(`  line ${e.line}${e.field ? ` [${e.field}]` : ""}: ${e.message}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  await initDb();
+
+  const rb = args.indexOf("--rollback");
+  if (rb !== -1) {
+    const r = await taskImport.rollbackBatch(Number(args[rb + 1]));
+    console.log(`Rolled back batch ${r.id}: ${r.deleted} deleted, ${r.deactivated} deactivated (already in use).`);
+    return;
+  }
+
+  const file = args.find((a) => !a.startsWith("--"));
+  if (!file) {
+    console.error("Usage: node scripts/import_tasks.js <file.csv|file.jsonl> [--dry-run] [--skip-invalid]");
+    process.exit(1);
+  }
+
+  try {
+    const report = await taskImport.importTasks({
+      content: fs.readFileSync(file, "utf8"),
+      filename: path.basename(file),
+      dryRun: args.includes("--dry-run"),
+      skipInvalid: args.includes("--skip-invalid"),
+    });
+    console.log(`${report.row_count} row(s): ${report.valid_count} valid, ${report.invalid_count} invalid.`);
+    printErrors(report.errors);
+    if (report.dry_run) console.log("Dry run: nothing was imported.");
+    else console.log(`Imported ${report.inserted_count} task(s) as batch ${report.batch_id}.`);
+  } catch (e) {
+    if (!e.report) throw e;
+    console.error(e.message);
+    printErrors(e.report.errors);
+    process.exit(2);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
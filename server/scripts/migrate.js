@@ -0,0 +1,51 @@
+// Applies, rolls back or lists schema migrations (src/migrations).
+//   node scripts/migrate.js [up] [--to <version>]       apply pending migrations
+//   node scripts/migrate.js down [--steps <n>|--to <version>]   roll back (default: the latest one)
+//   node scripts/migrate.js status
+const { run } = require("../src/db");
+const migrator = require("../src/migrator");
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  const n = Number(args[i + 1]);
+  if (!Number.isInteger(n) || n < 0) {
+    console.error(`${name} needs a number`);
+    process.exit(1);
+  }
+  return n;
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, "0")}_${m.name}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const cmd = args[0] && !args[0].startsWith("--") ? args[0] : "up";
+  await run("PRAGMA foreign_keys = ON");
+
+  if (cmd === "up") {
+    const done = await migrator.migrate({ to: option(args, "--to") ?? Infinity });
+    for (const m of done) console.log(`applied  ${label(m)}`);
+    console.log(done.length ? `${done.length} migration(s) applied.` : "Already up to date.");
+  } else if (cmd === "down") {
+    const done = await migrator.rollback({ steps: option(args, "--steps") ?? 1, to: option(args, "--to") });
+    for (const m of done) console.log(`reverted ${label(m)}`);
+    console.log(`${done.length} migration(s) rolled back.`);
+  } else if (cmd === "status") {
+    for (const m of await migrator.status()) {
+      const state = m.missing ? "MISSING FILE" : m.applied_at ? `applied ${m.applied_at}` : "pending";
+      console.log(`${label(m)}  ${state}`);
+    }
+  } else {
+    console.error("Usage: node scripts/migrate.js [up|down|status] [--to <version>] [--steps <n>]");
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
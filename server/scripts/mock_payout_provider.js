@@ -0,0 +1,245 @@
+// Local stand-in for the M-Pesa Daraja B2C and Airtel Money disbursement APIs,
+// so payouts can be exercised end to end offline.
+//
+//   npm run mock:payouts
+//
+// Scenario is chosen by the last four digits of the recipient number:
+//   ...0000  invalid MSISDN (rejected synchronously)
+//   ...1111  insufficient float (failure on the result callback)
+//   ...2222  delayed result callback (MOCK_DELAY_MS, default 20s)
+//   ...3333  queue timeout callback, then "Completed" on a status query
+//   anything else succeeds after ~1s
+// Payouts above MOCK_FLOAT_KSH (default 50000) also fail with insufficient float.
+//
+// Airtel has no per-request callback URL; set MOCK_AIRTEL_CALLBACK_URL to the
+// API's /api/payouts/airtel/callback?token=<PAYOUT_CALLBACK_SECRET>. The
+// default assumes the API runs here with the same environment.
+const crypto = require("crypto");
+const express = require("express");
+
+const PORT = Number(process.env.MOCK_PAYOUT_PORT || 5181);
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS || 20000);
+const FLOAT_KSH = Number(process.env.MOCK_FLOAT_KSH || 50000);
+const AIRTEL_CALLBACK_URL =
+  process.env.MOCK_AIRTEL_CALLBACK_URL ||
+  `http://127.0.0.1:${process.env.PORT || 5175}/api/payouts/airtel/callback?token=${encodeURIComponent(
+    process.env.PAYOUT_CALLBACK_SECRET || "dev_payout_callback_secret"
+  )}`;
+
+const app = express();
+app.use(express.json());
+
+// provider ref -> { kind, scenario, amount, msisdn, receipt, state }
+const txns = new Map();
+
+function scenarioFor(msisdn, amount) {
+  const tail = String(msisdn || "").slice(-4);
+  if (tail === "0000") return "invalid_msisdn";
+  if (tail === "1111" || amount > FLOAT_KSH) return "insufficient_float";
+  if (tail === "2222") return "delayed";
+  if (tail === "3333") return "timeout";
+  return "success";
+}
+
+function receiptNo() {
+  return crypto.randomBytes(5).toString("hex").toUpperCase();
+}
+
+function later(ms, fn) {
+  setTimeout(() => {
+    Promise.resolve()
+      .then(fn)
+      .catch((e) => console.error("[mock] callback failed:", e.message));
+  }, ms);
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  console.log(`[mock] -> ${url.split("?")[0]} ${res.status}`);
+}
+
+// ---- M-Pesa Daraja ----
+app.get("/oauth/v1/generate", (req, res) => {
+  if (!String(req.headers.authorization || "").startsWith("Basic ")) {
+    return res.status(401).json({ errorCode: "401.002.01", errorMessage: "Invalid Authentication passed" });
+  }
+  res.json({ access_token: "mock_" + crypto.randomBytes(8).toString("hex"), expires_in: "3599" });
+});
+
+function darajaResult(t, code, desc, extra = {}) {
+  return {
+    Result: {
+      ResultType: 0,
+      ResultCode: code,
+      ResultDesc: desc,
+      OriginatorConversationID: t.ref,
+      ConversationID: t.conversationId,
+      TransactionID: t.receipt,
+      ...extra,
+    },
+  };
+}
+
+function paymentParams(t) {
+  return {
+    ResultParameters: {
+      ResultParameter: [
+        { Key: "TransactionAmount", Value: t.amount },
+        { Key: "TransactionReceipt", Value: t.receipt },
+        { Key: "ReceiverPartyPublicName", Value: `${t.msisdn} - Mock Recipient` },
+        { Key: "TransactionCompletedDateTime", Value: new Date().toISOString() },
+      ],
+    },
+  };
+}
+
+function b2cHandler(req, res) {
+  const b = req.body || {};
+  const amount = Number(b.Amount);
+  const msisdn = String(b.PartyB || "");
+  const scenario = scenarioFor(msisdn, amount);
+  console.log(`[mock] mpesa B2C ${b.OriginatorConversationID} KSH ${amount} -> ${msisdn} (${scenario})`);
+
+  if (scenario === "invalid_msisdn") {
+    return res.status(400).json({
+      requestId: crypto.randomUUID(),
+      errorCode: "400.002.02",
+      errorMessage: "Bad Request - Invalid PartyB",
+    });
+  }
+
+  const t = {
+    kind: "mpesa",
+    ref: b.OriginatorConversationID,
+    conversationId: "AG_" + crypto.randomBytes(6).toString("hex").toUpperCase(),
+    amount,
+    msisdn,
+    scenario,
+    receipt: receiptNo(),
+    state: "pending",
+  };
+  txns.set(t.ref, t);
+
+  if (scenario === "insufficient_float") {
+    later(1000, () => {
+      t.state = "failed";
+      t.receipt = null;
+      return postJson(b.ResultURL, darajaResult(t, 1, "The balance is insufficient for the transaction."));
+    });
+  } else if (scenario === "timeout") {
+    // the payment quietly goes through; only a status query reveals it
+    t.state = "completed";
+    later(1000, () => postJson(b.QueueTimeOutURL, darajaResult(t, 1, "The request timed out in the queue.")));
+  } else {
+    later(scenario === "delayed" ? DELAY_MS : 1000, () => {
+      t.state = "completed";
+      return postJson(b.ResultURL, darajaResult(t, 0, "The service request is processed successfully.", paymentParams(t)));
+    });
+  }
+
+  res.json({
+    ConversationID: t.conversationId,
+    OriginatorConversationID: t.ref,
+    ResponseCode: "0",
+    ResponseDescription: "Accept the service request successfully.",
+  });
+}
+
+app.post("/mpesa/b2c/v1/paymentrequest", b2cHandler);
+app.post("/mpesa/b2c/v3/paymentrequest", b2cHandler);
+
+app.post("/mpesa/transactionstatus/v1/query", (req, res) => {
+  const b = req.body || {};
+  const t = txns.get(b.OriginatorConversationID) || [...txns.values()].find((x) => x.receipt && x.receipt === b.TransactionID);
+  console.log(`[mock] mpesa status query ${b.OriginatorConversationID} -> ${t ? t.state : "not found"}`);
+
+  later(500, () => {
+    if (!t) {
+      return postJson(b.ResultURL, {
+        Result: { ResultType: 0, ResultCode: 2001, ResultDesc: "The transaction was not found.", ReferenceData: { ReferenceItem: { Key: "Occasion", Value: b.Occasion } } },
+      });
+    }
+    const status = t.state === "completed" ? "Completed" : t.state === "failed" ? "Failed" : "Pending";
+    const params = [{ Key: "TransactionStatus", Value: status }];
+    if (t.receipt) params.push({ Key: "ReceiptNo", Value: t.receipt });
+    return postJson(b.ResultURL, {
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: "The service request has been accepted successfully.",
+        ConversationID: t.conversationId,
+        TransactionID: t.receipt,
+        ResultParameters: { ResultParameter: params },
+        ReferenceData: { ReferenceItem: { Key: "Occasion", Value: b.Occasion } },
+      },
+    });
+  });
+
+  res.json({
+    ConversationID: "AG_" + crypto.randomBytes(6).toString("hex").toUpperCase(),
+    OriginatorConversationID: b.OriginatorConversationID,
+    ResponseCode: "0",
+    ResponseDescription: "Accept the service request successfully.",
+  });
+});
+
+// ---- Airtel Money ----
+app.post("/auth/oauth2/token", (req, res) => {
+  if (!req.body?.client_id || !req.body?.client_secret) {
+    return res.status(400).json({ error: "invalid_request", error_description: "client credentials required" });
+  }
+  res.json({ access_token: "mock_" + crypto.randomBytes(8).toString("hex"), expires_in: "180", token_type: "bearer" });
+});
+
+function airtelStatus(code, message, success = true) {
+  return { response_code: code, code: success ? "200" : "400", success, result_code: "ESB000010", message };
+}
+
+app.post("/standard/v1/disbursements/", (req, res) => {
+  const b = req.body || {};
+  const id = b.transaction?.id;
+  const amount = Number(b.transaction?.amount);
+  const msisdn = "254" + String(b.payee?.msisdn || "");
+  const scenario = scenarioFor(msisdn, amount);
+  console.log(`[mock] airtel disbursement ${id} KSH ${amount} -> ${msisdn} (${scenario})`);
+
+  if (scenario === "invalid_msisdn") {
+    return res.status(400).json({ data: {}, status: airtelStatus("DP00900001010", "Invalid MSISDN", false) });
+  }
+
+  const t = { kind: "airtel", ref: id, amount, msisdn, scenario, receipt: null, state: "pending" };
+  txns.set(id, t);
+
+  const finish = () => {
+    if (t.scenario === "insufficient_float") {
+      t.state = "failed";
+      return postJson(AIRTEL_CALLBACK_URL, {
+        transaction: { id, message: "Insufficient funds in disbursement wallet", status_code: "TF", airtel_money_id: null },
+      });
+    }
+    t.state = "completed";
+    t.receipt = "MP" + receiptNo();
+    if (t.scenario === "timeout") return undefined; // no callback: found by enquiry only
+    return postJson(AIRTEL_CALLBACK_URL, {
+      transaction: { id, message: "Transaction Successful", status_code: "TS", airtel_money_id: t.receipt },
+    });
+  };
+  later(scenario === "delayed" ? DELAY_MS : 1000, finish);
+
+  res.json({
+    data: { transaction: { reference_id: crypto.randomUUID(), airtel_money_id: null, id, status: "TIP" } },
+    status: airtelStatus("DP00900001006", "Transaction in progress"),
+  });
+});
+
+app.get("/standard/v1/disbursements/:id", (req, res) => {
+  const t = txns.get(req.params.id);
+  if (!t) return res.status(404).json({ data: {}, status: airtelStatus("DP00900001011", "Transaction not found", false) });
+  const status = t.state === "completed" ? "TS" : t.state === "failed" ? "TF" : "TIP";
+  res.json({
+    data: { transaction: { id: t.ref, status, airtel_money_id: t.receipt, message: status } },
+    status: airtelStatus("DP00900001001", "Success"),
+  });
+});
+
+app.listen(PORT, () => console.log(`Mock payout provider on http://localhost:${PORT}`));
@@ -0,0 +1,17 @@
+// Carries out account deletions whose grace period has ended. The worker
+// does this every 15 minutes (src/jobs/schedules.js); this is for running it now.
+//   node scripts/process_deletions.js
+const { initDb } = require("../src/db");
+const deletions = require("../src/deletions");
+
+async function main() {
+  await initDb();
+  const { completed, waiting, failed } = await deletions.processDue({ limit: 1000 });
+  console.log(`Deletions: ${completed} completed, ${waiting} waiting on withdrawals, ${failed} failed.`);
+  process.exit(failed ? 2 : 0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,24 @@
+// Checks cached wallet balances against the ledger journal.
+//   node scripts/reconcile_ledger.js          report only
+//   node scripts/reconcile_ledger.js --fix    rewrite caches from the journal
+const { initDb } = require("../src/db");
+const ledger = require("../src/ledger");
+
+async function main() {
+  const fix = process.argv.includes("--fix");
+  await initDb();
+  await ledger.backfillOpeningBalances();
+
+  const { checked, mismatches } = await ledger.reconcile({ fix });
+  console.log(`Checked ${checked} ledger accounts, ${mismatches.length} mismatch(es).`);
+  for (const m of mismatches) {
+    console.log(`  ${m.code}: journal=${m.journal} account=${m.account_cached} user=${m.user_cached ?? "-"}`);
+  }
+  if (mismatches.length && fix) console.log("Caches rewritten from the journal.");
+  process.exit(mismatches.length && !fix ? 2 : 0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Grants a staff role from the command line (used to create the first admin).
+//   node scripts/set_role.js <email> <user|reviewer|finance|admin>
+const { initDb, run } = require("../src/db");
+const { ROLES } = require("../src/auth");
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set_role.js <email> <${ROLES.join("|")}>`);
+    process.exit(1);
+  }
+  await initDb();
+  const r = await run("UPDATE users SET role = ? WHERE email = ?", [role, email]);
+  if (!r.changes) {
+    console.error(`No user with email ${email}`);
+    process.exit(1);
+  }
+  console.log(`${email} is now ${role}`);
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,125 +1,245 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const { z } = require("zod");
-const { requireAuth } = require("./auth");
-const { get, run, all } = require("./db");
+const { requireAuth, requireStepUp } = require("./auth");
+const { run, get, all, transaction } = require("./db");
+const sessions = require("./sessions");
+const otp = require("./otp");
+const mfa = require("./mfa");
+const deletions = require("./deletions");
+const { toMsisdn } = require("./payouts/common");
+const allocator = require("./allocator");
+
+// The signed-in user's own account: profile, payment number, password, 2FA,
+// devices and deletion. Mounted at /api/v1/account (and /api/me).
 
 const router = express.Router();
 
-router.get("/status", requireAuth, async (req, res) => {
-  const u = await get(
-    `SELECT id, username, email, phone, referral_code,
-            balance_ksh,
-            COALESCE(bonus_ksh,0) AS bonus_ksh,
-            COALESCE(full_name,'') AS full_name,
-            COALESCE(payment_number,'') AS payment_number,
-            delete_requested_at, delete_effective_at
-     FROM users WHERE id = ?`,
-    [req.user.id]
-  );
-  res.json(u || { error: "User not found" });
-});
-
-router.put("/profile", requireAuth, async (req, res) => {
-  const schema = z.object({
-    full_name: z.string().optional(),
-    phone: z.string().optional(),
-    payment_number: z.string().optional(),
-  });
-  const body = schema.parse(req.body || {});
-  await run(
-    `UPDATE users SET
-      full_name = COALESCE(?, full_name),
-      phone = COALESCE(?, phone),
-      payment_number = COALESCE(?, payment_number)
-     WHERE id = ?`,
-    [body.full_name ?? null, body.phone ?? null, body.payment_number ?? null, req.user.id]
-  );
-  const updated = await get(
-    `SELECT id, username, email, phone, referral_code,
-            balance_ksh,
-            COALESCE(bonus_ksh,0) AS bonus_ksh,
-            COALESCE(full_name,'') AS full_name,
-            COALESCE(payment_number,'') AS payment_number,
-            delete_requested_at, delete_effective_at
-     FROM users WHERE id = ?`,
-    [req.user.id]
-  );
-  res.json(updated);
-});
-
-router.post("/password", requireAuth, async (req, res) => {
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const u = await get(
+      "SELECT id, username, email, " +
+        "COALESCE(full_name, '') AS full_name, " +
+        "COALESCE(phone, '') AS phone, " +
+        "COALESCE(payment_number, '') AS payment_number, languages, " +
+        "referral_code, balance_ksh, COALESCE(bonus_ksh,0) AS bonus_ksh, role, frozen_at, email_verified_at, " +
+        "created_at, delete_requested_at, delete_effective_at " +
+      "FROM users WHERE id = ?",
+      [req.user.id]
+    );
+    if (!u) return res.status(404).json({ error: "User not found" });
+    const phones = await all("SELECT msisdn FROM user_phones WHERE user_id = ? ORDER BY verified_at ASC", [req.user.id]);
+    res.json({
+      ...u,
+      languages: u.languages ? allocator.parseLanguages(u.languages) : allocator.DEFAULT_LANGUAGES,
+      verified_numbers: phones.map((p) => p.msisdn),
+      payment_number_verified: phones.some((p) => p.msisdn === toMsisdn(u.payment_number)),
+      deletion_balance_policy: deletions.BALANCE_POLICY,
+    });
+  } catch (e) {
+    console.error("/api/me failed:", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/", requireAuth, async (req, res) => {
+  try {
+    const full_name = (req.body.full_name || "").toString();
+    const phone = (req.body.phone || "").toString();
+
+    // the payout number only changes through /api/me/payment-number
+    if (req.body.payment_number !== undefined) {
+      const cur = await get("SELECT COALESCE(payment_number,'') AS payment_number FROM users WHERE id=?", [req.user.id]);
+      if (String(req.body.payment_number) !== cur?.payment_number) {
+        return res.status(400).json({ error: "Confirm a new payment number with the SMS code sent to it" });
+      }
+    }
+
+    // languages the worker can do tasks in, as ISO 639 codes ("en", "sw")
+    let languages;
+    if (req.body.languages !== undefined) {
+      languages = allocator.parseLanguages(req.body.languages);
+      if (!languages.length || languages.length > 10 || !languages.every((l) => /^[a-z]{2,3}$/.test(l))) {
+        return res.status(400).json({ error: "Languages must be 1-10 language codes like en or sw" });
+      }
+    }
+
+    await run(
+      "UPDATE users SET full_name=?, phone=?, languages=COALESCE(?, languages) WHERE id=?",
+      [full_name, phone, languages ? languages.join(",") : null, req.user.id]
+    );
+    const me = await get(
+      "SELECT id, username, email, referral_code, balance_ksh, bonus_ksh, COALESCE(full_name,'') AS full_name, COALESCE(phone,'') AS phone, COALESCE(payment_number,'') AS payment_number, languages FROM users WHERE id=?",
+      [req.user.id]
+    );
+    res.json({ ...me, languages: me.languages ? allocator.parseLanguages(me.languages) : allocator.DEFAULT_LANGUAGES });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+// Changing the payout number: a code goes to the new number, and the change
+// is saved only once that code comes back.
+router.post("/payment-number/otp", requireAuth, requireStepUp, async (req, res) => {
+  try {
+    const msisdn = toMsisdn(req.body?.payment_number);
+    if (!msisdn) return res.status(400).json({ error: "Enter a valid Kenyan mobile number" });
+    const owner = await otp.ownerOf(msisdn);
+    if (owner && owner !== req.user.id) return res.status(409).json({ error: "This number is already linked to another account" });
+    const r = await otp.request({ phone: msisdn, purpose: "payment_number", userId: req.user.id });
+    res.json({ ok: true, expires_in: r.expires_in, resend_in: r.resend_in });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not send code" });
+  }
+});
+
+router.post("/payment-number", requireAuth, requireStepUp, async (req, res) => {
+  try {
+    const r = await otp.verify({
+      phone: req.body?.payment_number,
+      purpose: "payment_number",
+      code: req.body?.code,
+      userId: req.user.id,
+    });
+    await transaction(async () => {
+      await otp.linkNumber(req.user.id, r.msisdn);
+      await run("UPDATE users SET payment_number = ? WHERE id = ?", [`0${r.msisdn.slice(3)}`, req.user.id]);
+    });
+    res.json({ ok: true, payment_number: `0${r.msisdn.slice(3)}` });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not update payment number" });
+  }
+});
+
+router.post("/password", requireAuth, requireStepUp, async (req, res) => {
   const schema = z.object({
-    current: z.string().min(1),
-    next: z.string().min(6),
+    currentPassword: z.string().min(1),
+    newPassword: z.string().min(6),
   });
+  try {
+    const data = schema.parse(req.body);
+    const user = await get("SELECT password_hash FROM users WHERE id = ?", [req.user.id]);
+    const ok = user && (await bcrypt.compare(data.currentPassword, user.password_hash));
+    if (!ok) return res.status(400).json({ error: "Current password is wrong" });
 
-  const raw = req.body || {};
-  const data = schema.parse({
-    current: raw.current_password ?? raw.currentPassword ?? raw.current ?? "",
-    next: raw.new_password ?? raw.newPassword ?? raw.next ?? "",
-  });
+    const newHash = await bcrypt.hash(data.newPassword, 10);
+    // a new password signs out every device; the caller gets a fresh session
+    const fresh = await transaction(async () => {
+      await run("UPDATE users SET password_hash = ? WHERE id = ?", [newHash, req.user.id]);
+      await sessions.revokeAll(req.user.id, "password_change");
+      // requireStepUp just passed, so the new session keeps the second factor
+      return sessions.create(req.user.id, req, { mfaVerified: true });
+    });
+    res.json({ ok: true, ...fresh });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
 
-  const user = await get("SELECT password_hash FROM users WHERE id = ?", [req.user.id]);
-  if (!user) return res.status(404).json({ error: "User not found" });
+// Two-factor authentication (mfa.js). Setup is a two-step affair: /setup
+// hands out a secret and QR code, /enable checks a first code from the app.
+router.get("/2fa", requireAuth, async (req, res) => {
+  try {
+    res.json(await mfa.status(req.user.id));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load 2FA status" });
+  }
+});
+
+router.post("/2fa/setup", requireAuth, async (req, res) => {
+  try {
+    res.json(await mfa.beginSetup(req.user.id));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not start setup" });
+  }
+});
+
+router.post("/2fa/enable", requireAuth, async (req, res) => {
+  try {
+    const codes = await mfa.enable(req.user.id, req.user.sid, req.body?.code);
+    res.json({ ok: true, recovery_codes: codes });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not turn on 2FA" });
+  }
+});
+
+router.post("/2fa/disable", requireAuth, async (req, res) => {
+  try {
+    await mfa.disable(req.user.id, req.body?.code);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not turn off 2FA" });
+  }
+});
+
+router.post("/2fa/recovery-codes", requireAuth, async (req, res) => {
+  try {
+    res.json({ ok: true, recovery_codes: await mfa.regenerateRecoveryCodes(req.user.id, req.body?.code) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not create new codes" });
+  }
+});
+
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    const rows = await sessions.list(req.user.id);
+    res.json(rows.map((s) => ({ ...s, current: s.id === req.user.sid })));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load sessions" });
+  }
+});
 
-  const ok = await bcrypt.compare(data.current, user.password_hash);
-  if (!ok) return res.status(400).json({ error: "Current password is incorrect" });
+// Signs out every other device.
+router.delete("/sessions", requireAuth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAll(req.user.id, "revoked_by_user", { except: req.user.sid });
+    res.json({ ok: true, revoked });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to revoke sessions" });
+  }
+});
 
-  const hash = await bcrypt.hash(data.next, 10);
-  await run("UPDATE users SET password_hash = ? WHERE id = ?", [hash, req.user.id]);
-  res.json({ ok: true });
+router.delete("/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    const s = await get("SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL", [
+      Number(req.params.id),
+      req.user.id,
+    ]);
+    if (!s) return res.status(404).json({ error: "Session not found" });
+    await sessions.revoke(s.id, "revoked_by_user");
+    res.json({ ok: true, current: s.id === req.user.sid });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to revoke session" });
+  }
 });
 
+// Scheduled deletion, carried out by deletions.js once the grace period ends.
 router.post("/delete-request", requireAuth, async (req, res) => {
-  await run(
-    `UPDATE users
-     SET delete_requested_at = datetime('now'),
-         delete_effective_at = datetime('now','+7 days')
-     WHERE id = ?`,
-    [req.user.id]
-  );
-  const u = await get("SELECT delete_requested_at, delete_effective_at FROM users WHERE id = ?", [req.user.id]);
-  res.json({ ok: true, ...u });
-});
-
-router.post("/cancel-delete", requireAuth, async (req, res) => {
-  await run(
-    "UPDATE users SET delete_requested_at = NULL, delete_effective_at = NULL WHERE id = ?",
-    [req.user.id]
-  );
-  res.json({ ok: true });
-});
-
-router.get("/referrals", requireAuth, async (req, res) => {
-  const rows = await all(
-    `SELECT username, email, created_at
-     FROM users
-     WHERE referred_by = ?
-     ORDER BY id DESC
-     LIMIT 200`,
-    [req.user.id]
-  );
-  res.json(rows);
-});
-
-router.post("/redeem", requireAuth, async (req, res) => {
-  const u = await get(
-    "SELECT COALESCE(bonus_ksh,0) AS bonus_ksh, balance_ksh FROM users WHERE id = ?",
-    [req.user.id]
-  );
-  if (!u) return res.status(404).json({ error: "User not found" });
-  if (u.bonus_ksh < 1000) return res.status(400).json({ error: "Bonus must reach KSH 1000 to redeem" });
-
-  await run(
-    "UPDATE users SET bonus_ksh = bonus_ksh - 1000, balance_ksh = balance_ksh + 1000 WHERE id = ?",
-    [req.user.id]
-  );
-  const updated = await get(
-    "SELECT COALESCE(bonus_ksh,0) AS bonus_ksh, balance_ksh FROM users WHERE id = ?",
-    [req.user.id]
-  );
-  res.json({ ok: true, ...updated });
+  try {
+    res.json({ ok: true, ...(await deletions.request(req.user.id)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Request failed" });
+  }
+});
+
+// "/cancel-delete" is the older name
+router.post(["/delete-cancel", "/cancel-delete"], requireAuth, async (req, res) => {
+  try {
+    await deletions.cancel(req.user.id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Cancel failed" });
+  }
+});
+
+// Used to delete the account on the spot, losing the finance records tied to
+// it. Now the same as /delete-request.
+router.delete("/", requireAuth, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await deletions.request(req.user.id)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Delete failed" });
+  }
 });
 
 module.exports = router;
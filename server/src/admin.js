@@ -0,0 +1,857 @@
+const express = require("express");
+const { z } = require("zod");
+const { requireAuth, requireRole, ROLES } = require("./auth");
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const withdrawals = require("./withdrawals");
+const payouts = require("./payouts");
+const taskImport = require("./task_import");
+const quality = require("./quality");
+const reviews = require("./reviews");
+const referralVesting = require("./referral_vesting");
+const campaigns = require("./referral_campaigns");
+const allocator = require("./allocator");
+const { dayKeyNairobi } = require("./tasks");
+const lockout = require("./login_lockout");
+const media = require("./media");
+const annotations = require("./annotations");
+const annotationExport = require("./annotations/export");
+const taskTypes = require("./task_types");
+const jobs = require("./jobs");
+const schedules = require("./jobs/schedules");
+const { HANDLERS } = require("./jobs/handlers");
+
+const router = express.Router();
+router.use(requireAuth);
+
+async function audit(req, action, targetType, targetId, detail = null) {
+  await run(
+    "INSERT INTO admin_audit (actor_id, action, target_type, target_id, detail) VALUES (?, ?, ?, ?, ?)",
+    [req.user.id, action, targetType, targetId, detail ? JSON.stringify(detail) : null]
+  );
+}
+
+function sendError(res, e, fallback) {
+  if (e?.issues) return res.status(400).json({ error: e.issues.map((i) => i.message).join(", ") });
+  res.status(e.status || 500).json({ error: e.message || fallback });
+}
+
+// Role of the caller, for the client to decide which admin sections to show.
+router.get("/whoami", requireRole("reviewer", "finance"), (req, res) => {
+  res.json({ id: req.user.id, role: req.user.role });
+});
+
+// ---- Users ----
+router.get("/users", requireRole("finance"), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const params = [];
+    let where = "";
+    if (q) {
+      where = `WHERE u.username LIKE ? OR u.email LIKE ? OR u.phone LIKE ? OR u.payment_number LIKE ? OR u.id = ?`;
+      const like = `%${q}%`;
+      params.push(like, like, like, like, Number(q) || -1);
+    }
+    const rows = await all(
+      `SELECT u.id, u.username, u.email, COALESCE(u.phone,'') AS phone, u.role,
+              u.balance_ksh, COALESCE(u.bonus_ksh,0) AS bonus_ksh, u.frozen_at, u.created_at,
+              (SELECT COUNT(*) FROM task_completions tc WHERE tc.user_id = u.id) AS completions
+       FROM users u
+       ${where}
+       ORDER BY u.id DESC
+       LIMIT 100`,
+      params
+    );
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, "Search failed");
+  }
+});
+
+router.get("/users/:id", requireRole("finance"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const user = await get(
+      `SELECT id, username, email, COALESCE(full_name,'') AS full_name, COALESCE(phone,'') AS phone,
+              COALESCE(payment_number,'') AS payment_number, referral_code, referred_by, role,
+              frozen_at, frozen_reason, email_verified_at, created_at, delete_requested_at, delete_effective_at, deleted_at
+       FROM users WHERE id = ?`,
+      [id]
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const balances = await ledger.getBalances(id);
+    const entries = await ledger.listEntries(id, { limit: 100 });
+    const completions = await all(
+      `SELECT tc.id, tc.task_id, tc.reward_ksh, tc.answer_text, tc.score, tc.score_band, tc.agreement,
+              tc.review_status, tc.review_note, tc.created_at, t.title, t.type
+       FROM task_completions tc JOIN tasks t ON t.id = tc.task_id
+       WHERE tc.user_id = ? ORDER BY tc.id DESC LIMIT 100`,
+      [id]
+    );
+    const wRows = await all(
+      `SELECT id, amount_ksh, phone_number, method, status, status_reason, receipt_ref, provider_status, created_at, updated_at
+       FROM withdrawals WHERE user_id = ? ORDER BY id DESC LIMIT 50`,
+      [id]
+    );
+    const referrals = await get("SELECT COUNT(*) AS n FROM users WHERE referred_by = ?", [id]);
+    const q = await quality.getQuality(id);
+
+    res.json({
+      user,
+      balances,
+      ledger: entries,
+      completions,
+      withdrawals: await withdrawals.withEvents(wRows),
+      referrals: referrals?.n || 0,
+      quality: { trust: q.trust, evidence: q.evidence, probation: q.probation, max_complexity: q.max_complexity },
+      login_lockout: (await lockout.status(user.email)) || null,
+    });
+  } catch (e) {
+    sendError(res, e, "Failed to load user");
+  }
+});
+
+// Why the user got the tasks they have on a day (default today), and what the
+// allocator would hand out next.
+router.get("/users/:id/allocation", requireRole("finance"), async (req, res) => {
+  try {
+    const day = String(req.query.day || dayKeyNairobi());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ error: "day must be YYYY-MM-DD" });
+    const out = await allocator.explain(Number(req.params.id), day, { preview: day === dayKeyNairobi() });
+    if (!out) return res.status(404).json({ error: "User not found" });
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "Failed to explain allocation");
+  }
+});
+
+router.post("/users/:id/freeze", requireRole("admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (id === req.user.id) return res.status(400).json({ error: "You cannot freeze your own account" });
+    const reason = String(req.body?.reason || "").trim().slice(0, 500);
+    if (!reason) return res.status(400).json({ error: "A reason is required" });
+
+    const r = await run("UPDATE users SET frozen_at = CURRENT_TIMESTAMP, frozen_reason = ? WHERE id = ?", [reason, id]);
+    if (!r.changes) return res.status(404).json({ error: "User not found" });
+    await audit(req, "user.freeze", "user", id, { reason });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "Freeze failed");
+  }
+});
+
+// Clears failed sign-ins and any lockout, e.g. after support verified the owner.
+router.post("/users/:id/unlock-login", requireRole("admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const u = await get("SELECT email FROM users WHERE id = ?", [id]);
+    if (!u) return res.status(404).json({ error: "User not found" });
+    await lockout.clear(u.email);
+    await audit(req, "user.unlock_login", "user", id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "Unlock failed");
+  }
+});
+
+router.post("/users/:id/unfreeze", requireRole("admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const r = await run("UPDATE users SET frozen_at = NULL, frozen_reason = NULL WHERE id = ?", [id]);
+    if (!r.changes) return res.status(404).json({ error: "User not found" });
+    await audit(req, "user.unfreeze", "user", id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "Unfreeze failed");
+  }
+});
+
+router.put("/users/:id/role", requireRole("admin"), async (req, res) => {
+  try {
+    const { role } = z.object({ role: z.enum(ROLES) }).parse(req.body || {});
+    const id = Number(req.params.id);
+    if (id === req.user.id && role !== "admin") return res.status(400).json({ error: "You cannot demote yourself" });
+
+    const r = await run("UPDATE users SET role = ? WHERE id = ?", [role, id]);
+    if (!r.changes) return res.status(404).json({ error: "User not found" });
+    await audit(req, "user.role", "user", id, { role });
+    res.json({ ok: true, role });
+  } catch (e) {
+    sendError(res, e, "Role change failed");
+  }
+});
+
+// ---- Withdrawals ----
+router.get("/withdrawals", requireRole("finance"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "").trim();
+    const rows = await all(
+      `SELECT w.id, w.user_id, u.username, w.amount_ksh, w.phone_number, w.method, w.status, w.status_reason,
+              w.receipt_ref, w.provider_status, w.created_at, w.updated_at
+       FROM withdrawals w JOIN users u ON u.id = w.user_id
+       ${status ? "WHERE w.status = ?" : ""}
+       ORDER BY w.id DESC
+       LIMIT 200`,
+      status ? [status] : []
+    );
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, "Failed to load withdrawals");
+  }
+});
+
+const BulkWithdrawalSchema = z.object({
+  ids: z.array(z.number().int().positive()).min(1).max(200),
+  action: z.enum(["review", "approve", "reject"]),
+  reason: z.string().max(500).optional(),
+  dispatch: z.boolean().optional().default(false),
+});
+
+const BULK_TARGET = { review: "under_review", approve: "approved", reject: "rejected" };
+
+router.post("/withdrawals/bulk", requireRole("finance"), async (req, res) => {
+  try {
+    const data = BulkWithdrawalSchema.parse(req.body || {});
+    if (data.action === "reject" && !data.reason?.trim()) {
+      return res.status(400).json({ error: "A reason is required to reject" });
+    }
+
+    const results = [];
+    for (const id of data.ids) {
+      try {
+        await withdrawals.transition(id, BULK_TARGET[data.action], {
+          actorType: "operator",
+          actorId: req.user.id,
+          reason: data.reason?.trim() || null,
+        });
+        let status = BULK_TARGET[data.action];
+        if (data.action === "approve" && data.dispatch) {
+          status = (await payouts.dispatch(id, { actorType: "operator", actorId: req.user.id })).status;
+        }
+        results.push({ id, ok: true, status });
+      } catch (e) {
+        results.push({ id, ok: false, error: e.message });
+      }
+    }
+    await audit(req, `withdrawals.${data.action}`, "withdrawal", null, {
+      ids: data.ids,
+      reason: data.reason || null,
+      dispatch: data.dispatch,
+    });
+    res.json({ ok: true, results });
+  } catch (e) {
+    sendError(res, e, "Bulk action failed");
+  }
+});
+
+router.post("/withdrawals/:id/dispatch", requireRole("finance"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const r = await payouts.dispatch(id, { actorType: "operator", actorId: req.user.id });
+    await audit(req, "withdrawal.dispatch", "withdrawal", id, r);
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Dispatch failed");
+  }
+});
+
+router.get("/ledger/reconcile", requireRole("finance"), async (req, res) => {
+  try {
+    res.json(await ledger.reconcile());
+  } catch (e) {
+    sendError(res, e, "Reconcile failed");
+  }
+});
+
+// ---- Referrals ----
+// Flagged referrals share a device, IP or payout number with their referrer
+// and wait here for a decision (see referral_vesting.js).
+router.get("/referrals", requireRole("finance"), async (req, res) => {
+  try {
+    const status = req.query.status === "all" ? null : String(req.query.status || "flagged");
+    if (status && !referralVesting.STATUSES.includes(status)) return res.status(400).json({ error: "Invalid status" });
+    res.json(
+      await referralVesting.list({
+        status,
+        limit: Math.min(200, Math.max(1, Number(req.query.limit) || 50)),
+        offset: Math.max(0, Number(req.query.offset) || 0),
+      })
+    );
+  } catch (e) {
+    sendError(res, e, "Failed to load referrals");
+  }
+});
+
+const ReferralDecisionSchema = z.object({ note: z.string().trim().max(500).optional() });
+const ReferralNoteRequired = z.object({
+  note: z.string({ required_error: "A note is required" }).trim().min(1, "A note is required").max(500),
+});
+
+router.post("/referrals/:id/approve", requireRole("finance"), async (req, res) => {
+  try {
+    const { note } = ReferralDecisionSchema.parse(req.body || {});
+    const r = await referralVesting.approve(Number(req.params.id), req.user.id, note || null);
+    await audit(req, "referral.approve", "referral", r.id, { note: note || null, status: r.status });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Approve failed");
+  }
+});
+
+router.post("/referrals/:id/reject", requireRole("finance"), async (req, res) => {
+  try {
+    const { note } = ReferralNoteRequired.parse(req.body || {});
+    const r = await referralVesting.reject(Number(req.params.id), req.user.id, note);
+    await audit(req, "referral.reject", "referral", r.id, { note });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Reject failed");
+  }
+});
+
+router.post("/referrals/:id/claw-back", requireRole("finance"), async (req, res) => {
+  try {
+    const { note } = ReferralNoteRequired.parse(req.body || {});
+    const r = await transaction(() => referralVesting.clawBack(Number(req.params.id), req.user.id, note));
+    await audit(req, "referral.claw_back", "referral", r.id, { note, amount_ksh: r.amount_ksh, referrer_id: r.referrer_id });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Claw-back failed");
+  }
+});
+
+// ---- Referral campaigns ----
+const when = z.string().refine((v) => !Number.isNaN(Date.parse(v)), "Invalid date");
+
+const CampaignSchema = z.object({
+  name: z.string().trim().min(1, "A name is required").max(100),
+  starts_at: when,
+  ends_at: when.nullable().optional(),
+  signup_bonus_ksh: z.number().int().min(0).max(100000),
+  tier1_commission_pct: z.number().min(0).max(50).default(0),
+  tier2_commission_pct: z.number().min(0).max(50).default(0),
+  max_referrals: z.number().int().positive().nullable().optional(),
+  max_earnings_ksh: z.number().int().positive().nullable().optional(),
+  redeem_step_ksh: z.number().int().min(1).max(1000000).default(1000),
+});
+
+router.get("/campaigns", requireRole("finance"), async (req, res) => {
+  try {
+    res.json({ campaigns: await campaigns.list(), codes: await campaigns.listCodes() });
+  } catch (e) {
+    sendError(res, e, "Failed to load campaigns");
+  }
+});
+
+router.post("/campaigns", requireRole("admin"), async (req, res) => {
+  try {
+    const c = await campaigns.create(CampaignSchema.parse(req.body || {}), req.user.id);
+    await audit(req, "campaign.create", "referral_campaign", c.id, c);
+    res.json({ ok: true, campaign: c });
+  } catch (e) {
+    sendError(res, e, "Could not create campaign");
+  }
+});
+
+router.put("/campaigns/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const data = CampaignSchema.partial().parse(req.body || {});
+    const c = await campaigns.update(Number(req.params.id), data);
+    await audit(req, "campaign.update", "referral_campaign", c.id, data);
+    res.json({ ok: true, campaign: c });
+  } catch (e) {
+    sendError(res, e, "Could not update campaign");
+  }
+});
+
+router.post("/campaigns/:id/end", requireRole("admin"), async (req, res) => {
+  try {
+    const c = await campaigns.end(Number(req.params.id));
+    await audit(req, "campaign.end", "referral_campaign", c.id);
+    res.json({ ok: true, campaign: c });
+  } catch (e) {
+    sendError(res, e, "Could not end campaign");
+  }
+});
+
+router.get("/campaigns/:id/report", requireRole("finance"), async (req, res) => {
+  try {
+    res.json(await campaigns.report(Number(req.params.id)));
+  } catch (e) {
+    sendError(res, e, "Failed to load report");
+  }
+});
+
+const ReferralCodeSchema = z.object({
+  code: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9_-]{3,32}$/, "Codes are 3-32 letters, digits, - or _"),
+  username: z.string().trim().min(1, "A username is required"),
+  campaign_id: z.number().int().positive().nullable().optional(),
+});
+
+// Vanity codes, e.g. for a partner: they credit the named user like their
+// own code does, optionally under a specific campaign.
+router.post("/referral-codes", requireRole("admin"), async (req, res) => {
+  try {
+    const data = ReferralCodeSchema.parse(req.body || {});
+    const u = await get("SELECT id FROM users WHERE username = ?", [data.username]);
+    if (!u) return res.status(404).json({ error: "User not found" });
+    const code = await campaigns.createCode({ code: data.code, userId: u.id, campaignId: data.campaign_id || null }, req.user.id);
+    await audit(req, "referral_code.create", "user", u.id, { code: code.code, campaign_id: code.campaign_id });
+    res.json({ ok: true, code });
+  } catch (e) {
+    sendError(res, e, "Could not create code");
+  }
+});
+
+router.post("/referral-codes/:code/disable", requireRole("admin"), async (req, res) => {
+  try {
+    const code = await campaigns.disableCode(req.params.code);
+    await audit(req, "referral_code.disable", "user", code.user_id, { code: code.code });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, "Could not disable code");
+  }
+});
+
+// ---- Tasks ----
+router.get("/tasks", requireRole("admin"), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      where.push("(title LIKE ? OR prompt LIKE ? OR id = ?)");
+      params.push(`%${q}%`, `%${q}%`, Number(q) || -1);
+    }
+    if (req.query.type) {
+      where.push("type = ?");
+      params.push(String(req.query.type));
+    }
+    if (req.query.active === "0" || req.query.active === "1") {
+      where.push("active = ?");
+      params.push(Number(req.query.active));
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+
+    const total = await get(`SELECT COUNT(*) AS n FROM tasks ${whereSql}`, params);
+    const rows = await all(
+      `SELECT id, type, category, title, prompt, media_url, media_id, reward_ksh, complexity, language, active, labels
+       FROM tasks ${whereSql}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    for (const r of rows) r.labels = taskTypes.get(r.type)?.labels ? annotations.taskLabels(r) : null;
+    const types = await all("SELECT type, COUNT(*) AS n, SUM(active) AS active FROM tasks GROUP BY type ORDER BY type");
+    res.json({ total: total?.n || 0, tasks: await media.signTaskRows(rows, req.user.id), types });
+  } catch (e) {
+    sendError(res, e, "Failed to load tasks");
+  }
+});
+
+const TaskActiveSchema = z.object({
+  ids: z.array(z.number().int().positive()).min(1).max(1000),
+  active: z.boolean(),
+});
+
+router.post("/tasks/active", requireRole("admin"), async (req, res) => {
+  try {
+    const data = TaskActiveSchema.parse(req.body || {});
+    const r = await run(
+      `UPDATE tasks SET active = ? WHERE id IN (${data.ids.map(() => "?").join(",")})`,
+      [data.active ? 1 : 0, ...data.ids]
+    );
+    await audit(req, data.active ? "tasks.activate" : "tasks.deactivate", "task", null, { ids: data.ids });
+    res.json({ ok: true, updated: r.changes });
+  } catch (e) {
+    sendError(res, e, "Update failed");
+  }
+});
+
+// ---- Task imports ----
+// The file is sent as the raw request body (text/csv or application/x-ndjson)
+// so large batches don't go through the JSON body limit.
+const importBody = express.text({ type: ["text/*", "application/x-ndjson", "application/jsonl"], limit: "25mb" });
+
+router.post("/tasks/import", requireRole("admin"), importBody, async (req, res) => {
+  try {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "Send the CSV or JSONL file as the request body" });
+    }
+    const filename = String(req.query.filename || "").slice(0, 200) || null;
+    const format = req.query.format ? String(req.query.format) : null;
+    const dryRun = req.query.dry_run === "1" || req.query.dry_run === "true";
+    const skipInvalid = req.query.skip_invalid === "1" || req.query.skip_invalid === "true";
+
+    const report = await taskImport.importTasks({
+      content: req.body,
+      format,
+      filename,
+      dryRun,
+      skipInvalid,
+      actorId: req.user.id,
+    });
+    if (!dryRun) {
+      await audit(req, "tasks.import", "task_import_batch", report.batch_id, {
+        filename,
+        inserted: report.inserted_count,
+        skipped: report.invalid_count,
+      });
+    }
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    if (e.report) return res.status(e.status).json({ error: e.message, ...e.report });
+    sendError(res, e, "Import failed");
+  }
+});
+
+router.get("/tasks/import/template", requireRole("admin"), (req, res) => {
+  const format = req.query.format === "jsonl" ? "jsonl" : "csv";
+  res.type(format === "csv" ? "text/csv" : "application/x-ndjson");
+  res.attachment(`tasks_template.${format}`);
+  res.send(taskImport.template(format));
+});
+
+router.get("/tasks/imports", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await taskImport.listBatches());
+  } catch (e) {
+    sendError(res, e, "Failed to load imports");
+  }
+});
+
+router.get("/tasks/imports/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const batch = await taskImport.getBatch(Number(req.params.id));
+    if (!batch) return res.status(404).json({ error: "Import batch not found" });
+    res.json(batch);
+  } catch (e) {
+    sendError(res, e, "Failed to load import");
+  }
+});
+
+router.post("/tasks/imports/:id/rollback", requireRole("admin"), async (req, res) => {
+  try {
+    const r = await taskImport.rollbackBatch(Number(req.params.id), { actorId: req.user.id });
+    await audit(req, "tasks.import_rollback", "task_import_batch", r.id, r);
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Rollback failed");
+  }
+});
+
+// ---- Media ----
+// Uploads are sent as the raw request body, streamed straight to disk.
+router.post("/media", requireRole("admin"), async (req, res) => {
+  try {
+    if (req.is("application/json") || req.is("multipart/form-data")) {
+      return res.status(400).json({ error: "Send the file itself as the request body" });
+    }
+    const filename = String(req.query.filename || "").slice(0, 200) || null;
+    const { asset, created } = await media.ingestStream(req, { filename, actorId: req.user.id });
+    if (created) await audit(req, "media.upload", "media_asset", asset.id, { filename, sha256: asset.sha256 });
+    res.status(created ? 201 : 200).json({ ok: true, created, ...asset });
+  } catch (e) {
+    sendError(res, e, "Upload failed");
+  }
+});
+
+const MediaImportSchema = z.object({ url: z.string().trim().url().max(2000) });
+
+router.post("/media/import", requireRole("admin"), async (req, res) => {
+  try {
+    const data = MediaImportSchema.parse(req.body || {});
+    const { asset, created } = await media.ingestUrl(data.url, { actorId: req.user.id });
+    if (created) await audit(req, "media.import", "media_asset", asset.id, { url: data.url });
+    res.status(created ? 201 : 200).json({ ok: true, created, ...asset });
+  } catch (e) {
+    sendError(res, e, "Import failed");
+  }
+});
+
+// Downloads hot-linked task media into the store (also runs hourly).
+router.post("/media/localize", requireRole("admin"), async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, Number(req.body?.limit) || 50));
+    const job = await jobs.enqueue("media.localize", { limit }, { dedupeKey: "media:localize" });
+    await audit(req, "media.localize", "job", job.id, { limit });
+    res.json({ ok: true, job });
+  } catch (e) {
+    sendError(res, e, "Failed to queue localization");
+  }
+});
+
+router.get("/media", requireRole("admin"), async (req, res) => {
+  try {
+    const r = await media.list({
+      kind: ["image", "audio", "video"].includes(req.query.kind) ? req.query.kind : null,
+      limit: Math.min(200, Math.max(1, Number(req.query.limit) || 50)),
+      offset: Math.max(0, Number(req.query.offset) || 0),
+    });
+    const pending = await get(
+      `SELECT COUNT(DISTINCT media_url) AS urls, COUNT(*) AS tasks,
+              (SELECT COUNT(*) FROM media_fetch_failures) AS failing
+       FROM tasks
+       WHERE media_id IS NULL AND (media_url LIKE 'http://%' OR media_url LIKE 'https://%')`
+    );
+    res.json({
+      ...r,
+      items: r.items.map((a) => ({ ...a, ...media.urlsFor(a, { userId: req.user.id }) })),
+      hotlinked: pending,
+    });
+  } catch (e) {
+    sendError(res, e, "Failed to load media");
+  }
+});
+
+router.get("/media/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const asset = await media.getAsset(Number(req.params.id));
+    if (!asset) return res.status(404).json({ error: "Media not found" });
+    const tasks = await all("SELECT id, type, title, active FROM tasks WHERE media_id = ? ORDER BY id LIMIT 100", [asset.id]);
+    res.json({ ...asset, ...media.urlsFor(asset, { userId: req.user.id }), tasks });
+  } catch (e) {
+    sendError(res, e, "Failed to load media");
+  }
+});
+
+// Queues processing for audio/video that has no low-bitrate rendition yet,
+// e.g. files stored before renditions were made.
+router.post("/media/reprocess", requireRole("admin"), async (req, res) => {
+  try {
+    const rows = await all(
+      `SELECT id FROM media_assets
+       WHERE kind IN ('audio', 'video') AND status = 'ready' AND json_extract(COALESCE(derivatives, '{}'), '$.low') IS NULL`
+    );
+    for (const r of rows) await jobs.enqueue("media.process", { id: r.id }, { dedupeKey: `media:${r.id}` });
+    await audit(req, "media.reprocess", "media_asset", null, { count: rows.length });
+    res.json({ ok: true, queued: rows.length });
+  } catch (e) {
+    sendError(res, e, "Failed to queue processing");
+  }
+});
+
+router.post("/media/:id/reprocess", requireRole("admin"), async (req, res) => {
+  try {
+    const asset = await media.getAsset(Number(req.params.id));
+    if (!asset) return res.status(404).json({ error: "Media not found" });
+    const job = await jobs.enqueue("media.process", { id: asset.id }, { dedupeKey: `media:${asset.id}` });
+    res.json({ ok: true, job });
+  } catch (e) {
+    sendError(res, e, "Failed to queue processing");
+  }
+});
+
+const TaskMediaSchema = z.object({ media_id: z.number().int().positive().nullable() });
+
+router.put("/tasks/:id/media", requireRole("admin"), async (req, res) => {
+  try {
+    const data = TaskMediaSchema.parse(req.body || {});
+    const r = await media.attach(Number(req.params.id), data.media_id);
+    await audit(req, "tasks.media", "task", r.task_id, { media_id: r.media_id });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Update failed");
+  }
+});
+
+const TaskLabelsSchema = z.object({ labels: z.array(z.string()).max(annotations.MAX_LABELS) });
+
+// The label set workers choose from on a structured annotation task.
+router.put("/tasks/:id/labels", requireRole("admin"), async (req, res) => {
+  try {
+    const data = TaskLabelsSchema.parse(req.body || {});
+    const task = await get("SELECT id, type FROM tasks WHERE id = ?", [Number(req.params.id)]);
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    if (!taskTypes.get(task.type)?.labels) return res.status(400).json({ error: `${task.type} tasks do not take labels` });
+    const labels = annotations.parseLabels(data.labels);
+    if (!labels.length) return res.status(400).json({ error: "Give at least one label" });
+    await run("UPDATE tasks SET labels = ? WHERE id = ?", [JSON.stringify(labels), task.id]);
+    await audit(req, "tasks.labels", "task", task.id, { labels });
+    res.json({ ok: true, task_id: task.id, labels });
+  } catch (e) {
+    sendError(res, e, "Update failed");
+  }
+});
+
+// ---- Quality control ----
+router.get("/quality/items", requireRole("reviewer"), async (req, res) => {
+  try {
+    const r = await quality.listItems({
+      type: req.query.type ? String(req.query.type) : null,
+      status: req.query.status ? String(req.query.status) : null,
+      limit: Math.min(200, Math.max(1, Number(req.query.limit) || 50)),
+      offset: Math.max(0, Number(req.query.offset) || 0),
+    });
+    res.json({ ...r, items: await media.signTaskRows(r.items, req.user.id, { idKey: "task_id" }) });
+  } catch (e) {
+    sendError(res, e, "Failed to load items");
+  }
+});
+
+// Finished items with per-item agreement and every worker's answer, or for
+// box/point types the agreed annotations as COCO or YOLO (see
+// annotations/export.js).
+router.get("/quality/export", requireRole("reviewer"), async (req, res) => {
+  try {
+    const status = req.query.status === "all" ? null : String(req.query.status || "agreed");
+    const type = req.query.type ? String(req.query.type) : null;
+    const format = String(req.query.format || "json");
+    const items = await quality.exportItems({ type, status });
+    if (annotationExport.FORMATS[format]) {
+      return await annotationExport.send(res, { format, type, items, images: req.query.images === "1" });
+    }
+    if (format === "jsonl") {
+      res.type("application/x-ndjson");
+      return res.send(items.map((i) => JSON.stringify(i)).join("\n") + (items.length ? "\n" : ""));
+    }
+    res.json(items);
+  } catch (e) {
+    sendError(res, e, "Export failed");
+  }
+});
+
+router.get("/quality/workers", requireRole("reviewer"), async (req, res) => {
+  try {
+    res.json(await quality.listWorkers());
+  } catch (e) {
+    sendError(res, e, "Failed to load workers");
+  }
+});
+
+router.post("/quality/items/:taskId/recompute", requireRole("admin"), async (req, res) => {
+  try {
+    const r = await transaction(async () => {
+      const c = await quality.recomputeConsensus(Number(req.params.taskId));
+      if (c?.status === "disputed") await reviews.queueDisputed(c.task_id);
+      return c;
+    });
+    if (!r) return res.status(404).json({ error: "No consensus answers for this task" });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Recompute failed");
+  }
+});
+
+// ---- Review queue ----
+router.get("/reviews", requireRole("reviewer"), async (req, res) => {
+  try {
+    const status = req.query.status === "all" ? null : String(req.query.status || "pending");
+    if (status && !reviews.STATUSES.includes(status)) return res.status(400).json({ error: "Invalid status" });
+    const r = await reviews.listQueue({
+      status,
+      type: req.query.type ? String(req.query.type) : null,
+      reason: req.query.reason ? String(req.query.reason) : null,
+      limit: Math.min(200, Math.max(1, Number(req.query.limit) || 50)),
+      offset: Math.max(0, Number(req.query.offset) || 0),
+    });
+    res.json({ ...r, items: await media.signTaskRows(r.items, req.user.id, { idKey: "task_id" }) });
+  } catch (e) {
+    sendError(res, e, "Failed to load review queue");
+  }
+});
+
+router.get("/reviews/reviewers", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await reviews.listReviewers({ days: Math.min(365, Math.max(1, Number(req.query.days) || 30)) }));
+  } catch (e) {
+    sendError(res, e, "Failed to load reviewers");
+  }
+});
+
+const reviewSchema = z.object({
+  action: z.enum(Object.keys(reviews.ACTIONS)),
+  reason: z.string().trim().max(500).optional(),
+  corrected_answer: z.string().trim().max(20000).optional(),
+});
+
+router.post("/reviews/:id", requireRole("reviewer"), async (req, res) => {
+  try {
+    const data = reviewSchema.parse(req.body || {});
+    const r = await reviews.decide({
+      completionId: Number(req.params.id),
+      reviewerId: req.user.id,
+      action: data.action,
+      note: data.reason || null,
+      correctedAnswer: data.corrected_answer || null,
+    });
+    await audit(req, `review.${data.action}`, "task_completion", r.id, {
+      user_id: r.user_id,
+      reason: data.reason || null,
+      reward_ksh: r.reward_ksh,
+      previous_reward_ksh: r.previous_reward_ksh,
+      ledger: r.ledger,
+    });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    sendError(res, e, "Review failed");
+  }
+});
+
+// ---- Background jobs ----
+// Queue health for operators. The jobs themselves run in the worker process.
+router.get("/jobs", requireRole("admin"), async (req, res) => {
+  try {
+    const status = jobs.STATUSES.includes(req.query.status) ? req.query.status : null;
+    const type = HANDLERS[req.query.type] ? req.query.type : null;
+    res.json({
+      types: Object.keys(HANDLERS),
+      stats: await jobs.stats(),
+      schedules: await schedules.list(),
+      jobs: await jobs.list({ status, type, limit: 100 }),
+      reports: await all("SELECT id, kind, period, data, created_at FROM reports ORDER BY id DESC LIMIT 14"),
+    });
+  } catch (e) {
+    sendError(res, e, "Failed to load jobs");
+  }
+});
+
+const EnqueueJobSchema = z.object({
+  type: z.string().refine((t) => !!HANDLERS[t], "Unknown job type"),
+  payload: z.record(z.unknown()).optional(),
+});
+
+// Runs a job now instead of waiting for its schedule.
+router.post("/jobs", requireRole("admin"), async (req, res) => {
+  try {
+    const data = EnqueueJobSchema.parse(req.body || {});
+    const job = await jobs.enqueue(data.type, data.payload || null, { dedupeKey: `manual:${data.type}` });
+    await audit(req, "job.enqueue", "job", job.id, { type: data.type });
+    res.json({ ok: true, job });
+  } catch (e) {
+    sendError(res, e, "Could not queue job");
+  }
+});
+
+router.post("/jobs/:id/retry", requireRole("admin"), async (req, res) => {
+  try {
+    const job = await jobs.retry(Number(req.params.id));
+    await audit(req, "job.retry", "job", job.id, { type: job.type });
+    res.json({ ok: true, job });
+  } catch (e) {
+    sendError(res, e, "Retry failed");
+  }
+});
+
+// ---- Audit trail ----
+router.get("/audit", requireRole("admin"), async (req, res) => {
+  try {
+    const rows = await all(
+      `SELECT a.id, a.actor_id, u.username AS actor, a.action, a.target_type, a.target_id, a.detail, a.created_at
+       FROM admin_audit a LEFT JOIN users u ON u.id = a.actor_id
+       ORDER BY a.id DESC LIMIT 200`
+    );
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, "Failed to load audit log");
+  }
+});
+
+module.exports = { router, audit };
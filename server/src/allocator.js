@@ -0,0 +1,427 @@
+const { run, get, all, transaction } = require("./db");
+const quality = require("./quality");
+const reservations = require("./reservations");
+const taskTypes = require("./task_types");
+
+// Builds each worker's daily task set. Every eligible task is scored for the
+// worker and the best ones are taken, spreading across types:
+//
+//   skill   accuracy on this task type (scores, consensus agreement and
+//           review outcomes), pulled towards overall trust until there is
+//           history for the type
+//   fit     how close the task's complexity is to what that accuracy earns
+//   need    consensus items close to their target go first so they finish
+//   device  long or hard tasks rank lower on small screens
+//
+// Tasks the worker has done, in languages they don't work in, above their
+// complexity level, needing media their device can't play, or with no open
+// consensus slot are not eligible at all. How many tasks a day depends on the
+// worker's tier. The profile and each pick's score are stored so admins can
+// see why a worker got what they got (explain()).
+//
+// A worker's set is made on their first load of the day (dailyProfile());
+// after that the "tasks.top_up" job replaces assignments that can't be
+// worked any more and fills quotas that came up short, at most every
+// TOPUP_RETRY_MINUTES per worker, so polling the task list stays cheap.
+
+const TIERS = ["probation", "new", "standard", "trusted"];
+const DEFAULT_QUOTAS = { probation: 3, new: 5, standard: 5, trusted: 8 };
+const TRUSTED_MIN = 0.85;
+const TOPUP_RETRY_MINUTES = Number(process.env.TASK_TOPUP_RETRY_MINUTES || 15);
+
+// DAILY_TASK_QUOTAS (JSON) overrides tiers, e.g. DAILY_TASK_QUOTAS='{"trusted":10}'
+function loadQuotas() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.DAILY_TASK_QUOTAS || "{}");
+  } catch {
+    console.error("DAILY_TASK_QUOTAS is not valid JSON; using the defaults");
+  }
+  const quotas = { ...DEFAULT_QUOTAS };
+  for (const tier of TIERS) {
+    const n = Number(overrides[tier]);
+    if (Number.isInteger(n) && n >= 0) quotas[tier] = n;
+  }
+  return quotas;
+}
+
+const QUOTAS = loadQuotas();
+
+// Languages assumed for workers who haven't set theirs.
+const DEFAULT_LANGUAGES = String(process.env.TASK_DEFAULT_LANGUAGES || "en,sw")
+  .split(",")
+  .map((l) => l.trim().toLowerCase())
+  .filter(Boolean);
+
+// What a device reports it can do (?caps= on GET /tasks; empty = none of
+// them). Types that need one (their `needs` in task_types/) are skipped
+// without it; older clients that don't send caps are assumed to manage
+// everything.
+const CAPABILITIES = ["audio", "video", "large_screen"];
+
+const WEIGHTS = { skill: 0.45, fit: 0.25, need: 0.2, device: 0.1 };
+// history for a type counts as this many answers at the worker's trust
+const SKILL_PRIOR_WEIGHT = 3;
+// multiplier for tasks served on an earlier day and left undone
+const SEEN_PENALTY = 0.5;
+// candidates pulled per type before scoring
+const PER_TYPE = 40;
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function parseLanguages(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(list.map((l) => String(l).trim().toLowerCase()).filter(Boolean))];
+}
+
+function parseCapabilities(value) {
+  if (value === undefined || value === null) return null;
+  return parseLanguages(value).filter((c) => CAPABILITIES.includes(c));
+}
+
+function tierOf(q) {
+  if (q.probation) return "probation";
+  if (q.evidence < quality.MIN_EVIDENCE) return "new";
+  return q.trust >= TRUSTED_MIN ? "trusted" : "standard";
+}
+
+// Per-type accuracy from the worker's checked answers. Rejected in review
+// counts 0, corrected 0.5; otherwise the reference/gold score, else the
+// agreement with consensus, else 1 for an approved answer.
+async function accuracyByType(userId, trust) {
+  const rows = await all(
+    `SELECT t.type, COUNT(*) AS n,
+            AVG(CASE WHEN tc.review_status = 'rejected' THEN 0
+                     WHEN tc.review_status = 'corrected' THEN 0.5
+                     WHEN tc.score IS NOT NULL THEN tc.score
+                     WHEN tc.agreement IS NOT NULL THEN tc.agreement
+                     ELSE 1 END) AS accuracy
+     FROM task_completions tc JOIN tasks t ON t.id = tc.task_id
+     WHERE tc.user_id = ?
+       AND (tc.score IS NOT NULL OR tc.agreement IS NOT NULL OR tc.review_status IN ('approved', 'rejected', 'corrected'))
+     GROUP BY t.type`,
+    [userId]
+  );
+  const out = {};
+  for (const r of rows) {
+    out[r.type] = {
+      answers: r.n,
+      accuracy: round(r.accuracy),
+      skill: round((r.accuracy * r.n + trust * SKILL_PRIOR_WEIGHT) / (r.n + SKILL_PRIOR_WEIGHT)),
+    };
+  }
+  return out;
+}
+
+// Everything allocation decisions are based on for one worker.
+async function profile(userId, { capabilities = null } = {}) {
+  const user = await get("SELECT id, languages FROM users WHERE id = ?", [userId]);
+  if (!user) return null;
+  const q = await quality.getQuality(userId);
+  const tier = tierOf(q);
+  const languages = parseLanguages(user.languages);
+  return {
+    tier,
+    quota: QUOTAS[tier],
+    trust: q.trust,
+    evidence: q.evidence,
+    probation: q.probation,
+    max_complexity: q.max_complexity,
+    languages: languages.length ? languages : DEFAULT_LANGUAGES,
+    capabilities: capabilities || CAPABILITIES,
+    accuracy: await accuracyByType(userId, q.trust),
+  };
+}
+
+// Types the registry doesn't know can't be submitted, so they aren't handed out.
+function typeAllowed(type, caps) {
+  const def = taskTypes.get(type);
+  return !!def && def.needs.every((c) => caps.includes(c));
+}
+
+// The complexity a worker's accuracy on a type earns, within their level.
+function targetComplexity(skill, maxComplexity) {
+  const earned = skill >= TRUSTED_MIN ? 3 : skill >= 0.6 ? 2 : 1;
+  return Math.min(earned, maxComplexity);
+}
+
+function score(task, p) {
+  const skill = p.accuracy[task.type]?.skill ?? p.trust;
+  const target = targetComplexity(skill, p.max_complexity);
+  const parts = {
+    skill: round(skill),
+    fit: round(1 - Math.abs(task.complexity - target) / 2),
+    need: round(task.consensus_target ? 0.5 + (0.5 * task.collected) / task.consensus_target : 0.5),
+    device:
+      !p.capabilities.includes("large_screen") && (taskTypes.get(task.type)?.largeScreen || task.complexity >= 3) ? 0.5 : 1,
+  };
+  let total = Object.entries(WEIGHTS).reduce((s, [k, w]) => s + w * parts[k], 0);
+  if (task.seen) total *= SEEN_PENALTY;
+  return { score: round(total), parts, seen: !!task.seen, target_complexity: target };
+}
+
+// Eligible tasks for a worker, up to PER_TYPE random ones per type.
+async function candidates(userId, dayKey, p, { gold }) {
+  const types = (await all("SELECT DISTINCT type FROM tasks WHERE active = 1"))
+    .map((r) => r.type)
+    .filter((t) => typeAllowed(t, p.capabilities));
+  if (!types.length) return [];
+  return all(
+    `SELECT * FROM (
+       SELECT t.id, t.type, t.complexity, t.language, t.consensus_target, t.is_gold,
+              (SELECT COUNT(*) FROM task_completions tc WHERE tc.task_id = t.id) AS collected,
+              EXISTS (SELECT 1 FROM daily_tasks d WHERE d.user_id = ? AND d.task_id = t.id) AS seen,
+              ROW_NUMBER() OVER (PARTITION BY t.type ORDER BY RANDOM()) AS rn
+       FROM tasks t
+       WHERE t.active = 1 AND t.is_gold = ? AND t.complexity <= ?
+         AND t.type IN (${types.map(() => "?").join(",")})
+         AND (t.language IS NULL OR t.language IN (${p.languages.map(() => "?").join(",")}))
+         AND NOT EXISTS (SELECT 1 FROM task_completions tc WHERE tc.task_id = t.id AND tc.user_id = ?)
+         AND NOT EXISTS (SELECT 1 FROM daily_tasks d WHERE d.user_id = ? AND d.day_key = ? AND d.task_id = t.id)
+         AND ${reservations.OPEN_SLOT}
+     ) WHERE rn <= ?`,
+    [userId, gold ? 1 : 0, p.max_complexity, ...types, ...p.languages, userId, userId, dayKey, userId, PER_TYPE]
+  );
+}
+
+// Greedy pick of n tasks by score; each task of a type already in the set
+// halves the score of the next one, so types spread out before repeating.
+function choose(scored, n, typeCounts) {
+  const pool = [...scored];
+  const picks = [];
+  while (picks.length < n && pool.length) {
+    let best = -1;
+    let bestValue = -1;
+    pool.forEach((c, i) => {
+      const value = c.score / 2 ** (typeCounts[c.task.type] || 0);
+      if (value > bestValue) {
+        best = i;
+        bestValue = value;
+      }
+    });
+    const [pick] = pool.splice(best, 1);
+    typeCounts[pick.task.type] = (typeCounts[pick.task.type] || 0) + 1;
+    picks.push(pick);
+  }
+  return picks;
+}
+
+async function rank(userId, dayKey, p, gold) {
+  const rows = await candidates(userId, dayKey, p, { gold });
+  // a little noise so equal scores don't always resolve the same way
+  return rows.map((task) => {
+    const s = score(task, p);
+    return { task, ...s, score: round(s.score + Math.random() * 0.02) };
+  });
+}
+
+// Today's assignments that can't be worked any more (task switched off, or
+// its slots taken by others). Ones the worker is leasing or has a draft for
+// are kept, so nothing they typed disappears from their list.
+async function stale(userId, dayKey) {
+  return all(
+    `SELECT dt.id FROM daily_tasks dt JOIN tasks t ON t.id = dt.task_id
+     WHERE dt.user_id = ? AND dt.day_key = ? AND dt.completed_at IS NULL
+       AND NOT EXISTS (SELECT 1 FROM task_reservations r
+                       WHERE r.task_id = t.id AND r.user_id = dt.user_id AND r.status = 'active'
+                         AND r.expires_at > CURRENT_TIMESTAMP)
+       AND NOT EXISTS (SELECT 1 FROM task_drafts d WHERE d.task_id = t.id AND d.user_id = dt.user_id)
+       AND (t.active = 0 OR NOT ${reservations.OPEN_SLOT})`,
+    [userId, dayKey, userId]
+  );
+}
+
+// Tops up a worker's tasks for the day to their quota. One hidden gold task
+// a day; on probation it is gold only while any gold is left. Every run is
+// recorded (even one that found nothing) so tasks.top_up can space retries.
+// Returns the profile used.
+function ensureDailyTasks(userId, dayKey, opts = {}) {
+  // one run at a time, so two runs can't both fill the same open slots
+  return transaction(() => topUp(userId, dayKey, opts));
+}
+
+async function topUp(userId, dayKey, { capabilities = null } = {}) {
+  const p = await profile(userId, { capabilities });
+  if (!p) return null;
+
+  const gone = await stale(userId, dayKey);
+  for (const r of gone) await run("DELETE FROM daily_tasks WHERE id = ?", [r.id]);
+
+  const existing = await all(
+    `SELECT t.type, t.is_gold FROM daily_tasks dt JOIN tasks t ON t.id = dt.task_id
+     WHERE dt.user_id = ? AND dt.day_key = ?`,
+    [userId, dayKey]
+  );
+  const open = p.quota - existing.length;
+  if (open <= 0) return record(userId, dayKey, p, gone.length);
+
+  const typeCounts = {};
+  for (const e of existing) typeCounts[e.type] = (typeCounts[e.type] || 0) + 1;
+  const goldSlots = p.probation ? open : existing.some((e) => e.is_gold) ? 0 : 1;
+
+  const picks = [];
+  if (goldSlots > 0) {
+    const gold = choose(await rank(userId, dayKey, p, true), Math.min(goldSlots, open), typeCounts);
+    picks.push(...gold.map((c) => ({ ...c, gold: true })));
+  }
+  if (open > picks.length && !(p.probation && picks.length)) {
+    picks.push(...choose(await rank(userId, dayKey, p, false), open - picks.length, typeCounts));
+  }
+
+  for (const c of picks) {
+    const allocation = {
+      score: c.score,
+      parts: c.parts,
+      target_complexity: c.target_complexity,
+      seen: c.seen,
+      gold: !!c.gold,
+      tier: p.tier,
+    };
+    await run("INSERT OR IGNORE INTO daily_tasks (user_id, day_key, task_id, allocation) VALUES (?,?,?,?)", [
+      userId,
+      dayKey,
+      c.task.id,
+      JSON.stringify(allocation),
+    ]);
+  }
+
+  return record(userId, dayKey, p, gone.length);
+}
+
+async function record(userId, dayKey, p, replaced) {
+  await run(
+    `INSERT INTO task_allocations (user_id, day_key, tier, quota, profile, replaced)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (user_id, day_key) DO UPDATE SET
+       tier = excluded.tier, quota = excluded.quota, profile = excluded.profile,
+       runs = runs + 1, replaced = replaced + excluded.replaced, updated_at = CURRENT_TIMESTAMP`,
+    [userId, dayKey, p.tier, p.quota, JSON.stringify(p), replaced]
+  );
+  return p;
+}
+
+// The worker's allocation profile for the day. Only the first load of the
+// day allocates; later loads read what was stored.
+function dailyProfile(userId, dayKey, opts = {}) {
+  return transaction(async () => {
+    const stored = await get("SELECT profile FROM task_allocations WHERE user_id = ? AND day_key = ?", [userId, dayKey]);
+    return stored ? JSON.parse(stored.profile) : ensureDailyTasks(userId, dayKey, opts);
+  });
+}
+
+// The "tasks.top_up" job: re-runs today's allocations that are short of
+// their quota or still have open assignments, unless they ran in the last
+// TOPUP_RETRY_MINUTES. Uses the device capabilities from the worker's last run.
+async function topUpDue(dayKey, { limit = 200 } = {}) {
+  const due = await all(
+    `SELECT a.user_id, a.profile FROM task_allocations a
+     WHERE a.day_key = ? AND a.updated_at <= datetime('now', ?)
+       AND ((SELECT COUNT(*) FROM daily_tasks dt WHERE dt.user_id = a.user_id AND dt.day_key = a.day_key) < a.quota
+            OR EXISTS (SELECT 1 FROM daily_tasks dt
+                       WHERE dt.user_id = a.user_id AND dt.day_key = a.day_key AND dt.completed_at IS NULL))
+     ORDER BY a.updated_at ASC
+     LIMIT ?`,
+    [dayKey, `-${TOPUP_RETRY_MINUTES} minutes`, limit]
+  );
+  let added = 0;
+  for (const a of due) {
+    const before = await get("SELECT COUNT(*) AS n FROM daily_tasks WHERE user_id = ? AND day_key = ?", [a.user_id, dayKey]);
+    await ensureDailyTasks(a.user_id, dayKey, { capabilities: JSON.parse(a.profile).capabilities || null });
+    const after = await get("SELECT COUNT(*) AS n FROM daily_tasks WHERE user_id = ? AND day_key = ?", [a.user_id, dayKey]);
+    added += Math.max(0, after.n - before.n);
+  }
+  return { day_key: dayKey, workers: due.length, assignments_added: added };
+}
+
+// How many active tasks each eligibility rule rules out for a worker, in
+// order; a task is counted against the first rule it fails.
+async function funnel(userId, p) {
+  const needs = taskTypes
+    .list()
+    .filter((d) => !typeAllowed(d.type, p.capabilities))
+    .map((d) => d.type);
+  const row = await get(
+    `SELECT COUNT(*) AS active,
+            SUM(done) AS done,
+            SUM(NOT done AND lang) AS language,
+            SUM(NOT done AND NOT lang AND device) AS device,
+            SUM(NOT done AND NOT lang AND NOT device AND hard) AS complexity,
+            SUM(NOT done AND NOT lang AND NOT device AND NOT hard AND NOT open) AS consensus_full,
+            SUM(NOT done AND NOT lang AND NOT device AND NOT hard AND open) AS eligible
+     FROM (
+       SELECT EXISTS (SELECT 1 FROM task_completions tc WHERE tc.task_id = t.id AND tc.user_id = ?) AS done,
+              (t.language IS NOT NULL AND t.language NOT IN (${p.languages.map(() => "?").join(",")})) AS lang,
+              ${needs.length ? `t.type IN (${needs.map(() => "?").join(",")})` : "0"} AS device,
+              t.complexity > ? AS hard,
+              ${reservations.OPEN_SLOT} AS open
+       FROM tasks t WHERE t.active = 1
+     )`,
+    [userId, ...p.languages, ...needs, p.max_complexity, userId]
+  );
+  return Object.fromEntries(Object.entries(row).map(([k, v]) => [k, v || 0]));
+}
+
+// Why a worker has the tasks they have on a day: the stored profile and
+// per-task scores, plus what the eligibility rules leave and which ordinary
+// tasks the allocator would pick next.
+async function explain(userId, dayKey, { preview = true } = {}) {
+  const record = await get("SELECT * FROM task_allocations WHERE user_id = ? AND day_key = ?", [userId, dayKey]);
+  const stored = record ? JSON.parse(record.profile) : null;
+  const current = await profile(userId, { capabilities: stored?.capabilities || null });
+  if (!current) return null;
+
+  const assignments = await all(
+    `SELECT dt.id, dt.task_id, dt.assigned_at, dt.completed_at, dt.allocation,
+            t.type, t.title, t.complexity, t.language, t.is_gold, t.consensus_target
+     FROM daily_tasks dt JOIN tasks t ON t.id = dt.task_id
+     WHERE dt.user_id = ? AND dt.day_key = ?
+     ORDER BY dt.id ASC`,
+    [userId, dayKey]
+  );
+
+  let next = null;
+  if (preview) {
+    const scored = (await rank(userId, dayKey, current, false)).sort((a, b) => b.score - a.score).slice(0, 10);
+    next = {
+      funnel: await funnel(userId, current),
+      candidates: scored.map((c) => ({
+        task_id: c.task.id,
+        type: c.task.type,
+        complexity: c.task.complexity,
+        language: c.task.language,
+        collected: c.task.collected,
+        consensus_target: c.task.consensus_target,
+        score: c.score,
+        parts: c.parts,
+        target_complexity: c.target_complexity,
+        seen: c.seen,
+      })),
+    };
+  }
+
+  return {
+    day_key: dayKey,
+    weights: WEIGHTS,
+    quotas: QUOTAS,
+    allocation: record ? { ...record, profile: stored } : null,
+    profile: current,
+    assignments: assignments.map((a) => ({ ...a, allocation: a.allocation ? JSON.parse(a.allocation) : null })),
+    next,
+  };
+}
+
+module.exports = {
+  TIERS,
+  QUOTAS,
+  CAPABILITIES,
+  DEFAULT_LANGUAGES,
+  parseLanguages,
+  parseCapabilities,
+  profile,
+  ensureDailyTasks,
+  dailyProfile,
+  topUpDue,
+  explain,
+};
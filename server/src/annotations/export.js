@@ -0,0 +1,217 @@
+const fs = require("fs");
+const { once } = require("events");
+const { all } = require("../db");
+const media = require("../media");
+
+// Agreed box/point annotations in the formats training tools read:
+//  - coco: one JSON file (instances for boxes, one-keypoint instances for
+//    points), pixel coordinates, so only images with known dimensions;
+//  - yolo: an archive with classes.txt, data.yaml and labels/<image>.txt
+//    ("class cx cy w h", normalised).
+// Images are named task_<id>.<ext> in both. With images=1 the result is a
+// tar archive that also holds the image files we store ourselves;
+// images.csv says where the rest came from.
+
+const FORMATS = { coco: ["image_bbox", "image_points"], yolo: ["image_bbox"] };
+
+const EXT = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp", "image/bmp": "bmp" };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Label set of the whole export, in first-seen order; the index is the
+// YOLO class and index + 1 the COCO category id.
+function categories(items) {
+  const names = [];
+  for (const i of items) {
+    const used = (i.consensus_answer?.boxes || i.consensus_answer?.points || []).map((a) => a.label);
+    for (const l of [...(i.labels || []), ...used]) if (!names.includes(l)) names.push(l);
+  }
+  return names;
+}
+
+// Adds the stored image (if any) and a file name to each item.
+async function withImages(items) {
+  const ids = [...new Set(items.map((i) => i.media_id).filter(Boolean))];
+  const assets = new Map();
+  for (let i = 0; i < ids.length; i += 400) {
+    const chunk = ids.slice(i, i + 400);
+    const rows = await all(
+      `SELECT id, sha256, mime, kind, width, height, size_bytes FROM media_assets WHERE id IN (${chunk.map(() => "?").join(",")})`,
+      chunk
+    );
+    for (const r of rows) if (r.kind === "image") assets.set(r.id, r);
+  }
+  return items.map((i) => {
+    const asset = assets.get(i.media_id) || null;
+    const urlExt = String(i.media_url || "").toLowerCase().split("?")[0].match(/\.([a-z0-9]{3,4})$/)?.[1];
+    const ext = (asset && EXT[asset.mime]) || urlExt || "jpg";
+    return { ...i, asset, file_name: `task_${i.task_id}.${ext}` };
+  });
+}
+
+function coco(type, items, names) {
+  const skipped = [];
+  const images = [];
+  const annotations = [];
+  for (const i of items) {
+    const w = i.asset?.width;
+    const h = i.asset?.height;
+    if (!w || !h) {
+      skipped.push(i.task_id);
+      continue;
+    }
+    images.push({ id: i.task_id, file_name: i.file_name, width: w, height: h });
+    for (const a of i.consensus_answer?.boxes || []) {
+      const bbox = [a.x * w, a.y * h, a.w * w, a.h * h].map((n) => Math.round(n * 100) / 100);
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: i.task_id,
+        category_id: names.indexOf(a.label) + 1,
+        bbox,
+        area: Math.round(bbox[2] * bbox[3] * 100) / 100,
+        iscrowd: 0,
+      });
+    }
+    for (const p of i.consensus_answer?.points || []) {
+      const x = Math.round(p.x * w * 100) / 100;
+      const y = Math.round(p.y * h * 100) / 100;
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: i.task_id,
+        category_id: names.indexOf(p.label) + 1,
+        keypoints: [x, y, 2],
+        num_keypoints: 1,
+        bbox: [x, y, 0, 0],
+        area: 0,
+        iscrowd: 0,
+      });
+    }
+  }
+  return {
+    info: {
+      description: `${type} consensus annotations`,
+      date_created: new Date().toISOString(),
+      // items whose image size we don't know (not in our media store yet)
+      skipped_tasks: skipped,
+    },
+    licenses: [],
+    images,
+    categories: names.map((name, n) => ({
+      id: n + 1,
+      name,
+      supercategory: "",
+      ...(type === "image_points" && { keypoints: [name], skeleton: [] }),
+    })),
+    annotations,
+  };
+}
+
+function yoloLabels(item, names) {
+  const f = (n) => n.toFixed(6);
+  return (item.consensus_answer?.boxes || [])
+    .map((b) => [names.indexOf(b.label), f(b.x + b.w / 2), f(b.y + b.h / 2), f(b.w), f(b.h)].join(" "))
+    .join("\n");
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function imagesCsv(items) {
+  const rows = items.map((i) =>
+    [i.file_name, i.task_id, i.media_id, i.asset?.width, i.asset?.height, i.media_url].map(csvCell).join(",")
+  );
+  return ["file,task_id,media_id,width,height,source_url", ...rows].join("\n") + "\n";
+}
+
+// ---- tar (ustar) ----
+function tarHeader(name, size) {
+  const h = Buffer.alloc(512);
+  const put = (value, offset, length) => h.write(value, offset, length, "utf8");
+  put(name, 0, 100);
+  put("0000644\0", 100, 8);
+  put("0000000\0", 108, 8);
+  put("0000000\0", 116, 8);
+  put(size.toString(8).padStart(11, "0") + "\0", 124, 12);
+  put(Math.floor(Date.now() / 1000).toString(8).padStart(11, "0") + "\0", 136, 12);
+  put("        ", 148, 8);
+  put("0", 156, 1);
+  put("ustar\0", 257, 6);
+  put("00", 263, 2);
+  let sum = 0;
+  for (const b of h) sum += b;
+  put(sum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+  return h;
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, "drain");
+}
+
+async function tarFile(res, name, size, chunks) {
+  await write(res, tarHeader(name, size));
+  for await (const chunk of chunks) await write(res, chunk);
+  if (size % 512) await write(res, Buffer.alloc(512 - (size % 512)));
+}
+
+function tarText(res, name, text) {
+  const buf = Buffer.from(text, "utf8");
+  return tarFile(res, name, buf.length, [buf]);
+}
+
+// Streams the export for `items` (quality.exportItems() of one type).
+async function send(res, { format, type, items, images = false }) {
+  if (!FORMATS[format]) throw httpError(400, "Format must be coco or yolo");
+  if (!FORMATS[format].includes(type)) {
+    throw httpError(400, `${format} export needs type=${FORMATS[format].join(" or type=")}`);
+  }
+  const list = await withImages(items);
+  const names = categories(list);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === "coco" && !images) {
+    res.attachment(`${type}_coco_${stamp}.json`);
+    return res.json(coco(type, list, names));
+  }
+
+  // only files still on disk go in the archive
+  const files = [];
+  if (images) {
+    for (const i of list) {
+      if (!i.asset) continue;
+      const file = media.objectPath(i.asset.sha256);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat) files.push({ name: `images/${i.file_name}`, file, size: stat.size });
+    }
+  }
+
+  res.type("application/x-tar");
+  res.attachment(`${type}_${format}_${stamp}.tar`);
+  try {
+    if (format === "coco") {
+      await tarText(res, "annotations.json", JSON.stringify(coco(type, list, names)));
+    } else {
+      await tarText(res, "classes.txt", names.join("\n") + "\n");
+      const yaml = names.map((n, k) => `  ${k}: ${JSON.stringify(n)}`).join("\n");
+      await tarText(res, "data.yaml", `path: .\ntrain: images\nval: images\nnames:\n${yaml}\n`);
+      for (const i of list) {
+        const labels = yoloLabels(i, names);
+        await tarText(res, `labels/${i.file_name.replace(/\.[^.]+$/, ".txt")}`, labels ? labels + "\n" : "");
+      }
+    }
+    await tarText(res, "images.csv", imagesCsv(list));
+    for (const f of files) await tarFile(res, f.name, f.size, fs.createReadStream(f.file));
+    res.end(Buffer.alloc(1024));
+  } catch (e) {
+    // headers are gone; a cut-off archive is the only signal left
+    console.error("annotation export failed:", e.message);
+    res.destroy(e);
+  }
+}
+
+module.exports = { FORMATS, send };
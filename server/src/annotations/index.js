@@ -0,0 +1,289 @@
+const { z } = require("zod");
+
+// Structured image annotation. Answers to these types are JSON checked
+// against a per-type schema and the task's own label set (tasks.labels), so
+// they can be scored, aggregated and exported (export.js) without anyone
+// reading them. Coordinates are fractions of the image (0–1 from the top
+// left), so they don't depend on the size the worker saw it at.
+
+// type -> key of the answer's list
+const TYPES = {
+  image_labels: "labels",
+  image_bbox: "boxes",
+  image_points: "points",
+};
+
+const MAX_LABELS = 200;
+const MAX_LABEL_LENGTH = 60;
+const MAX_ITEMS = 100;
+// boxes overlapping at least this much (IoU) are the same object
+const BOX_MATCH = 0.5;
+// points closer than this (fraction of the image) are the same spot
+const POINT_MATCH = 0.05;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function normLabel(s) {
+  return String(s).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// A label set from an import cell ("car|bus|person") or a JSON array.
+function parseLabels(v) {
+  let list = v;
+  if (typeof v === "string" && v.trim().startsWith("[")) {
+    try {
+      list = JSON.parse(v);
+    } catch {
+      throw httpError(400, "labels is not a valid JSON array");
+    }
+  }
+  if (!Array.isArray(list)) list = String(v ?? "").split(/[|,;\n]/);
+  const labels = [...new Set(list.map(normLabel).filter(Boolean))];
+  if (labels.length > MAX_LABELS) throw httpError(400, `at most ${MAX_LABELS} labels`);
+  const long = labels.find((l) => l.length > MAX_LABEL_LENGTH);
+  if (long) throw httpError(400, `label "${long.slice(0, 20)}…" is longer than ${MAX_LABEL_LENGTH} characters`);
+  return labels;
+}
+
+function taskLabels(task) {
+  try {
+    return task.labels ? JSON.parse(task.labels) : [];
+  } catch {
+    return [];
+  }
+}
+
+const Label = z.string().trim().min(1, "labels can't be empty").max(MAX_LABEL_LENGTH).transform(normLabel);
+const Coord = z.number().finite().min(0).max(1);
+const Size = z.number().finite().positive().max(1);
+
+const Box = z
+  .object({ label: Label, x: Coord, y: Coord, w: Size, h: Size })
+  .refine((b) => b.x + b.w <= 1.001 && b.y + b.h <= 1.001, "a box goes outside the image");
+const Point = z.object({ label: Label, x: Coord, y: Coord });
+
+const SCHEMAS = {
+  image_labels: z.object({ labels: z.array(Label).min(1, "pick at least one label").max(MAX_LABELS) }),
+  image_bbox: z.object({ boxes: z.array(Box).max(MAX_ITEMS, `at most ${MAX_ITEMS} boxes`) }),
+  image_points: z.object({ points: z.array(Point).max(MAX_ITEMS, `at most ${MAX_ITEMS} points`) }),
+};
+
+function canonical(type, answer) {
+  if (type === "image_labels") return { labels: [...new Set(answer.labels)] };
+  if (type === "image_bbox") {
+    return {
+      boxes: answer.boxes.map((b) => ({
+        label: b.label,
+        x: round(b.x),
+        y: round(b.y),
+        w: round(Math.min(b.w, 1 - b.x)),
+        h: round(Math.min(b.h, 1 - b.y)),
+      })),
+    };
+  }
+  return { points: answer.points.map((p) => ({ label: p.label, x: round(p.x), y: round(p.y) })) };
+}
+
+// Validates a worker's (or reviewer's, or an import's gold) answer for
+// `task` ({ type, labels }). Takes the JSON text or the parsed object and
+// returns the answer in canonical form; throws 400 with what is wrong.
+function parseAnswer(task, raw) {
+  const schema = SCHEMAS[task.type];
+  if (!schema) throw httpError(400, `${task.type} answers are plain text`);
+  let value = raw;
+  if (typeof raw === "string") {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      throw httpError(400, `${task.type} answers must be JSON`);
+    }
+  }
+  const r = schema.safeParse(value);
+  if (!r.success) {
+    const issue = r.error.issues[0];
+    const where = issue.path.length ? `${issue.path.join(".")}: ` : "";
+    throw httpError(400, `${where}${issue.message}`);
+  }
+  const answer = canonical(task.type, r.data);
+  const allowed = taskLabels(task);
+  if (allowed.length) {
+    const used = task.type === "image_labels" ? answer.labels : answer[TYPES[task.type]].map((i) => i.label);
+    const unknown = used.find((l) => !allowed.includes(l));
+    if (unknown) throw httpError(400, `"${unknown}" is not one of this task's labels`);
+  }
+  return answer;
+}
+
+// A stored answer (JSON text) or null when it isn't one.
+function readAnswer(type, text) {
+  if (!TYPES[type] || !text) return null;
+  try {
+    const r = SCHEMAS[type].safeParse(JSON.parse(text));
+    return r.success ? canonical(type, r.data) : null;
+  } catch {
+    return null;
+  }
+}
+
+function iou(a, b) {
+  const w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  if (w <= 0 || h <= 0) return 0;
+  const inter = w * h;
+  return inter / (a.w * a.h + b.w * b.h - inter);
+}
+
+// 1 at the same spot, 0 at POINT_MATCH apart, negative beyond
+function closeness(a, b) {
+  return 1 - Math.hypot(a.x - b.x, a.y - b.y) / POINT_MATCH;
+}
+
+const GEOMETRY = {
+  image_bbox: { key: "boxes", similarity: iou, min: BOX_MATCH },
+  image_points: { key: "points", similarity: closeness, min: 0 },
+};
+
+// Dice/F1 overlap of two lists of items, where `same(a, b)` gives the match
+// strength (or -1 for no match). Greedy one-to-one matching, best first.
+function overlap(a, b, same) {
+  if (!a.length && !b.length) return 1;
+  if (!a.length || !b.length) return 0;
+  const pairs = [];
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const s = same(a[i], b[j]);
+      if (s >= 0) pairs.push([s, i, j]);
+    }
+  }
+  pairs.sort((p, q) => q[0] - p[0]);
+  const usedA = new Set();
+  const usedB = new Set();
+  for (const [, i, j] of pairs) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    usedA.add(i);
+    usedB.add(j);
+  }
+  return (2 * usedA.size) / (a.length + b.length);
+}
+
+function sameItem(geo) {
+  return (a, b) => {
+    if (a.label !== b.label) return -1;
+    const s = geo.similarity(a, b);
+    return s >= geo.min ? s : -1;
+  };
+}
+
+function items(type, answer) {
+  if (!answer) return [];
+  return type === "image_labels" ? answer.labels : answer[GEOMETRY[type].key];
+}
+
+// How well two answers agree, 0–1.
+function compare(type, a, b) {
+  if (type === "image_labels") return overlap(items(type, a), items(type, b), (x, y) => (x === y ? 1 : -1));
+  return overlap(items(type, a), items(type, b), sameItem(GEOMETRY[type]));
+}
+
+function meanItem(type, group) {
+  const avg = (k) => round(group.reduce((s, g) => s + g[k], 0) / group.length);
+  const item = { label: group[0].label, x: avg("x"), y: avg("y") };
+  if (type === "image_bbox") Object.assign(item, { w: avg("w"), h: avg("h") });
+  return item;
+}
+
+// Groups matching boxes/points across workers (at most one per worker per
+// group); groups marked by more than half of them become the consensus,
+// averaged.
+function consensusItems(type, answers) {
+  const geo = GEOMETRY[type];
+  const same = sameItem(geo);
+  const groups = [];
+  answers.forEach((answer, worker) => {
+    for (const item of items(type, answer)) {
+      let best = null;
+      let bestScore = -1;
+      for (const g of groups) {
+        if (g.workers.has(worker)) continue;
+        const s = same(meanItem(type, g.items), item);
+        if (s > bestScore) {
+          best = g;
+          bestScore = s;
+        }
+      }
+      if (best && bestScore >= 0) {
+        best.items.push(item);
+        best.workers.add(worker);
+      } else {
+        groups.push({ items: [item], workers: new Set([worker]) });
+      }
+    }
+  });
+  return groups
+    .filter((g) => g.workers.size > answers.length / 2)
+    .map((g) => meanItem(type, g.items))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+// answers: [{ id, answer }] with answers as stored. Same shape as the
+// other types' aggregate() (task_types/): { agreement, consensus (JSON
+// text), perAnswer }.
+function aggregate(type, answers) {
+  const parsed = answers.map((a) => readAnswer(type, a.answer));
+  let consensus;
+  if (type === "image_labels") {
+    const votes = new Map();
+    for (const p of parsed) for (const l of items(type, p)) votes.set(l, (votes.get(l) || 0) + 1);
+    const labels = [...votes.entries()]
+      .filter(([, n]) => n > answers.length / 2)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([l]) => l);
+    consensus = { labels };
+  } else {
+    consensus = { [GEOMETRY[type].key]: consensusItems(type, parsed) };
+  }
+
+  let pairSum = 0;
+  let pairs = 0;
+  for (let i = 0; i < parsed.length; i++) {
+    for (let j = i + 1; j < parsed.length; j++) {
+      pairSum += compare(type, parsed[i], parsed[j]);
+      pairs++;
+    }
+  }
+  return {
+    agreement: round(pairs ? pairSum / pairs : 1),
+    consensus: JSON.stringify(consensus),
+    perAnswer: new Map(answers.map((a, i) => [a.id, round(compare(type, parsed[i], consensus))])),
+  };
+}
+
+// 0–1 score of a stored answer against a task's gold answer, or null when
+// the gold answer can't be read.
+function scoreGold(task, answer) {
+  const gold = readAnswer(task.type, task.gold_answer);
+  if (!gold) return null;
+  return compare(task.type, readAnswer(task.type, answer), gold);
+}
+
+module.exports = {
+  TYPES,
+  MAX_LABELS,
+  normLabel,
+  parseLabels,
+  taskLabels,
+  parseAnswer,
+  readAnswer,
+  iou,
+  compare,
+  aggregate,
+  scoreGold,
+};
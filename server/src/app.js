@@ -0,0 +1,81 @@
+const express = require("express");
+const cors = require("cors");
+const { get } = require("./db");
+const auth = require("./auth");
+const account = require("./account");
+const referrals = require("./referrals");
+const tasks = require("./tasks");
+const wallet = require("./wallet");
+const withdrawals = require("./withdrawals");
+const payouts = require("./payouts");
+const admin = require("./admin");
+const media = require("./media");
+
+// [versioned path, older path, router]. Each router is served under
+// /api/v1 and, until the client and payout callbacks have moved, at the
+// older unversioned path too.
+const ROUTES = [
+  ["/auth", "/api/auth", auth.router],
+  ["/account", "/api/me", account],
+  ["/referrals", "/api/referrals", referrals],
+  ["/tasks", "/api/tasks", tasks.router],
+  ["/wallet", "/api/wallet", wallet],
+  ["/withdrawals", "/api/withdrawals", withdrawals.router],
+  ["/payouts", "/api/payouts", payouts.router],
+  ["/admin", "/api/admin", admin.router],
+  ["/media", "/api/media", media.router],
+];
+
+function createApp() {
+  const app = express();
+  // behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip and the
+  // per-IP rate limits see the client address, not the proxy's
+  const trust = process.env.TRUST_PROXY;
+  if (trust) app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust);
+  app.use(cors());
+  app.use(express.json());
+
+  const health = (req, res) => res.json({ ok: true });
+  app.get("/api/health", health);
+
+  const v1 = express.Router();
+  v1.get("/health", health);
+  for (const [path, , router] of ROUTES) v1.use(path, router);
+  app.use("/api/v1", v1);
+
+  // ---- older paths ----
+  for (const [, legacyPath, router] of ROUTES) app.use(legacyPath, router);
+  app.get("/api/history", auth.requireAuth, tasks.history);
+
+  // POST /api/withdraw/mark-paid (finance staff, kept for existing scripts)
+  // body: { withdrawal_id, receipt_ref }
+  app.post("/api/withdraw/mark-paid", withdrawals.requireOperator, async (req, res) => {
+    try {
+      const withdrawalId = Number(req.body?.withdrawal_id);
+      const receiptRef = String(req.body?.receipt_ref ?? "").trim();
+
+      if (!Number.isFinite(withdrawalId) || !receiptRef) {
+        return res.status(400).json({ error: "withdrawal_id (number) and receipt_ref (string) are required" });
+      }
+
+      const w = await get("SELECT status FROM withdrawals WHERE id = ?", [Math.trunc(withdrawalId)]);
+      if (!w) return res.status(404).json({ error: "Withdrawal not found" });
+
+      const actor = { actorType: "operator", actorId: req.user.id };
+      if (withdrawals.canTransition(w.status, "approved")) {
+        await withdrawals.transition(Math.trunc(withdrawalId), "approved", { ...actor, reason: "Approved via mark-paid" });
+      }
+      await withdrawals.transition(Math.trunc(withdrawalId), "paid", { ...actor, receiptRef });
+
+      return res.json({ ok: true });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error("/api/withdraw/mark-paid failed:", e);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
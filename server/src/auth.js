@@ -1,140 +1,311 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { z } = require("zod");
-const { run, get } = require("./db");
+const { run, get, transaction } = require("./db");
+const referralVesting = require("./referral_vesting");
+const campaigns = require("./referral_campaigns");
+const sessions = require("./sessions");
+const mfa = require("./mfa");
+const emailTokens = require("./email_tokens");
+const otp = require("./otp");
+const lockout = require("./login_lockout");
+const { limit } = require("./ratelimit");
+const { toMsisdn } = require("./payouts/common");
 
-const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
-
-function signToken(user) {
-  return jwt.sign(
-    { id: user.id, email: user.email, username: user.username },
-    JWT_SECRET,
-    { expiresIn: "7d" }
-  );
-}
+// Authentication middleware shared by every router, and the /auth routes
+// (sign-up, login, 2FA, refresh, email links, SMS login, logout).
 
-async function generateReferralCode() {
-  // 8 chars uppercase+digits
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
-  for (let tries = 0; tries < 50; tries++) {
-    let code = "";
-    for (let i = 0; i < 8; i++) code += chars[Math.floor(Math.random() * chars.length)];
-    const exists = await get("SELECT id FROM users WHERE referral_code = ?", [code]);
-    if (!exists) return code;
-  }
-  throw new Error("Could not generate referral code");
-}
+const router = express.Router();
 
-function requireAuth(req, res, next) {
+// Sets req.user = { id, sid } from a live session's access token.
+async function requireAuth(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : "";
   if (!token) return res.status(401).json({ error: "Missing token" });
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
+    req.user = await sessions.authenticate(token);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.status ? e.message : "Server error" });
+  }
+  next();
+}
+
+// Use after requireAuth on sensitive actions. With 2FA on, the session must
+// have passed a code (POST /api/auth/step-up) within the last few minutes.
+async function requireStepUp(req, res, next) {
+  try {
+    if (await mfa.needsStepUp(req.user.id, req.user.sid)) {
+      return res.status(403).json({ error: "Enter your authenticator code to continue", code: "step_up_required" });
+    }
     next();
   } catch {
-    return res.status(401).json({ error: "Invalid token" });
+    res.status(500).json({ error: "Server error" });
   }
 }
 
-router.post(
-  "/register",
-  async (req, res) => {
-    const schema = z.object({
-      username: z.string().min(3),
-      email: z.string().email(),
-      password: z.string().min(6),
-      phone: z.string().optional().default(""),
-      referral_code: z.string().optional().default(""),
-    });
+// Staff roles. "admin" passes every role check.
+const ROLES = ["user", "reviewer", "finance", "admin"];
+
+async function loadAccess(userId) {
+  return get("SELECT role, frozen_at, delete_effective_at FROM users WHERE id = ?", [userId]);
+}
+
+// Use after requireAuth. Frozen accounts, and accounts scheduled for deletion,
+// can still sign in and look around but cannot earn, redeem or withdraw.
+async function requireActive(req, res, next) {
+  try {
+    const u = await loadAccess(req.user?.id);
+    if (!u) return res.status(401).json({ error: "Unauthorized" });
+    if (u.frozen_at) return res.status(403).json({ error: "Account is frozen. Contact support." });
+    if (u.delete_effective_at) {
+      return res.status(403).json({ error: "Your account is scheduled for deletion. Cancel the deletion to keep using it." });
+    }
+    req.user.role = u.role;
+    next();
+  } catch {
+    res.status(500).json({ error: "Server error" });
+  }
+}
 
+// Use after requireAuth.
+function requireRole(...roles) {
+  return async (req, res, next) => {
     try {
-      const body = schema.parse(req.body);
-
-      const existing = await get("SELECT id FROM users WHERE email = ? OR username = ?", [
-        body.email,
-        body.username,
-      ]);
-      if (existing) return res.status(400).json({ error: "Email or username already exists" });
-
-      let referrer = null;
-      const referralCode = (body.referral_code || "").trim();
-      if (referralCode) {
-        referrer = await get("SELECT id FROM users WHERE referral_code = ?", [referralCode]);
-        if (!referrer) return res.status(400).json({ error: "Invalid referral code" });
-      }
+      const u = await loadAccess(req.user?.id);
+      if (!u) return res.status(401).json({ error: "Unauthorized" });
+      if (u.frozen_at) return res.status(403).json({ error: "Account is frozen. Contact support." });
+      if (u.role !== "admin" && !roles.includes(u.role)) return res.status(403).json({ error: "Forbidden" });
+      req.user.role = u.role;
+      next();
+    } catch {
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+function makeReferralCode(username) {
+  const base = username.replace(/[^a-z0-9]/gi, "").slice(0, 6).toUpperCase() || "USER";
+  const rand = Math.floor(1000 + Math.random() * 9000);
+  return base + rand;
+}
 
-      const password_hash = await bcrypt.hash(body.password, 10);
-      const myCode = await generateReferralCode();
+const RegisterSchema = z.object({
+  username: z.string().min(3),
+  email: z.string().email(),
+  password: z.string().min(6),
+  referral_code: z.string().optional().default(""),
+  // older clients send camelCase
+  referralCode: z.string().optional().default(""),
+});
 
+router.post("/register", limit("register"), async (req, res) => {
+  try {
+    const data = RegisterSchema.parse(req.body);
+
+    const existsEmail = await get("SELECT id FROM users WHERE email = ?", [data.email]);
+    if (existsEmail) return res.status(400).json({ error: "Email already registered" });
+
+    const existsUser = await get("SELECT id FROM users WHERE username = ?", [data.username]);
+    if (existsUser) return res.status(400).json({ error: "Username already taken" });
+
+    let referral = null;
+    const referralCode = (data.referral_code || data.referralCode).trim();
+    if (referralCode) {
+      referral = await campaigns.resolveCode(referralCode);
+      if (!referral) return res.status(400).json({ error: "Invalid referral code" });
+    }
+    const referredById = referral?.referrerId || null;
+
+    const password_hash = await bcrypt.hash(data.password, 10);
+
+    // ensure unique referral code
+    let referral_code = makeReferralCode(data.username);
+    for (let i = 0; i < 10; i++) {
+      const existsCode = await get("SELECT id FROM users WHERE referral_code = ?", [referral_code]);
+      if (!existsCode) break;
+      referral_code = makeReferralCode(data.username);
+    }
+
+    const userInsert = await transaction(async () => {
       const ins = await run(
-        `INSERT INTO users (username, email, password_hash, phone, referral_code, referred_by)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [body.username, body.email, password_hash, body.phone || "", myCode, referrer ? referrer.id : null]
+        "INSERT INTO users (username, email, password_hash, referral_code, referred_by, balance_ksh, bonus_ksh) VALUES (?, ?, ?, ?, ?, 0, 0)",
+        [data.username, data.email, password_hash, referral_code, referredById]
       );
 
-      const newUserId = ins.lastID;
-
-      // Award bonus to referrer: +100 bonus_ksh and create referral record (only once per new user)
-      if (referrer) {
+      // the referrer's bonus stays pending until this account qualifies
+      if (referredById) {
+        const { ip, deviceId } = sessions.clientInfo(req);
         await run(
-          `INSERT OR IGNORE INTO referrals (referrer_id, referred_user_id, bonus_awarded_ksh)
-           VALUES (?, ?, 100)`,
-          [referrer.id, newUserId]
+          `INSERT INTO referrals (referrer_id, referred_user_id, campaign_id, code, bonus_ksh, signup_ip, signup_device)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            referredById,
+            ins.lastID,
+            referral.campaign?.id || null,
+            referral.code,
+            await campaigns.signupBonus(referredById, referral.campaign),
+            ip,
+            deviceId,
+          ]
         );
-        await run(`UPDATE users SET bonus_ksh = COALESCE(bonus_ksh,0) + 100 WHERE id = ?`, [referrer.id]);
       }
+      return ins;
+    });
 
-      const user = await get(
-        "SELECT id, username, email, referral_code, balance_ksh, bonus_ksh FROM users WHERE id = ?",
-        [newUserId]
-      );
+    // a mail failure shouldn't fail sign-up; the user can resend from Account
+    await emailTokens.sendVerification(userInsert.lastID).catch((e) => console.error("verification email failed:", e.message));
 
-      const token = signToken(user);
-      return res.json({ token, user });
-    } catch (e) {
-      if (e?.issues) return res.status(400).json({ error: e.issues });
-      return res.status(500).json({ error: String(e.message || e) });
+    const session = await sessions.create(userInsert.lastID, req);
+    if (referredById) {
+      await referralVesting.checkReferee(userInsert.lastID).catch((e) => console.error("referral check failed:", e.message));
     }
+    res.json(session);
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
   }
-);
+});
 
-router.post(
-  "/login",
-  async (req, res) => {
-    const schema = z.object({
-      email: z.string().email(),
-      password: z.string().min(1),
-    });
+const LoginSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(1),
+});
 
-    try {
-      const body = schema.parse(req.body);
-      const user = await get("SELECT * FROM users WHERE email = ?", [body.email]);
-      if (!user) return res.status(400).json({ error: "Invalid credentials" });
-
-      const ok = await bcrypt.compare(body.password, user.password_hash);
-      if (!ok) return res.status(400).json({ error: "Invalid credentials" });
-
-      const token = signToken(user);
-      return res.json({
-        token,
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          referral_code: user.referral_code,
-          balance_ksh: user.balance_ksh,
-          bonus_ksh: user.bonus_ksh,
-        },
-      });
-    } catch (e) {
-      if (e?.issues) return res.status(400).json({ error: e.issues });
-      return res.status(500).json({ error: String(e.message || e) });
+router.post("/login", limit("login"), async (req, res) => {
+  try {
+    const data = LoginSchema.parse(req.body);
+    await lockout.assertNotLocked(data.email);
+
+    const user = await get("SELECT id, password_hash FROM users WHERE email = ?", [data.email]);
+    const ok = user && (await bcrypt.compare(data.password, user.password_hash));
+    if (!ok) {
+      await lockout.recordFailure(data.email);
+      return res.status(400).json({ error: "Invalid credentials" });
     }
+    await lockout.clear(data.email);
+
+    // with 2FA on this is { mfa_required, mfa_token } instead of a session
+    res.json(await mfa.signIn(user.id, req));
+  } catch (e) {
+    if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+    res.status(e.status || 400).json({ error: e.message || "Bad request", code: e.code });
+  }
+});
+
+// Lifts a login lockout with the link from the lockout email.
+router.post("/unlock", limit("auth_codes"), async (req, res) => {
+  try {
+    await lockout.unlockWithToken(String(req.body?.token || ""));
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Unlock failed" });
+  }
+});
+
+// Second step of a login when 2FA is on: an authenticator or recovery code.
+router.post("/login/2fa", limit("auth_codes"), async (req, res) => {
+  try {
+    res.json(await mfa.completeSignIn(req.body?.mfa_token, req.body?.code, req));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Verification failed" });
+  }
+});
+
+// Re-confirms 2FA on the current session before a sensitive action.
+router.post("/step-up", requireAuth, async (req, res) => {
+  try {
+    res.json(await mfa.stepUp(req.user.id, req.user.sid, req.body?.code));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Verification failed" });
+  }
+});
+
+// Swaps a refresh token for a new access token and a new refresh token.
+router.post("/refresh", async (req, res) => {
+  try {
+    res.json(await sessions.refresh(req.body?.refresh_token, req));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Refresh failed" });
+  }
+});
+
+router.post("/verify", async (req, res) => {
+  try {
+    const r = await emailTokens.verifyEmail(String(req.body?.token || ""));
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Verification failed" });
+  }
+});
+
+router.post("/verify/resend", requireAuth, async (req, res) => {
+  try {
+    await emailTokens.sendVerification(req.user.id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not send email" });
+  }
+});
+
+const ForgotSchema = z.object({ email: z.string().email() });
+
+router.post("/forgot", limit("auth_codes"), async (req, res) => {
+  try {
+    const data = ForgotSchema.parse(req.body);
+    await emailTokens.requestPasswordReset(data.email).catch((e) => console.error("reset email failed:", e.message));
+    // same answer whether or not the account exists
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message || "Bad request" });
+  }
+});
+
+const ResetSchema = z.object({ token: z.string().min(1), password: z.string().min(6) });
+
+router.post("/reset", async (req, res) => {
+  try {
+    const data = ResetSchema.parse(req.body);
+    const r = await emailTokens.resetPassword(data.token, data.password);
+    // the new password works straight away, even during a lockout
+    const u = await get("SELECT email FROM users WHERE id = ?", [r.user_id]);
+    if (u) await lockout.clear(u.email);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 400).json({ error: e.message || "Reset failed" });
+  }
+});
+
+// Phone login: a code is sent only to numbers confirmed on an account, but
+// the answer is the same either way.
+router.post("/otp/request", limit("auth_codes"), async (req, res) => {
+  try {
+    const msisdn = toMsisdn(req.body?.phone);
+    if (!msisdn) return res.status(400).json({ error: "Enter a valid Kenyan mobile number" });
+    const userId = await otp.ownerOf(msisdn);
+    if (!userId) return res.json({ ok: true, expires_in: 300, resend_in: 60 });
+    const r = await otp.request({ phone: msisdn, purpose: "login", userId });
+    res.json({ ok: true, expires_in: r.expires_in, resend_in: r.resend_in });
+  } catch (e) {
+    if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+    res.status(e.status || 500).json({ error: e.message || "Could not send code" });
+  }
+});
+
+router.post("/otp/verify", limit("auth_codes"), async (req, res) => {
+  try {
+    const r = await otp.verify({ phone: req.body?.phone, purpose: "login", code: req.body?.code });
+    res.json(await mfa.signIn(r.user_id, req));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Verification failed" });
+  }
+});
+
+// Ends the session on the server, not just in the browser.
+router.post("/logout", async (req, res) => {
+  try {
+    res.json({ ok: await sessions.logout(req.body?.refresh_token) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Logout failed" });
   }
-);
+});
 
-module.exports = { router, requireAuth };
+module.exports = { router, requireAuth, requireActive, requireRole, requireStepUp, ROLES };
@@ -0,0 +1,207 @@
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const withdrawals = require("./withdrawals");
+
+// Account deletion. A request starts a grace period during which the owner
+// can cancel and nothing is removed; the account only can't earn or withdraw
+// (requireActive). When it runs out, processDue() (the "deletions.process"
+// job, every 15 minutes):
+//   - waits while a withdrawal is still in flight,
+//   - settles the main wallet per BALANCE_POLICY: "settle" pays it out to a
+//     confirmed number first and "forfeit" (or a payout that isn't possible
+//     or didn't go through) moves it to system:forfeited_balances; the bonus
+//     wallet is always forfeited,
+//   - anonymises the user row, which stays behind as a tombstone so task
+//     completions, withdrawals and the ledger keep their owner, and removes
+//     sign-in data (sessions, phones, codes, 2FA).
+
+const GRACE_DAYS = 7;
+const BALANCE_POLICY = process.env.ACCOUNT_DELETION_BALANCE_POLICY === "forfeit" ? "forfeit" : "settle";
+
+const IN_FLIGHT = ["requested", "under_review", "approved", "processing"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function inFlightWithdrawal(userId) {
+  return get(
+    `SELECT id, status FROM withdrawals WHERE user_id = ? AND status IN (${IN_FLIGHT.map(() => "?").join(",")})
+     ORDER BY id LIMIT 1`,
+    [userId, ...IN_FLIGHT]
+  );
+}
+
+async function scheduled(userId) {
+  return get("SELECT * FROM account_deletions WHERE user_id = ? AND status = 'scheduled'", [userId]);
+}
+
+// Starts the grace period. Asking again while one is running changes nothing.
+async function request(userId) {
+  return transaction(async () => {
+    const u = await get("SELECT deleted_at FROM users WHERE id = ?", [userId]);
+    if (!u || u.deleted_at) throw httpError(404, "User not found");
+    if (await inFlightWithdrawal(userId)) {
+      throw httpError(409, "Finish or cancel your pending withdrawals before deleting your account.");
+    }
+
+    if (!(await scheduled(userId))) {
+      await run(
+        "INSERT INTO account_deletions (user_id, effective_at) VALUES (?, datetime('now', ?))",
+        [userId, `+${GRACE_DAYS} days`]
+      );
+    }
+    const d = await scheduled(userId);
+    await run("UPDATE users SET delete_requested_at = ?, delete_effective_at = ? WHERE id = ?", [
+      d.requested_at,
+      d.effective_at,
+      userId,
+    ]);
+    return { delete_requested_at: d.requested_at, delete_effective_at: d.effective_at };
+  });
+}
+
+// Restores the account. Possible until processDue() has completed the deletion.
+async function cancel(userId) {
+  return transaction(async () => {
+    const upd = await run(
+      "UPDATE account_deletions SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE user_id = ? AND status = 'scheduled'",
+      [userId]
+    );
+    if (!upd.changes) throw httpError(400, "No account deletion is scheduled");
+    await run("UPDATE users SET delete_requested_at = NULL, delete_effective_at = NULL WHERE id = ?", [userId]);
+  });
+}
+
+// Where a settlement payout would go: the payment number if it's confirmed,
+// else the most recently confirmed number.
+async function payoutNumber(userId) {
+  return get(
+    `SELECT p.msisdn FROM user_phones p JOIN users u ON u.id = p.user_id
+     WHERE p.user_id = ?
+     ORDER BY (p.msisdn = u.payment_number) DESC, p.verified_at DESC LIMIT 1`,
+    [userId]
+  );
+}
+
+// Pays the main wallet out, once. Returns the new withdrawal id, or null
+// when that isn't possible and the balance should be forfeited instead.
+async function startSettlement(d, amount) {
+  if (d.settlement_withdrawal_id) return null; // tried already and it didn't pay
+  const u = await get("SELECT email_verified_at FROM users WHERE id = ?", [d.user_id]);
+  const phone = await payoutNumber(d.user_id);
+  if (!u.email_verified_at || !phone) return null;
+
+  const last = await get("SELECT method FROM withdrawals WHERE user_id = ? AND status = 'paid' ORDER BY id DESC LIMIT 1", [
+    d.user_id,
+  ]);
+  const id = await withdrawals.createWithdrawal(d.user_id, {
+    amount,
+    phoneNumber: phone.msisdn,
+    method: last?.method || "mpesa",
+    actorType: "system",
+  });
+  await run("UPDATE account_deletions SET settlement_withdrawal_id = ?, balance_policy = 'settle' WHERE id = ?", [
+    id,
+    d.id,
+  ]);
+  return id;
+}
+
+async function anonymise(userId) {
+  const phones = await all("SELECT msisdn FROM user_phones WHERE user_id = ?", [userId]);
+  for (const p of phones) await run("DELETE FROM otp_codes WHERE msisdn = ?", [p.msisdn]);
+  for (const table of [
+    "otp_codes",
+    "user_phones",
+    "sessions",
+    "auth_tokens",
+    "recovery_codes",
+    "mfa_challenges",
+    "daily_tasks",
+    "task_allocations",
+    "task_reservations",
+    "task_drafts",
+  ]) {
+    await run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+  }
+  // finance keeps the payout history, but not the full number
+  await run("UPDATE withdrawals SET phone_number = '*******' || substr(phone_number, -3) WHERE user_id = ?", [userId]);
+  await run(
+    `UPDATE users
+     SET username = 'deleted-' || id, email = 'deleted-' || id || '@deleted.invalid', password_hash = '!',
+         full_name = NULL, phone = NULL, payment_number = NULL, languages = NULL,
+         referral_code = NULL, email_verified_at = NULL,
+         totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_failed_at = NULL,
+         totp_last_step = NULL, totp_failures = 0, deleted_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [userId]
+  );
+}
+
+// Moves one due deletion forward. Returns "completed", or "waiting" while a
+// withdrawal has to finish first.
+async function execute(d) {
+  const pending = await inFlightWithdrawal(d.user_id);
+  if (pending) {
+    await run("UPDATE account_deletions SET last_error = ? WHERE id = ?", [
+      `Waiting for withdrawal #${pending.id} (${pending.status})`,
+      d.id,
+    ]);
+    return "waiting";
+  }
+
+  const balances = await ledger.getBalances(d.user_id);
+  if (BALANCE_POLICY === "settle" && balances.main > 0 && (await startSettlement(d, balances.main))) {
+    await run("UPDATE account_deletions SET last_error = 'Waiting for the settlement payout' WHERE id = ?", [d.id]);
+    return "waiting";
+  }
+
+  await transaction(async () => {
+    // re-read inside the transaction; a debt (negative main) stays on the tombstone
+    const b = await ledger.getBalances(d.user_id);
+    if (b.main > 0) await ledger.forfeitBalance(d.user_id, "main", b.main, d.id);
+    if (b.bonus > 0) await ledger.forfeitBalance(d.user_id, "bonus", b.bonus, d.id);
+    await anonymise(d.user_id);
+    await run(
+      `UPDATE account_deletions
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, last_error = NULL,
+           balance_policy = COALESCE(balance_policy, ?), forfeited_main_ksh = ?, forfeited_bonus_ksh = ?
+       WHERE id = ?`,
+      [BALANCE_POLICY, Math.max(b.main, 0), Math.max(b.bonus, 0), d.id]
+    );
+  });
+  return "completed";
+}
+
+// Works through deletions whose grace period has ended. Safe to run from
+// several places; a row is only completed once.
+async function processDue({ limit = 50 } = {}) {
+  const due = await all(
+    `SELECT * FROM account_deletions WHERE status = 'scheduled' AND effective_at <= CURRENT_TIMESTAMP
+     ORDER BY effective_at LIMIT ?`,
+    [limit]
+  );
+  const summary = { completed: 0, waiting: 0, failed: 0 };
+  for (const d of due) {
+    try {
+      await run("UPDATE account_deletions SET attempts = attempts + 1 WHERE id = ?", [d.id]);
+      summary[await execute(d)]++;
+    } catch (e) {
+      summary.failed++;
+      console.error(`account deletion #${d.id} failed:`, e.message);
+      await run("UPDATE account_deletions SET last_error = ? WHERE id = ?", [String(e.message).slice(0, 500), d.id]);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  GRACE_DAYS,
+  BALANCE_POLICY,
+  request,
+  cancel,
+  processDue,
+};
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { run, get, transaction } = require("./db");
+const mailer = require("./mailer");
+const sessions = require("./sessions");
+
+// Single-use links sent by email: verifying an address, resetting a
+// password and unlocking sign-in after a lockout (login_lockout.js). Tokens are "<id>.<random>"; only a sha256 of the token is stored,
+// and a token is spent the moment it is used.
+
+const PURPOSES = {
+  verify_email: { ttlSeconds: 48 * 60 * 60 },
+  reset_password: { ttlSeconds: 60 * 60 },
+  unlock_login: { ttlSeconds: 24 * 60 * 60 },
+};
+// A new link for the same purpose is not sent more often than this.
+const RESEND_AFTER_SECONDS = 60;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function recentlySent(userId, purpose) {
+  return get(
+    `SELECT id FROM auth_tokens
+     WHERE user_id = ? AND purpose = ? AND used_at IS NULL AND created_at > datetime('now', ?)`,
+    [userId, purpose, `-${RESEND_AFTER_SECONDS} seconds`]
+  );
+}
+
+// Issues a token; earlier unused tokens for the same purpose stop working.
+async function issue(userId, purpose, email) {
+  await run(
+    "UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+    [userId, purpose]
+  );
+  const ins = await run(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, email, expires_at)
+     VALUES (?, ?, '', ?, datetime('now', ?))`,
+    [userId, purpose, email, `+${PURPOSES[purpose].ttlSeconds} seconds`]
+  );
+  const token = `${ins.lastID}.${crypto.randomBytes(32).toString("base64url")}`;
+  await run("UPDATE auth_tokens SET token_hash = ? WHERE id = ?", [hashToken(token), ins.lastID]);
+  return token;
+}
+
+// Marks a token used and returns its row, or throws 400.
+async function consume(token, purpose) {
+  const id = Number(String(token || "").split(".")[0]);
+  const row =
+    Number.isInteger(id) && id > 0
+      ? await get("SELECT *, expires_at <= CURRENT_TIMESTAMP AS expired FROM auth_tokens WHERE id = ?", [id])
+      : null;
+  if (!row || row.purpose !== purpose || row.token_hash !== hashToken(token)) {
+    throw httpError(400, "This link is invalid.");
+  }
+  if (row.used_at) throw httpError(400, "This link has already been used.");
+  if (row.expired) throw httpError(400, "This link has expired. Request a new one.");
+
+  const upd = await run("UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL", [row.id]);
+  if (!upd.changes) throw httpError(400, "This link has already been used.");
+  return row;
+}
+
+async function sendVerification(userId, { force = false } = {}) {
+  const user = await get("SELECT id, username, email, email_verified_at FROM users WHERE id = ?", [userId]);
+  if (!user) throw httpError(404, "User not found");
+  if (user.email_verified_at) throw httpError(400, "Email is already verified");
+  if (!force && (await recentlySent(userId, "verify_email"))) {
+    throw httpError(429, "A verification email was just sent. Please wait a minute before asking again.");
+  }
+
+  const token = await issue(user.id, "verify_email", user.email);
+  await mailer.sendTemplate("verifyEmail", user.email, {
+    username: user.username,
+    token,
+    ttlHours: PURPOSES.verify_email.ttlSeconds / 3600,
+  });
+}
+
+async function verifyEmail(token) {
+  return transaction(async () => {
+    const row = await consume(token, "verify_email");
+    // the address may have changed since the link was sent
+    const upd = await run(
+      "UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email = ? AND email_verified_at IS NULL",
+      [row.user_id, row.email]
+    );
+    const u = await get("SELECT email, email_verified_at FROM users WHERE id = ?", [row.user_id]);
+    if (!upd.changes && u?.email !== row.email) throw httpError(400, "This link is for an old email address.");
+    return { email: u.email, email_verified_at: u.email_verified_at };
+  });
+}
+
+// Always resolves the same way whether or not the email is registered, so
+// the endpoint can't be used to find accounts.
+async function requestPasswordReset(email) {
+  const user = await get("SELECT id, username, email FROM users WHERE email = ?", [email]);
+  if (!user || (await recentlySent(user.id, "reset_password"))) return;
+
+  const token = await issue(user.id, "reset_password", user.email);
+  await mailer.sendTemplate("passwordReset", user.email, {
+    username: user.username,
+    token,
+    ttlMinutes: PURPOSES.reset_password.ttlSeconds / 60,
+  });
+}
+
+// Sets a new password and signs out every session. Following the link
+// proves the mailbox, so the address counts as verified too.
+async function resetPassword(token, password) {
+  const hash = await bcrypt.hash(password, 10);
+  return transaction(async () => {
+    const row = await consume(token, "reset_password");
+    await run("UPDATE users SET password_hash = ? WHERE id = ?", [hash, row.user_id]);
+    await run(
+      "UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email = ? AND email_verified_at IS NULL",
+      [row.user_id, row.email]
+    );
+    await sessions.revokeAll(row.user_id, "password_reset");
+    return { user_id: row.user_id };
+  });
+}
+
+// Sent when sign-in gets locked. At most one link per RESEND_AFTER_SECONDS.
+async function sendUnlockLink(email, { lockedMinutes }) {
+  const user = await get("SELECT id, username, email FROM users WHERE email = ?", [email]);
+  if (!user || (await recentlySent(user.id, "unlock_login"))) return;
+
+  const token = await issue(user.id, "unlock_login", user.email);
+  await mailer.sendTemplate("unlockLogin", user.email, { username: user.username, token, lockedMinutes });
+}
+
+// Spends an unlock link; returns the address it was sent to.
+async function consumeUnlockLink(token) {
+  const row = await consume(token, "unlock_login");
+  return row.email;
+}
+
+module.exports = {
+  sendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  sendUnlockLink,
+  consumeUnlockLink,
+};
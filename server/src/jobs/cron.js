@@ -0,0 +1,89 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// evaluated in an IANA time zone. Fields take *, n, a-b, lists and /step.
+// As in classic cron, when both day fields are restricted a day matching
+// either one counts.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const MINUTE = 60 * 1000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Bad cron ${name}: "${text}"`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Bad cron ${name}: "${text}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return { values, any: text === "*" };
+}
+
+function parse(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expr}"`);
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.values.has(7)) dow.values.add(0); // 7 is Sunday too
+  return { minute, hour, dom, month, dow };
+}
+
+// Wall-clock fields of instant t in timeZone.
+function localParts(t, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    weekday: "short",
+  }).formatToParts(new Date(t));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday")),
+  };
+}
+
+function dayMatches(c, p) {
+  if (!c.month.values.has(p.month)) return false;
+  const dom = c.dom.values.has(p.day);
+  const dow = c.dow.values.has(p.weekday);
+  if (c.dom.any || c.dow.any) return dom && dow;
+  return dom || dow;
+}
+
+// The first matching minute strictly after `after` (a Date), as a Date.
+function next(expr, { after = new Date(), timeZone = "UTC" } = {}) {
+  const c = typeof expr === "string" ? parse(expr) : expr;
+  let t = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+  // skip whole days and hours that can't match; a bit over 4 years covers Feb 29
+  const limit = t + 1500 * 24 * 60 * MINUTE;
+  while (t < limit) {
+    const p = localParts(t, timeZone);
+    if (!dayMatches(c, p)) {
+      t += ((23 - p.hour) * 60 + (60 - p.minute)) * MINUTE;
+    } else if (!c.hour.values.has(p.hour)) {
+      t += (60 - p.minute) * MINUTE;
+    } else if (!c.minute.values.has(p.minute)) {
+      t += MINUTE;
+    } else {
+      return new Date(t);
+    }
+  }
+  throw new Error(`Cron expression never fires: "${expr}"`);
+}
+
+module.exports = { parse, next };
@@ -0,0 +1,112 @@
+const path = require("path");
+const { execFile } = require("child_process");
+const { run, get } = require("../db");
+
+// Job type -> async handler(payload, job). Whatever a handler returns is
+// stored as the job's result; throwing counts as a failed attempt.
+// Modules are required lazily so loading the queue doesn't pull in the app.
+
+const NAIROBI_UTC_OFFSET = "+03:00"; // East Africa Time, no DST
+
+// "YYYY-MM-DD" of the Nairobi day before dayKey.
+function previousDay(dayKey) {
+  const d = new Date(`${dayKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// [start, end) of a Nairobi day in UTC, formatted like CURRENT_TIMESTAMP.
+function dayBounds(dayKey) {
+  const start = new Date(`${dayKey}T00:00:00${NAIROBI_UTC_OFFSET}`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  const fmt = (d) => d.toISOString().slice(0, 19).replace("T", " ");
+  return [fmt(start), fmt(end)];
+}
+
+// Tidies up at the start of a Nairobi day. Assignments themselves are made
+// on each worker's first GET /tasks of the day and topped up by tasks.top_up.
+async function dailyRollover() {
+  const { dayKeyNairobi } = require("../tasks");
+  const users = await run("DELETE FROM daily_tasks WHERE user_id NOT IN (SELECT id FROM users)");
+  const tasks = await run("DELETE FROM daily_tasks WHERE task_id NOT IN (SELECT id FROM tasks)");
+  return { day_key: dayKeyNairobi(), orphans_removed: users.changes + tasks.changes };
+}
+
+// Refills and clears today's assignments off the request path.
+async function dailyTopUp(payload) {
+  const { dayKeyNairobi } = require("../tasks");
+  return require("../allocator").topUpDue(dayKeyNairobi(), { limit: payload?.limit ?? 200 });
+}
+
+// Platform totals for one Nairobi day (default: yesterday), kept in reports.
+async function dailySummary(payload) {
+  const { dayKeyNairobi } = require("../tasks");
+  const day = payload?.day || previousDay(dayKeyNairobi());
+  const between = dayBounds(day);
+
+  const ledgerSum = (kind) =>
+    get(
+      `SELECT COALESCE(SUM(p.amount_ksh), 0) AS total
+       FROM ledger_entries e
+       JOIN ledger_postings p ON p.entry_id = e.id
+       JOIN ledger_accounts a ON a.id = p.account_id AND a.user_id IS NOT NULL
+       WHERE e.kind = ? AND e.created_at >= ? AND e.created_at < ?`,
+      [kind, ...between]
+    ).then((r) => r.total);
+
+  const data = {
+    day,
+    signups: (await get("SELECT COUNT(*) AS n FROM users WHERE created_at >= ? AND created_at < ?", between)).n,
+    completions: (await get("SELECT COUNT(*) AS n FROM task_completions WHERE created_at >= ? AND created_at < ?", between)).n,
+    active_workers: (
+      await get("SELECT COUNT(DISTINCT user_id) AS n FROM task_completions WHERE created_at >= ? AND created_at < ?", between)
+    ).n,
+    rewards_ksh: (await ledgerSum("task_reward")) + (await ledgerSum("task_reward_reversal")),
+    referral_bonuses_ksh: (await ledgerSum("referral_bonus")) + (await ledgerSum("referral_bonus_clawback")),
+    referral_commissions_ksh: (await ledgerSum("referral_commission")) + (await ledgerSum("referral_commission_reversal")),
+    withdrawals_requested: await get(
+      "SELECT COUNT(*) AS n, COALESCE(SUM(amount_ksh), 0) AS ksh FROM withdrawals WHERE created_at >= ? AND created_at < ?",
+      between
+    ),
+    payouts_ksh: -(await ledgerSum("withdrawal_payout")),
+  };
+  await run(
+    `INSERT INTO reports (kind, period, data) VALUES ('daily_summary', ?, ?)
+     ON CONFLICT (kind, period) DO UPDATE SET data = excluded.data, created_at = CURRENT_TIMESTAMP`,
+    [day, JSON.stringify(data)]
+  );
+  return data;
+}
+
+// Runs the media pack script; it needs espeak-ng and ffmpeg.
+function generateMediaPack() {
+  const script = path.join(__dirname, "..", "..", "scripts", "generate_media_pack.js");
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [script], { maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) return reject(new Error((stderr || err.message).trim().split("\n")[0]));
+      resolve({ output: stdout.trim().split("\n").slice(-5) });
+    });
+  });
+}
+
+const HANDLERS = {
+  "tasks.daily_rollover": dailyRollover,
+  "tasks.expire_leases": () => require("../reservations").expire(),
+  "tasks.top_up": dailyTopUp,
+  "payouts.poll": async (payload) => {
+    const results = await require("../payouts").pollProcessing({ olderThanSeconds: payload?.older_than_seconds ?? 120 });
+    return { checked: results.length, settled: results.filter((r) => r.status !== "processing").length };
+  },
+  "deletions.process": () => require("../deletions").processDue(),
+  "referrals.vest": () => require("../referral_vesting").processPending(),
+  "reports.daily_summary": dailySummary,
+  "media.generate_pack": generateMediaPack,
+  "media.process": (payload) => require("../media").processAsset(payload.id),
+  "media.localize": (payload) => require("../media").localizeTasks({ limit: payload?.limit ?? 50 }),
+  "ratelimit.prune": async () => ({
+    counters_removed: await require("../ratelimit").prune(),
+    lockouts_removed: await require("../login_lockout").prune(),
+  }),
+};
+
+module.exports = { HANDLERS };
@@ -0,0 +1,166 @@
+const { run, get, all } = require("../db");
+
+// A job queue kept in the jobs table. enqueue() from anywhere; the worker
+// process (src/worker.js) claims due jobs one at a time and runs the handler
+// registered for the job's type (handlers.js).
+//
+//   queued → running → done
+//                    ↘ queued again after a backoff, while attempts remain
+//                    ↘ dead once max_attempts is used up (an operator can retry)
+
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+// a running job whose worker went quiet this long is taken back
+const LOCK_TIMEOUT_SECONDS = Number(process.env.JOB_LOCK_TIMEOUT_SECONDS || 30 * 60);
+
+const STATUSES = ["queued", "running", "done", "dead"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Date -> "YYYY-MM-DD HH:MM:SS" (UTC), the format CURRENT_TIMESTAMP uses.
+function sqlTime(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+function present(job) {
+  return job && { ...job, payload: parseJson(job.payload), result: parseJson(job.result) };
+}
+
+// Adds a job. With dedupeKey, returns the queued or running job that already
+// has that key instead of adding a second one.
+async function enqueue(type, payload = null, { runAt = null, maxAttempts = 5, dedupeKey = null } = {}) {
+  const args = [type, payload == null ? null : JSON.stringify(payload), maxAttempts, dedupeKey];
+  const ins = await run(
+    `INSERT OR IGNORE INTO jobs (type, payload, max_attempts, dedupe_key, run_at)
+     VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [...args, runAt ? sqlTime(runAt) : null]
+  );
+  if (ins.changes) return get("SELECT * FROM jobs WHERE id = ?", [ins.lastID]).then(present);
+  return get("SELECT * FROM jobs WHERE dedupe_key = ? AND status IN ('queued', 'running')", [dedupeKey]).then(present);
+}
+
+// Takes the next due job for workerId, or returns null. The conditional
+// UPDATE makes sure two workers never get the same job.
+async function claim(workerId, types) {
+  for (;;) {
+    const job = await get(
+      `SELECT id FROM jobs WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+       AND type IN (${types.map(() => "?").join(",")})
+       ORDER BY run_at, id LIMIT 1`,
+      types
+    );
+    if (!job) return null;
+    const upd = await run(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = CURRENT_TIMESTAMP,
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'queued'`,
+      [workerId, job.id]
+    );
+    if (upd.changes) return get("SELECT * FROM jobs WHERE id = ?", [job.id]).then(present);
+  }
+}
+
+async function complete(id, result = null) {
+  await run(
+    `UPDATE jobs SET status = 'done', result = ?, last_error = NULL, locked_by = NULL, locked_at = NULL,
+            finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [result == null ? null : JSON.stringify(result), id]
+  );
+}
+
+// Requeues with exponential backoff, or dead-letters when out of attempts.
+// Returns the new status.
+async function fail(job, error) {
+  const message = String(error?.message || error).slice(0, 1000);
+  const dead = job.attempts >= job.max_attempts;
+  await run(
+    `UPDATE jobs SET status = ?, last_error = ?, locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP,
+            run_at = CASE WHEN ? THEN run_at ELSE datetime('now', ?) END,
+            finished_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END
+     WHERE id = ?`,
+    [dead ? "dead" : "queued", message, dead, `+${backoffSeconds(job.attempts)} seconds`, dead, job.id]
+  );
+  return dead ? "dead" : "queued";
+}
+
+// Running jobs whose worker stopped (crash, kill) count as a failed attempt.
+async function recoverStale() {
+  const stale = await all(
+    "SELECT * FROM jobs WHERE status = 'running' AND locked_at < datetime('now', ?)",
+    [`-${LOCK_TIMEOUT_SECONDS} seconds`]
+  );
+  for (const job of stale) await fail(job, new Error(`Worker ${job.locked_by} stopped responding`));
+  return stale.length;
+}
+
+// Puts a dead job back in the queue with a fresh set of attempts, unless a
+// job with its dedupe key is already queued or running.
+async function retry(id) {
+  const upd = await run(
+    `UPDATE jobs SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP, finished_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'dead'
+       AND (dedupe_key IS NULL OR NOT EXISTS (SELECT 1 FROM jobs j WHERE j.dedupe_key = jobs.dedupe_key
+                                              AND j.status IN ('queued', 'running')))`,
+    [id]
+  );
+  if (!upd.changes) {
+    const job = await get("SELECT status FROM jobs WHERE id = ?", [id]);
+    if (job?.status === "dead") throw httpError(409, "A job with the same key is already queued or running");
+    throw httpError(409, "Only dead jobs can be retried");
+  }
+  return get("SELECT * FROM jobs WHERE id = ?", [id]).then(present);
+}
+
+async function list({ status = null, type = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (type) {
+    where.push("type = ?");
+    params.push(type);
+  }
+  const rows = await all(
+    `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(present);
+}
+
+// Job counts per type and status.
+async function stats() {
+  return all("SELECT type, status, COUNT(*) AS n, MIN(run_at) AS oldest_run_at FROM jobs GROUP BY type, status ORDER BY type");
+}
+
+module.exports = {
+  STATUSES,
+  sqlTime,
+  enqueue,
+  claim,
+  complete,
+  fail,
+  recoverStale,
+  retry,
+  list,
+  stats,
+};
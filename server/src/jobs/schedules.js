@@ -0,0 +1,59 @@
+const { run, all } = require("../db");
+const cron = require("./cron");
+const jobs = require("./index");
+
+// Recurring jobs. The worker calls tick() every poll; a due schedule enqueues
+// one job (deduplicated, so a slow run isn't stacked up behind itself) and
+// moves on to its next time. Runs missed while no worker was up collapse
+// into a single one.
+const SCHEDULES = [
+  { name: "daily-rollover", cron: "0 0 * * *", timeZone: "Africa/Nairobi", type: "tasks.daily_rollover" },
+  { name: "task-leases", cron: "*/5 * * * *", timeZone: "Africa/Nairobi", type: "tasks.expire_leases" },
+  { name: "task-top-up", cron: "*/5 * * * *", timeZone: "Africa/Nairobi", type: "tasks.top_up" },
+  { name: "daily-summary", cron: "15 0 * * *", timeZone: "Africa/Nairobi", type: "reports.daily_summary" },
+  { name: "payout-poll", cron: "*/5 * * * *", timeZone: "Africa/Nairobi", type: "payouts.poll" },
+  { name: "deletions", cron: "*/15 * * * *", timeZone: "Africa/Nairobi", type: "deletions.process" },
+  { name: "referral-vesting", cron: "20 * * * *", timeZone: "Africa/Nairobi", type: "referrals.vest" },
+  { name: "media-localize", cron: "40 * * * *", timeZone: "Africa/Nairobi", type: "media.localize" },
+  { name: "ratelimit-prune", cron: "7 * * * *", timeZone: "Africa/Nairobi", type: "ratelimit.prune" },
+];
+
+function nextRun(s, after = new Date()) {
+  return jobs.sqlTime(cron.next(s.cron, { after, timeZone: s.timeZone }));
+}
+
+async function tick(now = new Date()) {
+  const rows = new Map((await all("SELECT * FROM job_schedules")).map((r) => [r.name, r]));
+  const enqueued = [];
+  for (const s of SCHEDULES) {
+    const row = rows.get(s.name);
+    // new schedule, or its expression changed: start counting from now
+    if (!row || row.cron !== s.cron) {
+      await run(
+        `INSERT INTO job_schedules (name, cron, next_run_at) VALUES (?, ?, ?)
+         ON CONFLICT (name) DO UPDATE SET cron = excluded.cron, next_run_at = excluded.next_run_at`,
+        [s.name, s.cron, nextRun(s, now)]
+      );
+      continue;
+    }
+    if (row.next_run_at > jobs.sqlTime(now)) continue;
+
+    const job = await jobs.enqueue(s.type, s.payload || null, { dedupeKey: `schedule:${s.name}` });
+    await run("UPDATE job_schedules SET next_run_at = ?, last_run_at = ?, last_job_id = ? WHERE name = ?", [
+      nextRun(s, now),
+      jobs.sqlTime(now),
+      job.id,
+      s.name,
+    ]);
+    enqueued.push(job);
+  }
+  return enqueued;
+}
+
+// Schedules with their stored state, for the operator view.
+async function list() {
+  const rows = new Map((await all("SELECT * FROM job_schedules")).map((r) => [r.name, r]));
+  return SCHEDULES.map((s) => ({ ...s, ...(rows.get(s.name) || {}), cron: s.cron }));
+}
+
+module.exports = { SCHEDULES, tick, list };
@@ -0,0 +1,60 @@
+const os = require("os");
+const jobs = require("./index");
+const schedules = require("./schedules");
+const { HANDLERS } = require("./handlers");
+
+// The loop behind src/worker.js: fire due schedules, take stale jobs back,
+// then run queued jobs one at a time until none are due, and sleep.
+
+const POLL_MS = Number(process.env.JOB_POLL_SECONDS || 5) * 1000;
+
+function start({ id = `${os.hostname()}:${process.pid}`, pollMs = POLL_MS } = {}) {
+  let stopping = false;
+  let timer = null;
+  let wake = null;
+  const types = Object.keys(HANDLERS);
+
+  async function runOne(job) {
+    const started = Date.now();
+    try {
+      const result = await HANDLERS[job.type](job.payload, job);
+      await jobs.complete(job.id, result ?? null);
+      console.log(`job ${job.id} ${job.type} done in ${Date.now() - started}ms`);
+    } catch (e) {
+      const status = await jobs.fail(job, e);
+      console.error(`job ${job.id} ${job.type} failed (attempt ${job.attempts}/${job.max_attempts}, now ${status}):`, e.message);
+    }
+  }
+
+  async function loop() {
+    while (!stopping) {
+      try {
+        await schedules.tick();
+        await jobs.recoverStale();
+        let job;
+        while (!stopping && (job = await jobs.claim(id, types))) await runOne(job);
+      } catch (e) {
+        console.error("worker loop error:", e.message);
+      }
+      if (!stopping) {
+        await new Promise((resolve) => {
+          wake = resolve;
+          timer = setTimeout(resolve, pollMs);
+        });
+      }
+    }
+  }
+
+  const done = loop();
+  console.log(`Worker ${id} started (${types.length} job types)`);
+
+  // Finishes the job in hand, then resolves.
+  return function stop() {
+    stopping = true;
+    clearTimeout(timer);
+    wake?.();
+    return done;
+  };
+}
+
+module.exports = { start };
@@ -0,0 +1,375 @@
+const { run, get, all, transaction } = require("./db");
+
+// Journal entry kinds. Anything not listed here is rejected by post().
+const ENTRY_KINDS = new Set([
+  "task_reward",
+  "task_reward_reversal",
+  "referral_bonus",
+  "referral_bonus_clawback",
+  "referral_commission",
+  "referral_commission_reversal",
+  "bonus_redeem",
+  "withdrawal_hold",
+  "withdrawal_release",
+  "withdrawal_payout",
+  "adjustment",
+  "closure_forfeit",
+]);
+
+// Per-user wallets: "main" is spendable, "bonus" is the referral wallet and
+// "held" carries funds reserved by in-flight withdrawals.
+const USER_WALLETS = new Set(["main", "bonus", "held"]);
+
+// Contra accounts for the platform side of every movement. Their balances go
+// negative as money flows out to users.
+const SYSTEM = {
+  rewards: "system:task_rewards",
+  referrals: "system:referral_bonuses",
+  payouts: "system:payouts",
+  adjustments: "system:adjustments",
+  forfeits: "system:forfeited_balances",
+};
+
+// Which users column mirrors which wallet.
+const USER_CACHE_COLUMN = { main: "balance_ksh", bonus: "bonus_ksh" };
+
+function userAccountCode(userId, wallet) {
+  return `user:${userId}:${wallet}`;
+}
+
+async function ensureAccount(ref) {
+  let code, userId, wallet;
+  if (typeof ref === "string") {
+    code = ref;
+    userId = null;
+    wallet = "system";
+  } else {
+    if (!USER_WALLETS.has(ref.wallet)) throw new Error(`Unknown wallet: ${ref.wallet}`);
+    userId = Number(ref.userId);
+    wallet = ref.wallet;
+    code = userAccountCode(userId, wallet);
+  }
+
+  await run(
+    "INSERT OR IGNORE INTO ledger_accounts (code, user_id, wallet) VALUES (?, ?, ?)",
+    [code, userId, wallet]
+  );
+  return get("SELECT id, code, user_id, wallet, balance_ksh FROM ledger_accounts WHERE code = ?", [code]);
+}
+
+// Writes one balanced journal entry. Must run inside a transaction (see
+// db.transaction) so the entry, its postings and the cached balances land
+// together.
+//
+// lines: [{ account: "system:..." | { userId, wallet }, amount }]
+async function post({ kind, lines, refType = null, refId = null, memo = null, actorId = null, allowNegative = false }) {
+  if (!ENTRY_KINDS.has(kind)) throw new Error(`Unknown ledger entry kind: ${kind}`);
+  if (!Array.isArray(lines) || lines.length < 2) throw new Error("A ledger entry needs at least two postings");
+
+  let total = 0;
+  for (const l of lines) {
+    if (!Number.isInteger(l.amount) || l.amount === 0) throw new Error("Posting amounts must be non-zero integers");
+    total += l.amount;
+  }
+  if (total !== 0) throw new Error("Ledger entry does not balance");
+
+  const accounts = [];
+  for (const l of lines) {
+    const acct = await ensureAccount(l.account);
+    if (!allowNegative && acct.user_id != null && acct.balance_ksh + l.amount < 0) {
+      const err = new Error("Insufficient funds");
+      err.status = 400;
+      throw err;
+    }
+    accounts.push(acct);
+  }
+
+  const entry = await run(
+    "INSERT INTO ledger_entries (kind, ref_type, ref_id, memo, actor_id) VALUES (?, ?, ?, ?, ?)",
+    [kind, refType, refId, memo, actorId]
+  );
+
+  for (let i = 0; i < lines.length; i++) {
+    const acct = accounts[i];
+    await run(
+      "INSERT INTO ledger_postings (entry_id, account_id, amount_ksh) VALUES (?, ?, ?)",
+      [entry.lastID, acct.id, lines[i].amount]
+    );
+    await run("UPDATE ledger_accounts SET balance_ksh = balance_ksh + ? WHERE id = ?", [lines[i].amount, acct.id]);
+
+    const col = USER_CACHE_COLUMN[acct.wallet];
+    if (acct.user_id != null && col) {
+      await run(
+        `UPDATE users SET ${col} = (SELECT balance_ksh FROM ledger_accounts WHERE id = ?) WHERE id = ?`,
+        [acct.id, acct.user_id]
+      );
+    }
+  }
+
+  return entry.lastID;
+}
+
+// Two-legged convenience wrapper: moves amount from one account to another.
+function transfer({ from, to, amount, ...rest }) {
+  const amt = Math.round(Number(amount));
+  if (!Number.isFinite(amt) || amt <= 0) throw new Error("Transfer amount must be positive");
+  return post({ ...rest, lines: [{ account: from, amount: -amt }, { account: to, amount: amt }] });
+}
+
+function creditTaskReward(userId, amount, completionId, { memo = null, actorId = null } = {}) {
+  return transfer({
+    kind: "task_reward",
+    from: SYSTEM.rewards,
+    to: { userId, wallet: "main" },
+    amount,
+    refType: "task_completion",
+    refId: completionId,
+    memo,
+    actorId,
+  });
+}
+
+// Takes back a reward after a rejected review. The worker may already have
+// withdrawn it, so the wallet can go negative and is netted off future earnings.
+function reverseTaskReward(userId, amount, completionId, { memo = null, actorId = null } = {}) {
+  return transfer({
+    kind: "task_reward_reversal",
+    from: { userId, wallet: "main" },
+    to: SYSTEM.rewards,
+    amount,
+    refType: "task_completion",
+    refId: completionId,
+    memo,
+    actorId,
+    allowNegative: true,
+  });
+}
+
+function creditReferralBonus(referrerId, amount, referredUserId) {
+  return transfer({
+    kind: "referral_bonus",
+    from: SYSTEM.referrals,
+    to: { userId: referrerId, wallet: "bonus" },
+    amount,
+    refType: "user",
+    refId: referredUserId,
+  });
+}
+
+// Takes back a referral bonus found to be fraudulent. It may already have been
+// redeemed, so the bonus wallet can go negative.
+function clawBackReferralBonus(referrerId, amount, referredUserId, { memo = null, actorId = null } = {}) {
+  return transfer({
+    kind: "referral_bonus_clawback",
+    from: { userId: referrerId, wallet: "bonus" },
+    to: SYSTEM.referrals,
+    amount,
+    refType: "user",
+    refId: referredUserId,
+    memo,
+    actorId,
+    allowNegative: true,
+  });
+}
+
+// A referrer's share of a referee's task reward (referral_campaigns.js),
+// paid into the bonus wallet.
+function creditReferralCommission(userId, amount, commissionId) {
+  return transfer({
+    kind: "referral_commission",
+    from: SYSTEM.referrals,
+    to: { userId, wallet: "bonus" },
+    amount,
+    refType: "referral_commission",
+    refId: commissionId,
+  });
+}
+
+function reverseReferralCommission(userId, amount, commissionId, { memo = null, actorId = null } = {}) {
+  return transfer({
+    kind: "referral_commission_reversal",
+    from: { userId, wallet: "bonus" },
+    to: SYSTEM.referrals,
+    amount,
+    refType: "referral_commission",
+    refId: commissionId,
+    memo,
+    actorId,
+    allowNegative: true,
+  });
+}
+
+function redeemBonus(userId, amount, redemptionId = null) {
+  return transfer({
+    kind: "bonus_redeem",
+    from: { userId, wallet: "bonus" },
+    to: { userId, wallet: "main" },
+    amount,
+    refType: redemptionId ? "bonus_redemption" : null,
+    refId: redemptionId,
+  });
+}
+
+// What is left in a wallet when its account is deleted and not paid out
+// (deletions.js).
+function forfeitBalance(userId, wallet, amount, deletionId) {
+  return transfer({
+    kind: "closure_forfeit",
+    from: { userId, wallet },
+    to: SYSTEM.forfeits,
+    amount,
+    refType: "account_deletion",
+    refId: deletionId,
+  });
+}
+
+function holdWithdrawal(userId, amount, withdrawalId) {
+  return transfer({
+    kind: "withdrawal_hold",
+    from: { userId, wallet: "main" },
+    to: { userId, wallet: "held" },
+    amount,
+    refType: "withdrawal",
+    refId: withdrawalId,
+  });
+}
+
+function releaseWithdrawal(userId, amount, withdrawalId, memo = null) {
+  return transfer({
+    kind: "withdrawal_release",
+    from: { userId, wallet: "held" },
+    to: { userId, wallet: "main" },
+    amount,
+    refType: "withdrawal",
+    refId: withdrawalId,
+    memo,
+  });
+}
+
+function settleWithdrawal(userId, amount, withdrawalId, memo = null) {
+  return transfer({
+    kind: "withdrawal_payout",
+    from: { userId, wallet: "held" },
+    to: SYSTEM.payouts,
+    amount,
+    refType: "withdrawal",
+    refId: withdrawalId,
+    memo,
+  });
+}
+
+// Manual correction. Positive amounts credit the wallet, negative debit it.
+function adjust(userId, wallet, amount, { memo, actorId = null, allowNegative = false, refType = null, refId = null } = {}) {
+  const amt = Math.round(Number(amount));
+  const acct = { userId, wallet };
+  const rest = { kind: "adjustment", memo, actorId, allowNegative, refType, refId };
+  return amt > 0
+    ? transfer({ ...rest, from: SYSTEM.adjustments, to: acct, amount: amt })
+    : transfer({ ...rest, from: acct, to: SYSTEM.adjustments, amount: -amt });
+}
+
+async function getBalances(userId) {
+  const rows = await all("SELECT wallet, balance_ksh FROM ledger_accounts WHERE user_id = ?", [userId]);
+  const out = { main: 0, bonus: 0, held: 0 };
+  for (const r of rows) out[r.wallet] = r.balance_ksh;
+  return out;
+}
+
+async function listEntries(userId, { limit = 50, beforeId = null } = {}) {
+  const params = [userId];
+  let cursor = "";
+  if (beforeId) {
+    cursor = "AND e.id < ?";
+    params.push(beforeId);
+  }
+  params.push(Math.min(200, Math.max(1, limit)));
+
+  return all(
+    `SELECT e.id, e.kind, e.ref_type, e.ref_id, e.memo, e.created_at,
+            a.wallet, p.amount_ksh
+     FROM ledger_postings p
+     JOIN ledger_accounts a ON a.id = p.account_id
+     JOIN ledger_entries e ON e.id = p.entry_id
+     WHERE a.user_id = ? ${cursor}
+     ORDER BY e.id DESC, p.id ASC
+     LIMIT ?`,
+    params
+  );
+}
+
+// Compares journal sums against ledger_accounts and the users cache columns.
+// With fix=true the caches are rewritten from the journal (the journal itself
+// is never touched).
+async function reconcile({ userId = null, fix = false } = {}) {
+  const where = userId == null ? "" : "WHERE a.user_id = ?";
+  const rows = await all(
+    `SELECT a.id, a.code, a.user_id, a.wallet, a.balance_ksh AS cached,
+            COALESCE((SELECT SUM(p.amount_ksh) FROM ledger_postings p WHERE p.account_id = a.id), 0) AS journal,
+            u.balance_ksh AS user_main, u.bonus_ksh AS user_bonus
+     FROM ledger_accounts a
+     LEFT JOIN users u ON u.id = a.user_id
+     ${where}`,
+    userId == null ? [] : [userId]
+  );
+
+  const mismatches = [];
+  for (const r of rows) {
+    const col = USER_CACHE_COLUMN[r.wallet];
+    const userCached = col === "balance_ksh" ? r.user_main : col === "bonus_ksh" ? r.user_bonus : null;
+    const accountOff = r.cached !== r.journal;
+    const userOff = r.user_id != null && col && userCached !== r.journal;
+    if (!accountOff && !userOff) continue;
+
+    mismatches.push({ code: r.code, journal: r.journal, account_cached: r.cached, user_cached: userCached });
+    if (fix) {
+      await run("UPDATE ledger_accounts SET balance_ksh = ? WHERE id = ?", [r.journal, r.id]);
+      if (userOff) await run(`UPDATE users SET ${col} = ? WHERE id = ?`, [r.journal, r.user_id]);
+    }
+  }
+  return { checked: rows.length, mismatches };
+}
+
+// Brings balances that predate the ledger into the journal as opening
+// adjustments, so reconcile() agrees with the users columns afterwards.
+async function backfillOpeningBalances() {
+  const users = await all(
+    `SELECT u.id, u.balance_ksh, COALESCE(u.bonus_ksh, 0) AS bonus_ksh
+     FROM users u
+     WHERE (u.balance_ksh != 0 OR COALESCE(u.bonus_ksh, 0) != 0)
+       AND NOT EXISTS (SELECT 1 FROM ledger_accounts a WHERE a.user_id = u.id)`
+  );
+
+  for (const u of users) {
+    await transaction(async () => {
+      for (const [wallet, amount] of [["main", u.balance_ksh], ["bonus", u.bonus_ksh]]) {
+        const amt = Math.round(Number(amount) || 0);
+        if (amt === 0) continue;
+        await adjust(u.id, wallet, amt, { memo: "Opening balance carried over from users table", allowNegative: true });
+      }
+    });
+  }
+  return users.length;
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  SYSTEM,
+  post,
+  transfer,
+  creditTaskReward,
+  reverseTaskReward,
+  creditReferralBonus,
+  clawBackReferralBonus,
+  creditReferralCommission,
+  reverseReferralCommission,
+  redeemBonus,
+  forfeitBalance,
+  holdWithdrawal,
+  releaseWithdrawal,
+  settleWithdrawal,
+  adjust,
+  getBalances,
+  listEntries,
+  reconcile,
+  backfillOpeningBalances,
+};
@@ -0,0 +1,93 @@
+const { run, get } = require("./db");
+const emailTokens = require("./email_tokens");
+
+// Progressive lockout for password sign-in. Every MAX_FAILURES wrong
+// passwords for an email lock it for BASE_LOCK_MINUTES, doubling with each
+// lockout up to MAX_LOCK_MINUTES. Unknown emails lock the same way so the
+// responses don't reveal which accounts exist. A successful sign-in starts
+// over. The owner can unlock early with the link emailed at lockout, by
+// resetting their password, or by asking staff.
+
+const MAX_FAILURES = 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function keyOf(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function lockedError(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  const err = httpError(
+    429,
+    `Too many failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}, use the unlock link we emailed you, or reset your password.`
+  );
+  err.code = "login_locked";
+  err.retryAfter = seconds;
+  return err;
+}
+
+// Throws 429 while the email is locked.
+async function assertNotLocked(email) {
+  const row = await get(
+    `SELECT CAST(strftime('%s', locked_until) - strftime('%s', 'now') AS INTEGER) AS left
+     FROM login_lockouts WHERE email = ? AND locked_until > CURRENT_TIMESTAMP`,
+    [keyOf(email)]
+  );
+  if (row) throw lockedError(row.left);
+}
+
+// Counts a wrong password. Throws the lockout error when this one locks it.
+async function recordFailure(email) {
+  const key = keyOf(email);
+  await run(
+    `INSERT INTO login_lockouts (email, failures, last_failed_at) VALUES (?, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (email) DO UPDATE SET failures = failures + 1, last_failed_at = CURRENT_TIMESTAMP`,
+    [key]
+  );
+  const row = await get("SELECT failures, lockouts FROM login_lockouts WHERE email = ?", [key]);
+  if (row.failures < MAX_FAILURES) return;
+
+  const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** row.lockouts, MAX_LOCK_MINUTES);
+  await run(
+    `UPDATE login_lockouts SET failures = 0, lockouts = lockouts + 1, locked_until = datetime('now', ?)
+     WHERE email = ?`,
+    [`+${minutes} minutes`, key]
+  );
+  await emailTokens
+    .sendUnlockLink(email, { lockedMinutes: minutes })
+    .catch((e) => console.error("unlock email failed:", e.message));
+  throw lockedError(minutes * 60);
+}
+
+async function clear(email) {
+  await run("DELETE FROM login_lockouts WHERE email = ?", [keyOf(email)]);
+}
+
+// Unlocks with a link from the lockout email.
+async function unlockWithToken(token) {
+  await clear(await emailTokens.consumeUnlockLink(token));
+}
+
+async function status(email) {
+  return get(
+    "SELECT failures, lockouts, locked_until, locked_until > CURRENT_TIMESTAMP AS locked FROM login_lockouts WHERE email = ?",
+    [keyOf(email)]
+  );
+}
+
+// Forgets lockouts that ended over a day ago with no failures since.
+async function prune() {
+  const r = await run(
+    "DELETE FROM login_lockouts WHERE last_failed_at < datetime('now', '-1 day') AND (locked_until IS NULL OR locked_until < datetime('now', '-1 day'))"
+  );
+  return r.changes;
+}
+
+module.exports = { MAX_FAILURES, assertNotLocked, recordFailure, clear, unlockWithToken, status, prune };
@@ -0,0 +1,37 @@
+const smtp = require("./smtp");
+const outbox = require("./outbox");
+const templates = require("./templates");
+
+// Transports implement:
+//   name
+//   send({ to, subject, text, html }) -> { id }
+// MAIL_TRANSPORT picks one; without it, SMTP is used when SMTP_HOST is set
+// and mail goes to the local outbox otherwise.
+const TRANSPORTS = { smtp, outbox };
+
+function transport() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "outbox");
+  const t = TRANSPORTS[name];
+  if (!t) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return t;
+}
+
+function appUrl(path) {
+  const base = (process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/$/, "");
+  return `${base}${path}`;
+}
+
+async function send(message) {
+  const t = transport();
+  const from = process.env.MAIL_FROM || "Synthgraphix <no-reply@synthgraphix.local>";
+  return t.send({ from, ...message });
+}
+
+// Renders a named template and sends it.
+async function sendTemplate(name, to, vars) {
+  const render = templates[name];
+  if (!render) throw new Error(`Unknown mail template: ${name}`);
+  return send({ to, ...render({ ...vars, appUrl }) });
+}
+
+module.exports = { send, sendTemplate, appUrl };
@@ -0,0 +1,23 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Development transport: each message is written to MAIL_OUTBOX_DIR as JSON
+// and summarised on the console, so links can be followed without a mail server.
+function outboxDir() {
+  return process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "..", "outbox");
+}
+
+async function send({ from, to, subject, text, html }) {
+  const id = `${new Date().toISOString().replace(/[:.]/g, "-")}_${crypto.randomBytes(3).toString("hex")}`;
+  const dir = outboxDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(dir, `${id}.json`),
+    JSON.stringify({ id, from, to, subject, text, html, created_at: new Date().toISOString() }, null, 2)
+  );
+  console.log(`[mail] to=${to} subject="${subject}"\n${text}\n`);
+  return { id };
+}
+
+module.exports = { name: "outbox", send, outboxDir };
@@ -0,0 +1,23 @@
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" } : undefined,
+    });
+  }
+  return transporter;
+}
+
+async function send({ from, to, subject, text, html }) {
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not set");
+  const info = await getTransporter().sendMail({ from, to, subject, text, html });
+  return { id: info.messageId };
+}
+
+module.exports = { name: "smtp", send };
@@ -0,0 +1,59 @@
+// Each template returns { subject, text, html }. Values are interpolated
+// into HTML, so anything user-supplied goes through esc().
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function layout(title, body) {
+  return `<!doctype html><html><body style="font-family:sans-serif;max-width:520px;margin:auto;padding:24px;color:#111">
+<h2 style="margin-top:0">${esc(title)}</h2>${body}
+<p style="color:#888;font-size:12px">Synthgraphix</p></body></html>`;
+}
+
+function button(url, label) {
+  return `<p><a href="${esc(url)}" style="display:inline-block;padding:10px 18px;background:#10b981;color:#fff;border-radius:10px;text-decoration:none">${esc(label)}</a></p>
+<p style="font-size:12px;color:#555">Or open: ${esc(url)}</p>`;
+}
+
+function verifyEmail({ username, token, ttlHours, appUrl }) {
+  const url = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  return {
+    subject: "Confirm your email address",
+    text: `Hi ${username},\n\nConfirm your email address by opening this link:\n${url}\n\nThe link expires in ${ttlHours} hours.`,
+    html: layout(
+      "Confirm your email",
+      `<p>Hi ${esc(username)},</p><p>Confirm your email address to enable withdrawals.</p>${button(url, "Confirm email")}
+<p>The link expires in ${ttlHours} hours.</p>`
+    ),
+  };
+}
+
+function passwordReset({ username, token, ttlMinutes, appUrl }) {
+  const url = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  return {
+    subject: "Reset your password",
+    text: `Hi ${username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${url}\n\nThe link expires in ${ttlMinutes} minutes and can be used once. If it wasn't you, ignore this email.`,
+    html: layout(
+      "Reset your password",
+      `<p>Hi ${esc(username)},</p><p>Someone asked to reset your password. If it was you, use the button below.</p>${button(url, "Choose a new password")}
+<p>The link expires in ${ttlMinutes} minutes and can be used once. If it wasn't you, ignore this email.</p>`
+    ),
+  };
+}
+
+function unlockLogin({ username, token, lockedMinutes, appUrl }) {
+  const url = appUrl(`/unlock-account?token=${encodeURIComponent(token)}`);
+  return {
+    subject: "Sign-in to your account was paused",
+    text: `Hi ${username},\n\nThere were several failed attempts to sign in to your account, so sign-in is paused for ${lockedMinutes} minutes.\n\nIf that was you, open this link to unlock it now:\n${url}\n\nIf it wasn't you, consider changing your password.`,
+    html: layout(
+      "Sign-in paused",
+      `<p>Hi ${esc(username)},</p><p>There were several failed attempts to sign in to your account, so sign-in is paused for ${lockedMinutes} minutes.</p>
+<p>If that was you, you can unlock it now.</p>${button(url, "Unlock sign-in")}
+<p>If it wasn't you, consider changing your password.</p>`
+    ),
+  };
+}
+
+module.exports = { verifyEmail, passwordReset, unlockLogin };
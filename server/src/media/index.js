@@ -0,0 +1,437 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const { run, get, all } = require("../db");
+const jobs = require("../jobs");
+const { sniff, dimensions, wavDurationMs, HEAD_BYTES } = require("./sniff");
+const { probe, derive, LOW_AUDIO_KBPS, LOW_VIDEO_KBPS } = require("./probe");
+const { fetchPublic } = require("./remote");
+
+// Task media kept on local disk instead of hot-linked from third parties.
+//
+// Files are stored by SHA-256 under MEDIA_DIR/objects, so uploading the same
+// file twice gives back the same asset. The type comes from the file's own
+// bytes (sniff.js). Probing and thumbnails happen in the "media.process" job.
+// Nothing under MEDIA_DIR is served statically: the API hands out signed URLs
+// that expire and are tied to one user and task, and the media route checks
+// that user is still assigned the task (or is staff) before sending a byte.
+// The route answers Range requests and revalidates by ETag, so players can
+// seek and resume without downloading the whole file again.
+
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, "..", "..", "storage", "media");
+const MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 200 * 1024 * 1024);
+const URL_TTL_SECONDS = Number(process.env.MEDIA_URL_TTL_SECONDS || 2 * 60 * 60);
+const SECRET = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || "dev_secret_change_me";
+const FETCH_TIMEOUT_MS = 2 * 60 * 1000;
+const STAFF_ROLES = ["reviewer", "finance", "admin"];
+// Expiry times are rounded up to this, so a task's URLs stay the same between
+// page loads and the browser's cached copy is used.
+const URL_WINDOW_SECONDS = 15 * 60;
+const VARIANTS = ["original", "thumb", "poster", "low", "peaks"];
+const DERIVED_MIME = { ".jpg": "image/jpeg", ".webm": "audio/webm", ".mp4": "video/mp4", ".json": "application/json" };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function objectPath(sha256) {
+  return path.join(MEDIA_DIR, "objects", sha256.slice(0, 2), sha256);
+}
+
+function derivedDir(sha256) {
+  return path.join(MEDIA_DIR, "derived", sha256);
+}
+
+function present(asset) {
+  return asset && { ...asset, derivatives: asset.derivatives ? JSON.parse(asset.derivatives) : {} };
+}
+
+async function getAsset(id) {
+  return present(await get("SELECT * FROM media_assets WHERE id = ?", [id]));
+}
+
+async function readHead(file) {
+  const fh = await fs.promises.open(file, "r");
+  try {
+    const buf = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await fh.read(buf, 0, HEAD_BYTES, 0);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+// Streams a file into the store and records it. Returns { asset, created };
+// created is false when the same bytes were already stored.
+async function ingestStream(stream, { filename = null, sourceUrl = null, actorId = null } = {}) {
+  const tmpDir = path.join(MEDIA_DIR, "tmp");
+  fs.mkdirSync(tmpDir, { recursive: true });
+  const tmp = path.join(tmpDir, crypto.randomBytes(12).toString("hex"));
+
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, _enc, cb) {
+      size += chunk.length;
+      if (size > MAX_BYTES) return cb(httpError(413, `Media files are limited to ${Math.round(MAX_BYTES / 1048576)} MB`));
+      hash.update(chunk);
+      cb(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(stream, meter, fs.createWriteStream(tmp));
+    if (!size) throw httpError(400, "The file is empty");
+
+    const head = await readHead(tmp);
+    const type = sniff(head);
+    if (!type) throw httpError(415, "Unsupported media type; send an image, audio or video file");
+
+    const sha256 = hash.digest("hex");
+    const existing = await get("SELECT id FROM media_assets WHERE sha256 = ?", [sha256]);
+    if (existing) return { asset: await getAsset(existing.id), created: false };
+
+    const dest = objectPath(sha256);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    await fs.promises.rename(tmp, dest);
+
+    const dims = dimensions(head, type.mime);
+    const ins = await run(
+      `INSERT INTO media_assets (sha256, mime, kind, size_bytes, width, height, duration_ms, original_name, source_url, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sha256,
+        type.mime,
+        type.kind,
+        size,
+        dims?.width || null,
+        dims?.height || null,
+        type.mime === "audio/wav" ? wavDurationMs(head) : null,
+        filename ? String(filename).slice(0, 200) : null,
+        sourceUrl,
+        actorId,
+      ]
+    );
+    await jobs.enqueue("media.process", { id: ins.lastID }, { dedupeKey: `media:${ins.lastID}` });
+    return { asset: await getAsset(ins.lastID), created: true };
+  } finally {
+    await fs.promises.rm(tmp, { force: true });
+  }
+}
+
+function ingestFile(file, opts = {}) {
+  return ingestStream(fs.createReadStream(file), { filename: path.basename(file), ...opts });
+}
+
+async function ingestUrl(url, opts = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw httpError(400, "Not a valid URL");
+  }
+  // only public hosts, checked again at each redirect (remote.js)
+  const res = await fetchPublic(parsed, { timeoutMs: FETCH_TIMEOUT_MS });
+  if (!res.ok || !res.body) throw httpError(502, `Download failed with HTTP ${res.status}`);
+  if (Number(res.headers.get("content-length")) > MAX_BYTES) throw httpError(413, "The file is too large");
+  return ingestStream(Readable.fromWeb(res.body), {
+    filename: decodeURIComponent(path.basename(parsed.pathname)) || null,
+    sourceUrl: url,
+    ...opts,
+  });
+}
+
+// The "media.process" job: duration/dimensions from ffprobe, then thumbnails,
+// low-bitrate renditions and waveform peaks.
+// The asset is usable either way; what went wrong is kept in `error`.
+async function processAsset(id) {
+  const asset = await getAsset(id);
+  if (!asset) throw httpError(404, "Media not found");
+  const file = objectPath(asset.sha256);
+  const problems = [];
+  const next = { ...asset };
+
+  try {
+    const info = await probe(file);
+    if (asset.kind !== "image") next.duration_ms = info.duration_ms ?? asset.duration_ms;
+    if (asset.kind !== "audio") {
+      next.width = info.width || asset.width;
+      next.height = info.height || asset.height;
+    }
+    // an mp4/webm with no picture is an audio file
+    if (asset.kind === "video" && !info.has_video && info.has_audio) {
+      next.kind = "audio";
+      next.mime = asset.mime.replace("video/", "audio/");
+    }
+  } catch (e) {
+    problems.push(`probe: ${e.message}`);
+  }
+
+  const derived = await derive(next, file, derivedDir(asset.sha256));
+  const derivatives = derived.files;
+  problems.push(...derived.problems);
+
+  await run(
+    `UPDATE media_assets SET kind = ?, mime = ?, width = ?, height = ?, duration_ms = ?, derivatives = ?,
+            status = 'ready', error = ?, processed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [next.kind, next.mime, next.width, next.height, next.duration_ms, JSON.stringify(derivatives), problems.join("; ") || null, id]
+  );
+  return { id, kind: next.kind, duration_ms: next.duration_ms, derivatives: Object.keys(derivatives), problems };
+}
+
+// The "media.localize" job: downloads hot-linked task media into the store
+// and points the tasks at it. A URL that fails is tried again after
+// RETRY_HOURS * attempts, so dead links don't hold up the rest.
+const RETRY_HOURS = 6;
+
+async function localizeTasks({ limit = 50 } = {}) {
+  const urls = await all(
+    `SELECT DISTINCT t.media_url AS url FROM tasks t
+     LEFT JOIN media_fetch_failures f ON f.url = t.media_url
+     WHERE t.media_id IS NULL AND (t.media_url LIKE 'http://%' OR t.media_url LIKE 'https://%')
+       AND (f.url IS NULL OR f.last_attempt_at <= datetime('now', '-' || (f.attempts * ?) || ' hours'))
+     LIMIT ?`,
+    [RETRY_HOURS, limit]
+  );
+  const out = { checked: urls.length, localized: 0, tasks_updated: 0, failed: [] };
+  for (const { url } of urls) {
+    try {
+      const known = await get("SELECT id FROM media_assets WHERE source_url = ?", [url]);
+      const id = known?.id || (await ingestUrl(url)).asset.id;
+      const upd = await run("UPDATE tasks SET media_id = ? WHERE media_url = ? AND media_id IS NULL", [id, url]);
+      await run("DELETE FROM media_fetch_failures WHERE url = ?", [url]);
+      out.localized++;
+      out.tasks_updated += upd.changes;
+    } catch (e) {
+      await run(
+        `INSERT INTO media_fetch_failures (url, error) VALUES (?, ?)
+         ON CONFLICT (url) DO UPDATE SET error = excluded.error, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP`,
+        [url, e.message]
+      );
+      out.failed.push({ url, error: e.message });
+    }
+  }
+  return out;
+}
+
+async function list({ kind = null, limit = 50, offset = 0 } = {}) {
+  const where = kind ? "WHERE m.kind = ?" : "";
+  const params = kind ? [kind] : [];
+  const total = (await get(`SELECT COUNT(*) AS n FROM media_assets m ${where}`, params)).n;
+  const items = await all(
+    `SELECT m.*, u.username AS created_by_name, (SELECT COUNT(*) FROM tasks t WHERE t.media_id = m.id) AS tasks
+     FROM media_assets m LEFT JOIN users u ON u.id = m.created_by
+     ${where}
+     ORDER BY m.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { total, items: items.map(present) };
+}
+
+async function attach(taskId, mediaId) {
+  const task = await get("SELECT id, type FROM tasks WHERE id = ?", [taskId]);
+  if (!task) throw httpError(404, "Task not found");
+  if (mediaId !== null && !(await get("SELECT id FROM media_assets WHERE id = ?", [mediaId]))) {
+    throw httpError(404, "Media not found");
+  }
+  await run("UPDATE tasks SET media_id = ? WHERE id = ?", [mediaId, taskId]);
+  return { task_id: taskId, media_id: mediaId };
+}
+
+// ---- Signed URLs ----
+
+function signature(assetId, variant, userId, taskId, exp) {
+  return crypto.createHmac("sha256", SECRET).update(`${assetId}:${variant}:${userId}:${taskId}:${exp}`).digest("base64url");
+}
+
+// Path (under /api/v1) a user can fetch an asset variant from until the URL
+// expires. taskId 0 is for staff looking at media outside a task.
+function signUrl(assetId, { userId, taskId = 0, variant = "original", ttlSeconds = URL_TTL_SECONDS }) {
+  const exp = Math.ceil((Date.now() / 1000 + ttlSeconds) / URL_WINDOW_SECONDS) * URL_WINDOW_SECONDS;
+  const sig = signature(assetId, variant, userId, taskId, exp);
+  return `/api/v1/media/${assetId}/${variant}?u=${userId}&t=${taskId}&exp=${exp}&sig=${sig}`;
+}
+
+function derivedMime(asset, name) {
+  const mime = DERIVED_MIME[path.extname(name)] || "application/octet-stream";
+  return asset.kind === "video" && mime === "audio/webm" ? "video/webm" : mime;
+}
+
+// Signed URLs for an asset's original and derived files. Audio and video
+// also list their renditions, smallest first, for the client to choose from
+// by connection quality; kbps is the average bitrate.
+function urlsFor(asset, opts) {
+  const urls = { media_url: signUrl(asset.id, opts), thumb_url: null, poster_url: null, peaks_url: null, renditions: [] };
+  const d = asset.derivatives;
+  if (d.thumb) urls.thumb_url = signUrl(asset.id, { ...opts, variant: "thumb" });
+  if (d.poster) urls.poster_url = signUrl(asset.id, { ...opts, variant: "poster" });
+  if (d.peaks) urls.peaks_url = signUrl(asset.id, { ...opts, variant: "peaks" });
+  if (asset.kind !== "image") {
+    if (d.low) {
+      urls.renditions.push({
+        name: "low",
+        url: signUrl(asset.id, { ...opts, variant: "low" }),
+        mime: derivedMime(asset, d.low),
+        kbps: asset.kind === "video" ? LOW_VIDEO_KBPS + LOW_AUDIO_KBPS : LOW_AUDIO_KBPS,
+      });
+    }
+    urls.renditions.push({
+      name: "original",
+      url: urls.media_url,
+      mime: asset.mime,
+      kbps: asset.duration_ms ? Math.round((asset.size_bytes * 8) / asset.duration_ms) : null,
+    });
+  }
+  return urls;
+}
+
+// Swaps media_url on task rows (with media_id and task id in `idKey`) for
+// signed local URLs. Rows without local media keep their media_url.
+async function signTaskRows(rows, userId, { idKey = "id" } = {}) {
+  const ids = [...new Set(rows.map((r) => r.media_id).filter(Boolean))];
+  if (!ids.length) return rows;
+  const assets = new Map(
+    (await all(`SELECT * FROM media_assets WHERE id IN (${ids.map(() => "?").join(",")})`, ids)).map((a) => [a.id, present(a)])
+  );
+  return rows.map((r) => {
+    const asset = assets.get(r.media_id);
+    if (!asset) return r;
+    return { ...r, media_kind: asset.kind, ...urlsFor(asset, { userId, taskId: r[idKey] }) };
+  });
+}
+
+async function canAccess(userId, taskId, assetId) {
+  const user = await get("SELECT role, frozen_at, deleted_at FROM users WHERE id = ?", [userId]);
+  if (!user || user.deleted_at) return false;
+  if (STAFF_ROLES.includes(user.role)) return true;
+  if (!taskId || user.frozen_at) return false;
+  const { dayKeyNairobi } = require("../tasks");
+  const row = await get(
+    `SELECT 1 FROM daily_tasks dt JOIN tasks t ON t.id = dt.task_id
+     WHERE dt.user_id = ? AND dt.task_id = ? AND dt.day_key = ? AND t.media_id = ?`,
+    [userId, taskId, dayKeyNairobi(), assetId]
+  );
+  return !!row;
+}
+
+// ---- Serving ----
+
+// Single "bytes=a-b" range -> { start, end }, null for the whole file, or
+// false when it can't be satisfied. Multi-range requests get the whole file.
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (!m[1] && !m[2])) return null;
+  let start;
+  let end;
+  if (!m[1]) {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+function sendFile(req, res, file, stat, { mime, etag, maxAge }) {
+  res.set({
+    "Content-Type": mime,
+    "Accept-Ranges": "bytes",
+    ETag: etag,
+    "Cache-Control": `private, max-age=${maxAge}`,
+    "X-Content-Type-Options": "nosniff",
+  });
+  const inm = req.get("If-None-Match");
+  if (inm && inm.split(/\s*,\s*/).includes(etag)) return res.status(304).end();
+
+  // If-Range: only honour the range if the client's copy is still current
+  const ifRange = req.get("If-Range");
+  const range = !ifRange || ifRange === etag ? parseRange(req.get("Range"), stat.size) : null;
+  if (range === false) {
+    res.set("Content-Range", `bytes */${stat.size}`);
+    return res.status(416).end();
+  }
+
+  const { start, end } = range || { start: 0, end: stat.size - 1 };
+  if (range) {
+    res.status(206);
+    res.set("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+  }
+  res.set("Content-Length", String(end - start + 1));
+  if (req.method === "HEAD" || !stat.size) return res.end();
+
+  const stream = fs.createReadStream(file, { start, end });
+  stream.on("error", () => res.destroy());
+  res.on("close", () => stream.destroy());
+  stream.pipe(res);
+}
+
+const router = express.Router();
+
+router.get("/:id/:variant", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const variant = req.params.variant;
+    const { u, t, exp, sig } = req.query;
+    if (!VARIANTS.includes(variant) || !sig || !exp) return res.status(404).json({ error: "Not found" });
+
+    const expected = signature(id, variant, Number(u), Number(t), Number(exp));
+    const given = Buffer.from(String(sig));
+    if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+      return res.status(403).json({ error: "Invalid media link" });
+    }
+    if (Number(exp) < Date.now() / 1000) return res.status(403).json({ error: "This media link has expired; reload the page" });
+    if (!(await canAccess(Number(u), Number(t), id))) return res.status(403).json({ error: "This task is not assigned to you" });
+
+    const asset = await getAsset(id);
+    if (!asset) return res.status(404).json({ error: "Not found" });
+    let file = objectPath(asset.sha256);
+    let mime = asset.mime;
+    if (variant !== "original") {
+      if (!asset.derivatives[variant]) return res.status(404).json({ error: "Not found" });
+      file = path.join(derivedDir(asset.sha256), asset.derivatives[variant]);
+      mime = derivedMime(asset, asset.derivatives[variant]);
+    }
+
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat) return res.status(404).json({ error: "Not found" });
+    // originals never change (they're named by hash); derived files can be
+    // remade by reprocessing, so theirs includes the modification time
+    const etag =
+      variant === "original"
+        ? `"${asset.sha256}"`
+        : `"${asset.sha256.slice(0, 16)}-${variant}-${Math.floor(stat.mtimeMs).toString(36)}"`;
+    sendFile(req, res, file, stat, {
+      mime,
+      etag,
+      maxAge: Math.max(0, Math.floor(Number(exp) - Date.now() / 1000)),
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to load media" });
+  }
+});
+
+module.exports = {
+  MEDIA_DIR,
+  MAX_BYTES,
+  objectPath,
+  getAsset,
+  ingestStream,
+  ingestFile,
+  ingestUrl,
+  processAsset,
+  localizeTasks,
+  list,
+  attach,
+  signUrl,
+  urlsFor,
+  signTaskRows,
+  router,
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile, spawn } = require("child_process");
+
+// ffprobe/ffmpeg wrappers: duration and dimensions for audio and video, and
+// the derived files: a small JPEG thumb for images and videos, a poster frame
+// for videos, a low-bitrate rendition of audio and video for slow
+// connections, and waveform peaks for audio. Both tools are optional;
+// without them assets are still stored and served, just without those
+// extras.
+
+const FFPROBE = process.env.FFPROBE_PATH || "ffprobe";
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const TIMEOUT_MS = 5 * 60 * 1000;
+const THUMB_WIDTH = 320;
+// the "low" renditions: 48 kbps mono Opus, and 240p H.264 with 48 kbps AAC
+// (mp4 rather than webm so older iPhones play it too)
+const LOW_AUDIO_KBPS = 48;
+const LOW_VIDEO_HEIGHT = 240;
+const LOW_VIDEO_KBPS = 250;
+// waveform resolution: one peak per 50 ms
+const PEAKS_PER_SECOND = 20;
+const PEAK_SAMPLE_RATE = 8000;
+
+function exec(cmd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err?.code === "ENOENT") return reject(new Error(`${cmd} is not installed`));
+      if (err) return reject(new Error((stderr || err.message).trim().split("\n").pop()));
+      resolve(stdout);
+    });
+  });
+}
+
+// -> { duration_ms, width, height, has_video, has_audio }
+async function probe(file) {
+  const out = await exec(FFPROBE, [
+    "-v", "error",
+    "-show_entries", "format=duration:stream=codec_type,width,height,duration",
+    "-of", "json",
+    file,
+  ]);
+  const info = JSON.parse(out);
+  const streams = info.streams || [];
+  // cover art in an audio file shows up as a one-frame video stream
+  const video = streams.find((s) => s.codec_type === "video" && Number(s.duration || info.format?.duration) > 0.1);
+  const seconds = Number(info.format?.duration || video?.duration || 0);
+  return {
+    duration_ms: seconds ? Math.round(seconds * 1000) : null,
+    width: video?.width || null,
+    height: video?.height || null,
+    has_video: !!video,
+    has_audio: streams.some((s) => s.codec_type === "audio"),
+  };
+}
+
+// Loudest sample in each 1/PEAKS_PER_SECOND of the decoded audio, 0-100.
+// ffmpeg's output is read as it comes so long recordings aren't held in
+// memory.
+function peaks(file) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(FFMPEG, ["-v", "error", "-i", file, "-vn", "-ac", "1", "-ar", String(PEAK_SAMPLE_RATE), "-f", "s16le", "-"]);
+    const perPeak = PEAK_SAMPLE_RATE / PEAKS_PER_SECOND;
+    const out = [];
+    let max = 0;
+    let n = 0;
+    let carry = null;
+    let stderr = "";
+    const timer = setTimeout(() => proc.kill("SIGKILL"), TIMEOUT_MS);
+
+    proc.stdout.on("data", (chunk) => {
+      const buf = carry ? Buffer.concat([carry, chunk]) : chunk;
+      const even = buf.length - (buf.length % 2);
+      carry = even < buf.length ? buf.subarray(even) : null;
+      for (let i = 0; i < even; i += 2) {
+        const v = Math.abs(buf.readInt16LE(i));
+        if (v > max) max = v;
+        if (++n === perPeak) {
+          out.push(Math.round((max / 32768) * 100));
+          max = 0;
+          n = 0;
+        }
+      }
+    });
+    proc.stderr.on("data", (d) => (stderr += d));
+    proc.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err.code === "ENOENT" ? new Error(`${FFMPEG} is not installed`) : err);
+    });
+    proc.on("close", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) return reject(new Error(stderr.trim().split("\n").pop() || `${FFMPEG} exited with ${code}`));
+      if (n) out.push(Math.round((max / 32768) * 100));
+      resolve({ per_second: PEAKS_PER_SECOND, peaks: out });
+    });
+  });
+}
+
+// Writes the derived files for an asset into dir. Each one is made on its
+// own, so one failing (say, an ffmpeg built without libopus) doesn't lose
+// the others. Returns { files: { name: file }, problems: [message] }.
+async function derive(asset, file, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {};
+  const problems = [];
+  const make = async (name, out, fn) => {
+    try {
+      await fn(path.join(dir, out));
+      files[name] = out;
+    } catch (e) {
+      problems.push(`${name}: ${e.message}`);
+    }
+  };
+  const ffmpeg = (...args) => exec(FFMPEG, ["-y", "-v", "error", ...args]);
+  const scale = `scale='min(${THUMB_WIDTH},iw)':-2`;
+
+  if (asset.kind === "image") {
+    await make("thumb", "thumb.jpg", (out) => ffmpeg("-i", file, "-vf", scale, "-frames:v", "1", out));
+  } else if (asset.kind === "video") {
+    const at = asset.duration_ms ? Math.min(1, asset.duration_ms / 2000) : 0;
+    await make("poster", "poster.jpg", (out) => ffmpeg("-ss", String(at), "-i", file, "-frames:v", "1", "-q:v", "3", out));
+    if (files.poster) {
+      await make("thumb", "thumb.jpg", (out) => ffmpeg("-i", path.join(dir, files.poster), "-vf", scale, out));
+    }
+    // no point in a "low" copy of a video that is already small
+    if (!asset.height || asset.height > LOW_VIDEO_HEIGHT) {
+      await make("low", "low.mp4", (out) =>
+        ffmpeg(
+          "-i", file,
+          "-vf", `scale=-2:${LOW_VIDEO_HEIGHT}`,
+          "-c:v", "libx264", "-preset", "veryfast", "-crf", "30",
+          "-maxrate", `${LOW_VIDEO_KBPS}k`, "-bufsize", `${LOW_VIDEO_KBPS * 2}k`,
+          "-c:a", "aac", "-b:a", `${LOW_AUDIO_KBPS}k`, "-ac", "1",
+          "-movflags", "+faststart",
+          out
+        )
+      );
+    }
+  } else if (asset.kind === "audio") {
+    await make("low", "low.webm", (out) => ffmpeg("-i", file, "-vn", "-c:a", "libopus", "-b:a", `${LOW_AUDIO_KBPS}k`, "-ac", "1", out));
+    await make("peaks", "peaks.json", async (out) => fs.promises.writeFile(out, JSON.stringify(await peaks(file))));
+  }
+  return { files, problems };
+}
+
+module.exports = { exec, probe, peaks, derive, FFMPEG, LOW_AUDIO_KBPS, LOW_VIDEO_KBPS };
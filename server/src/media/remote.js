@@ -0,0 +1,98 @@
+const dns = require("dns").promises;
+const net = require("net");
+
+// Downloads media from URLs given by staff or import files. Only public
+// addresses are fetched: the host is resolved and checked before the request
+// and again at every redirect, so a URL can't reach the API's own ports, the
+// cloud metadata service or anything else on the private network.
+
+const MAX_REDIRECTS = 5;
+const REDIRECTS = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local, shared, documentation, multicast and other
+// reserved ranges (IANA special-purpose registries). Kept in two lists
+// because a BlockList also matches IPv4 addresses against IPv6 rules.
+const BLOCKED = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+for (const [net4, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.ipv4.addSubnet(net4, prefix, "ipv4");
+}
+for (const [net6, prefix] of [
+  ["::", 127],
+  // IPv4-mapped, NAT64 and 6to4 addresses can carry any of the above
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2002::", 16],
+  ["100::", 64],
+  ["2001::", 23],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.ipv6.addSubnet(net6, prefix, "ipv6");
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isPublicAddress(address) {
+  const type = { 4: "ipv4", 6: "ipv6" }[net.isIP(address)];
+  return !!type && !BLOCKED[type].check(address, type);
+}
+
+// Throws a 400 unless every address the URL's host resolves to is public.
+async function checkUrl(url) {
+  if (!["http:", "https:"].includes(url.protocol)) throw httpError(400, "Only http(s) URLs can be imported");
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+    } catch {
+      throw httpError(400, `Could not resolve ${host}`);
+    }
+  }
+  if (!addresses.length || !addresses.every(isPublicAddress)) {
+    throw httpError(400, "URLs on private or reserved addresses can't be imported");
+  }
+}
+
+// fetch() that follows redirects itself, checking each hop.
+async function fetchPublic(url, { timeoutMs }) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = url;
+  for (let hops = 0; ; hops++) {
+    await checkUrl(current);
+    const res = await fetch(current, { signal, redirect: "manual" });
+    const location = res.headers.get("location");
+    if (!REDIRECTS.includes(res.status) || !location) return res;
+    await res.body?.cancel();
+    if (hops >= MAX_REDIRECTS) throw httpError(502, "Too many redirects");
+    current = new URL(location, current);
+  }
+}
+
+module.exports = { checkUrl, fetchPublic, isPublicAddress };
@@ -0,0 +1,110 @@
+// Works out what an uploaded file really is from its first bytes, whatever
+// its name or Content-Type claim, and reads image dimensions and WAV length
+// straight from the headers. Anything else is left to ffprobe (probe.js).
+// SVG is refused on purpose: it can carry script.
+
+// Bytes of the file start that sniff() and dimensions() need.
+const HEAD_BYTES = 256 * 1024;
+
+function ascii(buf, start, end) {
+  return buf.toString("latin1", start, end);
+}
+
+function has(buf, text, limit = 512) {
+  return buf.subarray(0, limit).includes(Buffer.from(text, "latin1"));
+}
+
+// -> { mime, kind, ext } or null.
+function sniff(buf) {
+  if (buf.length < 12) return null;
+  const b = buf;
+
+  if (b[0] === 0x89 && ascii(b, 1, 4) === "PNG") return { mime: "image/png", kind: "image", ext: "png" };
+  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return { mime: "image/jpeg", kind: "image", ext: "jpg" };
+  if (ascii(b, 0, 4) === "GIF8") return { mime: "image/gif", kind: "image", ext: "gif" };
+  if (ascii(b, 0, 2) === "BM" && b.readUInt32LE(2) >= 26) return { mime: "image/bmp", kind: "image", ext: "bmp" };
+
+  if (ascii(b, 0, 4) === "RIFF") {
+    const form = ascii(b, 8, 12);
+    if (form === "WEBP") return { mime: "image/webp", kind: "image", ext: "webp" };
+    if (form === "WAVE") return { mime: "audio/wav", kind: "audio", ext: "wav" };
+    return null;
+  }
+
+  if (ascii(b, 0, 4) === "fLaC") return { mime: "audio/flac", kind: "audio", ext: "flac" };
+  if (ascii(b, 0, 4) === "OggS") {
+    if (has(b, "theora")) return { mime: "video/ogg", kind: "video", ext: "ogv" };
+    return { mime: "audio/ogg", kind: "audio", ext: has(b, "OpusHead") ? "opus" : "ogg" };
+  }
+  if (ascii(b, 0, 3) === "ID3") return { mime: "audio/mpeg", kind: "audio", ext: "mp3" };
+  if (b[0] === 0xff && (b[1] & 0xf6) === 0xf0) return { mime: "audio/aac", kind: "audio", ext: "aac" };
+  if (b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) return { mime: "audio/mpeg", kind: "audio", ext: "mp3" };
+
+  if (ascii(b, 4, 8) === "ftyp") {
+    const brand = ascii(b, 8, 12);
+    if (brand === "M4A " || brand === "M4B ") return { mime: "audio/mp4", kind: "audio", ext: "m4a" };
+    if (brand === "qt  ") return { mime: "video/quicktime", kind: "video", ext: "mov" };
+    return { mime: "video/mp4", kind: "video", ext: "mp4" };
+  }
+  if (b.readUInt32BE(0) === 0x1a45dfa3) {
+    return has(b, "webm", 64)
+      ? { mime: "video/webm", kind: "video", ext: "webm" }
+      : { mime: "video/x-matroska", kind: "video", ext: "mkv" };
+  }
+  return null;
+}
+
+function jpegSize(b) {
+  let i = 2;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xff) return null;
+    const marker = b[i + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: b.readUInt16BE(i + 7), height: b.readUInt16BE(i + 5) };
+    }
+    i += 2 + b.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+function webpSize(b) {
+  const chunk = ascii(b, 12, 16);
+  if (chunk === "VP8 ") return { width: b.readUInt16LE(26) & 0x3fff, height: b.readUInt16LE(28) & 0x3fff };
+  if (chunk === "VP8L") {
+    const bits = b.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") return { width: b.readUIntLE(24, 3) + 1, height: b.readUIntLE(27, 3) + 1 };
+  return null;
+}
+
+// -> { width, height } for images, or null.
+function dimensions(buf, mime) {
+  try {
+    if (mime === "image/png") return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    if (mime === "image/gif") return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    if (mime === "image/bmp") return { width: buf.readInt32LE(18), height: Math.abs(buf.readInt32LE(22)) };
+    if (mime === "image/jpeg") return jpegSize(buf);
+    if (mime === "image/webp") return webpSize(buf);
+  } catch {
+    // truncated header
+  }
+  return null;
+}
+
+// Length of a PCM WAV in ms from its fmt and data chunks, or null.
+function wavDurationMs(buf) {
+  let byteRate = null;
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const id = ascii(buf, i, i + 4);
+    const size = buf.readUInt32LE(i + 4);
+    if (id === "fmt " && i + 20 <= buf.length) byteRate = buf.readUInt32LE(i + 16);
+    if (id === "data") return byteRate ? Math.round((size / byteRate) * 1000) : null;
+    i += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+module.exports = { HEAD_BYTES, sniff, dimensions, wavDurationMs };
@@ -0,0 +1,334 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { run, get, transaction } = require("./db");
+const sessions = require("./sessions");
+
+// Optional TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30s).
+//
+// Enrolling stores a pending secret until the user proves their app works
+// with a first code; only then is 2FA on and a set of one-time recovery codes
+// shown. With 2FA on:
+//  - a correct password (or SMS code) gives an mfa_token, not a session; the
+//    session comes from /api/auth/login/2fa with a code;
+//  - sensitive actions need a code entered within STEP_UP_SECONDS on the
+//    current session (requireStepUp in auth.js).
+// Five wrong codes in a row lock code checks for LOCK_MINUTES.
+
+const ISSUER = process.env.TOTP_ISSUER || "Synthgraphix";
+const PERIOD = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const STEP_UP_SECONDS = Number(process.env.STEP_UP_WINDOW_SECONDS || 5 * 60);
+const MAX_FAILURES = 5;
+const LOCK_MINUTES = 15;
+
+const KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TOTP_ENC_KEY || process.env.JWT_SECRET || "dev_secret_change_me")
+  .digest();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+// ---- secrets at rest (AES-256-GCM) ----
+
+function seal(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", KEY, iv);
+  const ct = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ct].map((b) => b.toString("base64url")).join(".");
+}
+
+function unseal(sealed) {
+  const [iv, tag, ct] = sealed.split(".").map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString("utf8");
+}
+
+// ---- TOTP ----
+
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, "").toUpperCase()) {
+    const idx = B32.indexOf(ch);
+    if (idx < 0) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = h[h.length - 1] & 15;
+  const n = (h.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(n).padStart(DIGITS, "0");
+}
+
+// Returns the matching time step, or null.
+function matchTotp(secret, code) {
+  const key = base32Decode(secret);
+  const now = Math.floor(Date.now() / 1000 / PERIOD);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+// ---- recovery codes ----
+
+function normalizeRecovery(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function newRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+async function replaceRecoveryCodes(userId) {
+  await run("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = newRecoveryCode();
+    codes.push(code);
+    await run("INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)", [userId, sha256(normalizeRecovery(code))]);
+  }
+  return codes;
+}
+
+// ---- checking codes ----
+
+async function loadUser(userId) {
+  return get(
+    `SELECT id, email, totp_secret, totp_pending_secret, totp_enabled_at, totp_last_step, totp_failures,
+            totp_failed_at > datetime('now', ?) AS recently_failed
+     FROM users WHERE id = ?`,
+    [`-${LOCK_MINUTES} minutes`, userId]
+  );
+}
+
+async function recordFailure(userId) {
+  await run(
+    `UPDATE users
+     SET totp_failures = CASE WHEN totp_failed_at > datetime('now', ?) THEN totp_failures + 1 ELSE 1 END,
+         totp_failed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [`-${LOCK_MINUTES} minutes`, userId]
+  );
+}
+
+// Accepts a current TOTP code or an unused recovery code (which is spent).
+// Returns "totp" or "recovery"; throws 400/429 otherwise. Writes its own
+// bookkeeping, so don't call it inside a transaction that may roll back.
+async function checkCode(userId, code, { secret = null } = {}) {
+  const u = await loadUser(userId);
+  if (!u) throw httpError(404, "User not found");
+  if (u.recently_failed && u.totp_failures >= MAX_FAILURES) {
+    throw httpError(429, `Too many wrong codes. Try again in ${LOCK_MINUTES} minutes.`);
+  }
+
+  const given = String(code || "").replace(/\s+/g, "");
+  const sealed = secret || u.totp_secret;
+  let method = null;
+
+  if (sealed && new RegExp(`^\\d{${DIGITS}}$`).test(given)) {
+    const step = matchTotp(unseal(sealed), given);
+    // a code can't be used twice, even within its 30s window
+    if (step !== null) {
+      const upd = await run(
+        "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+        [step, userId, step]
+      );
+      if (upd.changes) method = "totp";
+    }
+  } else if (!secret && u.totp_enabled_at) {
+    const used = await run(
+      "UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+      [userId, sha256(normalizeRecovery(given))]
+    );
+    if (used.changes) method = "recovery";
+  }
+
+  if (!method) {
+    await recordFailure(userId);
+    throw httpError(400, "Incorrect code");
+  }
+  await run("UPDATE users SET totp_failures = 0 WHERE id = ?", [userId]);
+  return method;
+}
+
+// ---- enrollment ----
+
+async function isEnabled(userId) {
+  const u = await get("SELECT totp_enabled_at FROM users WHERE id = ?", [userId]);
+  return !!u?.totp_enabled_at;
+}
+
+async function status(userId) {
+  const u = await get("SELECT totp_enabled_at FROM users WHERE id = ?", [userId]);
+  const left = await get("SELECT COUNT(*) AS n FROM recovery_codes WHERE user_id = ? AND used_at IS NULL", [userId]);
+  return {
+    enabled: !!u?.totp_enabled_at,
+    enabled_at: u?.totp_enabled_at || null,
+    recovery_codes_left: u?.totp_enabled_at ? left.n : 0,
+  };
+}
+
+// Starts (or restarts) enrollment with a fresh secret.
+async function beginSetup(userId) {
+  const u = await loadUser(userId);
+  if (!u) throw httpError(404, "User not found");
+  if (u.totp_enabled_at) throw httpError(409, "Two-factor authentication is already on");
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await run("UPDATE users SET totp_pending_secret = ? WHERE id = ?", [seal(secret), userId]);
+
+  const label = encodeURIComponent(`${ISSUER}:${u.email}`);
+  const otpauthUrl =
+    `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+  return { secret, otpauth_url: otpauthUrl, qr_data_url: await QRCode.toDataURL(otpauthUrl) };
+}
+
+// Confirms enrollment with a code from the new app. Returns the recovery
+// codes; this is the only time they are shown.
+async function enable(userId, sessionId, code) {
+  const u = await loadUser(userId);
+  if (!u) throw httpError(404, "User not found");
+  if (u.totp_enabled_at) throw httpError(409, "Two-factor authentication is already on");
+  if (!u.totp_pending_secret) throw httpError(400, "Start the setup first");
+
+  await checkCode(userId, code, { secret: u.totp_pending_secret });
+  return transaction(async () => {
+    await run(
+      `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId]
+    );
+    await run("UPDATE sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = ?", [sessionId]);
+    return replaceRecoveryCodes(userId);
+  });
+}
+
+async function disable(userId, code) {
+  if (!(await isEnabled(userId))) throw httpError(400, "Two-factor authentication is not on");
+  await checkCode(userId, code);
+  await transaction(async () => {
+    await run(
+      `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+       WHERE id = ?`,
+      [userId]
+    );
+    await run("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+  });
+}
+
+async function regenerateRecoveryCodes(userId, code) {
+  if (!(await isEnabled(userId))) throw httpError(400, "Two-factor authentication is not on");
+  await checkCode(userId, code);
+  return transaction(() => replaceRecoveryCodes(userId));
+}
+
+// ---- sign-in challenge ----
+
+// What login returns once the first factor is right: a session, or an
+// mfa_token to exchange with a code when 2FA is on.
+async function signIn(userId, req) {
+  if (!(await isEnabled(userId))) return sessions.create(userId, req);
+
+  const ins = await run(
+    "INSERT INTO mfa_challenges (user_id, token_hash, expires_at) VALUES (?, '', datetime('now', ?))",
+    [userId, `+${CHALLENGE_TTL_SECONDS} seconds`]
+  );
+  const token = `${ins.lastID}.${crypto.randomBytes(32).toString("base64url")}`;
+  await run("UPDATE mfa_challenges SET token_hash = ? WHERE id = ?", [sha256(token), ins.lastID]);
+  return { mfa_required: true, mfa_token: token, expires_in: CHALLENGE_TTL_SECONDS };
+}
+
+async function completeSignIn(mfaToken, code, req) {
+  const id = Number(String(mfaToken || "").split(".")[0]);
+  const c =
+    Number.isInteger(id) && id > 0
+      ? await get("SELECT *, expires_at <= CURRENT_TIMESTAMP AS expired FROM mfa_challenges WHERE id = ?", [id])
+      : null;
+  if (!c || c.token_hash !== sha256(mfaToken) || c.used_at || c.expired) {
+    throw httpError(401, "Sign-in expired. Please log in again.");
+  }
+
+  await checkCode(c.user_id, code);
+  const spent = await run("UPDATE mfa_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL", [c.id]);
+  if (!spent.changes) throw httpError(401, "Sign-in expired. Please log in again.");
+  return sessions.create(c.user_id, req, { mfaVerified: true });
+}
+
+// ---- step-up ----
+
+async function stepUp(userId, sessionId, code) {
+  if (!(await isEnabled(userId))) throw httpError(400, "Two-factor authentication is not on");
+  await checkCode(userId, code);
+  await run("UPDATE sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = ?", [sessionId]);
+  return { ok: true, valid_for: STEP_UP_SECONDS };
+}
+
+// True when 2FA is on and the session hasn't passed a code recently.
+async function needsStepUp(userId, sessionId) {
+  const row = await get(
+    `SELECT u.totp_enabled_at, s.mfa_verified_at > datetime('now', ?) AS fresh
+     FROM users u LEFT JOIN sessions s ON s.id = ? AND s.user_id = u.id
+     WHERE u.id = ?`,
+    [`-${STEP_UP_SECONDS} seconds`, sessionId, userId]
+  );
+  return !!row?.totp_enabled_at && !row.fresh;
+}
+
+module.exports = {
+  STEP_UP_SECONDS,
+  checkCode,
+  isEnabled,
+  status,
+  beginSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  signIn,
+  completeSignIn,
+  stepUp,
+  needsStepUp,
+};
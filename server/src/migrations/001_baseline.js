@@ -0,0 +1,441 @@
+// The schema as it stood before migrations existed. Every statement is
+// idempotent, so databases created by the old initDb adopt it unchanged.
+
+async function up({ run, all }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+
+      referral_code TEXT UNIQUE,
+      referred_by INTEGER,
+
+      balance_ksh INTEGER NOT NULL DEFAULT 0,
+      bonus_ksh   INTEGER NOT NULL DEFAULT 0,
+
+      full_name TEXT,
+      phone TEXT,
+      payment_number TEXT,
+
+      role TEXT NOT NULL DEFAULT 'user',
+      frozen_at TEXT,
+      frozen_reason TEXT,
+
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      delete_requested_at TEXT,
+      delete_effective_at TEXT,
+
+      FOREIGN KEY (referred_by) REFERENCES users(id)
+    );
+  `);
+
+  const uCols = new Set((await all("PRAGMA table_info(users)")).map((c) => c.name));
+  if (!uCols.has("role")) await run("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user'");
+  if (!uCols.has("frozen_at")) await run("ALTER TABLE users ADD COLUMN frozen_at TEXT");
+  if (!uCols.has("frozen_reason")) await run("ALTER TABLE users ADD COLUMN frozen_reason TEXT");
+
+  // staff actions from the admin API
+  await run(`
+    CREATE TABLE IF NOT EXISTS admin_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id INTEGER,
+      detail TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  if (!uCols.has("email_verified_at")) await run("ALTER TABLE users ADD COLUMN email_verified_at TEXT");
+  // TOTP two-factor (mfa.js); secrets are stored encrypted
+  for (const col of ["totp_secret", "totp_pending_secret", "totp_enabled_at", "totp_failed_at"]) {
+    if (!uCols.has(col)) await run(`ALTER TABLE users ADD COLUMN ${col} TEXT`);
+  }
+  if (!uCols.has("totp_last_step")) await run("ALTER TABLE users ADD COLUMN totp_last_step INTEGER");
+  if (!uCols.has("totp_failures")) await run("ALTER TABLE users ADD COLUMN totp_failures INTEGER NOT NULL DEFAULT 0");
+
+  // single-use email links (verify_email, reset_password), stored as sha256 hashes
+  await run(`
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      email TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose)");
+
+  // SMS one-time codes (login, payment_number, withdraw_number), stored as HMACs
+  await run(`
+    CREATE TABLE IF NOT EXISTS otp_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      msisdn TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      expires_at TEXT NOT NULL,
+      consumed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_otp_codes_msisdn ON otp_codes(msisdn, purpose)");
+
+  // numbers a user has proven by SMS code; one account per number
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_phones (
+      msisdn TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      verified_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_user_phones_user ON user_phones(user_id)");
+
+  // sign-in sessions; refresh tokens are stored as sha256 hashes
+  await run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      refresh_hash TEXT NOT NULL,
+      prev_refresh_hash TEXT,
+      user_agent TEXT,
+      ip TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      revoke_reason TEXT,
+      mfa_verified_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)");
+  const sessCols = new Set((await all("PRAGMA table_info(sessions)")).map((c) => c.name));
+  if (!sessCols.has("mfa_verified_at")) await run("ALTER TABLE sessions ADD COLUMN mfa_verified_at TEXT");
+
+  // one-time 2FA recovery codes, stored as sha256 hashes
+  await run(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)");
+
+  // the step between a correct password and a session when 2FA is on
+  await run(`
+    CREATE TABLE IF NOT EXISTS mfa_challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+      -- canonical task type/category
+      type TEXT NOT NULL,
+      category TEXT NOT NULL,
+
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      prompt TEXT NOT NULL,
+
+      -- media URL + legacy alias "image"
+      media_url TEXT,
+      image TEXT,
+
+      reward_ksh INTEGER NOT NULL,
+      complexity INTEGER NOT NULL,
+
+      active INTEGER NOT NULL DEFAULT 1,
+
+      gold_answer TEXT,
+      tags TEXT,
+      import_batch_id INTEGER,
+
+      -- quality control (quality.js): hidden gold task / answers wanted per item
+      is_gold INTEGER NOT NULL DEFAULT 0,
+      consensus_target INTEGER
+    );
+  `);
+
+  const tCols = new Set((await all("PRAGMA table_info(tasks)")).map((c) => c.name));
+  for (const col of ["gold_answer", "tags"]) {
+    if (!tCols.has(col)) await run(`ALTER TABLE tasks ADD COLUMN ${col} TEXT`);
+  }
+  if (!tCols.has("import_batch_id")) await run("ALTER TABLE tasks ADD COLUMN import_batch_id INTEGER");
+  if (!tCols.has("is_gold")) await run("ALTER TABLE tasks ADD COLUMN is_gold INTEGER NOT NULL DEFAULT 0");
+  if (!tCols.has("consensus_target")) {
+    await run("ALTER TABLE tasks ADD COLUMN consensus_target INTEGER");
+    await run("UPDATE tasks SET consensus_target = 3 WHERE type IN ('image_caption', 'image_tagging')");
+  }
+  await run("CREATE INDEX IF NOT EXISTS idx_tasks_import_batch ON tasks(import_batch_id)");
+
+  // one row per committed task import (see task_import.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS task_import_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_by INTEGER,
+      filename TEXT,
+      format TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'imported',
+      row_count INTEGER NOT NULL DEFAULT 0,
+      inserted_count INTEGER NOT NULL DEFAULT 0,
+      skipped_count INTEGER NOT NULL DEFAULT 0,
+      errors TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      rolled_back_at TEXT,
+      rolled_back_by INTEGER
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS task_completions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      task_id INTEGER NOT NULL,
+      reward_ksh INTEGER NOT NULL,
+      answer_text TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+      -- automatic scoring (scoring.js); NULL when the task has no reference
+      score REAL,
+      wer REAL,
+      cer REAL,
+      score_band TEXT,
+      base_reward_ksh INTEGER,
+      agreement REAL,
+      qc_applied INTEGER NOT NULL DEFAULT 0,
+
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+  `);
+
+  const tcCols = new Set((await all("PRAGMA table_info(task_completions)")).map((c) => c.name));
+  for (const col of ["score", "wer", "cer"]) {
+    if (!tcCols.has(col)) await run(`ALTER TABLE task_completions ADD COLUMN ${col} REAL`);
+  }
+  if (!tcCols.has("score_band")) await run("ALTER TABLE task_completions ADD COLUMN score_band TEXT");
+  if (!tcCols.has("base_reward_ksh")) await run("ALTER TABLE task_completions ADD COLUMN base_reward_ksh INTEGER");
+  if (!tcCols.has("agreement")) await run("ALTER TABLE task_completions ADD COLUMN agreement REAL");
+  if (!tcCols.has("qc_applied")) await run("ALTER TABLE task_completions ADD COLUMN qc_applied INTEGER NOT NULL DEFAULT 0");
+  await run("CREATE INDEX IF NOT EXISTS idx_task_completions_task ON task_completions(task_id)");
+
+  // human review: NULL = not queued, else pending/approved/rejected/corrected.
+  // reward_held = 1 while reward_ksh is owed but not yet credited.
+  for (const col of ["review_status", "review_reason", "review_note", "reviewed_at", "corrected_answer"]) {
+    if (!tcCols.has(col)) await run(`ALTER TABLE task_completions ADD COLUMN ${col} TEXT`);
+  }
+  if (!tcCols.has("reviewed_by")) await run("ALTER TABLE task_completions ADD COLUMN reviewed_by INTEGER");
+  if (!tcCols.has("reward_held")) await run("ALTER TABLE task_completions ADD COLUMN reward_held INTEGER NOT NULL DEFAULT 0");
+  await run("CREATE INDEX IF NOT EXISTS idx_task_completions_review ON task_completions(review_status)");
+
+  // aggregated answers per consensus task
+  await run(`
+    CREATE TABLE IF NOT EXISTS task_consensus (
+      task_id INTEGER PRIMARY KEY,
+      answers INTEGER NOT NULL DEFAULT 0,
+      target INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'collecting',
+      agreement REAL,
+      consensus_answer TEXT,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+  `);
+
+  // per-worker trust from gold results and consensus agreement
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_quality (
+      user_id INTEGER PRIMARY KEY,
+      gold_count INTEGER NOT NULL DEFAULT 0,
+      gold_sum REAL NOT NULL DEFAULT 0,
+      consensus_count INTEGER NOT NULL DEFAULT 0,
+      consensus_sum REAL NOT NULL DEFAULT 0,
+      trust REAL NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS daily_tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      day_key TEXT NOT NULL,
+      task_id INTEGER NOT NULL,
+
+      assigned_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      completed_at TEXT,
+      answer_text TEXT,
+
+      UNIQUE(user_id, day_key, task_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS withdrawals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      amount_ksh INTEGER NOT NULL,
+      phone_number TEXT NOT NULL,
+      method TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT "requested",
+      status_reason TEXT,
+      receipt_ref TEXT,
+      provider TEXT,
+      provider_ref TEXT,
+      provider_conversation_id TEXT,
+      provider_status TEXT,
+      dispatched_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  // older databases were created without these columns
+  const wCols = new Set((await all("PRAGMA table_info(withdrawals)")).map((c) => c.name));
+  if (!wCols.has("status_reason")) await run("ALTER TABLE withdrawals ADD COLUMN status_reason TEXT");
+  if (!wCols.has("receipt_ref")) await run("ALTER TABLE withdrawals ADD COLUMN receipt_ref TEXT");
+  if (!wCols.has("updated_at")) await run("ALTER TABLE withdrawals ADD COLUMN updated_at TEXT");
+  for (const col of ["provider", "provider_ref", "provider_conversation_id", "provider_status", "dispatched_at"]) {
+    if (!wCols.has(col)) await run(`ALTER TABLE withdrawals ADD COLUMN ${col} TEXT`);
+  }
+  await run("CREATE INDEX IF NOT EXISTS idx_withdrawals_provider_ref ON withdrawals(provider, provider_ref)");
+  // free-text methods from older clients
+  await run("UPDATE withdrawals SET method = 'mpesa' WHERE lower(method) IN ('m-pesa', 'm pesa')");
+  await run("UPDATE withdrawals SET method = 'airtel' WHERE lower(method) IN ('airtel money', 'airtel_money')");
+  await run("UPDATE withdrawals SET status = 'requested' WHERE status = 'pending'");
+
+  // one row per status change, newest last
+  await run(`
+    CREATE TABLE IF NOT EXISTS withdrawal_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      withdrawal_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      actor_type TEXT NOT NULL,
+      actor_id INTEGER,
+      reason TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (withdrawal_id) REFERENCES withdrawals(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX IF NOT EXISTS idx_withdrawal_events_wid ON withdrawal_events(withdrawal_id)");
+
+  // ---- Wallet ledger (double-entry) ----
+  // Every money movement is one immutable ledger_entries row with two or more
+  // ledger_postings that sum to zero. users.balance_ksh / bonus_ksh are caches
+  // of the matching ledger_accounts balances.
+  await run(`
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      user_id INTEGER,
+      wallet TEXT NOT NULL,
+      balance_ksh INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      ref_type TEXT,
+      ref_id INTEGER,
+      memo TEXT,
+      actor_id INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS ledger_postings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entry_id INTEGER NOT NULL,
+      account_id INTEGER NOT NULL,
+      amount_ksh INTEGER NOT NULL,
+      FOREIGN KEY (entry_id) REFERENCES ledger_entries(id),
+      FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+    );
+  `);
+
+  await run("CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id)");
+  await run("CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry ON ledger_postings(entry_id)");
+  await run("CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user ON ledger_accounts(user_id)");
+
+  // The journal is append-only: corrections are new "adjustment" entries.
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ledger_entries_no_update BEFORE UPDATE ON ledger_entries
+    BEGIN SELECT RAISE(ABORT, 'ledger_entries is append-only'); END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ledger_entries_no_delete BEFORE DELETE ON ledger_entries
+    BEGIN SELECT RAISE(ABORT, 'ledger_entries is append-only'); END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ledger_postings_no_update BEFORE UPDATE ON ledger_postings
+    BEGIN SELECT RAISE(ABORT, 'ledger_postings is append-only'); END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ledger_postings_no_delete BEFORE DELETE ON ledger_postings
+    BEGIN SELECT RAISE(ABORT, 'ledger_postings is append-only'); END;
+  `);
+}
+
+const TABLES = [
+  "ledger_postings",
+  "ledger_entries",
+  "ledger_accounts",
+  "withdrawal_events",
+  "withdrawals",
+  "daily_tasks",
+  "user_quality",
+  "task_consensus",
+  "task_completions",
+  "task_import_batches",
+  "tasks",
+  "mfa_challenges",
+  "recovery_codes",
+  "sessions",
+  "user_phones",
+  "otp_codes",
+  "auth_tokens",
+  "admin_audit",
+  "users",
+];
+
+async function down({ run }) {
+  for (const t of ["ledger_entries_no_update", "ledger_entries_no_delete", "ledger_postings_no_update", "ledger_postings_no_delete"]) {
+    await run(`DROP TRIGGER IF EXISTS ${t}`);
+  }
+  for (const t of TABLES) await run(`DROP TABLE IF EXISTS ${t}`);
+}
+
+module.exports = { up, down };
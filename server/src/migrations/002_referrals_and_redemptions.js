@@ -0,0 +1,54 @@
+// One row per referred sign-up and per bonus redemption. Referrals are
+// backfilled from users.referred_by; redemptions from the ledger.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE referrals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      referrer_id INTEGER NOT NULL,
+      referred_user_id INTEGER NOT NULL UNIQUE,
+      bonus_awarded_ksh INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (referrer_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (referred_user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX idx_referrals_referrer ON referrals(referrer_id)");
+  await run(`
+    INSERT INTO referrals (referrer_id, referred_user_id, bonus_awarded_ksh, created_at)
+    SELECT u.referred_by, u.id,
+           COALESCE((SELECT SUM(p.amount_ksh) FROM ledger_entries e
+                     JOIN ledger_postings p ON p.entry_id = e.id AND p.amount_ksh > 0
+                     WHERE e.kind = 'referral_bonus' AND e.ref_type = 'user' AND e.ref_id = u.id), 0),
+           u.created_at
+    FROM users u
+    WHERE u.referred_by IS NOT NULL
+  `);
+
+  await run(`
+    CREATE TABLE bonus_redemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      amount_ksh INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE INDEX idx_bonus_redemptions_user ON bonus_redemptions(user_id)");
+  await run(`
+    INSERT INTO bonus_redemptions (user_id, amount_ksh, created_at)
+    SELECT a.user_id, p.amount_ksh, e.created_at
+    FROM ledger_entries e
+    JOIN ledger_postings p ON p.entry_id = e.id AND p.amount_ksh > 0
+    JOIN ledger_accounts a ON a.id = p.account_id
+    WHERE e.kind = 'bonus_redeem'
+    ORDER BY e.id
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS bonus_redemptions");
+  await run("DROP TABLE IF EXISTS referrals");
+}
+
+module.exports = { up, down };
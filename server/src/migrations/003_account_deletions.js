@@ -0,0 +1,44 @@
+// Scheduled account deletion (deletions.js). A deleted user keeps its row as
+// an anonymised tombstone (users.deleted_at) so completions, withdrawals and
+// ledger accounts still point somewhere; account_deletions records each
+// request and what happened to the balances.
+
+async function up({ run }) {
+  await run("ALTER TABLE users ADD COLUMN deleted_at TEXT");
+
+  await run(`
+    CREATE TABLE account_deletions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      requested_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      effective_at TEXT NOT NULL,
+      cancelled_at TEXT,
+      completed_at TEXT,
+      balance_policy TEXT,
+      settlement_withdrawal_id INTEGER,
+      forfeited_main_ksh INTEGER NOT NULL DEFAULT 0,
+      forfeited_bonus_ksh INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (settlement_withdrawal_id) REFERENCES withdrawals(id)
+    );
+  `);
+  await run("CREATE INDEX idx_account_deletions_due ON account_deletions(status, effective_at)");
+  await run("CREATE UNIQUE INDEX idx_account_deletions_open ON account_deletions(user_id) WHERE status = 'scheduled'");
+
+  // requests made before this table existed
+  await run(`
+    INSERT INTO account_deletions (user_id, requested_at, effective_at)
+    SELECT id, COALESCE(delete_requested_at, CURRENT_TIMESTAMP), delete_effective_at
+    FROM users WHERE delete_effective_at IS NOT NULL
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS account_deletions");
+  await run("ALTER TABLE users DROP COLUMN deleted_at");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Background jobs (src/jobs). jobs is the queue; job_schedules remembers
+// when each recurring schedule next fires so restarts don't skip or repeat
+// a run; reports holds what the report jobs build.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      payload TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      dedupe_key TEXT,
+      locked_by TEXT,
+      locked_at TEXT,
+      last_error TEXT,
+      result TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      finished_at TEXT
+    );
+  `);
+  await run("CREATE INDEX idx_jobs_due ON jobs(status, run_at)");
+  await run("CREATE INDEX idx_jobs_type ON jobs(type, id)");
+  // one live job per dedupe key
+  await run("CREATE UNIQUE INDEX idx_jobs_dedupe ON jobs(dedupe_key) WHERE status IN ('queued', 'running')");
+
+  await run(`
+    CREATE TABLE job_schedules (
+      name TEXT PRIMARY KEY,
+      cron TEXT NOT NULL,
+      next_run_at TEXT NOT NULL,
+      last_run_at TEXT,
+      last_job_id INTEGER
+    );
+  `);
+
+  await run(`
+    CREATE TABLE reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      period TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (kind, period)
+    );
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS reports");
+  await run("DROP TABLE IF EXISTS job_schedules");
+  await run("DROP TABLE IF EXISTS jobs");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Request throttling (ratelimit.js) and progressive login lockout
+// (login_lockout.js). Counters are per fixed window; the limiter blends the
+// current and previous window into a sliding estimate.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE rate_limit_hits (
+      bucket TEXT NOT NULL,
+      window_start INTEGER NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (bucket, window_start)
+    ) WITHOUT ROWID;
+  `);
+  await run("CREATE INDEX idx_rate_limit_hits_window ON rate_limit_hits(window_start)");
+
+  // keyed by lower-cased email so unknown addresses lock the same way
+  await run(`
+    CREATE TABLE login_lockouts (
+      email TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      lockouts INTEGER NOT NULL DEFAULT 0,
+      locked_until TEXT,
+      last_failed_at TEXT
+    );
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS login_lockouts");
+  await run("DROP TABLE IF EXISTS rate_limit_hits");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// Referral bonuses vest on qualifying activity instead of at sign-up
+// (referral_vesting.js). Referrals made before this were paid on the spot, so
+// they start out vested. Sessions remember the client's device id so accounts
+// sharing a device can be spotted.
+
+async function up({ run }) {
+  await run("ALTER TABLE referrals ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'");
+  await run("ALTER TABLE referrals ADD COLUMN bonus_ksh INTEGER NOT NULL DEFAULT 0");
+  await run("ALTER TABLE referrals ADD COLUMN signup_ip TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN signup_device TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN flags TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN flagged_at TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN vested_at TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN reviewed_by INTEGER");
+  await run("ALTER TABLE referrals ADD COLUMN reviewed_at TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN review_note TEXT");
+  await run("ALTER TABLE referrals ADD COLUMN clawed_back_at TEXT");
+  await run("UPDATE referrals SET status = 'vested', bonus_ksh = bonus_awarded_ksh, vested_at = created_at");
+  await run("CREATE INDEX idx_referrals_status ON referrals(status)");
+
+  await run("ALTER TABLE sessions ADD COLUMN device_id TEXT");
+  await run("CREATE INDEX idx_sessions_device ON sessions(device_id)");
+}
+
+async function down({ run }) {
+  await run("DROP INDEX IF EXISTS idx_sessions_device");
+  await run("ALTER TABLE sessions DROP COLUMN device_id");
+
+  await run("DROP INDEX IF EXISTS idx_referrals_status");
+  for (const col of [
+    "clawed_back_at",
+    "review_note",
+    "reviewed_at",
+    "reviewed_by",
+    "vested_at",
+    "flagged_at",
+    "flags",
+    "signup_device",
+    "signup_ip",
+    "bonus_ksh",
+    "status",
+  ]) {
+    await run(`ALTER TABLE referrals DROP COLUMN ${col}`);
+  }
+}
+
+module.exports = { up, down };
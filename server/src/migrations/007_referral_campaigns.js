@@ -0,0 +1,78 @@
+// Configurable referral campaigns (referral_campaigns.js): signup bonus,
+// commissions on referees' task earnings two levels up, per-referrer caps and
+// the redemption step. The rules that used to be hard-coded become the
+// open-ended "Standard" campaign. Vanity codes are extra referral codes that
+// point at a user and optionally pin signups to a campaign.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE referral_campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      starts_at TEXT NOT NULL,
+      ends_at TEXT,
+      signup_bonus_ksh INTEGER NOT NULL DEFAULT 0,
+      tier1_commission_pct REAL NOT NULL DEFAULT 0,
+      tier2_commission_pct REAL NOT NULL DEFAULT 0,
+      max_referrals INTEGER,
+      max_earnings_ksh INTEGER,
+      redeem_step_ksh INTEGER NOT NULL DEFAULT 1000,
+      created_by INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await run("CREATE INDEX idx_referral_campaigns_window ON referral_campaigns(starts_at, ends_at)");
+  await run(`
+    INSERT INTO referral_campaigns (name, starts_at, signup_bonus_ksh, redeem_step_ksh)
+    VALUES ('Standard', '1970-01-01 00:00:00', 100, 1000)
+  `);
+
+  await run(`
+    CREATE TABLE referral_codes (
+      code TEXT PRIMARY KEY COLLATE NOCASE,
+      user_id INTEGER NOT NULL,
+      campaign_id INTEGER,
+      created_by INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      disabled_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (campaign_id) REFERENCES referral_campaigns(id)
+    );
+  `);
+  await run("CREATE INDEX idx_referral_codes_user ON referral_codes(user_id)");
+
+  await run("ALTER TABLE referrals ADD COLUMN campaign_id INTEGER");
+  await run("ALTER TABLE referrals ADD COLUMN code TEXT");
+  await run("UPDATE referrals SET campaign_id = 1");
+  await run("CREATE INDEX idx_referrals_campaign ON referrals(campaign_id)");
+
+  // tier 1 goes to the referee's referrer, tier 2 to that referrer's referrer
+  await run(`
+    CREATE TABLE referral_commissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL,
+      completion_id INTEGER NOT NULL,
+      source_user_id INTEGER NOT NULL,
+      beneficiary_id INTEGER NOT NULL,
+      tier INTEGER NOT NULL CHECK (tier IN (1, 2)),
+      amount_ksh INTEGER NOT NULL,
+      reversed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (completion_id, tier),
+      FOREIGN KEY (campaign_id) REFERENCES referral_campaigns(id)
+    );
+  `);
+  await run("CREATE INDEX idx_referral_commissions_beneficiary ON referral_commissions(beneficiary_id, campaign_id)");
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS referral_commissions");
+  await run("DROP INDEX IF EXISTS idx_referrals_campaign");
+  await run("ALTER TABLE referrals DROP COLUMN code");
+  await run("ALTER TABLE referrals DROP COLUMN campaign_id");
+  await run("DROP TABLE IF EXISTS referral_codes");
+  await run("DROP TABLE IF EXISTS referral_campaigns");
+}
+
+module.exports = { up, down };
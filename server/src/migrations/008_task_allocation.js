@@ -0,0 +1,69 @@
+// Skill-based daily allocation (allocator.js) and task leases with draft
+// autosave (reservations.js). Tasks and workers get languages; each day's
+// allocation keeps the worker profile it was made from, and each assignment
+// the score that picked it, so admins can see why a worker got what they got.
+
+async function up({ run }) {
+  await run("ALTER TABLE tasks ADD COLUMN language TEXT");
+  await run("ALTER TABLE users ADD COLUMN languages TEXT");
+  await run("ALTER TABLE daily_tasks ADD COLUMN allocation TEXT");
+
+  await run(`
+    CREATE TABLE task_allocations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      day_key TEXT NOT NULL,
+      tier TEXT NOT NULL,
+      quota INTEGER NOT NULL,
+      profile TEXT NOT NULL,
+      runs INTEGER NOT NULL DEFAULT 1,
+      replaced INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, day_key),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  // active -> completed | released | expired
+  await run(`
+    CREATE TABLE task_reservations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      expires_at TEXT NOT NULL,
+      heartbeat_at TEXT,
+      ended_at TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run("CREATE UNIQUE INDEX idx_task_reservations_active ON task_reservations(task_id, user_id) WHERE status = 'active'");
+  await run("CREATE INDEX idx_task_reservations_expiry ON task_reservations(status, expires_at)");
+
+  await run(`
+    CREATE TABLE task_drafts (
+      user_id INTEGER NOT NULL,
+      task_id INTEGER NOT NULL,
+      answer_text TEXT NOT NULL,
+      device_id TEXT,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, task_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+async function down({ run }) {
+  await run("DROP TABLE IF EXISTS task_drafts");
+  await run("DROP TABLE IF EXISTS task_reservations");
+  await run("DROP TABLE IF EXISTS task_allocations");
+  await run("ALTER TABLE daily_tasks DROP COLUMN allocation");
+  await run("ALTER TABLE users DROP COLUMN languages");
+  await run("ALTER TABLE tasks DROP COLUMN language");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+// Locally stored task media (media/). Files are kept by content hash, so the
+// same upload twice is one asset; tasks point at an asset with media_id and
+// keep media_url as where the file originally came from.
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE media_assets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sha256 TEXT NOT NULL UNIQUE,
+      mime TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('image', 'audio', 'video')),
+      size_bytes INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      duration_ms INTEGER,
+      original_name TEXT,
+      source_url TEXT,
+      status TEXT NOT NULL DEFAULT 'processing',
+      derivatives TEXT,
+      error TEXT,
+      created_by INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      processed_at TEXT
+    );
+  `);
+  await run("CREATE INDEX idx_media_assets_source ON media_assets(source_url)");
+
+  // hot-linked URLs the localize job couldn't download, so it backs off
+  await run(`
+    CREATE TABLE media_fetch_failures (
+      url TEXT PRIMARY KEY,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      last_attempt_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await run("ALTER TABLE tasks ADD COLUMN media_id INTEGER");
+  await run("CREATE INDEX idx_tasks_media ON tasks(media_id)");
+}
+
+async function down({ run }) {
+  await run("DROP INDEX IF EXISTS idx_tasks_media");
+  await run("ALTER TABLE tasks DROP COLUMN media_id");
+  await run("DROP TABLE IF EXISTS media_fetch_failures");
+  await run("DROP TABLE IF EXISTS media_assets");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// Label sets for structured annotation tasks (annotations/): a JSON array of
+// the labels workers may pick from on that task.
+
+async function up({ run }) {
+  await run("ALTER TABLE tasks ADD COLUMN labels TEXT");
+}
+
+async function down({ run }) {
+  await run("ALTER TABLE tasks DROP COLUMN labels");
+}
+
+module.exports = { up, down };
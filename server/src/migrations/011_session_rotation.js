@@ -0,0 +1,13 @@
+// When a session's refresh token was last rotated, so a refresh that raced
+// the rotation with the previous token can be told apart from token reuse
+// (sessions.js).
+
+async function up({ run }) {
+  await run("ALTER TABLE sessions ADD COLUMN rotated_at TEXT");
+}
+
+async function down({ run }) {
+  await run("ALTER TABLE sessions DROP COLUMN rotated_at");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const { run, get, all, transaction } = require("./db");
+
+// Numbered schema migrations in src/migrations: NNN_name.js exporting
+// up({ run, get, all }) and down(...). Applied versions are recorded in
+// schema_migrations; each migration runs in its own transaction.
+// Use scripts/migrate.js to apply, roll back or list them.
+
+const DIR = path.join(__dirname, "migrations");
+
+function load() {
+  const list = fs
+    .readdirSync(DIR)
+    .filter((f) => /^\d+_[\w-]+\.js$/.test(f))
+    .map((f) => {
+      const m = require(path.join(DIR, f));
+      return { version: parseInt(f, 10), name: f.replace(/^\d+_|\.js$/g, ""), up: m.up, down: m.down };
+    })
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) throw new Error(`Two migrations numbered ${list[i].version}`);
+  }
+  return list;
+}
+
+async function ensureTable() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+// Every known migration with applied_at (null when pending), plus any
+// applied version whose file is gone (missing: true).
+async function status() {
+  await ensureTable();
+  const applied = new Map((await all("SELECT * FROM schema_migrations")).map((r) => [r.version, r]));
+  const rows = load().map((m) => ({ version: m.version, name: m.name, applied_at: applied.get(m.version)?.applied_at || null }));
+  for (const [version, r] of applied) {
+    if (!rows.some((m) => m.version === version)) rows.push({ version, name: r.name, applied_at: r.applied_at, missing: true });
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+async function pending() {
+  return (await status()).filter((m) => !m.applied_at);
+}
+
+// Applies pending migrations up to and including `to`. Returns those applied.
+async function migrate({ to = Infinity } = {}) {
+  await ensureTable();
+  const done = [];
+  for (const m of load()) {
+    if (m.version > to) break;
+    if (await get("SELECT 1 FROM schema_migrations WHERE version = ?", [m.version])) continue;
+    await transaction(async () => {
+      await m.up({ run, get, all });
+      await run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [m.version, m.name]);
+    });
+    done.push(m);
+  }
+  return done;
+}
+
+// Reverts the latest `steps` applied migrations, or all above `to`.
+async function rollback({ steps = 1, to = null } = {}) {
+  await ensureTable();
+  const byVersion = new Map(load().map((m) => [m.version, m]));
+  const applied = await all("SELECT version, name FROM schema_migrations ORDER BY version DESC");
+  const targets = to === null ? applied.slice(0, steps) : applied.filter((r) => r.version > to);
+
+  const done = [];
+  for (const r of targets) {
+    const m = byVersion.get(r.version);
+    if (!m) throw new Error(`Migration ${r.version} (${r.name}) has no file to roll back with`);
+    if (!m.down) throw new Error(`Migration ${r.version} (${r.name}) cannot be rolled back`);
+    await transaction(async () => {
+      await m.down({ run, get, all });
+      await run("DELETE FROM schema_migrations WHERE version = ?", [m.version]);
+    });
+    done.push(m);
+  }
+  return done;
+}
+
+// Called at startup: the server won't run against an out-of-date schema.
+async function assertUpToDate() {
+  const waiting = await pending();
+  if (waiting.length) {
+    const list = waiting.map((m) => `${m.version}_${m.name}`).join(", ");
+    throw new Error(`Database has ${waiting.length} pending migration(s): ${list}. Run "npm run db:migrate".`);
+  }
+}
+
+module.exports = { status, pending, migrate, rollback, assertUpToDate };
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const { run, get } = require("./db");
+const sms = require("./sms");
+const { toMsisdn } = require("./payouts/common");
+
+// One-time SMS codes. A code is 6 digits, stored only as an HMAC, expires
+// after TTL_SECONDS and allows MAX_ATTEMPTS guesses. A number gets at most one
+// code per purpose every RESEND_COOLDOWN_SECONDS and HOURLY_LIMIT per hour.
+//
+// Numbers a user has proven with a code are kept in user_phones. A number
+// belongs to one account only; it is what phone login looks up and what
+// withdrawals may be paid to without another code.
+
+const PURPOSES = {
+  login: "sign in",
+  payment_number: "confirm your new payment number",
+  withdraw_number: "confirm a withdrawal to this number",
+};
+
+const CODE_LENGTH = 6;
+const TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS || 5 * 60);
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const HOURLY_LIMIT = 5;
+
+const SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || "dev_secret_change_me";
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashCode(id, code) {
+  return crypto.createHmac("sha256", SECRET).update(`${id}:${code}`).digest("hex");
+}
+
+function requireMsisdn(phone) {
+  const msisdn = toMsisdn(phone);
+  if (!msisdn) throw httpError(400, "Enter a valid Kenyan mobile number");
+  return msisdn;
+}
+
+async function ownerOf(msisdn) {
+  const row = await get("SELECT user_id FROM user_phones WHERE msisdn = ?", [msisdn]);
+  return row ? row.user_id : null;
+}
+
+async function isVerifiedNumber(userId, phone) {
+  const msisdn = toMsisdn(phone);
+  return !!msisdn && (await ownerOf(msisdn)) === userId;
+}
+
+// Records that userId controls msisdn. Throws 409 if another account has it.
+async function linkNumber(userId, msisdn) {
+  const owner = await ownerOf(msisdn);
+  if (owner && owner !== userId) throw httpError(409, "This number is already linked to another account");
+  if (!owner) await run("INSERT INTO user_phones (user_id, msisdn) VALUES (?, ?)", [userId, msisdn]);
+}
+
+// Sends a new code, replacing any unused one for the same number and purpose.
+async function request({ phone, purpose, userId = null }) {
+  if (!PURPOSES[purpose]) throw httpError(400, "Unknown code purpose");
+  const msisdn = requireMsisdn(phone);
+
+  const last = await get(
+    `SELECT CAST(strftime('%s', 'now') - strftime('%s', created_at) AS INTEGER) AS age
+     FROM otp_codes WHERE msisdn = ? AND purpose = ? ORDER BY id DESC LIMIT 1`,
+    [msisdn, purpose]
+  );
+  if (last && last.age < RESEND_COOLDOWN_SECONDS) {
+    const err = httpError(429, `Please wait ${RESEND_COOLDOWN_SECONDS - last.age}s before requesting another code`);
+    err.retryAfter = RESEND_COOLDOWN_SECONDS - last.age;
+    throw err;
+  }
+  const hour = await get(
+    "SELECT COUNT(*) AS n FROM otp_codes WHERE msisdn = ? AND created_at > datetime('now', '-1 hour')",
+    [msisdn]
+  );
+  if (hour.n >= HOURLY_LIMIT) throw httpError(429, "Too many codes requested for this number. Try again later.");
+
+  await run(
+    "UPDATE otp_codes SET consumed_at = CURRENT_TIMESTAMP WHERE msisdn = ? AND purpose = ? AND consumed_at IS NULL",
+    [msisdn, purpose]
+  );
+  const ins = await run(
+    `INSERT INTO otp_codes (user_id, msisdn, purpose, code_hash, expires_at)
+     VALUES (?, ?, ?, '', datetime('now', ?))`,
+    [userId, msisdn, purpose, `+${TTL_SECONDS} seconds`]
+  );
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0");
+  await run("UPDATE otp_codes SET code_hash = ? WHERE id = ?", [hashCode(ins.lastID, code), ins.lastID]);
+
+  const minutes = Math.round(TTL_SECONDS / 60);
+  try {
+    await sms.send(
+      msisdn,
+      `${code} is your Synthgraphix code to ${PURPOSES[purpose]}. It expires in ${minutes} min. Never share it.`
+    );
+  } catch (e) {
+    await run("UPDATE otp_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = ?", [ins.lastID]);
+    console.error("OTP SMS failed:", e.message);
+    throw httpError(502, "Could not send the SMS. Try again shortly.");
+  }
+  return { msisdn, expires_in: TTL_SECONDS, resend_in: RESEND_COOLDOWN_SECONDS };
+}
+
+// Checks a code and spends it. Each guess is counted before comparing, so
+// parallel guesses can't get past MAX_ATTEMPTS. Don't call this inside a
+// transaction that may roll back, or failed attempts would be forgotten.
+async function verify({ phone, purpose, code, userId = null }) {
+  const msisdn = requireMsisdn(phone);
+  const row = await get(
+    `SELECT *, expires_at <= CURRENT_TIMESTAMP AS expired FROM otp_codes
+     WHERE msisdn = ? AND purpose = ? AND consumed_at IS NULL
+     ORDER BY id DESC LIMIT 1`,
+    [msisdn, purpose]
+  );
+  if (!row || (userId != null && row.user_id !== userId)) throw httpError(400, "No active code. Request a new one.");
+  if (row.expired) throw httpError(400, "This code has expired. Request a new one.");
+
+  const counted = await run(
+    "UPDATE otp_codes SET attempts = attempts + 1 WHERE id = ? AND attempts < ? AND consumed_at IS NULL",
+    [row.id, MAX_ATTEMPTS]
+  );
+  if (!counted.changes) throw httpError(400, "Too many attempts. Request a new code.");
+
+  const given = Buffer.from(hashCode(row.id, String(code || "").trim()));
+  if (!crypto.timingSafeEqual(given, Buffer.from(row.code_hash))) {
+    const left = MAX_ATTEMPTS - row.attempts - 1;
+    if (left <= 0) {
+      await run("UPDATE otp_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = ?", [row.id]);
+      throw httpError(400, "Incorrect code. Request a new one.");
+    }
+    throw httpError(400, `Incorrect code. ${left} attempt${left === 1 ? "" : "s"} left.`);
+  }
+
+  const spent = await run("UPDATE otp_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = ? AND consumed_at IS NULL", [
+    row.id,
+  ]);
+  if (!spent.changes) throw httpError(400, "No active code. Request a new one.");
+  return { msisdn, user_id: row.user_id };
+}
+
+module.exports = {
+  PURPOSES,
+  request,
+  verify,
+  ownerOf,
+  isVerifiedNumber,
+  linkNumber,
+};
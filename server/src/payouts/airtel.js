@@ -0,0 +1,123 @@
+// Airtel Money (Africa) disbursement adapter.
+// Without AIRTEL_BASE_URL it talks to the bundled mock provider; for live set
+// AIRTEL_BASE_URL=https://openapi.airtel.africa and every credential below.
+const { PayoutError, toMsisdn, fetchJson, providerConfig } = require("./common");
+
+const name = "airtel";
+
+function config() {
+  return {
+    ...providerConfig("Airtel Money", {
+      baseUrl: ["AIRTEL_BASE_URL", "http://127.0.0.1:5181"],
+      clientId: ["AIRTEL_CLIENT_ID", "mock_client"],
+      clientSecret: ["AIRTEL_CLIENT_SECRET", "mock_secret"],
+      encryptedPin: ["AIRTEL_ENCRYPTED_PIN", "mock_pin"],
+    }),
+    country: process.env.AIRTEL_COUNTRY || "KE",
+    currency: process.env.AIRTEL_CURRENCY || "KES",
+  };
+}
+
+let cachedToken = null;
+
+async function accessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now() + 30000) return cachedToken.value;
+  const c = config();
+  const r = await fetchJson(`${c.baseUrl}/auth/oauth2/token`, {
+    method: "POST",
+    body: { client_id: c.clientId, client_secret: c.clientSecret, grant_type: "client_credentials" },
+  });
+  if (!r.ok || !r.data?.access_token) throw new PayoutError(`Airtel auth failed (${r.status})`);
+  cachedToken = {
+    value: r.data.access_token,
+    expiresAt: Date.now() + Number(r.data.expires_in || 180) * 1000,
+  };
+  return cachedToken.value;
+}
+
+function headers(token) {
+  const c = config();
+  return { Authorization: `Bearer ${token}`, "X-Country": c.country, "X-Currency": c.currency };
+}
+
+// Airtel transaction status codes: TS success, TF failed, TA ambiguous,
+// TIP in progress.
+function stateFor(code) {
+  if (code === "TS") return "paid";
+  if (code === "TF") return "failed";
+  return "unknown";
+}
+
+async function requestPayout({ reference, withdrawalId, amount, phone, remarks }) {
+  const msisdn = toMsisdn(phone);
+  if (!msisdn) throw new PayoutError("Invalid Airtel Money number", { definitive: true, code: "invalid_msisdn" });
+
+  const c = config();
+  const token = await accessToken();
+  const r = await fetchJson(`${c.baseUrl}/standard/v1/disbursements/`, {
+    method: "POST",
+    headers: headers(token),
+    body: {
+      payee: { msisdn: msisdn.slice(3) },
+      reference: (remarks || `Withdrawal ${withdrawalId}`).slice(0, 64),
+      pin: c.encryptedPin,
+      transaction: { amount: Math.floor(amount), id: reference },
+    },
+  });
+
+  const status = r.data?.status || {};
+  if (r.status >= 400 && r.status < 500) {
+    throw new PayoutError(status.message || `Airtel rejected the request (${r.status})`, {
+      definitive: true,
+      code: status.response_code || null,
+    });
+  }
+  if (!r.ok || status.success === false) {
+    throw new PayoutError(status.message || `Airtel request failed (${r.status})`);
+  }
+
+  const txn = r.data?.data?.transaction || {};
+  const state = stateFor(txn.status);
+  if (state === "failed") {
+    throw new PayoutError(txn.message || status.message || "Airtel disbursement failed", {
+      definitive: true,
+      code: status.response_code || null,
+    });
+  }
+  return {
+    providerRef: reference,
+    conversationId: txn.reference_id || null,
+    // Airtel can settle synchronously; callers treat this like a callback.
+    immediate: state === "paid" ? { state, receiptRef: txn.airtel_money_id || null } : null,
+  };
+}
+
+// Callback body: { transaction: { id, message, status_code, airtel_money_id } }
+function parseResult(body) {
+  const t = body?.transaction || {};
+  return {
+    providerRef: t.id || null,
+    conversationId: null,
+    state: stateFor(t.status_code),
+    receiptRef: t.airtel_money_id || null,
+    resultCode: t.status_code || null,
+    resultDesc: t.message || null,
+  };
+}
+
+async function queryStatus({ providerRef }) {
+  const c = config();
+  const token = await accessToken();
+  const r = await fetchJson(`${c.baseUrl}/standard/v1/disbursements/${encodeURIComponent(providerRef)}`, {
+    headers: headers(token),
+  });
+  if (!r.ok) throw new PayoutError(r.data?.status?.message || `Airtel status query failed (${r.status})`);
+  const txn = r.data?.data?.transaction || {};
+  return {
+    state: stateFor(txn.status),
+    receiptRef: txn.airtel_money_id || null,
+    resultDesc: txn.message || null,
+  };
+}
+
+module.exports = { name, config, requestPayout, parseResult, queryStatus };
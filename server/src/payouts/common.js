@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+// Shared helpers for payout provider adapters.
+
+// Provider callbacks settle withdrawals (a "failed" result refunds the
+// wallet), so they must carry this secret; the dev value only works outside
+// production.
+if (!process.env.PAYOUT_CALLBACK_SECRET && process.env.NODE_ENV === "production") {
+  throw new Error("PAYOUT_CALLBACK_SECRET must be set in production");
+}
+const CALLBACK_SECRET = process.env.PAYOUT_CALLBACK_SECRET || "dev_payout_callback_secret";
+
+// definitive=true means the provider refused the payout outright and the
+// withdrawal can be failed and refunded. Anything else (network errors, 5xx)
+// leaves the outcome unknown until a callback or status query settles it.
+class PayoutError extends Error {
+  constructor(message, { definitive = false, code = null } = {}) {
+    super(message);
+    this.name = "PayoutError";
+    this.definitive = definitive;
+    this.code = code;
+  }
+}
+
+// Withdrawal "method" values, including the labels older clients send.
+const METHOD_ALIASES = {
+  mpesa: "mpesa",
+  "m-pesa": "mpesa",
+  "m pesa": "mpesa",
+  airtel: "airtel",
+  "airtel money": "airtel",
+  airtel_money: "airtel",
+};
+
+function normalizeMethod(method) {
+  return METHOD_ALIASES[String(method || "").trim().toLowerCase()] || null;
+}
+
+// 07XXXXXXXX / 01XXXXXXXX / +2547XXXXXXXX / 2547XXXXXXXX -> 2547XXXXXXXX
+function toMsisdn(phone) {
+  const digits = String(phone || "").replace(/[^\d]/g, "");
+  let out = digits;
+  if (/^0[17]\d{8}$/.test(digits)) out = "254" + digits.slice(1);
+  else if (/^[17]\d{8}$/.test(digits)) out = "254" + digits;
+  if (!/^254[17]\d{8}$/.test(out)) return null;
+  return out;
+}
+
+async function fetchJson(url, { method = "GET", headers = {}, body, timeoutMs = 15000 } = {}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: body !== undefined ? { "Content-Type": "application/json", ...headers } : headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: ctrl.signal,
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { raw: text };
+    }
+    return { status: res.status, ok: res.ok, data };
+  } catch (e) {
+    throw new PayoutError(`Provider unreachable: ${e.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function callbackUrl(path) {
+  const base = (process.env.PAYOUT_CALLBACK_BASE_URL || `http://127.0.0.1:${process.env.PORT || 5175}`).replace(/\/$/, "");
+  return `${base}${path}?token=${encodeURIComponent(CALLBACK_SECRET)}`;
+}
+
+function callbackTokenValid(token) {
+  const given = Buffer.from(String(token || ""));
+  const expected = Buffer.from(CALLBACK_SECRET);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// An adapter's settings: { key: [ENV_NAME, mockValue] }, with `baseUrl`
+// first. With no base URL set (and outside production) the adapter talks to
+// the bundled mock provider with its dummy values; otherwise every setting
+// must be set, so nothing goes to a live API with mock credentials.
+function providerConfig(label, settings) {
+  const live = !!process.env[settings.baseUrl[0]] || process.env.NODE_ENV === "production";
+  const config = {};
+  const missing = [];
+  for (const [key, [env, mock]] of Object.entries(settings)) {
+    config[key] = process.env[env] || (live ? null : mock);
+    if (!config[key]) missing.push(env);
+  }
+  if (missing.length) throw new PayoutError(`${label} is not configured: set ${missing.join(", ")}`, { code: "not_configured" });
+  config.baseUrl = config.baseUrl.replace(/\/$/, "");
+  return config;
+}
+
+module.exports = { PayoutError, normalizeMethod, toMsisdn, fetchJson, callbackUrl, callbackTokenValid, providerConfig };
@@ -0,0 +1,241 @@
+const express = require("express");
+const { run, get, all } = require("../db");
+const withdrawals = require("../withdrawals");
+const { PayoutError, normalizeMethod, callbackTokenValid } = require("./common");
+
+// Provider adapters implement:
+//   name
+//   config() -> settings (throws PayoutError when not configured)
+//   requestPayout({ reference, withdrawalId, amount, phone, remarks })
+//     -> { providerRef, conversationId, immediate? }   (throws PayoutError)
+//   parseResult(body) -> outcome
+//   queryStatus({ providerRef, conversationId, receiptRef }) -> { state, receiptRef?, resultDesc? }
+// where outcome.state is "paid", "failed" or "unknown".
+const PROVIDERS = {
+  mpesa: require("./mpesa"),
+  airtel: require("./airtel"),
+};
+
+function getProvider(method) {
+  return PROVIDERS[normalizeMethod(method)] || null;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function findByOutcome(providerName, outcome) {
+  if (outcome.providerRef) {
+    const w = await get(
+      "SELECT id, status FROM withdrawals WHERE provider = ? AND provider_ref = ?",
+      [providerName, outcome.providerRef]
+    );
+    if (w) return w;
+  }
+  if (outcome.conversationId) {
+    return get(
+      "SELECT id, status FROM withdrawals WHERE provider = ? AND provider_conversation_id = ?",
+      [providerName, outcome.conversationId]
+    );
+  }
+  return null;
+}
+
+// Applies a provider outcome (callback, status query or synchronous result)
+// to the matching withdrawal. Safe to call repeatedly for the same payout.
+async function settle(providerName, outcome) {
+  const w = await findByOutcome(providerName, outcome);
+  if (!w) return { ignored: "unknown reference" };
+
+  await run("UPDATE withdrawals SET provider_status = ? WHERE id = ?", [
+    outcome.resultCode ? `${outcome.state}:${outcome.resultCode}` : outcome.state,
+    w.id,
+  ]);
+  if (w.status !== "processing") return { id: w.id, ignored: `already ${w.status}` };
+
+  if (outcome.state === "paid") {
+    await withdrawals.transition(w.id, "paid", {
+      actorType: "provider",
+      reason: outcome.resultDesc || `Paid via ${providerName}`,
+      receiptRef: outcome.receiptRef || outcome.providerRef,
+    });
+    return { id: w.id, status: "paid" };
+  }
+  if (outcome.state === "failed") {
+    await withdrawals.transition(w.id, "failed", {
+      actorType: "provider",
+      reason: [outcome.resultDesc || "Payout failed", outcome.resultCode ? `(code ${outcome.resultCode})` : ""]
+        .join(" ")
+        .trim(),
+    });
+    return { id: w.id, status: "failed" };
+  }
+  return { id: w.id, status: w.status };
+}
+
+// Sends an approved withdrawal to its provider. The withdrawal moves to
+// processing first so a crash mid-request leaves it for pollProcessing().
+async function dispatch(withdrawalId, { actorType = "operator", actorId = null } = {}) {
+  const w = await get(
+    "SELECT id, user_id, amount_ksh, phone_number, method, status FROM withdrawals WHERE id = ?",
+    [withdrawalId]
+  );
+  if (!w) throw httpError(404, "Withdrawal not found");
+  if (w.status !== "approved") throw httpError(409, `Only approved withdrawals can be dispatched (is ${w.status})`);
+
+  const provider = getProvider(w.method);
+  if (!provider) throw httpError(400, `No payout provider for method "${w.method}"`);
+  // checked before the withdrawal moves, so a missing setting doesn't strand it in processing
+  try {
+    provider.config();
+  } catch (e) {
+    throw httpError(503, e.message);
+  }
+
+  const reference = `SGXW${w.id}T${Date.now()}`;
+  await withdrawals.transition(w.id, "processing", { actorType, actorId, reason: `Sent to ${provider.name}` });
+  await run(
+    `UPDATE withdrawals
+     SET provider = ?, provider_ref = ?, provider_status = 'sending', dispatched_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [provider.name, reference, w.id]
+  );
+
+  try {
+    const r = await provider.requestPayout({
+      reference,
+      withdrawalId: w.id,
+      amount: w.amount_ksh,
+      phone: w.phone_number,
+      remarks: `SynthGraphix withdrawal ${w.id}`,
+    });
+    await run(
+      "UPDATE withdrawals SET provider_conversation_id = ?, provider_status = 'accepted' WHERE id = ?",
+      [r.conversationId, w.id]
+    );
+    if (r.immediate) return settle(provider.name, { providerRef: reference, ...r.immediate });
+    return { id: w.id, status: "processing" };
+  } catch (e) {
+    if (e instanceof PayoutError && e.definitive) {
+      await run("UPDATE withdrawals SET provider_status = ? WHERE id = ?", [`rejected:${e.code || "error"}`, w.id]);
+      await withdrawals.transition(w.id, "failed", { actorType: "provider", reason: e.message });
+      return { id: w.id, status: "failed", error: e.message };
+    }
+    // outcome unknown: stay in processing until a callback or poll settles it
+    await run("UPDATE withdrawals SET provider_status = 'unknown' WHERE id = ?", [w.id]);
+    console.error(`payout dispatch ${w.id} (${provider.name}) failed:`, e.message);
+    return { id: w.id, status: "processing", error: e.message };
+  }
+}
+
+// Asks providers about payouts that have been processing for a while.
+// M-Pesa answers asynchronously on the status-result callback.
+async function pollProcessing({ olderThanSeconds = 120, limit = 50 } = {}) {
+  const rows = await all(
+    `SELECT id, provider, provider_ref, provider_conversation_id, receipt_ref
+     FROM withdrawals
+     WHERE status = 'processing' AND provider IS NOT NULL AND provider_ref IS NOT NULL
+       AND datetime(dispatched_at) <= datetime('now', ?)
+     ORDER BY id ASC
+     LIMIT ?`,
+    [`-${Math.max(0, Math.floor(olderThanSeconds))} seconds`, limit]
+  );
+
+  const results = [];
+  for (const w of rows) {
+    const provider = PROVIDERS[w.provider];
+    if (!provider) continue;
+    try {
+      const r = await provider.queryStatus({
+        providerRef: w.provider_ref,
+        conversationId: w.provider_conversation_id,
+        receiptRef: w.receipt_ref,
+      });
+      if (r.state === "paid" || r.state === "failed") {
+        results.push(await settle(w.provider, { providerRef: w.provider_ref, ...r }));
+      } else {
+        results.push({ id: w.id, status: "processing" });
+      }
+    } catch (e) {
+      results.push({ id: w.id, status: "processing", error: e.message });
+    }
+  }
+  return results;
+}
+
+// ---- Provider callbacks ----
+const router = express.Router();
+
+// Callback URLs carry PAYOUT_CALLBACK_SECRET (common.callbackUrl); the
+// provider reference alone is guessable.
+function verifyCallback(req, res, next) {
+  if (!callbackTokenValid(req.query.token)) return res.status(403).json({ error: "Forbidden" });
+  next();
+}
+
+// Daraja only needs an acknowledgement; failures are logged, never bounced
+// back, or Safaricom keeps retrying the same callback.
+function darajaAck(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req);
+    } catch (e) {
+      console.error(`${req.path} callback failed:`, e);
+    }
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  };
+}
+
+router.post("/mpesa/result", verifyCallback, darajaAck((req) => settle("mpesa", PROVIDERS.mpesa.parseResult(req.body))));
+
+router.post("/mpesa/status-result", verifyCallback, darajaAck((req) => settle("mpesa", PROVIDERS.mpesa.parseStatusResult(req.body))));
+
+router.post(
+  "/mpesa/timeout",
+  verifyCallback,
+  darajaAck(async (req) => {
+    const outcome = PROVIDERS.mpesa.parseTimeout(req.body);
+    const w = await findByOutcome("mpesa", outcome);
+    if (!w || w.status !== "processing") return;
+    await run("UPDATE withdrawals SET provider_status = 'timeout' WHERE id = ?", [w.id]);
+    const row = await get("SELECT provider_ref, provider_conversation_id, receipt_ref FROM withdrawals WHERE id = ?", [w.id]);
+    await PROVIDERS.mpesa.queryStatus({
+      providerRef: row.provider_ref,
+      conversationId: row.provider_conversation_id,
+      receiptRef: row.receipt_ref,
+    });
+  })
+);
+
+router.post("/airtel/callback", verifyCallback, async (req, res) => {
+  try {
+    const r = await settle("airtel", PROVIDERS.airtel.parseResult(req.body));
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    console.error("/airtel/callback failed:", e);
+    res.status(500).json({ error: "Callback failed" });
+  }
+});
+
+// ---- Operator actions ----
+router.post("/dispatch/:withdrawalId", withdrawals.requireOperator, async (req, res) => {
+  try {
+    const r = await dispatch(Number(req.params.withdrawalId), { actorType: "operator", actorId: req.user.id });
+    res.json({ ok: true, ...r });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Dispatch failed" });
+  }
+});
+
+router.post("/poll", withdrawals.requireOperator, async (req, res) => {
+  try {
+    const results = await pollProcessing({ olderThanSeconds: Number(req.body?.older_than_seconds ?? 120) });
+    res.json({ ok: true, results });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Poll failed" });
+  }
+});
+
+module.exports = { router, PROVIDERS, getProvider, dispatch, settle, pollProcessing };
@@ -0,0 +1,164 @@
+// M-Pesa Daraja B2C adapter.
+// Without MPESA_BASE_URL it talks to the bundled mock provider
+// (scripts/mock_payout_provider.js); for live set
+// MPESA_BASE_URL=https://api.safaricom.co.ke and every credential below.
+const { PayoutError, toMsisdn, fetchJson, callbackUrl, providerConfig } = require("./common");
+
+const name = "mpesa";
+
+function config() {
+  return providerConfig("M-Pesa", {
+    baseUrl: ["MPESA_BASE_URL", "http://127.0.0.1:5181"],
+    consumerKey: ["MPESA_CONSUMER_KEY", "mock_key"],
+    consumerSecret: ["MPESA_CONSUMER_SECRET", "mock_secret"],
+    shortcode: ["MPESA_SHORTCODE", "600000"],
+    initiatorName: ["MPESA_INITIATOR_NAME", "testapi"],
+    securityCredential: ["MPESA_SECURITY_CREDENTIAL", "mock_credential"],
+  });
+}
+
+let cachedToken = null;
+
+async function accessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now() + 30000) return cachedToken.value;
+  const c = config();
+  const basic = Buffer.from(`${c.consumerKey}:${c.consumerSecret}`).toString("base64");
+  const r = await fetchJson(`${c.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${basic}` },
+  });
+  if (!r.ok || !r.data?.access_token) throw new PayoutError(`M-Pesa auth failed (${r.status})`);
+  cachedToken = {
+    value: r.data.access_token,
+    expiresAt: Date.now() + Number(r.data.expires_in || 3599) * 1000,
+  };
+  return cachedToken.value;
+}
+
+// Sends a B2C BusinessPayment. Resolves once Daraja has accepted the request;
+// the outcome arrives later on the result (or queue timeout) callback.
+async function requestPayout({ reference, withdrawalId, amount, phone, remarks }) {
+  const msisdn = toMsisdn(phone);
+  if (!msisdn) throw new PayoutError("Invalid M-Pesa number", { definitive: true, code: "invalid_msisdn" });
+
+  const c = config();
+  const token = await accessToken();
+  const r = await fetchJson(`${c.baseUrl}/mpesa/b2c/v3/paymentrequest`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: {
+      OriginatorConversationID: reference,
+      InitiatorName: c.initiatorName,
+      SecurityCredential: c.securityCredential,
+      CommandID: "BusinessPayment",
+      Amount: Math.floor(amount),
+      PartyA: c.shortcode,
+      PartyB: msisdn,
+      Remarks: (remarks || `Withdrawal ${withdrawalId}`).slice(0, 100),
+      QueueTimeOutURL: callbackUrl("/api/payouts/mpesa/timeout"),
+      ResultURL: callbackUrl("/api/payouts/mpesa/result"),
+      Occasion: `W${withdrawalId}`,
+    },
+  });
+
+  if (r.status >= 400 && r.status < 500) {
+    throw new PayoutError(r.data?.errorMessage || `M-Pesa rejected the request (${r.status})`, {
+      definitive: true,
+      code: r.data?.errorCode || null,
+    });
+  }
+  if (!r.ok || String(r.data?.ResponseCode) !== "0") {
+    throw new PayoutError(r.data?.ResponseDescription || `M-Pesa request failed (${r.status})`);
+  }
+
+  return {
+    providerRef: r.data.OriginatorConversationID || reference,
+    conversationId: r.data.ConversationID || null,
+  };
+}
+
+function keyValues(list) {
+  const out = {};
+  for (const p of Array.isArray(list) ? list : list ? [list] : []) out[p.Key] = p.Value;
+  return out;
+}
+
+function resultParams(result) {
+  return keyValues(result?.ResultParameters?.ResultParameter);
+}
+
+// Result callback body: { Result: { ResultCode, ResultDesc, OriginatorConversationID,
+// ConversationID, TransactionID, ResultParameters } }
+function parseResult(body) {
+  const r = body?.Result || {};
+  const ok = String(r.ResultCode) === "0";
+  return {
+    providerRef: r.OriginatorConversationID || null,
+    conversationId: r.ConversationID || null,
+    state: ok ? "paid" : "failed",
+    receiptRef: ok ? r.TransactionID || resultParams(r).TransactionReceipt || null : null,
+    resultCode: r.ResultCode != null ? String(r.ResultCode) : null,
+    resultDesc: r.ResultDesc || null,
+  };
+}
+
+// Queue timeout: Daraja did not get to the request in time. The payout may or
+// may not have happened, so the caller should query status rather than fail.
+function parseTimeout(body) {
+  const r = body?.Result || body || {};
+  return {
+    providerRef: r.OriginatorConversationID || null,
+    conversationId: r.ConversationID || null,
+    state: "unknown",
+    resultDesc: r.ResultDesc || "Request timed out in the M-Pesa queue",
+  };
+}
+
+// TransactionStatusQuery is asynchronous on Daraja: the answer is posted to
+// the status-result callback, so this only reports whether it was accepted.
+async function queryStatus({ providerRef, receiptRef }) {
+  const c = config();
+  const token = await accessToken();
+  const r = await fetchJson(`${c.baseUrl}/mpesa/transactionstatus/v1/query`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: {
+      Initiator: c.initiatorName,
+      SecurityCredential: c.securityCredential,
+      CommandID: "TransactionStatusQuery",
+      TransactionID: receiptRef || undefined,
+      OriginatorConversationID: providerRef,
+      PartyA: c.shortcode,
+      IdentifierType: "4",
+      ResultURL: callbackUrl("/api/payouts/mpesa/status-result"),
+      QueueTimeOutURL: callbackUrl("/api/payouts/mpesa/timeout"),
+      Remarks: "Withdrawal status check",
+      Occasion: providerRef,
+    },
+  });
+  if (!r.ok) throw new PayoutError(r.data?.errorMessage || `M-Pesa status query failed (${r.status})`);
+  return { state: "pending" };
+}
+
+// Status-result callback: same envelope as a payment result, with
+// TransactionStatus/ReceiptNo in ResultParameters. The Occasion we sent in
+// the query comes back in ReferenceData and carries our ref.
+function parseStatusResult(body) {
+  const r = body?.Result || {};
+  const params = resultParams(r);
+  const reference = keyValues(r.ReferenceData?.ReferenceItem);
+  const status = String(params.TransactionStatus || "").toLowerCase();
+  const state =
+    String(r.ResultCode) !== "0" ? "unknown" :
+    status === "completed" ? "paid" :
+    status === "failed" || status === "cancelled" || status === "expired" ? "failed" :
+    "unknown";
+  return {
+    providerRef: reference.Occasion || params.Occasion || null,
+    conversationId: r.ConversationID || null,
+    state,
+    receiptRef: params.ReceiptNo || r.TransactionID || null,
+    resultDesc: params.ReasonType || r.ResultDesc || null,
+  };
+}
+
+module.exports = { name, config, requestPayout, parseResult, parseTimeout, queryStatus, parseStatusResult };
@@ -0,0 +1,223 @@
+const { run, get, all } = require("./db");
+const taskTypes = require("./task_types");
+const annotations = require("./annotations");
+
+// Quality control for tasks without a reference answer:
+//  - consensus: the same task goes to N workers and their answers are
+//    aggregated the way their type says (task_types/);
+//  - gold: hidden tasks with a known answer, mixed into the daily set;
+//  - trust: a per-user score built from gold results and agreement with
+//    consensus, used to gate earning and task difficulty.
+
+// An item is "agreed" once its agreement is above this; otherwise "disputed".
+const AGREE_MIN = 0.5;
+
+// trust = weighted mean of evidence, pulled towards PRIOR until there is
+// enough of it. Gold results weigh double.
+const PRIOR = 0.8;
+const PRIOR_WEIGHT = 5;
+const GOLD_WEIGHT = 2;
+const MIN_EVIDENCE = 3;
+
+// Below PROBATION (with MIN_EVIDENCE) a worker only gets gold tasks until
+// they recover. Complexity unlocks by trust.
+const PROBATION = 0.5;
+const COMPLEXITY_LEVELS = [
+  { min: 0.85, maxComplexity: 3 },
+  { min: 0.6, maxComplexity: 2 },
+  { min: 0, maxComplexity: 1 },
+];
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function computeTrust(q) {
+  const evidence = GOLD_WEIGHT * q.gold_sum + q.consensus_sum;
+  const weight = GOLD_WEIGHT * q.gold_count + q.consensus_count;
+  return round((evidence + PRIOR * PRIOR_WEIGHT) / (weight + PRIOR_WEIGHT));
+}
+
+async function getQuality(userId) {
+  const q = (await get("SELECT * FROM user_quality WHERE user_id = ?", [userId])) || {
+    user_id: userId,
+    gold_count: 0,
+    gold_sum: 0,
+    consensus_count: 0,
+    consensus_sum: 0,
+    trust: PRIOR,
+  };
+  const evidence = q.gold_count + q.consensus_count;
+  const level = COMPLEXITY_LEVELS.find((l) => q.trust >= l.min);
+  return {
+    ...q,
+    evidence,
+    probation: evidence >= MIN_EVIDENCE && q.trust < PROBATION,
+    max_complexity: evidence >= MIN_EVIDENCE ? level.maxComplexity : COMPLEXITY_LEVELS[1].maxComplexity,
+  };
+}
+
+async function addEvidence(userId, kind, score) {
+  const q = await getQuality(userId);
+  const next = { ...q };
+  if (kind === "gold") {
+    next.gold_count += 1;
+    next.gold_sum += score;
+  } else {
+    next.consensus_count += 1;
+    next.consensus_sum += score;
+  }
+  next.trust = computeTrust(next);
+  await run(
+    `INSERT INTO user_quality (user_id, gold_count, gold_sum, consensus_count, consensus_sum, trust, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id) DO UPDATE SET
+       gold_count = excluded.gold_count, gold_sum = excluded.gold_sum,
+       consensus_count = excluded.consensus_count, consensus_sum = excluded.consensus_sum,
+       trust = excluded.trust, updated_at = excluded.updated_at`,
+    [userId, next.gold_count, next.gold_sum, next.consensus_count, next.consensus_sum, next.trust]
+  );
+  return next.trust;
+}
+
+// Re-aggregates a consensus task. Once it has its N answers, each worker's
+// agreement is fed into their trust (once per completion).
+async function recomputeConsensus(taskId) {
+  const task = await get("SELECT id, type, consensus_target FROM tasks WHERE id = ?", [taskId]);
+  if (!task || !task.consensus_target) return null;
+
+  const rows = await all(
+    "SELECT id, user_id, answer_text AS answer, qc_applied FROM task_completions WHERE task_id = ? ORDER BY id ASC",
+    [taskId]
+  );
+  if (!rows.length) return null;
+
+  const agg = taskTypes.aggregate(task.type, rows);
+  const complete = rows.length >= task.consensus_target;
+  const status = !complete ? "collecting" : agg.agreement > AGREE_MIN ? "agreed" : "disputed";
+
+  await run(
+    `INSERT INTO task_consensus (task_id, answers, target, status, agreement, consensus_answer, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(task_id) DO UPDATE SET
+       answers = excluded.answers, target = excluded.target, status = excluded.status,
+       agreement = excluded.agreement, consensus_answer = excluded.consensus_answer, updated_at = excluded.updated_at`,
+    [taskId, rows.length, task.consensus_target, status, agg.agreement, agg.consensus]
+  );
+
+  for (const r of rows) {
+    const agreement = agg.perAnswer.get(r.id);
+    await run("UPDATE task_completions SET agreement = ? WHERE id = ?", [agreement, r.id]);
+    if (complete && !r.qc_applied) {
+      await addEvidence(r.user_id, "consensus", agreement);
+      await run("UPDATE task_completions SET qc_applied = 1 WHERE id = ?", [r.id]);
+    }
+  }
+  return { task_id: taskId, answers: rows.length, status, agreement: agg.agreement };
+}
+
+// Called inside the completion transaction, after the completion row exists.
+// Returns the consensus state for consensus tasks.
+async function recordCompletion({ completionId, userId, task, result }) {
+  if (result.scored) {
+    await addEvidence(userId, "gold", result.score);
+    await run("UPDATE task_completions SET qc_applied = 1 WHERE id = ?", [completionId]);
+  }
+  return task.consensus_target ? recomputeConsensus(task.id) : null;
+}
+
+async function listItems({ type = null, status = null, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (type) {
+    where.push("t.type = ?");
+    params.push(type);
+  }
+  if (status) {
+    where.push("c.status = ?");
+    params.push(status);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const total = await get(`SELECT COUNT(*) AS n FROM task_consensus c JOIN tasks t ON t.id = c.task_id ${whereSql}`, params);
+  const items = await all(
+    `SELECT c.task_id, t.type, t.title, t.media_url, t.media_id, c.answers, c.target, c.status, c.agreement, c.consensus_answer, c.updated_at
+     FROM task_consensus c JOIN tasks t ON t.id = c.task_id
+     ${whereSql}
+     ORDER BY c.updated_at DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const summary = await all(
+    "SELECT t.type, c.status, COUNT(*) AS n, AVG(c.agreement) AS avg_agreement FROM task_consensus c JOIN tasks t ON t.id = c.task_id GROUP BY t.type, c.status"
+  );
+  return { total: total?.n || 0, items, summary };
+}
+
+// Finished items with their individual answers, for delivery to clients.
+async function exportItems({ type = null, status = "agreed" } = {}) {
+  const params = [];
+  let where = "c.answers >= c.target";
+  if (type) {
+    where += " AND t.type = ?";
+    params.push(type);
+  }
+  if (status) {
+    where += " AND c.status = ?";
+    params.push(status);
+  }
+  const items = await all(
+    `SELECT c.task_id, t.type, t.media_url, t.media_id, t.labels, t.prompt, c.status, c.agreement, c.consensus_answer, c.answers
+     FROM task_consensus c JOIN tasks t ON t.id = c.task_id
+     WHERE ${where}
+     ORDER BY c.task_id ASC`,
+    params
+  );
+  if (!items.length) return [];
+
+  const answers = await all(
+    `SELECT task_id, user_id, COALESCE(corrected_answer, answer_text) AS answer_text, agreement FROM task_completions
+     WHERE task_id IN (${items.map(() => "?").join(",")}) AND COALESCE(review_status, '') != 'rejected'
+     ORDER BY id ASC`,
+    items.map((i) => i.task_id)
+  );
+  // structured answers go out as objects rather than JSON text
+  const defs = new Map(items.map((i) => [i.task_id, taskTypes.get(i.type)]));
+  const byTask = new Map();
+  for (const a of answers) {
+    if (!byTask.has(a.task_id)) byTask.set(a.task_id, []);
+    const def = defs.get(a.task_id);
+    const answer = def ? def.exportAnswer(a.answer_text) : a.answer_text;
+    byTask.get(a.task_id).push({ worker: a.user_id, answer, agreement: a.agreement });
+  }
+  return items.map(({ labels, ...i }) => {
+    const def = defs.get(i.task_id);
+    return {
+      ...i,
+      ...(def?.labels && { labels: annotations.taskLabels({ labels }) }),
+      consensus_answer: def ? def.exportConsensus(i.consensus_answer) : i.consensus_answer,
+      responses: byTask.get(i.task_id) || [],
+    };
+  });
+}
+
+async function listWorkers({ limit = 100 } = {}) {
+  return all(
+    `SELECT q.user_id, u.username, q.trust, q.gold_count, q.gold_sum, q.consensus_count, q.consensus_sum, q.updated_at
+     FROM user_quality q JOIN users u ON u.id = q.user_id
+     ORDER BY q.trust ASC, q.updated_at DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+module.exports = {
+  PRIOR,
+  MIN_EVIDENCE,
+  getQuality,
+  addEvidence,
+  recordCompletion,
+  recomputeConsensus,
+  listItems,
+  exportItems,
+  listWorkers,
+};
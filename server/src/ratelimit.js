@@ -0,0 +1,159 @@
+const { run, all, transaction } = require("./db");
+
+// Per-route request limits. limit(name) returns middleware enforcing every
+// rule of POLICIES[name]; a rule counts requests per IP, signed-in user or
+// submitted email over a sliding window (the previous fixed window, weighted
+// by how much of it still overlaps, plus the current one). Over the limit the
+// answer is 429 with Retry-After.
+//
+// RATE_LIMITS (JSON) replaces whole policies, e.g.
+//   RATE_LIMITS='{"login":[{"by":"ip","limit":50,"windowSeconds":900}]}'
+// RATE_LIMIT_STORE=memory keeps counters in this process instead of SQLite,
+// which is only right when a single API process is running.
+
+const DEFAULT_POLICIES = {
+  login: [
+    { by: "ip", limit: 30, windowSeconds: 15 * 60 },
+    { by: "email", limit: 10, windowSeconds: 15 * 60 },
+  ],
+  register: [{ by: "ip", limit: 5, windowSeconds: 60 * 60 }],
+  // links and codes sent by email or SMS, and the codes typed back
+  auth_codes: [
+    { by: "ip", limit: 20, windowSeconds: 15 * 60 },
+    { by: "email", limit: 5, windowSeconds: 15 * 60 },
+  ],
+  redeem: [{ by: "user", limit: 5, windowSeconds: 60 * 60 }],
+  withdraw: [
+    { by: "user", limit: 10, windowSeconds: 60 * 60 },
+    { by: "ip", limit: 30, windowSeconds: 60 * 60 },
+  ],
+};
+
+function loadPolicies() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+  } catch {
+    console.error("RATE_LIMITS is not valid JSON; using the defaults");
+  }
+  return { ...DEFAULT_POLICIES, ...overrides };
+}
+
+const POLICIES = loadPolicies();
+
+const KEYS = {
+  ip: (req) => req.ip,
+  user: (req) => req.user?.id,
+  email: (req) => String(req.body?.email || "").trim().toLowerCase(),
+};
+
+// Both stores return { prev, curr } counts for a bucket and window start.
+const sqliteStore = {
+  async counts(bucket, start, windowSeconds) {
+    const rows = await all("SELECT window_start, count FROM rate_limit_hits WHERE bucket = ? AND window_start IN (?, ?)", [
+      bucket,
+      start,
+      start - windowSeconds,
+    ]);
+    const at = (s) => rows.find((r) => r.window_start === s)?.count || 0;
+    return { prev: at(start - windowSeconds), curr: at(start) };
+  },
+  async hit(bucket, start) {
+    await run(
+      `INSERT INTO rate_limit_hits (bucket, window_start, count) VALUES (?, ?, 1)
+       ON CONFLICT (bucket, window_start) DO UPDATE SET count = count + 1`,
+      [bucket, start]
+    );
+  },
+};
+
+const memory = new Map(); // bucket -> { start, prev, curr }
+const memoryStore = {
+  async counts(bucket, start, windowSeconds) {
+    const e = memory.get(bucket);
+    if (!e || e.start < start - windowSeconds) return { prev: 0, curr: 0 };
+    return e.start === start ? { prev: e.prev, curr: e.curr } : { prev: e.curr, curr: 0 };
+  },
+  async hit(bucket, start, windowSeconds) {
+    const e = memory.get(bucket);
+    if (e?.start === start) e.curr++;
+    else memory.set(bucket, { start, prev: e && e.start === start - windowSeconds ? e.curr : 0, curr: 1 });
+    if (memory.size > 50000) {
+      const now = Date.now() / 1000;
+      for (const [k, v] of memory) if (v.start < now - 2 * 24 * 60 * 60) memory.delete(k);
+    }
+  },
+};
+
+const store = process.env.RATE_LIMIT_STORE === "memory" ? memoryStore : sqliteStore;
+// Checking and counting a request happen together, so a burst can't all pass
+// the check before any of it is counted. The memory store never waits
+// between the two.
+const atomically = store === sqliteStore ? transaction : (fn) => fn();
+
+// Seconds until one more request would fit under the rule.
+function retryAfter(rule, now, start, { prev, curr }) {
+  const w = rule.windowSeconds;
+  if (curr >= rule.limit) return Math.max(1, Math.ceil(start + w - now));
+  const t = w * (1 - (rule.limit - curr) / prev);
+  return Math.max(1, Math.ceil(start + t - now));
+}
+
+function waitText(seconds) {
+  return seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+// Checks and counts one request against a policy. Returns null when allowed,
+// else the number of seconds to wait.
+async function consume(name, req) {
+  const rules = POLICIES[name];
+  if (!rules) throw new Error(`Unknown rate limit policy: ${name}`);
+  return atomically(() => check(name, rules, req));
+}
+
+async function check(name, rules, req) {
+  const now = Date.now() / 1000;
+
+  const buckets = [];
+  for (const [i, rule] of rules.entries()) {
+    const key = KEYS[rule.by]?.(req);
+    if (key == null || key === "") continue;
+    const start = Math.floor(now / rule.windowSeconds) * rule.windowSeconds;
+    const bucket = `${name}:${i}:${rule.by}:${key}`;
+    const c = await store.counts(bucket, start, rule.windowSeconds);
+    const estimate = c.prev * (1 - (now - start) / rule.windowSeconds) + c.curr;
+    if (estimate + 1 > rule.limit) return retryAfter(rule, now, start, c);
+    buckets.push([bucket, start, rule.windowSeconds]);
+  }
+  for (const b of buckets) await store.hit(...b);
+  return null;
+}
+
+function limit(name) {
+  if (!POLICIES[name]) throw new Error(`Unknown rate limit policy: ${name}`);
+  return async (req, res, next) => {
+    try {
+      const wait = await consume(name, req);
+      if (wait == null) return next();
+      res.set("Retry-After", String(wait));
+      res.status(429).json({
+        error: `Too many requests. Try again in ${waitText(wait)}.`,
+        code: "rate_limited",
+        retry_after: wait,
+      });
+    } catch (e) {
+      // a broken limiter shouldn't take the route down with it
+      console.error(`rate limit ${name} failed:`, e.message);
+      next();
+    }
+  };
+}
+
+// Drops counters no policy looks at any more (the "ratelimit.prune" job).
+async function prune() {
+  const longest = Math.max(...Object.values(POLICIES).flat().map((r) => r.windowSeconds));
+  const r = await run("DELETE FROM rate_limit_hits WHERE window_start < ?", [Math.floor(Date.now() / 1000) - 2 * longest]);
+  return r.changes;
+}
+
+module.exports = { POLICIES, limit, consume, prune, waitText };
@@ -0,0 +1,367 @@
+const { run, get, all } = require("./db");
+const ledger = require("./ledger");
+
+// Referral campaigns set what a referral is worth. A campaign runs from
+// starts_at until ends_at (open-ended when null); when several overlap, the
+// one that started last applies to new signups, except that a vanity code
+// pinned to a running campaign always signs people up under it.
+//
+// Each referral keeps the campaign it was made under. That campaign decides
+// the signup bonus (which vests as described in referral_vesting.js) and,
+// while it is still running, the commissions on the referee's task rewards:
+// tier 1 to the referrer and tier 2 to whoever referred the referrer. Only
+// vested referral links earn commissions. max_referrals caps how many
+// bonus-earning referrals one referrer gets per campaign and max_earnings_ksh
+// caps bonus plus commissions; amounts are whole shillings, rounded down.
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sqlTime(value) {
+  return new Date(value).toISOString().slice(0, 19).replace("T", " ");
+}
+
+const RUNNING = "starts_at <= CURRENT_TIMESTAMP AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)";
+
+// The campaign new signups fall under, or null when none is running.
+async function active() {
+  return get(`SELECT * FROM referral_campaigns WHERE ${RUNNING} ORDER BY starts_at DESC, id DESC LIMIT 1`);
+}
+
+async function running(id) {
+  return get(`SELECT * FROM referral_campaigns WHERE id = ? AND ${RUNNING}`, [id]);
+}
+
+// Who a referral code belongs to and which campaign the signup counts under.
+// code is set only for vanity codes; personal codes report as null.
+async function resolveCode(code) {
+  const vanity = await get(
+    `SELECT v.code, v.user_id, v.campaign_id FROM referral_codes v
+     JOIN users u ON u.id = v.user_id
+     WHERE v.code = ? AND v.disabled_at IS NULL AND u.deleted_at IS NULL`,
+    [code]
+  );
+  if (vanity) {
+    const campaign = (vanity.campaign_id && (await running(vanity.campaign_id))) || (await active());
+    return { referrerId: vanity.user_id, campaign, code: vanity.code };
+  }
+  const u = await get("SELECT id FROM users WHERE referral_code = ?", [code]);
+  return u ? { referrerId: u.id, campaign: await active(), code: null } : null;
+}
+
+// Bonus promised or paid plus live commissions for one referrer in a campaign.
+async function earned(userId, campaignId) {
+  const r = await get(
+    `SELECT (SELECT COALESCE(SUM(bonus_ksh), 0) FROM referrals
+             WHERE referrer_id = ? AND campaign_id = ? AND status IN ('pending', 'flagged', 'vested'))
+          + (SELECT COALESCE(SUM(amount_ksh), 0) FROM referral_commissions
+             WHERE beneficiary_id = ? AND campaign_id = ? AND reversed_at IS NULL) AS ksh`,
+    [userId, campaignId, userId, campaignId]
+  );
+  return r.ksh;
+}
+
+async function capLeft(userId, campaign) {
+  if (campaign.max_earnings_ksh == null) return Infinity;
+  return Math.max(0, campaign.max_earnings_ksh - (await earned(userId, campaign.id)));
+}
+
+// Bonus for a new referral by referrerId. Call inside the signup transaction
+// so concurrent signups can't both squeeze under a cap.
+async function signupBonus(referrerId, campaign) {
+  if (!campaign) return 0;
+  if (campaign.max_referrals != null) {
+    const r = await get(
+      `SELECT COUNT(*) AS n FROM referrals
+       WHERE referrer_id = ? AND campaign_id = ? AND bonus_ksh > 0 AND status IN ('pending', 'flagged', 'vested')`,
+      [referrerId, campaign.id]
+    );
+    if (r.n >= campaign.max_referrals) return 0;
+  }
+  return Math.min(campaign.signup_bonus_ksh, await capLeft(referrerId, campaign));
+}
+
+// Pays commissions on a completion's credited reward. Must run inside the
+// transaction that credits the reward.
+async function payCommissions(completionId) {
+  const c = await get("SELECT id, user_id, reward_ksh FROM task_completions WHERE id = ?", [completionId]);
+  if (!c || c.reward_ksh <= 0) return [];
+  const direct = await get("SELECT referrer_id, campaign_id, status FROM referrals WHERE referred_user_id = ?", [c.user_id]);
+  if (direct?.status !== "vested" || !direct.campaign_id) return [];
+  const campaign = await running(direct.campaign_id);
+  if (!campaign) return [];
+
+  const tiers = [{ tier: 1, userId: direct.referrer_id, pct: campaign.tier1_commission_pct }];
+  if (campaign.tier2_commission_pct > 0) {
+    const up = await get("SELECT referrer_id, status FROM referrals WHERE referred_user_id = ?", [direct.referrer_id]);
+    if (up?.status === "vested") tiers.push({ tier: 2, userId: up.referrer_id, pct: campaign.tier2_commission_pct });
+  }
+
+  const paid = [];
+  for (const t of tiers) {
+    if (!(t.pct > 0) || t.userId === c.user_id) continue;
+    const beneficiary = await get("SELECT deleted_at FROM users WHERE id = ?", [t.userId]);
+    if (!beneficiary || beneficiary.deleted_at) continue;
+    const amount = Math.min(Math.floor((c.reward_ksh * t.pct) / 100), await capLeft(t.userId, campaign));
+    if (amount <= 0) continue;
+
+    const ins = await run(
+      `INSERT OR IGNORE INTO referral_commissions (campaign_id, completion_id, source_user_id, beneficiary_id, tier, amount_ksh)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [campaign.id, c.id, c.user_id, t.userId, t.tier, amount]
+    );
+    if (!ins.changes) continue;
+    await ledger.creditReferralCommission(t.userId, amount, ins.lastID);
+    paid.push({ tier: t.tier, user_id: t.userId, amount_ksh: amount });
+  }
+  return paid;
+}
+
+// Takes back the commissions on a reward that was reversed in review. Must
+// run inside the reversing transaction.
+async function reverseCommissions(completionId, { memo = null, actorId = null } = {}) {
+  const rows = await all("SELECT * FROM referral_commissions WHERE completion_id = ? AND reversed_at IS NULL", [completionId]);
+  for (const r of rows) {
+    await run("UPDATE referral_commissions SET reversed_at = CURRENT_TIMESTAMP WHERE id = ?", [r.id]);
+    await ledger.reverseReferralCommission(r.beneficiary_id, r.amount_ksh, r.id, { memo, actorId });
+  }
+  return rows.length;
+}
+
+// The active campaign and where userId stands in it, for the Account page.
+async function progress(userId) {
+  const campaign = await active();
+  if (!campaign) return { campaign: null, tiers: [], earned_ksh: 0 };
+
+  const direct = await get(
+    `SELECT COUNT(*) AS referrals,
+            COALESCE(SUM(status = 'vested'), 0) AS vested,
+            COALESCE(SUM(status IN ('pending', 'flagged')), 0) AS pending,
+            COALESCE(SUM(CASE WHEN status = 'vested' THEN bonus_awarded_ksh END), 0) AS bonus_ksh
+     FROM referrals WHERE referrer_id = ? AND campaign_id = ?`,
+    [userId, campaign.id]
+  );
+  const second = await get(
+    `SELECT COUNT(*) AS referrals FROM referrals r2
+     JOIN referrals r1 ON r1.referred_user_id = r2.referrer_id
+     WHERE r1.referrer_id = ? AND r2.campaign_id = ?`,
+    [userId, campaign.id]
+  );
+  const commissions = await all(
+    `SELECT tier, COALESCE(SUM(amount_ksh), 0) AS ksh FROM referral_commissions
+     WHERE beneficiary_id = ? AND campaign_id = ? AND reversed_at IS NULL GROUP BY tier`,
+    [userId, campaign.id]
+  );
+  const commission = (tier) => commissions.find((c) => c.tier === tier)?.ksh || 0;
+
+  return {
+    campaign,
+    earned_ksh: await earned(userId, campaign.id),
+    tiers: [
+      { tier: 1, ...direct, commission_pct: campaign.tier1_commission_pct, commission_ksh: commission(1) },
+      { tier: 2, referrals: second.referrals, commission_pct: campaign.tier2_commission_pct, commission_ksh: commission(2) },
+    ],
+  };
+}
+
+const BOARD = `
+  WITH board AS (
+    SELECT r.referrer_id, COUNT(*) AS vested, MAX(r.vested_at) AS last_vested_at
+    FROM referrals r JOIN users u ON u.id = r.referrer_id
+    WHERE r.campaign_id = ? AND r.status = 'vested' AND u.deleted_at IS NULL
+    GROUP BY r.referrer_id
+  ),
+  ranked AS (SELECT board.*, RANK() OVER (ORDER BY vested DESC) AS rank FROM board)`;
+
+// Referrers with the most vested referrals in a campaign, plus userId's row.
+async function leaderboard(campaignId, { limit = 20, userId = null } = {}) {
+  const top = await all(
+    `${BOARD}
+     SELECT ranked.rank, ranked.referrer_id AS user_id, u.username, ranked.vested
+     FROM ranked JOIN users u ON u.id = ranked.referrer_id
+     ORDER BY ranked.rank, ranked.last_vested_at LIMIT ?`,
+    [campaignId, limit]
+  );
+  const me = userId
+    ? await get(`${BOARD} SELECT rank, vested FROM ranked WHERE referrer_id = ?`, [campaignId, userId])
+    : null;
+  return { top, me: me || null };
+}
+
+// Attribution for one campaign: referral outcomes, money out, which codes
+// brought people in and what the referees went on to earn.
+async function report(id) {
+  const campaign = await get("SELECT * FROM referral_campaigns WHERE id = ?", [id]);
+  if (!campaign) throw httpError(404, "Campaign not found");
+
+  const statuses = await all(
+    `SELECT status, COUNT(*) AS n, COALESCE(SUM(bonus_ksh), 0) AS bonus_ksh, COALESCE(SUM(bonus_awarded_ksh), 0) AS awarded_ksh
+     FROM referrals WHERE campaign_id = ? GROUP BY status`,
+    [id]
+  );
+  const commissions = await all(
+    `SELECT tier, COUNT(*) AS n,
+            COALESCE(SUM(CASE WHEN reversed_at IS NULL THEN amount_ksh END), 0) AS paid_ksh,
+            COALESCE(SUM(CASE WHEN reversed_at IS NOT NULL THEN amount_ksh END), 0) AS reversed_ksh
+     FROM referral_commissions WHERE campaign_id = ? GROUP BY tier ORDER BY tier`,
+    [id]
+  );
+  const codes = await all(
+    `SELECT code, COUNT(*) AS signups, COALESCE(SUM(status = 'vested'), 0) AS vested,
+            COALESCE(SUM(CASE WHEN status = 'vested' THEN bonus_awarded_ksh END), 0) AS bonus_ksh
+     FROM referrals WHERE campaign_id = ? GROUP BY code ORDER BY signups DESC LIMIT 50`,
+    [id]
+  );
+  const referees = await get(
+    `SELECT COUNT(DISTINCT c.user_id) AS active, COALESCE(SUM(c.reward_ksh), 0) AS earnings_ksh
+     FROM task_completions c JOIN referrals r ON r.referred_user_id = c.user_id
+     WHERE r.campaign_id = ?`,
+    [id]
+  );
+  const total = (key) => statuses.reduce((s, r) => s + r[key], 0);
+  const of = (status, key) => statuses.find((r) => r.status === status)?.[key] || 0;
+
+  return {
+    campaign,
+    signups: total("n"),
+    statuses: Object.fromEntries(statuses.map((r) => [r.status, r.n])),
+    bonus: {
+      pending_ksh: of("pending", "bonus_ksh") + of("flagged", "bonus_ksh"),
+      paid_ksh: of("vested", "awarded_ksh"),
+      clawed_back_ksh: of("clawed_back", "awarded_ksh"),
+    },
+    commissions,
+    codes,
+    referees: { signed_up: total("n"), active: referees.active, earnings_ksh: referees.earnings_ksh },
+    top_referrers: (await leaderboard(id, { limit: 10 })).top,
+  };
+}
+
+async function list() {
+  return all(
+    `SELECT c.*, ${RUNNING} AS running,
+            (SELECT COUNT(*) FROM referrals r WHERE r.campaign_id = c.id) AS signups
+     FROM referral_campaigns c ORDER BY c.starts_at DESC, c.id DESC`
+  );
+}
+
+const FIELDS = [
+  "name",
+  "starts_at",
+  "ends_at",
+  "signup_bonus_ksh",
+  "tier1_commission_pct",
+  "tier2_commission_pct",
+  "max_referrals",
+  "max_earnings_ksh",
+  "redeem_step_ksh",
+];
+
+function columns(data) {
+  const out = {};
+  for (const f of FIELDS) {
+    if (data[f] === undefined) continue;
+    out[f] = (f === "starts_at" || f === "ends_at") && data[f] !== null ? sqlTime(data[f]) : data[f];
+  }
+  return out;
+}
+
+function checkWindow(startsAt, endsAt) {
+  if (endsAt && endsAt <= startsAt) throw httpError(400, "The campaign must end after it starts");
+}
+
+async function create(data, actorId) {
+  const cols = columns(data);
+  checkWindow(cols.starts_at, cols.ends_at);
+  const keys = Object.keys(cols);
+  const ins = await run(
+    `INSERT INTO referral_campaigns (${keys.join(", ")}, created_by) VALUES (${keys.map(() => "?").join(", ")}, ?)`,
+    [...keys.map((k) => cols[k]), actorId]
+  );
+  return get("SELECT * FROM referral_campaigns WHERE id = ?", [ins.lastID]);
+}
+
+// Changes apply to referrals already made under the campaign from now on;
+// bonuses and commissions already granted stay as they are.
+async function update(id, data) {
+  const current = await get("SELECT * FROM referral_campaigns WHERE id = ?", [id]);
+  if (!current) throw httpError(404, "Campaign not found");
+  const cols = columns(data);
+  checkWindow(cols.starts_at ?? current.starts_at, cols.ends_at === undefined ? current.ends_at : cols.ends_at);
+  const keys = Object.keys(cols);
+  await run(`UPDATE referral_campaigns SET ${keys.map((k) => `${k} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [
+    ...keys.map((k) => cols[k]),
+    id,
+  ]);
+  return get("SELECT * FROM referral_campaigns WHERE id = ?", [id]);
+}
+
+async function end(id) {
+  const r = await run(
+    `UPDATE referral_campaigns SET ends_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)`,
+    [id]
+  );
+  if (!r.changes) throw httpError(409, "Campaign has already ended");
+  return get("SELECT * FROM referral_campaigns WHERE id = ?", [id]);
+}
+
+// ---- Vanity codes ----
+
+async function listCodes() {
+  return all(
+    `SELECT v.code, v.user_id, u.username, v.campaign_id, c.name AS campaign, v.created_at, v.disabled_at,
+            (SELECT COUNT(*) FROM referrals r WHERE r.code = v.code) AS signups
+     FROM referral_codes v
+     JOIN users u ON u.id = v.user_id
+     LEFT JOIN referral_campaigns c ON c.id = v.campaign_id
+     ORDER BY v.created_at DESC`
+  );
+}
+
+async function createCode({ code, userId, campaignId = null }, actorId) {
+  const u = await get("SELECT id, deleted_at FROM users WHERE id = ?", [userId]);
+  if (!u || u.deleted_at) throw httpError(404, "User not found");
+  if (campaignId && !(await get("SELECT id FROM referral_campaigns WHERE id = ?", [campaignId]))) {
+    throw httpError(404, "Campaign not found");
+  }
+  const taken =
+    (await get("SELECT code FROM referral_codes WHERE code = ?", [code])) ||
+    (await get("SELECT id FROM users WHERE referral_code = ? COLLATE NOCASE", [code]));
+  if (taken) throw httpError(409, "That code is already in use");
+
+  await run("INSERT INTO referral_codes (code, user_id, campaign_id, created_by) VALUES (?, ?, ?, ?)", [
+    code,
+    userId,
+    campaignId,
+    actorId,
+  ]);
+  return get("SELECT * FROM referral_codes WHERE code = ?", [code]);
+}
+
+async function disableCode(code) {
+  const r = await run("UPDATE referral_codes SET disabled_at = CURRENT_TIMESTAMP WHERE code = ? AND disabled_at IS NULL", [code]);
+  if (!r.changes) throw httpError(404, "No active code by that name");
+  return get("SELECT * FROM referral_codes WHERE code = ?", [code]);
+}
+
+module.exports = {
+  active,
+  resolveCode,
+  signupBonus,
+  payCommissions,
+  reverseCommissions,
+  progress,
+  leaderboard,
+  report,
+  list,
+  create,
+  update,
+  end,
+  listCodes,
+  createCode,
+  disableCode,
+};
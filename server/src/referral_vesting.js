@@ -0,0 +1,242 @@
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const { toMsisdn } = require("./payouts/common");
+
+// Referral bonuses (sized by the campaign, see referral_campaigns.js) are
+// promised at sign-up but only paid once the referred account has done real
+// work: MIN_TASKS accepted completions spread over at least MIN_DAYS Nairobi
+// days. Before paying, both accounts are compared for a
+// shared device, IP address or payout number; any overlap parks the referral
+// as "flagged" until staff approve or reject it. A bonus that turns out to be
+// fraudulent after vesting can be clawed back from the referrer.
+//
+//   pending -> vested -> clawed_back
+//   pending -> flagged -> pending (approved) | rejected
+//   pending -> rejected
+
+const MIN_TASKS = Number(process.env.REFERRAL_VEST_MIN_TASKS || 5);
+const MIN_DAYS = Number(process.env.REFERRAL_VEST_MIN_DAYS || 3);
+const STATUSES = ["pending", "flagged", "vested", "rejected", "clawed_back"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Completions that count: not rejected and not still waiting on a review.
+const QUALIFYING = "review_status IS NULL OR review_status IN ('approved', 'corrected')";
+
+async function progress(userId) {
+  return get(
+    `SELECT COUNT(*) AS tasks, COUNT(DISTINCT date(created_at, '+3 hours')) AS days
+     FROM task_completions WHERE user_id = ? AND (${QUALIFYING})`,
+    [userId]
+  );
+}
+
+// Devices, IPs and payout numbers an account has used.
+async function identifiers(userId) {
+  const sessions = await all("SELECT DISTINCT ip, device_id FROM sessions WHERE user_id = ?", [userId]);
+  const numbers = await all(
+    `SELECT payment_number AS n FROM users WHERE id = ? AND payment_number IS NOT NULL
+     UNION SELECT msisdn FROM user_phones WHERE user_id = ?
+     UNION SELECT phone_number FROM withdrawals WHERE user_id = ?`,
+    [userId, userId, userId]
+  );
+  return {
+    devices: new Set(sessions.map((s) => s.device_id).filter(Boolean)),
+    ips: new Set(sessions.map((s) => s.ip).filter(Boolean)),
+    numbers: new Set(numbers.map((r) => toMsisdn(r.n)).filter(Boolean)),
+  };
+}
+
+// What the two sides of a referral have in common, as [{ signal, ... }].
+async function overlap(referral) {
+  const a = await identifiers(referral.referrer_id);
+  const b = await identifiers(referral.referred_user_id);
+  if (referral.signup_device) b.devices.add(referral.signup_device);
+  if (referral.signup_ip) b.ips.add(referral.signup_ip);
+
+  const shared = (x, y) => [...x].filter((v) => y.has(v));
+  const found = [];
+  const devices = shared(a.devices, b.devices);
+  if (devices.length) found.push({ signal: "shared_device", devices: devices.map((d) => d.slice(0, 8)) });
+  const ips = shared(a.ips, b.ips);
+  if (ips.length) found.push({ signal: "shared_ip", ips });
+  const numbers = shared(a.numbers, b.numbers);
+  if (numbers.length) found.push({ signal: "shared_payout_number", numbers: numbers.map((n) => `*******${n.slice(-3)}`) });
+  return found;
+}
+
+async function load(id) {
+  return get(
+    `SELECT r.*, a.deleted_at AS referrer_deleted_at, b.deleted_at AS referee_deleted_at
+     FROM referrals r
+     JOIN users a ON a.id = r.referrer_id
+     JOIN users b ON b.id = r.referred_user_id
+     WHERE r.id = ?`,
+    [id]
+  );
+}
+
+async function vest(referral) {
+  await transaction(async () => {
+    const upd = await run(
+      `UPDATE referrals SET status = 'vested', vested_at = CURRENT_TIMESTAMP, bonus_awarded_ksh = bonus_ksh
+       WHERE id = ? AND status = 'pending'`,
+      [referral.id]
+    );
+    // over a campaign cap the referral still counts, just without a bonus
+    if (!upd.changes || referral.bonus_ksh <= 0) return;
+    await ledger.creditReferralBonus(referral.referrer_id, referral.bonus_ksh, referral.referred_user_id);
+  });
+}
+
+// Moves a pending referral along: rejected if either account is gone, flagged
+// on any overlap, vested once the referee qualifies. Referrals staff have
+// already approved skip the overlap check. Returns the resulting status.
+async function evaluate(referral) {
+  if (referral.status !== "pending") return referral.status;
+
+  if (referral.referrer_deleted_at || referral.referee_deleted_at) {
+    await run("UPDATE referrals SET status = 'rejected', review_note = ? WHERE id = ? AND status = 'pending'", [
+      "Account deleted before the bonus vested",
+      referral.id,
+    ]);
+    return "rejected";
+  }
+
+  if (!referral.reviewed_at) {
+    const found = await overlap(referral);
+    if (found.length) {
+      await run(
+        "UPDATE referrals SET status = 'flagged', flags = ?, flagged_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+        [JSON.stringify(found), referral.id]
+      );
+      return "flagged";
+    }
+  }
+
+  const p = await progress(referral.referred_user_id);
+  if (p.tasks < MIN_TASKS || p.days < MIN_DAYS) return "pending";
+  await vest(referral);
+  return "vested";
+}
+
+// Re-checks the referral that brought userId in, if it is still pending.
+// Called at sign-up and after each completion.
+async function checkReferee(userId) {
+  const r = await get("SELECT id FROM referrals WHERE referred_user_id = ? AND status = 'pending'", [userId]);
+  return r ? evaluate(await load(r.id)) : null;
+}
+
+// Sweeps pending referrals whose referee may now qualify (the "referrals.vest"
+// job). Catches completions that were approved in review after the fact.
+async function processPending({ limit = 500 } = {}) {
+  const rows = await all(
+    `SELECT r.id FROM referrals r
+     WHERE r.status = 'pending'
+       AND (SELECT COUNT(*) FROM task_completions c WHERE c.user_id = r.referred_user_id AND (${QUALIFYING})) >= ?
+     ORDER BY r.id LIMIT ?`,
+    [MIN_TASKS, limit]
+  );
+  const out = { checked: rows.length, vested: 0, flagged: 0, rejected: 0, failed: 0 };
+  for (const { id } of rows) {
+    try {
+      const status = await evaluate(await load(id));
+      if (out[status] !== undefined) out[status]++;
+    } catch (e) {
+      console.error(`referral ${id}:`, e.message);
+      out.failed++;
+    }
+  }
+  return out;
+}
+
+async function list({ status = "flagged", limit = 50, offset = 0 } = {}) {
+  const where = status ? "WHERE r.status = ?" : "";
+  const params = status ? [status] : [];
+  const total = (await get(`SELECT COUNT(*) AS n FROM referrals r ${where}`, params)).n;
+  const items = await all(
+    `SELECT r.id, r.status, r.bonus_ksh, r.bonus_awarded_ksh, r.flags, r.flagged_at, r.vested_at,
+            r.reviewed_at, r.review_note, r.clawed_back_at, r.signup_ip, r.created_at,
+            r.referrer_id, a.username AS referrer, r.referred_user_id, b.username AS referee,
+            v.username AS reviewer,
+            (SELECT COUNT(*) FROM referrals x WHERE x.referrer_id = r.referrer_id) AS referrer_total,
+            (SELECT COUNT(*) FROM task_completions c WHERE c.user_id = r.referred_user_id AND (${QUALIFYING})) AS tasks,
+            (SELECT COUNT(DISTINCT date(c.created_at, '+3 hours')) FROM task_completions c
+             WHERE c.user_id = r.referred_user_id AND (${QUALIFYING})) AS days
+     FROM referrals r
+     JOIN users a ON a.id = r.referrer_id
+     JOIN users b ON b.id = r.referred_user_id
+     LEFT JOIN users v ON v.id = r.reviewed_by
+     ${where}
+     ORDER BY r.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const counts = await all("SELECT status, COUNT(*) AS n FROM referrals GROUP BY status");
+  return {
+    total,
+    items: items.map((r) => ({ ...r, flags: r.flags ? JSON.parse(r.flags) : [] })),
+    counts: Object.fromEntries(counts.map((c) => [c.status, c.n])),
+    rules: { min_tasks: MIN_TASKS, min_days: MIN_DAYS },
+  };
+}
+
+// Staff cleared a flagged referral; it vests as soon as the referee qualifies,
+// which may be right away.
+async function approve(id, reviewerId, note = null) {
+  const upd = await run(
+    `UPDATE referrals SET status = 'pending', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+     WHERE id = ? AND status = 'flagged'`,
+    [reviewerId, note, id]
+  );
+  if (!upd.changes) throw httpError(409, "Only flagged referrals can be approved");
+  const status = await evaluate(await load(id));
+  return { id, status };
+}
+
+async function reject(id, reviewerId, note) {
+  const upd = await run(
+    `UPDATE referrals SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+     WHERE id = ? AND status IN ('pending', 'flagged')`,
+    [reviewerId, note, id]
+  );
+  if (!upd.changes) throw httpError(409, "Only pending or flagged referrals can be rejected");
+  return { id, status: "rejected" };
+}
+
+// Takes a paid bonus back. The referrer may have redeemed it already, so the
+// bonus wallet can go negative and is netted off later bonuses. Must run inside
+// a transaction; the conditional UPDATE makes sure a bonus is only taken once.
+async function clawBack(id, reviewerId, note) {
+  const r = await get("SELECT * FROM referrals WHERE id = ?", [id]);
+  if (!r) throw httpError(404, "Referral not found");
+
+  const upd = await run(
+    `UPDATE referrals SET status = 'clawed_back', clawed_back_at = CURRENT_TIMESTAMP,
+            reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+     WHERE id = ? AND status = 'vested'`,
+    [reviewerId, note, id]
+  );
+  if (!upd.changes) throw httpError(409, "Only vested referrals can be clawed back");
+  if (r.bonus_awarded_ksh > 0) {
+    await ledger.clawBackReferralBonus(r.referrer_id, r.bonus_awarded_ksh, r.referred_user_id, { memo: note, actorId: reviewerId });
+  }
+  return { id, status: "clawed_back", amount_ksh: r.bonus_awarded_ksh, referrer_id: r.referrer_id };
+}
+
+module.exports = {
+  MIN_TASKS,
+  MIN_DAYS,
+  STATUSES,
+  progress,
+  overlap,
+  checkReferee,
+  processPending,
+  list,
+  approve,
+  reject,
+  clawBack,
+};
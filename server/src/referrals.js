@@ -1,87 +1,108 @@
 const express = require("express");
-const { requireAuth } = require("./auth");
-const { get, all, run } = require("./db");
+const { requireAuth, requireActive } = require("./auth");
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const vesting = require("./referral_vesting");
+const campaigns = require("./referral_campaigns");
+const { limit } = require("./ratelimit");
 
 const router = express.Router();
 
-// Stats for logged-in user
-router.get("/stats", requireAuth, async (req, res) => {
-  const userId = req.user.id;
-
-  const me = await get(
-    "SELECT id, referral_code, bonus_ksh, balance_ksh FROM users WHERE id = ?",
-    [userId]
-  );
-  if (!me) return res.status(404).json({ error: "User not found" });
-
-  const countRow = await get(
-    "SELECT COUNT(*) AS c FROM referrals WHERE referrer_id = ?",
-    [userId]
-  );
-
-  const bonus = Number(me.bonus_ksh || 0);
-  const redeemable = bonus >= 1000 ? Math.floor(bonus / 1000) * 1000 : 0;
+// Redemption step when no campaign is running.
+const DEFAULT_REDEEM_STEP_KSH = 1000;
+
+// What referrers see of a campaign.
+const PUBLIC_CAMPAIGN_FIELDS = [
+  "id",
+  "name",
+  "starts_at",
+  "ends_at",
+  "signup_bonus_ksh",
+  "tier1_commission_pct",
+  "tier2_commission_pct",
+  "max_referrals",
+  "max_earnings_ksh",
+];
+
+function publicCampaign(c) {
+  return c ? Object.fromEntries(PUBLIC_CAMPAIGN_FIELDS.map((k) => [k, c[k]])) : null;
+}
+
+router.get("/status", requireAuth, async (req, res) => {
+  try {
+    const r = await get(
+      `SELECT COUNT(*) AS referrals,
+              COALESCE(SUM(CASE WHEN status IN ('pending', 'flagged') THEN 1 END), 0) AS pending,
+              COALESCE(SUM(CASE WHEN status IN ('pending', 'flagged') THEN bonus_ksh END), 0) AS pending_ksh
+       FROM referrals WHERE referrer_id = ?`,
+      [req.user.id]
+    );
+    const u = await get("SELECT bonus_ksh FROM users WHERE id = ?", [req.user.id]);
+    const p = await campaigns.progress(req.user.id);
+    res.json({
+      referrals: r?.referrals || 0,
+      pending: r?.pending || 0,
+      pending_ksh: r?.pending_ksh || 0,
+      bonus_ksh: u?.bonus_ksh || 0,
+      redeem_step_ksh: p.campaign?.redeem_step_ksh || DEFAULT_REDEEM_STEP_KSH,
+      vesting: { min_tasks: vesting.MIN_TASKS, min_days: vesting.MIN_DAYS },
+      campaign: publicCampaign(p.campaign),
+      earned_ksh: p.earned_ksh,
+      tiers: p.tiers,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load referral status" });
+  }
+});
 
-  return res.json({
-    referral_code: me.referral_code,
-    referrals_count: Number(countRow?.c || 0),
-    bonus_ksh: bonus,
-    redeemable_ksh: redeemable,
-    balance_ksh: Number(me.balance_ksh || 0),
-  });
+// Top referrers of a campaign (default: the running one) and the caller's rank.
+router.get("/leaderboard", requireAuth, async (req, res) => {
+  try {
+    const campaign = req.query.campaign_id
+      ? await get("SELECT * FROM referral_campaigns WHERE id = ?", [Number(req.query.campaign_id)])
+      : await campaigns.active();
+    if (!campaign) return res.json({ campaign: null, top: [], me: null });
+    const board = await campaigns.leaderboard(campaign.id, { userId: req.user.id });
+    res.json({ campaign: { id: campaign.id, name: campaign.name }, ...board });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load leaderboard" });
+  }
 });
 
-// List referred users (username + date)
+// People who signed up with the caller's code, newest first. Flagged
+// referrals show as pending; the review is between us and the referrer.
 router.get("/list", requireAuth, async (req, res) => {
-  const userId = req.user.id;
-
-  const rows = await all(
-    `
-    SELECT
-      r.id,
-      r.created_at,
-      u.username AS referred_username,
-      u.email AS referred_email
-    FROM referrals r
-    JOIN users u ON u.id = r.referred_user_id
-    WHERE r.referrer_id = ?
-    ORDER BY r.created_at DESC
-    LIMIT 200
-    `,
-    [userId]
-  );
-
-  res.json(rows || []);
+  try {
+    const rows = await all(
+      `SELECT u.username, r.created_at, r.bonus_ksh, r.bonus_awarded_ksh, r.vested_at,
+              CASE r.status WHEN 'flagged' THEN 'pending' WHEN 'clawed_back' THEN 'rejected' ELSE r.status END AS status
+       FROM referrals r
+       JOIN users u ON u.id = r.referred_user_id
+       WHERE r.referrer_id = ? ORDER BY r.id DESC LIMIT 200`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load referrals" });
+  }
 });
 
-// Redeem bonus: EXACTLY KSH 1000 per click (if available)
-router.post("/redeem", requireAuth, async (req, res) => {
-  const userId = req.user.id;
-
-  const me = await get("SELECT id, bonus_ksh, balance_ksh FROM users WHERE id = ?", [userId]);
-  if (!me) return res.status(404).json({ error: "User not found" });
-
-  const bonus = Number(me.bonus_ksh || 0);
-  if (bonus < 1000) {
-    return res.status(400).json({ error: "Bonus must reach KSH 1000 to redeem." });
+router.post("/redeem", requireAuth, limit("redeem"), requireActive, async (req, res) => {
+  const u = await get("SELECT bonus_ksh, balance_ksh FROM users WHERE id = ?", [req.user.id]);
+  if (!u) return res.status(404).json({ error: "User not found" });
+  const step = (await campaigns.active())?.redeem_step_ksh || DEFAULT_REDEEM_STEP_KSH;
+  if ((u.bonus_ksh || 0) < step) return res.status(400).json({ error: `Bonus must reach KSH ${step} to redeem` });
+
+  try {
+    await transaction(async () => {
+      const r = await run("INSERT INTO bonus_redemptions (user_id, amount_ksh) VALUES (?, ?)", [req.user.id, step]);
+      await ledger.redeemBonus(req.user.id, step, r.lastID);
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message || "Redeem failed" });
   }
-
-  const redeemAmount = 1000;
-
-  await run(
-    "UPDATE users SET balance_ksh = balance_ksh + ?, bonus_ksh = bonus_ksh - ? WHERE id = ?",
-    [redeemAmount, redeemAmount, userId]
-  );
-
-  await run("INSERT INTO bonus_redemptions (user_id, amount_ksh) VALUES (?, ?)", [userId, redeemAmount]);
-
-  const after = await get("SELECT balance_ksh, bonus_ksh FROM users WHERE id = ?", [userId]);
-  return res.json({
-    ok: true,
-    redeemed_ksh: redeemAmount,
-    balance_ksh: Number(after.balance_ksh || 0),
-    bonus_ksh: Number(after.bonus_ksh || 0),
-  });
+  const me = await get("SELECT balance_ksh, bonus_ksh FROM users WHERE id = ?", [req.user.id]);
+  res.json({ ok: true, ...me });
 });
 
 module.exports = router;
@@ -0,0 +1,171 @@
+const { run, get, all, transaction } = require("./db");
+
+// Leases on tasks being worked, and autosaved drafts of their answers.
+//
+// Claiming a task starts a lease of LEASE_SECONDS; heartbeats, sent by the
+// client while the worker is active, push the expiry out again. A lease holds
+// one of the item's open slots, so no more people work on it than it still
+// needs answers from; a lease that runs out frees its slot for the pool.
+// Tasks without a consensus target have a single slot. Gold tasks are checks
+// every worker answers on their own, so they are always open.
+//
+//   active -> completed | released | expired
+
+const LEASE_SECONDS = Number(process.env.TASK_LEASE_SECONDS || 10 * 60);
+const MAX_DRAFT_LENGTH = 20000;
+// drafts nobody has touched for this long are dropped by the cleanup job
+const DRAFT_RETENTION_DAYS = 30;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// SQL for "t still has a slot for the user bound to ?": answers collected plus
+// other people's live leases are under the target (1 when it has none).
+const OPEN_SLOT = `(
+  t.is_gold = 1 OR
+  (SELECT COUNT(*) FROM task_completions tc WHERE tc.task_id = t.id)
+    + (SELECT COUNT(*) FROM task_reservations r
+       WHERE r.task_id = t.id AND r.status = 'active' AND r.expires_at > CURRENT_TIMESTAMP AND r.user_id != ?)
+    < COALESCE(t.consensus_target, 1)
+)`;
+
+async function current(userId, taskId) {
+  return get(
+    `SELECT id, task_id, expires_at, heartbeat_at, created_at FROM task_reservations
+     WHERE user_id = ? AND task_id = ? AND status = 'active' AND expires_at > CURRENT_TIMESTAMP`,
+    [userId, taskId]
+  );
+}
+
+// Live leases of a user, keyed by task id.
+async function activeFor(userId) {
+  const rows = await all(
+    `SELECT task_id, expires_at FROM task_reservations
+     WHERE user_id = ? AND status = 'active' AND expires_at > CURRENT_TIMESTAMP`,
+    [userId]
+  );
+  return new Map(rows.map((r) => [r.task_id, r]));
+}
+
+async function extend(id) {
+  await run(
+    `UPDATE task_reservations
+     SET heartbeat_at = CURRENT_TIMESTAMP, expires_at = datetime('now', '+' || ? || ' seconds')
+     WHERE id = ?`,
+    [LEASE_SECONDS, id]
+  );
+  return get("SELECT id, task_id, expires_at, heartbeat_at, created_at FROM task_reservations WHERE id = ?", [id]);
+}
+
+// Starts a lease on a task, or renews the caller's live one. 409 when every
+// open slot of the item is held or answered by someone else.
+async function claim(userId, taskId) {
+  return transaction(async () => {
+    const mine = await current(userId, taskId);
+    if (mine) return extend(mine.id);
+
+    const task = await get(`SELECT t.id, ${OPEN_SLOT} AS open FROM tasks t WHERE t.id = ? AND t.active = 1`, [userId, taskId]);
+    if (!task) throw httpError(404, "Task not found");
+    if (!task.open) throw httpError(409, "Enough people are already working on this item");
+
+    // lapsed leases are tidied here as well as by the cleanup job
+    await run(
+      `UPDATE task_reservations SET status = 'expired', ended_at = expires_at
+       WHERE task_id = ? AND status = 'active' AND expires_at <= CURRENT_TIMESTAMP`,
+      [taskId]
+    );
+    const r = await run(
+      `INSERT INTO task_reservations (task_id, user_id, expires_at)
+       VALUES (?, ?, datetime('now', '+' || ? || ' seconds'))`,
+      [taskId, userId, LEASE_SECONDS]
+    );
+    return get("SELECT id, task_id, expires_at, heartbeat_at, created_at FROM task_reservations WHERE id = ?", [r.lastID]);
+  });
+}
+
+// A heartbeat renews the lease; if it has already run out the task is claimed
+// again, which only works while the item still has a slot.
+const heartbeat = claim;
+
+async function release(userId, taskId) {
+  const r = await run(
+    `UPDATE task_reservations SET status = 'released', ended_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND task_id = ? AND status = 'active'`,
+    [userId, taskId]
+  );
+  return { released: r.changes > 0 };
+}
+
+// Called inside the completion transaction: closes the lease and drops the
+// draft.
+async function finish(userId, taskId) {
+  await run(
+    `UPDATE task_reservations SET status = 'completed', ended_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND task_id = ? AND status = 'active'`,
+    [userId, taskId]
+  );
+  await run("DELETE FROM task_drafts WHERE user_id = ? AND task_id = ?", [userId, taskId]);
+}
+
+async function getDraft(userId, taskId) {
+  return get("SELECT task_id, answer_text, device_id, updated_at FROM task_drafts WHERE user_id = ? AND task_id = ?", [
+    userId,
+    taskId,
+  ]);
+}
+
+// Drafts of a user, keyed by task id.
+async function draftsFor(userId, taskIds) {
+  if (!taskIds.length) return new Map();
+  const rows = await all(
+    `SELECT task_id, answer_text, updated_at FROM task_drafts
+     WHERE user_id = ? AND task_id IN (${taskIds.map(() => "?").join(",")})`,
+    [userId, ...taskIds]
+  );
+  return new Map(rows.map((r) => [r.task_id, r]));
+}
+
+async function saveDraft(userId, taskId, answerText, deviceId = null) {
+  const text = String(answerText ?? "");
+  if (text.length > MAX_DRAFT_LENGTH) throw httpError(400, `Drafts are limited to ${MAX_DRAFT_LENGTH} characters`);
+  if (!text.trim()) {
+    await run("DELETE FROM task_drafts WHERE user_id = ? AND task_id = ?", [userId, taskId]);
+    return { task_id: taskId, answer_text: "", updated_at: null };
+  }
+  await run(
+    `INSERT INTO task_drafts (user_id, task_id, answer_text, device_id, updated_at)
+     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id, task_id) DO UPDATE SET
+       answer_text = excluded.answer_text, device_id = excluded.device_id, updated_at = excluded.updated_at`,
+    [userId, taskId, text, deviceId]
+  );
+  return getDraft(userId, taskId);
+}
+
+// The "tasks.expire_leases" job.
+async function expire() {
+  const leases = await run(
+    `UPDATE task_reservations SET status = 'expired', ended_at = expires_at
+     WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP`
+  );
+  const drafts = await run("DELETE FROM task_drafts WHERE updated_at < datetime('now', ?)", [`-${DRAFT_RETENTION_DAYS} days`]);
+  return { leases_expired: leases.changes, drafts_removed: drafts.changes };
+}
+
+module.exports = {
+  LEASE_SECONDS,
+  OPEN_SLOT,
+  current,
+  activeFor,
+  claim,
+  heartbeat,
+  release,
+  finish,
+  getDraft,
+  draftsFor,
+  saveDraft,
+  expire,
+};
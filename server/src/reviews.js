@@ -0,0 +1,199 @@
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const quality = require("./quality");
+const campaigns = require("./referral_campaigns");
+const annotations = require("./annotations");
+const taskTypes = require("./task_types");
+
+// Human review of submitted answers. A submission is queued when:
+//  - low_trust: the worker's trust is low; the reward is held until reviewed;
+//  - low_score: automatic scoring put it below the top band (or failed gold);
+//  - disputed: its consensus item finished without agreement;
+//  - sample: a random share of everything else (REVIEW_SAMPLE_RATE).
+// Only low_trust submissions wait for their money; the rest are paid at once
+// and reversed if a reviewer rejects them.
+
+const SAMPLE_RATE = Number(process.env.REVIEW_SAMPLE_RATE ?? 0.05);
+const HOLD_TRUST = Number(process.env.REVIEW_HOLD_TRUST || 0.65);
+const TOP_BANDS = new Set(["excellent", "pass"]);
+
+const REASONS = ["low_trust", "low_score", "disputed", "sample"];
+const STATUSES = ["pending", "approved", "rejected", "corrected"];
+const ACTIONS = { approve: "approved", reject: "rejected", correct: "corrected" };
+
+// Review outcomes count towards trust like a gold result.
+const OUTCOME_EVIDENCE = { approve: 1, correct: 0.5, reject: 0 };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Decides, before a completion is inserted, whether it goes to review and
+// whether its reward is held. Returns null when it is paid and final.
+async function triage({ userId, result }) {
+  const q = await quality.getQuality(userId);
+  if (q.evidence >= quality.MIN_EVIDENCE && q.trust < HOLD_TRUST) {
+    return { reason: "low_trust", hold: result.reward_ksh > 0 };
+  }
+  if (result.band && !TOP_BANDS.has(result.band)) return { reason: "low_score", hold: false };
+  if (Math.random() < SAMPLE_RATE) return { reason: "sample", hold: false };
+  return null;
+}
+
+// Queues every not-yet-reviewed answer of a disputed consensus item.
+async function queueDisputed(taskId) {
+  await run(
+    "UPDATE task_completions SET review_status = 'pending', review_reason = 'disputed' WHERE task_id = ? AND review_status IS NULL",
+    [taskId]
+  );
+}
+
+async function listQueue({ status = "pending", type = null, reason = null, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push("c.review_status = ?");
+    params.push(status);
+  } else {
+    where.push("c.review_status IS NOT NULL");
+  }
+  if (type) {
+    where.push("t.type = ?");
+    params.push(type);
+  }
+  if (reason) {
+    where.push("c.review_reason = ?");
+    params.push(reason);
+  }
+  const whereSql = `WHERE ${where.join(" AND ")}`;
+  // held money first, then oldest first; finished reviews newest first
+  const order = status === "pending" ? "c.reward_held DESC, c.id ASC" : "c.reviewed_at DESC, c.id DESC";
+
+  const total = await get(
+    `SELECT COUNT(*) AS n FROM task_completions c JOIN tasks t ON t.id = c.task_id ${whereSql}`,
+    params
+  );
+  const items = await all(
+    `SELECT c.id, c.task_id, c.user_id, u.username, COALESCE(q.trust, ?) AS trust,
+            t.type, t.title, t.prompt, t.media_url, t.media_id, t.labels, t.is_gold, t.gold_answer,
+            cs.status AS consensus_status, cs.consensus_answer,
+            c.answer_text, c.corrected_answer, c.score, c.wer, c.cer, c.score_band, c.agreement,
+            c.reward_ksh, c.base_reward_ksh, c.reward_held,
+            c.review_status, c.review_reason, c.review_note, c.reviewed_at, r.username AS reviewer,
+            c.created_at
+     FROM task_completions c
+     JOIN tasks t ON t.id = c.task_id
+     JOIN users u ON u.id = c.user_id
+     LEFT JOIN users r ON r.id = c.reviewed_by
+     LEFT JOIN user_quality q ON q.user_id = c.user_id
+     LEFT JOIN task_consensus cs ON cs.task_id = c.task_id
+     ${whereSql}
+     ORDER BY ${order}
+     LIMIT ? OFFSET ?`,
+    [quality.PRIOR, ...params, limit, offset]
+  );
+  const pending = await all(
+    "SELECT review_reason AS reason, COUNT(*) AS n, SUM(reward_held) AS held FROM task_completions WHERE review_status = 'pending' GROUP BY review_reason"
+  );
+  return {
+    total: total?.n || 0,
+    items: items.map((i) => {
+      const def = taskTypes.get(i.type);
+      return {
+        ...i,
+        media_kind: def?.media || null,
+        answer_format: def?.answerFormat || "text",
+        labels: def?.labels ? annotations.taskLabels(i) : null,
+      };
+    }),
+    pending,
+  };
+}
+
+// Applies a reviewer's decision. The status change is conditional on the
+// submission still being pending, and comes before any ledger movement, so
+// two reviewers acting at once can't both move the reward.
+function decide(opts) {
+  return transaction(() => applyDecision(opts));
+}
+
+async function applyDecision({ completionId, reviewerId, action, note = null, correctedAnswer = null }) {
+  const status = ACTIONS[action];
+  if (!status) throw httpError(400, "Unknown review action");
+
+  const c = await get("SELECT * FROM task_completions WHERE id = ?", [completionId]);
+  if (!c) throw httpError(404, "Submission not found");
+  if (c.review_status !== "pending") throw httpError(409, "Submission is not awaiting review");
+  if (c.user_id === reviewerId) throw httpError(403, "You cannot review your own submission");
+  if (action === "reject" && !note) throw httpError(400, "A reason is required to reject");
+  if (action === "correct" && !correctedAnswer) throw httpError(400, "Corrected answer is required");
+  if (action === "correct") {
+    const task = await get("SELECT type, labels FROM tasks WHERE id = ?", [c.task_id]);
+    if (taskTypes.has(task?.type)) correctedAnswer = taskTypes.parseAnswer(task, correctedAnswer);
+  }
+
+  const reward = action === "reject" ? 0 : c.reward_ksh;
+  const upd = await run(
+    `UPDATE task_completions
+     SET review_status = ?, review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+         corrected_answer = ?, reward_ksh = ?, reward_held = 0
+     WHERE id = ? AND review_status = 'pending'`,
+    [status, note, reviewerId, action === "correct" ? correctedAnswer : null, reward, c.id]
+  );
+  if (!upd.changes) throw httpError(409, "Submission is not awaiting review");
+
+  let ledgerAction = null;
+  if (action === "reject") {
+    if (!c.reward_held && c.reward_ksh > 0) {
+      await ledger.reverseTaskReward(c.user_id, c.reward_ksh, c.id, { memo: `Rejected in review: ${note}`, actorId: reviewerId });
+      await campaigns.reverseCommissions(c.id, { memo: `Referee's task rejected in review: ${note}`, actorId: reviewerId });
+      ledgerAction = "reversed";
+    } else if (c.reward_held) {
+      ledgerAction = "withheld";
+    }
+  } else if (c.reward_held && c.reward_ksh > 0) {
+    await ledger.creditTaskReward(c.user_id, c.reward_ksh, c.id, { memo: "Released after review", actorId: reviewerId });
+    await campaigns.payCommissions(c.id);
+    ledgerAction = "released";
+  }
+  await quality.addEvidence(c.user_id, "gold", OUTCOME_EVIDENCE[action]);
+
+  return {
+    id: c.id,
+    user_id: c.user_id,
+    status,
+    reward_ksh: reward,
+    previous_reward_ksh: c.reward_ksh,
+    ledger: ledgerAction,
+  };
+}
+
+// Per-reviewer totals so reviewers can be checked in turn.
+async function listReviewers({ days = 30 } = {}) {
+  return all(
+    `SELECT c.reviewed_by AS reviewer_id, u.username, u.role,
+            COUNT(*) AS reviewed,
+            SUM(CASE WHEN c.review_status = 'approved' THEN 1 ELSE 0 END) AS approved,
+            SUM(CASE WHEN c.review_status = 'rejected' THEN 1 ELSE 0 END) AS rejected,
+            SUM(CASE WHEN c.review_status = 'corrected' THEN 1 ELSE 0 END) AS corrected,
+            MAX(c.reviewed_at) AS last_reviewed_at
+     FROM task_completions c JOIN users u ON u.id = c.reviewed_by
+     WHERE c.reviewed_at >= datetime('now', ?)
+     GROUP BY c.reviewed_by
+     ORDER BY reviewed DESC`,
+    [`-${days} days`]
+  );
+}
+
+module.exports = {
+  REASONS,
+  STATUSES,
+  ACTIONS,
+  triage,
+  queueDisputed,
+  listQueue,
+  decide,
+  listReviewers,
+};
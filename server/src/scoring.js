@@ -0,0 +1,124 @@
+// Automatic scoring of transcription answers against a reference text.
+// Both sides go through the same normalisation, then word and character
+// error rates are computed from the Levenshtein distance.
+
+const DEFAULT_NORMALIZE = {
+  casing: true, // lowercase both sides
+  punctuation: true, // drop punctuation, keep letters/digits
+  numbers: true, // "KSH 1,000" / "Ksh1000" -> "1000"
+  inaudible: "token", // "token": any [inaudible]/[unclear] variant becomes one token; "drop": removed
+  speakerLabels: true, // strip "Agent:" / "Speaker 2:" at line starts
+  timestamps: true, // strip [00:12] / (1:02:03)
+};
+
+// Reward share paid per accuracy band (accuracy = 1 - WER, floored at 0).
+// Checked top to bottom; below the last band the reward is withheld.
+const DEFAULT_BANDS = [
+  { band: "excellent", min: 0.95, payout: 1 },
+  { band: "good", min: 0.85, payout: 0.75 },
+  { band: "fair", min: 0.7, payout: 0.5 },
+];
+
+// Longer inputs are truncated before the O(n*m) distance.
+const MAX_TOKENS = 5000;
+
+function loadBands() {
+  const raw = process.env.SCORING_BANDS;
+  if (!raw) return DEFAULT_BANDS;
+  try {
+    const bands = JSON.parse(raw);
+    if (!Array.isArray(bands) || !bands.every((b) => b.band && b.min >= 0 && b.payout >= 0 && b.payout <= 1)) {
+      throw new Error("expected [{ band, min, payout }]");
+    }
+    return [...bands].sort((a, b) => b.min - a.min);
+  } catch (e) {
+    console.error("Ignoring invalid SCORING_BANDS:", e.message);
+    return DEFAULT_BANDS;
+  }
+}
+
+const BANDS = loadBands();
+
+const INAUDIBLE_RE = /[[(]\s*(inaudible|unclear|unintelligible|crosstalk|indistinct)[^\])]*[\])]/gi;
+const TIMESTAMP_RE = /[[(]\s*\d{1,2}(:\d{2}){1,2}(\.\d+)?\s*[\])]/g;
+// a label with nothing after it yet (e.g. "Agent:" as the last line) counts too
+const SPEAKER_RE = /^\s*(?:[-*]\s*)?[\p{L}][\p{L}\p{N} .'_-]{0,29}:(?:\s+|$)/gmu;
+const CURRENCY_RE = /\b(?:ksh|kshs|kes|sh|shs)\.?\s*(?=\d)/gi;
+
+function normalizeText(text, opts = {}) {
+  const o = { ...DEFAULT_NORMALIZE, ...opts };
+  let s = String(text || "")
+    .replace(/\r/g, "")
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'");
+
+  if (o.timestamps) s = s.replace(TIMESTAMP_RE, " ");
+  if (o.speakerLabels) s = s.replace(SPEAKER_RE, "");
+  if (o.inaudible === "drop") s = s.replace(INAUDIBLE_RE, " ");
+  else if (o.inaudible === "token") s = s.replace(INAUDIBLE_RE, " \u0000inaudible\u0000 ");
+
+  if (o.numbers) {
+    s = s
+      .replace(CURRENCY_RE, "")
+      .replace(/(\d),(?=\d{3}\b)/g, "$1")
+      .replace(/(\d)\/=/g, "$1")
+      .replace(/(\d\.\d*?)0+\b/g, "$1")
+      .replace(/(\d)\.(?!\d)/g, "$1");
+  }
+  if (o.casing) s = s.toLowerCase();
+  if (o.punctuation) {
+    // keep decimal points and the inaudible marker, drop everything else
+    s = s.replace(/(\d)\.(\d)/g, "$1\u0001$2").replace(/[^\p{L}\p{N}\s\u0000\u0001]/gu, " ").replace(/\u0001/g, ".");
+  }
+  return s.replace(/\u0000inaudible\u0000/g, "[inaudible]").replace(/\s+/g, " ").trim();
+}
+
+function editDistance(a, b) {
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = new Array(b.length + 1);
+  let cur = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    cur[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, cur] = [cur, prev];
+  }
+  return prev[b.length];
+}
+
+function errorRate(ref, hyp) {
+  const r = ref.slice(0, MAX_TOKENS);
+  const h = hyp.slice(0, MAX_TOKENS);
+  if (!r.length) return h.length ? 1 : 0;
+  return editDistance(r, h) / r.length;
+}
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// Returns { wer, cer, accuracy } for an answer against its reference.
+function compare(reference, hypothesis, opts = {}) {
+  const ref = normalizeText(reference, opts);
+  const hyp = normalizeText(hypothesis, opts);
+  const wer = errorRate(ref ? ref.split(" ") : [], hyp ? hyp.split(" ") : []);
+  const cer = errorRate([...ref], [...hyp]);
+  return { wer: round(wer), cer: round(cer), accuracy: round(Math.max(0, 1 - wer)) };
+}
+
+function bandFor(accuracy, bands = BANDS) {
+  return bands.find((b) => accuracy >= b.min) || { band: "withheld", min: 0, payout: 0 };
+}
+
+module.exports = {
+  DEFAULT_NORMALIZE,
+  BANDS,
+  normalizeText,
+  editDistance,
+  compare,
+  bandFor,
+};
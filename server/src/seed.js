@@ -0,0 +1,74 @@
+const { run, get, transaction } = require("./db");
+const taskTypes = require("./task_types");
+
+// Fills an empty tasks table with demo tasks so a fresh install has work to
+// show. Real tasks come in through the admin import (task_import.js).
+async function seedTasksIfEmpty() {
+  const c = await get("SELECT COUNT(*) AS n FROM tasks");
+  if ((c?.n || 0) > 0) return;
+
+  const MEDIA = {
+    audio: [
+      "https://upload.wikimedia.org/wikipedia/commons/4/4f/En-us-hello.ogg",
+      "https://upload.wikimedia.org/wikipedia/commons/7/7e/En-us-thank_you.ogg",
+      "https://upload.wikimedia.org/wikipedia/commons/9/9e/En-us-yes.ogg",
+      "https://upload.wikimedia.org/wikipedia/commons/1/12/En-us-no.ogg"
+    ],
+    video: [
+      "https://upload.wikimedia.org/wikipedia/commons/transcoded/8/86/Big_Buck_Bunny_Trailer_400p.ogv/Big_Buck_Bunny_Trailer_400p.ogv.480p.vp9.webm",
+      "https://upload.wikimedia.org/wikipedia/commons/transcoded/6/63/Wikipedia_Edit_2014.webm/Wikipedia_Edit_2014.webm.480p.vp9.webm",
+      "https://upload.wikimedia.org/wikipedia/commons/transcoded/3/3d/Walking_in_Tokyo.webm/Walking_in_Tokyo.webm.480p.vp9.webm"
+    ],
+    image: [
+      "https://upload.wikimedia.org/wikipedia/commons/thumb/3/3a/Cat03.jpg/640px-Cat03.jpg",
+      "https://upload.wikimedia.org/wikipedia/commons/thumb/5/54/Golden_Retriever_medium-to-light-coat.jpg/640px-Golden_Retriever_medium-to-light-coat.jpg",
+      "https://upload.wikimedia.org/wikipedia/commons/thumb/4/47/New_york_times_square-terabass.jpg/640px-New_york_times_square-terabass.jpg",
+      "https://upload.wikimedia.org/wikipedia/commons/thumb/8/84/Example.svg/640px-Example.svg.png"
+    ]
+  };
+
+  // reward ranges per type; titles, prompts and the rest come from the registry
+  const TYPES = [
+    { type: "audio_transcription", base: 10, max: 18 },
+    { type: "video_transcription", base: 18, max: 30 },
+    { type: "image_caption", base: 12, max: 22 },
+    { type: "image_tagging", base: 10, max: 18 },
+    { type: "text_cleanup", base: 10, max: 16 }
+  ].map((t) => ({ ...t, def: taskTypes.get(t.type) }));
+
+  function rewardFor(t) {
+    const r = t.base + Math.floor(Math.random() * (t.max - t.base + 1));
+    return Math.max(10, Math.min(30, r));
+  }
+
+  const TOTAL = 2500; // thousands
+  await transaction(async () => {
+    for (let i = 1; i <= TOTAL; i++) {
+      const t = TYPES[i % TYPES.length];
+      const reward_ksh = rewardFor(t);
+      const media_url = t.def.media ? MEDIA[t.def.media][i % MEDIA[t.def.media].length] : null;
+      const prompt = t.def.prompt;
+      const description = prompt;
+
+      await run(
+        `INSERT INTO tasks (type, category, title, description, prompt, media_url, image, reward_ksh, complexity, active, consensus_target)
+         VALUES (?,?,?,?,?,?,?,?,?,1,?)`,
+        [
+          t.type,
+          t.type,
+          `${t.def.title} #${i}`,
+          description,
+          prompt,
+          media_url,
+          media_url,
+          reward_ksh,
+          t.def.complexity,
+          // caption/tagging have no reference answer: collect several answers each
+          taskTypes.consensusTarget(t.type)
+        ]
+      );
+    }
+  });
+}
+
+module.exports = { seedTasksIfEmpty };
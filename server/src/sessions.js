@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { run, get, all } = require("./db");
+
+// Sign-in sessions. Each login creates a row in `sessions`; the client holds
+// a short-lived access JWT (carrying the session id) and an opaque refresh
+// token. Refreshing rotates the refresh token; presenting an already-rotated
+// one means it was copied, so the whole session is revoked. The exception is
+// a refresh within REFRESH_GRACE_SECONDS of the rotation (two tabs, or a
+// retried request): it gets the pair the rotation already handed out.
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === "production") {
+  throw new Error("JWT_SECRET must be set in production");
+}
+const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
+
+const ACCESS_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const REFRESH_GRACE_SECONDS = Number(process.env.REFRESH_GRACE_SECONDS || 30);
+// last_seen_at is only written when older than this, to spare the database.
+const TOUCH_EVERY_MS = 5 * 60 * 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+// The token a refresh rotates to is derived from the one presented, so the
+// same rotation can be handed out again without storing it.
+function rotatedToken(sessionId, refreshToken) {
+  return `${sessionId}.${crypto.createHmac("sha256", JWT_SECRET).update(refreshToken).digest("base64url")}`;
+}
+
+function signAccess(userId, sessionId) {
+  return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TTL_SECONDS });
+}
+
+// deviceId is a random id the web client keeps in local storage and sends as
+// X-Device-Id; it lets accounts sharing a browser be linked (referral_vesting.js).
+function clientInfo(req) {
+  return {
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+    ip: req.ip || req.socket?.remoteAddress || null,
+    deviceId: String(req.headers["x-device-id"] || "").slice(0, 64) || null,
+  };
+}
+
+// Shape returned by login/register/refresh.
+function tokens(userId, sessionId, refreshToken) {
+  return {
+    token: signAccess(userId, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TTL_SECONDS,
+  };
+}
+
+// mfaVerified: the user has just passed a second factor (see mfa.js).
+async function create(userId, req, { mfaVerified = false } = {}) {
+  const { userAgent, ip, deviceId } = clientInfo(req);
+  const ins = await run(
+    `INSERT INTO sessions (user_id, refresh_hash, user_agent, ip, device_id, expires_at, mfa_verified_at)
+     VALUES (?, '', ?, ?, ?, datetime('now', ?), CASE WHEN ? THEN CURRENT_TIMESTAMP END)`,
+    [userId, userAgent, ip, deviceId, `+${REFRESH_TTL_DAYS} days`, mfaVerified ? 1 : 0]
+  );
+  const refreshToken = newRefreshToken(ins.lastID);
+  await run("UPDATE sessions SET refresh_hash = ? WHERE id = ?", [hashToken(refreshToken), ins.lastID]);
+  return tokens(userId, ins.lastID, refreshToken);
+}
+
+function sessionIdOf(refreshToken) {
+  const id = Number(String(refreshToken || "").split(".")[0]);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+async function refresh(refreshToken, req) {
+  const sessionId = sessionIdOf(refreshToken);
+  if (!sessionId) throw httpError(401, "Invalid refresh token");
+
+  const s = await get(
+    `SELECT id, user_id, refresh_hash, prev_refresh_hash, revoked_at,
+            expires_at <= CURRENT_TIMESTAMP AS expired,
+            rotated_at > datetime('now', ?) AS in_grace
+     FROM sessions WHERE id = ?`,
+    [`-${REFRESH_GRACE_SECONDS} seconds`, sessionId]
+  );
+  if (!s || s.revoked_at) throw httpError(401, "Session has ended. Please sign in again.");
+  if (s.expired) throw httpError(401, "Session expired. Please sign in again.");
+
+  const hash = hashToken(refreshToken);
+  const next = rotatedToken(s.id, refreshToken);
+  if (hash !== s.refresh_hash) {
+    if (hash !== s.prev_refresh_hash) throw httpError(401, "Invalid refresh token");
+    if (s.in_grace && hashToken(next) === s.refresh_hash) return tokens(s.user_id, s.id, next);
+    await revoke(s.id, "refresh_reuse");
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  const { userAgent, ip, deviceId } = clientInfo(req);
+  // the WHERE lets only one of two refreshes racing with the same token
+  // rotate; the other rotated to the same token, which it gets as well
+  const upd = await run(
+    `UPDATE sessions
+     SET refresh_hash = ?, prev_refresh_hash = ?, rotated_at = CURRENT_TIMESTAMP, user_agent = ?, ip = ?,
+         device_id = COALESCE(?, device_id), last_seen_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+     WHERE id = ? AND refresh_hash = ? AND revoked_at IS NULL`,
+    [hashToken(next), hash, userAgent, ip, deviceId, `+${REFRESH_TTL_DAYS} days`, s.id, hash]
+  );
+  if (!upd.changes) {
+    const now = await get("SELECT refresh_hash FROM sessions WHERE id = ? AND revoked_at IS NULL", [s.id]);
+    if (now?.refresh_hash !== hashToken(next)) throw httpError(401, "Invalid refresh token");
+  }
+  return tokens(s.user_id, s.id, next);
+}
+
+async function revoke(sessionId, reason = "logout") {
+  await run(
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL",
+    [reason, sessionId]
+  );
+}
+
+// Logout by refresh token, so it works after the access token has expired.
+async function logout(refreshToken) {
+  const sessionId = sessionIdOf(refreshToken);
+  if (!sessionId) return false;
+  const s = await get("SELECT refresh_hash FROM sessions WHERE id = ? AND revoked_at IS NULL", [sessionId]);
+  if (!s || s.refresh_hash !== hashToken(refreshToken)) return false;
+  await revoke(sessionId, "logout");
+  return true;
+}
+
+// Ends every session of a user, optionally keeping one (the caller's).
+async function revokeAll(userId, reason, { except = null } = {}) {
+  const r = await run(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+    [reason, userId, except ?? 0]
+  );
+  return r.changes;
+}
+
+async function list(userId) {
+  return all(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+}
+
+// Verifies an access token and that its session is still live.
+// Returns { id, sid } or throws 401.
+async function authenticate(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    throw httpError(401, e.name === "TokenExpiredError" ? "Token expired" : "Invalid token");
+  }
+  // tokens from before sessions existed carry no sid
+  if (!payload.sid) throw httpError(401, "Session expired. Please sign in again.");
+
+  const s = await get(
+    "SELECT user_id, revoked_at, last_seen_at FROM sessions WHERE id = ?",
+    [payload.sid]
+  );
+  if (!s || s.revoked_at || s.user_id !== payload.id) throw httpError(401, "Session has ended. Please sign in again.");
+
+  if (Date.now() - Date.parse(`${s.last_seen_at.replace(" ", "T")}Z`) > TOUCH_EVERY_MS) {
+    await run("UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?", [payload.sid]);
+  }
+  return { id: payload.id, sid: payload.sid };
+}
+
+module.exports = {
+  ACCESS_TTL_SECONDS,
+  clientInfo,
+  create,
+  refresh,
+  revoke,
+  logout,
+  revokeAll,
+  list,
+  authenticate,
+};
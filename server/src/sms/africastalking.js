@@ -0,0 +1,42 @@
+// Africa's Talking bulk SMS API.
+function config() {
+  const username = process.env.AT_USERNAME || "sandbox";
+  return {
+    username,
+    apiKey: process.env.AT_API_KEY || "",
+    from: process.env.AT_SENDER_ID || "",
+    baseUrl: (
+      process.env.AT_BASE_URL ||
+      (username === "sandbox" ? "https://api.sandbox.africastalking.com" : "https://api.africastalking.com")
+    ).replace(/\/$/, ""),
+  };
+}
+
+async function send({ to, message }) {
+  const c = config();
+  if (!c.apiKey) throw new Error("AT_API_KEY is not set");
+
+  const body = new URLSearchParams({ username: c.username, to: `+${to}`, message });
+  if (c.from) body.set("from", c.from);
+
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 15000);
+  try {
+    const res = await fetch(`${c.baseUrl}/version1/messaging`, {
+      method: "POST",
+      headers: { apiKey: c.apiKey, Accept: "application/json", "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+      signal: ctrl.signal,
+    });
+    const data = await res.json().catch(() => null);
+    const recipient = data?.SMSMessageData?.Recipients?.[0];
+    if (!res.ok || !recipient || recipient.statusCode >= 400) {
+      throw new Error(`SMS rejected: ${recipient?.status || data?.SMSMessageData?.Message || res.status}`);
+    }
+    return { id: recipient.messageId };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { name: "africastalking", send };
@@ -0,0 +1,21 @@
+const mock = require("./mock");
+const africastalking = require("./africastalking");
+
+// Providers implement:
+//   name
+//   send({ to, message }) -> { id }      (to is an MSISDN, 2547XXXXXXXX)
+// SMS_PROVIDER picks one; the mock sink is the default outside production.
+const PROVIDERS = { mock, africastalking };
+
+function provider() {
+  const name = process.env.SMS_PROVIDER || "mock";
+  const p = PROVIDERS[name];
+  if (!p) throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  return p;
+}
+
+async function send(to, message) {
+  return provider().send({ to, message });
+}
+
+module.exports = { send };
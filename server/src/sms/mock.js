@@ -0,0 +1,20 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Local sink: messages are appended to SMS_OUTBOX_FILE as JSON lines and
+// echoed to the console instead of being sent.
+function outboxFile() {
+  return process.env.SMS_OUTBOX_FILE || path.join(__dirname, "..", "..", "outbox", "sms.jsonl");
+}
+
+async function send({ to, message }) {
+  const id = `mock_${crypto.randomBytes(6).toString("hex")}`;
+  const file = outboxFile();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify({ id, to, message, created_at: new Date().toISOString() }) + "\n");
+  console.log(`[sms] to=${to} ${message}`);
+  return { id };
+}
+
+module.exports = { name: "mock", send, outboxFile };
@@ -0,0 +1,491 @@
+const { run, get, all, transaction } = require("./db");
+const annotations = require("./annotations");
+const taskTypes = require("./task_types");
+
+// Per-type rules for imported tasks (media kind, default complexity, label
+// sets, gold answer format) come from the type registry, task_types/.
+
+// File extensions accepted for each media kind.
+const MEDIA_EXTENSIONS = {
+  audio: ["mp3", "wav", "ogg", "oga", "opus", "m4a", "aac", "flac", "webm"],
+  video: ["mp4", "webm", "ogv", "mov", "m4v", "mkv"],
+  image: ["jpg", "jpeg", "png", "gif", "webp", "svg", "bmp"],
+};
+
+const MIN_REWARD = 1;
+const MAX_REWARD = 500;
+const MAX_ROWS = 20000;
+const MAX_REPORTED_ERRORS = 500;
+
+// Header aliases accepted in CSV files and JSONL keys.
+const FIELD_ALIASES = {
+  type: "type",
+  task_type: "type",
+  title: "title",
+  prompt: "prompt",
+  instructions: "prompt",
+  description: "description",
+  category: "category",
+  media_url: "media_url",
+  media: "media_url",
+  url: "media_url",
+  reward: "reward_ksh",
+  reward_ksh: "reward_ksh",
+  complexity: "complexity",
+  difficulty: "complexity",
+  gold_answer: "gold_answer",
+  gold: "gold_answer",
+  answer: "gold_answer",
+  tags: "tags",
+  is_gold: "is_gold",
+  gold_task: "is_gold",
+  consensus: "consensus_target",
+  consensus_target: "consensus_target",
+  workers: "consensus_target",
+  language: "language",
+  lang: "language",
+  labels: "labels",
+  label_set: "labels",
+  classes: "labels",
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// RFC 4180 CSV: quoted fields, "" escapes, embedded newlines, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw httpError(400, `Unterminated quoted field starting on line ${rowLine}`);
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter((r) => r.cells.some((c) => c.trim() !== ""));
+}
+
+function canonicalKey(key) {
+  const k = String(key || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return FIELD_ALIASES[k] || null;
+}
+
+function canonicalRecord(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    const key = canonicalKey(k);
+    if (key && out[key] === undefined) out[key] = v;
+  }
+  return out;
+}
+
+// Returns { records: [{ line, data }], errors } without validating values.
+function parseRecords(content, format) {
+  const text = String(content || "").replace(/^\uFEFF/, "");
+  const records = [];
+  const errors = [];
+
+  if (format === "csv") {
+    const rows = parseCsv(text);
+    if (!rows.length) return { records, errors };
+    const header = rows[0].cells.map(canonicalKey);
+    const unknown = rows[0].cells.filter((_, i) => !header[i]);
+    if (unknown.length) errors.push({ line: rows[0].line, field: null, message: `Ignored unknown columns: ${unknown.join(", ")}`, warning: true });
+    if (!header.includes("type")) throw httpError(400, "CSV header must include a type column");
+
+    for (const r of rows.slice(1)) {
+      const data = {};
+      header.forEach((key, i) => {
+        if (key && data[key] === undefined) data[key] = r.cells[i] ?? "";
+      });
+      records.push({ line: r.line, data });
+    }
+  } else if (format === "jsonl") {
+    text.split(/\r?\n/).forEach((raw, i) => {
+      if (!raw.trim()) return;
+      try {
+        const obj = JSON.parse(raw);
+        if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("not an object");
+        records.push({ line: i + 1, data: canonicalRecord(obj) });
+      } catch (e) {
+        errors.push({ line: i + 1, field: null, message: `Invalid JSON: ${e.message}` });
+      }
+    });
+  } else {
+    throw httpError(400, "Format must be csv or jsonl");
+  }
+
+  if (records.length > MAX_ROWS) throw httpError(400, `Too many rows (${records.length}); the limit is ${MAX_ROWS} per batch`);
+  return { records, errors };
+}
+
+function detectFormat(filename, content) {
+  const ext = String(filename || "").toLowerCase().split(".").pop();
+  if (ext === "csv") return "csv";
+  if (ext === "jsonl" || ext === "ndjson") return "jsonl";
+  return String(content || "").trimStart().startsWith("{") ? "jsonl" : "csv";
+}
+
+function str(v) {
+  if (v === undefined || v === null) return "";
+  return String(v).trim();
+}
+
+function parseTags(v) {
+  const list = Array.isArray(v) ? v : str(v).split(/[|,;]/);
+  return [...new Set(list.map((t) => str(t).toLowerCase()).filter(Boolean))];
+}
+
+function mediaExtension(url) {
+  const path = url.pathname.toLowerCase();
+  const dot = path.lastIndexOf(".");
+  return dot > path.lastIndexOf("/") ? path.slice(dot + 1) : "";
+}
+
+// Validates one record against its type's rules. Returns { task } or
+// { errors: [{ field, message }] }.
+function validateRecord(data) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const type = str(data.type).toLowerCase();
+  const spec = taskTypes.get(type);
+  if (!spec || !spec.importable) {
+    fail("type", type ? `Unknown task type "${type}"` : "type is required");
+    return { errors };
+  }
+
+  const prompt = str(data.prompt);
+  if (!prompt) fail("prompt", "prompt is required");
+  else if (prompt.length > 4000) fail("prompt", "prompt is longer than 4000 characters");
+
+  let mediaUrl = str(data.media_url);
+  if (spec.media) {
+    if (!mediaUrl) {
+      fail("media_url", `${type} tasks need a media_url`);
+    } else {
+      let url = null;
+      try {
+        url = new URL(mediaUrl);
+      } catch {
+        fail("media_url", "media_url is not a valid URL");
+      }
+      if (url && !["http:", "https:"].includes(url.protocol)) fail("media_url", "media_url must be http(s)");
+      const ext = url ? mediaExtension(url) : "";
+      if (ext && !MEDIA_EXTENSIONS[spec.media].includes(ext)) {
+        fail("media_url", `.${ext} is not a supported ${spec.media} format`);
+      }
+    }
+  } else if (mediaUrl) {
+    fail("media_url", `${type} tasks do not take media`);
+    mediaUrl = "";
+  }
+
+  const rewardRaw = str(data.reward_ksh);
+  const reward = Number(rewardRaw);
+  if (!rewardRaw) fail("reward_ksh", "reward is required");
+  else if (!Number.isInteger(reward) || reward < MIN_REWARD || reward > MAX_REWARD) {
+    fail("reward_ksh", `reward must be a whole number between ${MIN_REWARD} and ${MAX_REWARD}`);
+  }
+
+  const complexityRaw = str(data.complexity);
+  const complexity = complexityRaw ? Number(complexityRaw) : spec.complexity;
+  if (![1, 2, 3].includes(complexity)) fail("complexity", "complexity must be 1, 2 or 3");
+
+  const tags = parseTags(data.tags);
+  if (tags.length > 20) fail("tags", "at most 20 tags");
+
+  // structured types pick from the row's own label set
+  let labels = [];
+  if (spec.labels) {
+    try {
+      labels = annotations.parseLabels(data.labels);
+      if (!labels.length) fail("labels", `${type} tasks need labels to choose from`);
+    } catch (e) {
+      fail("labels", e.message);
+    }
+  } else if (str(data.labels)) {
+    fail("labels", `${type} tasks do not take labels`);
+  }
+
+  let gold = data.gold_answer;
+  const hasGold = gold !== undefined && gold !== null && str(gold) !== "";
+  if (hasGold) {
+    try {
+      gold = spec.parseGold(gold, { labels });
+    } catch (e) {
+      fail("gold_answer", e.message);
+      gold = "";
+    }
+  } else {
+    gold = "";
+  }
+  if (gold.length > 10000) fail("gold_answer", "gold answer is longer than 10000 characters");
+
+  const goldRaw = str(data.is_gold).toLowerCase();
+  const isGold = ["1", "true", "yes", "y"].includes(goldRaw);
+  if (goldRaw && !isGold && !["0", "false", "no", "n"].includes(goldRaw)) fail("is_gold", "is_gold must be true or false");
+  if (isGold && !gold) fail("gold_answer", "gold tasks need a gold_answer");
+
+  const consensusRaw = str(data.consensus_target);
+  let consensus = consensusRaw ? Number(consensusRaw) : taskTypes.consensusTarget(type);
+  if (consensusRaw && (!Number.isInteger(consensus) || consensus < 1 || consensus > 15)) {
+    fail("consensus_target", "consensus must be a whole number between 1 and 15");
+  }
+  // gold tasks are checked against their known answer, not each other
+  if (isGold) consensus = null;
+
+  // ISO 639 code; empty = any worker can take it
+  const language = str(data.language).toLowerCase() || null;
+  if (language && !/^[a-z]{2,3}$/.test(language)) fail("language", "language must be a code like en or sw");
+
+  const title = str(data.title) || null;
+  if (title && title.length > 200) fail("title", "title is longer than 200 characters");
+
+  if (errors.length) return { errors };
+  return {
+    task: {
+      type,
+      category: str(data.category) || type,
+      title,
+      description: str(data.description) || prompt,
+      prompt,
+      media_url: mediaUrl || null,
+      reward_ksh: reward,
+      complexity,
+      gold_answer: gold || null,
+      tags: tags.length ? JSON.stringify(tags) : null,
+      is_gold: isGold ? 1 : 0,
+      consensus_target: consensus,
+      language,
+      labels: labels.length ? JSON.stringify(labels) : null,
+    },
+  };
+}
+
+async function findExistingMedia(pairs) {
+  const existing = new Map();
+  const list = [...pairs];
+  for (let i = 0; i < list.length; i += 400) {
+    const chunk = list.slice(i, i + 400);
+    const rows = await all(
+      `SELECT id, type, media_url FROM tasks WHERE media_url IN (${chunk.map(() => "?").join(",")})`,
+      chunk.map((p) => p.split("\n")[1])
+    );
+    for (const r of rows) existing.set(`${r.type}\n${r.media_url}`, r.id);
+  }
+  return existing;
+}
+
+// Parses and validates a whole file. Nothing is written.
+async function validateBatch({ content, format }) {
+  const { records, errors } = parseRecords(content, format);
+  const rowCount = records.length + errors.filter((e) => !e.warning).length;
+  const valid = [];
+  const seen = new Map();
+
+  for (const { line, data } of records) {
+    const r = validateRecord(data);
+    if (r.errors) {
+      for (const e of r.errors) errors.push({ line, ...e });
+      continue;
+    }
+    if (r.task.media_url) {
+      const key = `${r.task.type}\n${r.task.media_url}`;
+      if (seen.has(key)) {
+        errors.push({ line, field: "media_url", message: `Duplicate of line ${seen.get(key)}` });
+        continue;
+      }
+      seen.set(key, line);
+    }
+    valid.push({ line, task: r.task });
+  }
+
+  const existing = await findExistingMedia(seen.keys());
+  const fresh = valid.filter(({ line, task }) => {
+    const id = task.media_url && existing.get(`${task.type}\n${task.media_url}`);
+    if (id) errors.push({ line, field: "media_url", message: `Already imported as task #${id}` });
+    return !id;
+  });
+
+  const invalidLines = new Set(errors.filter((e) => !e.warning).map((e) => e.line));
+  errors.sort((a, b) => a.line - b.line);
+  return { rowCount, valid: fresh, invalidRows: invalidLines.size, errors };
+}
+
+function summarize(result) {
+  const byType = {};
+  for (const { task } of result.valid) byType[task.type] = (byType[task.type] || 0) + 1;
+  return {
+    row_count: result.rowCount,
+    valid_count: result.valid.length,
+    invalid_count: result.invalidRows,
+    by_type: byType,
+    errors: result.errors.slice(0, MAX_REPORTED_ERRORS),
+    errors_truncated: result.errors.length > MAX_REPORTED_ERRORS,
+  };
+}
+
+// Validates and, unless dryRun, inserts the batch. Any invalid row aborts the
+// whole import unless skipInvalid is set, in which case only valid rows land.
+async function importTasks({ content, format, filename = null, dryRun = false, skipInvalid = false, actorId = null }) {
+  const fmt = format || detectFormat(filename, content);
+  const result = await validateBatch({ content, format: fmt });
+  const report = { format: fmt, dry_run: !!dryRun, ...summarize(result) };
+
+  if (dryRun) return report;
+  if (result.invalidRows && !skipInvalid) {
+    throw Object.assign(httpError(422, `${result.invalidRows} row(s) failed validation; nothing was imported`), { report });
+  }
+  if (!result.valid.length) throw Object.assign(httpError(422, "No valid rows to import"), { report });
+
+  const batchId = await transaction(async () => {
+    const batch = await run(
+      `INSERT INTO task_import_batches (created_by, filename, format, row_count, inserted_count, skipped_count, errors)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actorId,
+        filename,
+        fmt,
+        result.rowCount,
+        result.valid.length,
+        result.invalidRows,
+        result.errors.length ? JSON.stringify(result.errors.slice(0, MAX_REPORTED_ERRORS)) : null,
+      ]
+    );
+
+    const counters = {};
+    for (const { task } of result.valid) {
+      const n = (counters[task.type] = (counters[task.type] || 0) + 1);
+      const title = task.title || `${taskTypes.get(task.type).title} #${batch.lastID}-${n}`;
+      await run(
+        `INSERT INTO tasks (type, category, title, description, prompt, media_url, image, reward_ksh, complexity,
+                            active, gold_answer, tags, import_batch_id, is_gold, consensus_target, language, labels)
+         VALUES (?,?,?,?,?,?,?,?,?,1,?,?,?,?,?,?,?)`,
+        [
+          task.type,
+          task.category,
+          title,
+          task.description,
+          task.prompt,
+          task.media_url,
+          task.media_url,
+          task.reward_ksh,
+          task.complexity,
+          task.gold_answer,
+          task.tags,
+          batch.lastID,
+          task.is_gold,
+          task.consensus_target,
+          task.language,
+          task.labels,
+        ]
+      );
+    }
+    return batch.lastID;
+  });
+
+  return { ...report, batch_id: batchId, inserted_count: result.valid.length };
+}
+
+// Undoes a batch. Tasks nobody has been assigned are deleted; the rest are
+// deactivated so completions and payouts keep their task rows.
+async function rollbackBatch(batchId, { actorId = null } = {}) {
+  return transaction(async () => {
+    const batch = await get("SELECT id, status FROM task_import_batches WHERE id = ?", [batchId]);
+    if (!batch) throw httpError(404, "Import batch not found");
+    if (batch.status === "rolled_back") throw httpError(409, "Import batch was already rolled back");
+
+    const used = `EXISTS (SELECT 1 FROM task_completions tc WHERE tc.task_id = tasks.id)
+                  OR EXISTS (SELECT 1 FROM daily_tasks dt WHERE dt.task_id = tasks.id)`;
+    const deactivated = await run(`UPDATE tasks SET active = 0 WHERE import_batch_id = ? AND (${used})`, [batchId]);
+    const deleted = await run(`DELETE FROM tasks WHERE import_batch_id = ? AND NOT (${used})`, [batchId]);
+    await run(
+      "UPDATE task_import_batches SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = ? WHERE id = ?",
+      [actorId, batchId]
+    );
+    return { id: batchId, deleted: deleted.changes, deactivated: deactivated.changes };
+  });
+}
+
+async function listBatches({ limit = 50 } = {}) {
+  return all(
+    `SELECT b.id, b.filename, b.format, b.status, b.row_count, b.inserted_count, b.skipped_count,
+            b.created_at, b.rolled_back_at, u.username AS created_by,
+            (SELECT COUNT(*) FROM tasks t WHERE t.import_batch_id = b.id AND t.active = 1) AS active_count
+     FROM task_import_batches b LEFT JOIN users u ON u.id = b.created_by
+     ORDER BY b.id DESC LIMIT ?`,
+    [limit]
+  );
+}
+
+async function getBatch(batchId) {
+  const b = await get("SELECT * FROM task_import_batches WHERE id = ?", [batchId]);
+  if (!b) return null;
+  return { ...b, errors: b.errors ? JSON.parse(b.errors) : [] };
+}
+
+// Example file content for the content team.
+function template(format) {
+  const rows = [
+    { type: "audio_transcription", prompt: "Transcribe the caller exactly.", media_url: "https://cdn.example.com/clips/0001.mp3", reward: 15, complexity: 2, gold_answer: "Hello, I would like to check my order.", tags: "support|english", language: "en", labels: "" },
+    { type: "image_tagging", prompt: "Tag the objects you can see.", media_url: "https://cdn.example.com/img/0001.jpg", reward: 10, complexity: 1, gold_answer: "car, road, tree", tags: "street", language: "", labels: "" },
+    { type: "image_bbox", prompt: "Draw a box around every vehicle.", media_url: "https://cdn.example.com/img/0002.jpg", reward: 20, complexity: 2, gold_answer: '{"boxes":[{"label":"car","x":0.12,"y":0.4,"w":0.3,"h":0.25}]}', tags: "street", language: "", labels: "car|bus|motorbike" },
+    { type: "text_cleanup", prompt: "Fix the spelling: 'Recieved your paymnet, thank you'", media_url: "", reward: 10, complexity: 1, gold_answer: "Received your payment, thank you.", tags: "", language: "en", labels: "" },
+  ];
+  if (format === "jsonl") return rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+  const cols = Object.keys(rows[0]);
+  const esc = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [cols.join(","), ...rows.map((r) => cols.map((c) => esc(r[c])).join(","))].join("\n") + "\n";
+}
+
+module.exports = {
+  parseCsv,
+  detectFormat,
+  validateBatch,
+  importTasks,
+  rollbackBatch,
+  listBatches,
+  getBatch,
+  template,
+};
@@ -0,0 +1,32 @@
+const annotations = require("../annotations");
+
+// Structured image annotation (see annotations/): JSON answers checked
+// against the task's own label set.
+
+function define(type, title, complexity, answerFormat) {
+  return {
+    type,
+    title,
+    media: "image",
+    complexity,
+    consensus: true,
+    labels: true,
+    renderer: "annotation",
+    answerFormat,
+    reward: "pass_fail",
+    parseAnswer: (task, text) => JSON.stringify(annotations.parseAnswer(task, text)),
+    parseGold: (raw, { labels }) => JSON.stringify(annotations.parseAnswer({ type, labels: JSON.stringify(labels) }, raw)),
+    score: (answer, gold, task) => {
+      const score = annotations.scoreGold(task, answer);
+      return score === null ? null : { score };
+    },
+    aggregate: (answers) => annotations.aggregate(type, answers),
+    exportAnswer: (text) => annotations.readAnswer(type, text),
+  };
+}
+
+module.exports = [
+  define("image_labels", "Image Labels", 1, "labels"),
+  define("image_bbox", "Bounding Boxes", 2, "boxes"),
+  define("image_points", "Image Points", 2, "points"),
+];
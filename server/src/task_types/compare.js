@@ -0,0 +1,151 @@
+const scoring = require("../scoring");
+
+// Similarity measures and aggregation for free-text answers (captions, tag
+// lists, transcripts), shared by the type definitions.
+
+// Answers at least this similar fall in the same cluster.
+const CLUSTER_SIM = 0.5;
+
+const STOPWORDS = new Set(
+  "a an the of in on at to and or is are was were be with by for from this that these those it its there some".split(" ")
+);
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function parseTags(answer) {
+  return [
+    ...new Set(
+      String(answer || "")
+        .split(/[,;|\n]/)
+        .map((t) => t.trim().toLowerCase().replace(/\s+/g, " "))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function jaccard(a, b) {
+  const A = new Set(a);
+  const B = new Set(b);
+  if (!A.size && !B.size) return 1;
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter++;
+  return inter / (A.size + B.size - inter);
+}
+
+function f1(answer, gold) {
+  const A = new Set(answer);
+  const G = new Set(gold);
+  if (!A.size || !G.size) return 0;
+  let inter = 0;
+  for (const x of A) if (G.has(x)) inter++;
+  if (!inter) return 0;
+  const p = inter / A.size;
+  const r = inter / G.size;
+  return (2 * p * r) / (p + r);
+}
+
+function contentWords(text) {
+  return scoring
+    .normalizeText(text)
+    .split(" ")
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith("s") ? w.slice(0, -1) : w));
+}
+
+// Dice overlap of content words; good enough to group paraphrased captions.
+function captionSimilarity(a, b) {
+  const A = new Set(contentWords(a));
+  const B = new Set(contentWords(b));
+  if (!A.size && !B.size) return 1;
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter++;
+  return (2 * inter) / (A.size + B.size);
+}
+
+function transcriptSimilarity(a, b) {
+  return scoring.compare(a, b).accuracy;
+}
+
+// answers: [{ id, answer }]. Returns { agreement, consensus, perAnswer: Map(id -> agreement) }.
+function aggregateTags(answers) {
+  const sets = answers.map((a) => parseTags(a.answer));
+  const votes = new Map();
+  for (const s of sets) for (const t of s) votes.set(t, (votes.get(t) || 0) + 1);
+  const consensus = [...votes.entries()]
+    .filter(([, n]) => n > answers.length / 2)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([t]) => t);
+
+  let pairSum = 0;
+  let pairs = 0;
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      pairSum += jaccard(sets[i], sets[j]);
+      pairs++;
+    }
+  }
+  const perAnswer = new Map(answers.map((a, i) => [a.id, round(jaccard(sets[i], consensus))]));
+  return {
+    agreement: round(pairs ? pairSum / pairs : 1),
+    consensus: consensus.join(", "),
+    perAnswer,
+  };
+}
+
+// Single-link clustering on pairwise similarity; the largest cluster wins and
+// its medoid is the consensus answer.
+function aggregateText(answers, similarity) {
+  const n = answers.length;
+  const sim = answers.map(() => new Array(n).fill(1));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) sim[i][j] = sim[j][i] = similarity(answers[i].answer, answers[j].answer);
+  }
+
+  const parent = answers.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) if (sim[i][j] >= CLUSTER_SIM) parent[find(i)] = find(j);
+  }
+  const clusters = new Map();
+  for (let i = 0; i < n; i++) {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(i);
+  }
+  const largest = [...clusters.values()].sort((a, b) => b.length - a.length)[0] || [];
+
+  let medoid = largest[0];
+  let best = -1;
+  for (const i of largest) {
+    const total = largest.reduce((s, j) => s + sim[i][j], 0);
+    if (total > best) {
+      best = total;
+      medoid = i;
+    }
+  }
+
+  const inCluster = new Set(largest);
+  const perAnswer = new Map(answers.map((a, i) => [a.id, round(inCluster.has(i) ? 1 : sim[i][medoid])]));
+  return {
+    // a lone answer has nothing to agree with yet
+    agreement: round(n > 1 ? largest.length / n : 1),
+    consensus: medoid === undefined ? null : answers[medoid].answer,
+    perAnswer,
+  };
+}
+
+module.exports = {
+  CLUSTER_SIM,
+  round,
+  parseTags,
+  jaccard,
+  f1,
+  contentWords,
+  captionSimilarity,
+  transcriptSimilarity,
+  aggregateTags,
+  aggregateText,
+};
@@ -0,0 +1,153 @@
+const scoring = require("../scoring");
+const { round, aggregateText, transcriptSimilarity } = require("./compare");
+
+// The task-type registry. Each type is declared once, in a definition file
+// here, and everything else (import, allocation, submission, scoring,
+// consensus, export and the client's renderer choice) reads it from here.
+//
+// A definition:
+//  - type, title, media ("audio" | "video" | "image" | null): what media_url
+//    must point at; needs: device capabilities it takes (allocator.js);
+//    largeScreen: better done on a big screen;
+//  - complexity: default 1–3; consensus: collect CONSENSUS_WORKERS answers
+//    per item instead of relying on a reference; labels: answers pick from
+//    the task's label set;
+//  - renderer: how the client shows it ("text" | "transcription" |
+//    "annotation"), answerFormat: what the answer holds ("text", or the
+//    "labels" | "boxes" | "points" an annotation is made of), placeholder,
+//    and a default prompt for demo tasks;
+//  - parseAnswer(task, text) -> stored answer text, throws 400s;
+//    parseGold(raw, { labels }) -> stored gold answer, throws;
+//  - score(answer, gold, task) -> { score, wer?, cer? } | null, with
+//    reward "banded" (paid by accuracy band, scoring.js) or "pass_fail"
+//    (paid in full at GOLD_PASS);
+//  - aggregate(answers) -> { agreement, consensus, perAnswer } (quality.js);
+//  - exportAnswer(text) / exportConsensus(text) for deliveries.
+// Adding a type is adding a definition; the allocator and the submit route
+// don't change.
+
+// Known-answer scores at or above this are paid for pass/fail types.
+const GOLD_PASS = 0.5;
+
+const CONSENSUS_WORKERS = Number(process.env.CONSENSUS_WORKERS || 3);
+
+const DEFAULTS = {
+  media: null,
+  needs: [],
+  largeScreen: false,
+  complexity: 1,
+  consensus: false,
+  labels: false,
+  importable: true,
+  renderer: "text",
+  answerFormat: "text",
+  placeholder: "Type your answer here…",
+  prompt: "",
+  reward: "banded",
+  parseAnswer: (task, text) => text,
+  parseGold: (raw) => String(raw).trim(),
+  score: null,
+  aggregate: (answers) => aggregateText(answers, transcriptSimilarity),
+  exportAnswer: (text) => text,
+  exportConsensus: null,
+};
+
+const REWARDS = ["banded", "pass_fail"];
+const RENDERERS = ["text", "transcription", "annotation"];
+const ANSWER_FORMATS = ["text", "labels", "boxes", "points"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const TYPES = new Map();
+
+function register(def) {
+  const d = { ...DEFAULTS, ...def };
+  if (!/^[a-z][a-z0-9_]*$/.test(d.type || "")) throw new Error(`Bad task type name "${d.type}"`);
+  if (TYPES.has(d.type)) throw new Error(`Task type ${d.type} is registered twice`);
+  if (!REWARDS.includes(d.reward)) throw new Error(`${d.type}: reward must be ${REWARDS.join(" or ")}`);
+  if (!RENDERERS.includes(d.renderer)) throw new Error(`${d.type}: unknown renderer ${d.renderer}`);
+  if (!ANSWER_FORMATS.includes(d.answerFormat)) throw new Error(`${d.type}: unknown answer format ${d.answerFormat}`);
+  if (!d.exportConsensus) d.exportConsensus = d.exportAnswer;
+  TYPES.set(d.type, Object.freeze(d));
+}
+
+for (const def of [...require("./text"), ...require("./annotation")]) register(def);
+
+function get(type) {
+  return TYPES.get(type) || null;
+}
+
+function has(type) {
+  return TYPES.has(type);
+}
+
+function list({ importable = false } = {}) {
+  return [...TYPES.values()].filter((d) => !importable || d.importable);
+}
+
+// Workers per item for consensus types; null = any number of answers.
+function consensusTarget(type) {
+  return get(type)?.consensus ? CONSENSUS_WORKERS : null;
+}
+
+// What the client needs to know about each type.
+function publicList() {
+  return list().map((d) => ({
+    type: d.type,
+    title: d.title,
+    media: d.media,
+    complexity: d.complexity,
+    consensus: d.consensus ? CONSENSUS_WORKERS : null,
+    labels: d.labels,
+    importable: d.importable,
+    renderer: d.renderer,
+    answer_format: d.answerFormat,
+    placeholder: d.placeholder,
+  }));
+}
+
+// The answer as it is stored, in the type's canonical form.
+function parseAnswer(task, text) {
+  const def = get(task.type);
+  if (!def) throw httpError(400, `Unknown task type ${task.type}`);
+  return def.parseAnswer(task, text);
+}
+
+function aggregate(type, answers) {
+  return (get(type) || DEFAULTS).aggregate(answers);
+}
+
+// Scores an answer against the task's known answer and works out the
+// reward. Tasks without one (or of a type that can't score) are paid in full
+// and left unscored.
+function scoreCompletion(task, answer) {
+  const base = Math.round(Number(task.reward_ksh) || 0);
+  const gold = String(task.gold_answer || "").trim();
+  const def = get(task.type);
+  const r = gold && def?.score ? def.score(answer, gold, task) : null;
+  if (!r) return { scored: false, score: null, wer: null, cer: null, band: null, base_reward_ksh: base, reward_ksh: base };
+
+  const result = { scored: true, score: round(r.score), wer: r.wer ?? null, cer: r.cer ?? null, base_reward_ksh: base };
+  if (def.reward === "pass_fail") {
+    const pass = r.score >= GOLD_PASS;
+    return { ...result, band: pass ? "pass" : "fail", reward_ksh: pass ? base : 0 };
+  }
+  const b = scoring.bandFor(r.score);
+  return { ...result, band: b.band, reward_ksh: Math.floor(base * b.payout) };
+}
+
+module.exports = {
+  GOLD_PASS,
+  get,
+  has,
+  list,
+  consensusTarget,
+  publicList,
+  parseAnswer,
+  aggregate,
+  scoreCompletion,
+};
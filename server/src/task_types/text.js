@@ -0,0 +1,91 @@
+const scoring = require("../scoring");
+const { captionSimilarity, parseTags, f1, aggregateTags, aggregateText, transcriptSimilarity } = require("./compare");
+
+// Free-text answers: transcripts (scored word for word against a reference)
+// and image captions/tags (consensus, or similarity to a known answer).
+
+function transcriptScore(answer, gold) {
+  const r = scoring.compare(gold, answer);
+  return { score: r.accuracy, wer: r.wer, cer: r.cer };
+}
+
+const transcript = {
+  renderer: "transcription",
+  placeholder: "Type your transcription here…",
+  reward: "banded",
+  score: transcriptScore,
+  aggregate: (answers) => aggregateText(answers, transcriptSimilarity),
+};
+
+module.exports = [
+  {
+    ...transcript,
+    type: "audio_transcription",
+    title: "Audio Transcription",
+    media: "audio",
+    needs: ["audio"],
+    complexity: 1,
+    prompt: "Listen and transcribe exactly what is spoken. Use punctuation. If unclear, write [inaudible].",
+  },
+  {
+    ...transcript,
+    type: "video_transcription",
+    title: "Video Transcription",
+    media: "video",
+    needs: ["video"],
+    largeScreen: true,
+    complexity: 3,
+    prompt: "Watch the clip and transcribe any spoken words. If no speech, describe visible on-screen text briefly.",
+  },
+  {
+    ...transcript,
+    type: "text_cleanup",
+    title: "Text Cleanup",
+    media: null,
+    renderer: "text",
+    placeholder: "Type the corrected text here…",
+    complexity: 1,
+    prompt: "Rewrite the text to be clear and correct (fix grammar/spelling) without changing meaning.",
+  },
+  // tasks from before the per-media types; still scored, no longer imported
+  {
+    ...transcript,
+    type: "transcription",
+    title: "Transcription",
+    media: null,
+    renderer: "text",
+    complexity: 1,
+    importable: false,
+  },
+  {
+    type: "image_caption",
+    title: "Image Caption",
+    media: "image",
+    complexity: 2,
+    consensus: true,
+    renderer: "text",
+    placeholder: "Write your caption here…",
+    prompt: "Write a clear 1–2 sentence caption describing what is visible (subjects + setting).",
+    reward: "pass_fail",
+    // several acceptable captions can be given one per line
+    score: (answer, gold) => ({
+      score: Math.max(...gold.split("\n").filter((g) => g.trim()).map((g) => captionSimilarity(answer, g))),
+    }),
+    aggregate: (answers) => aggregateText(answers, captionSimilarity),
+  },
+  {
+    type: "image_tagging",
+    title: "Image Tagging",
+    media: "image",
+    complexity: 1,
+    consensus: true,
+    renderer: "text",
+    placeholder: "Write your tags here, separated by commas…",
+    prompt: "Provide 5–10 comma-separated tags describing objects, place, and action.",
+    reward: "pass_fail",
+    parseGold: (raw) => parseTags(raw).join(", "),
+    score: (answer, gold) => ({ score: f1(parseTags(answer), parseTags(gold)) }),
+    aggregate: aggregateTags,
+    exportConsensus: parseTags,
+  },
+];
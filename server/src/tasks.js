@@ -0,0 +1,265 @@
+const express = require("express");
+const { requireAuth, requireActive } = require("./auth");
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const quality = require("./quality");
+const reviews = require("./reviews");
+const referralVesting = require("./referral_vesting");
+const campaigns = require("./referral_campaigns");
+const allocator = require("./allocator");
+const reservations = require("./reservations");
+const sessions = require("./sessions");
+const media = require("./media");
+const annotations = require("./annotations");
+const taskTypes = require("./task_types");
+
+// The worker's daily tasks, submitting answers, and their history.
+
+const router = express.Router();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function dayKeyNairobi() {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Africa/Nairobi",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date());
+}
+
+// Today's set is made by the allocator on the first load of the day and
+// topped up by the "tasks.top_up" job. Orphaned rows are cleared by the
+// nightly "tasks.daily_rollover" job.
+async function todaysTasks(userId, dayKey) {
+  const rows = await all(
+    `SELECT
+       dt.id AS dt_id,
+       t.id AS id,
+       t.type,
+       t.category,
+       t.title,
+       t.prompt,
+       t.media_url,
+       t.media_id,
+       t.reward_ksh,
+       t.complexity,
+       t.language,
+       t.labels,
+       CASE WHEN dt.completed_at IS NULL THEN 0 ELSE 1 END AS completed,
+       dt.answer_text
+     FROM daily_tasks dt
+     JOIN tasks t ON t.id = dt.task_id
+     WHERE dt.user_id = ? AND dt.day_key = ?
+     ORDER BY dt.id ASC`,
+    [userId, dayKey]
+  );
+  const leases = await reservations.activeFor(userId);
+  const drafts = await reservations.draftsFor(userId, rows.filter((r) => !r.completed).map((r) => r.id));
+  return rows.map((r) => {
+    const def = taskTypes.get(r.type);
+    return {
+      ...r,
+      // how the client shows it; media_kind is replaced by the stored file's
+      // own kind when there is one (media.signTaskRows)
+      renderer: def?.renderer || "text",
+      answer_format: def?.answerFormat || "text",
+      placeholder: def?.placeholder || null,
+      media_kind: def?.media || null,
+      labels: def?.labels ? annotations.taskLabels(r) : null,
+      lease_expires_at: leases.get(r.id)?.expires_at || null,
+      draft_text: drafts.get(r.id)?.answer_text ?? null,
+      draft_saved_at: drafts.get(r.id)?.updated_at || null,
+    };
+  });
+}
+
+async function assignedToday(userId, taskId) {
+  if (!Number.isFinite(taskId)) throw httpError(400, "Invalid task id");
+  const dt = await get("SELECT id, completed_at FROM daily_tasks WHERE user_id=? AND day_key=? AND task_id=?", [
+    userId,
+    dayKeyNairobi(),
+    taskId,
+  ]);
+  if (!dt) throw httpError(400, "Task not assigned for today");
+  if (dt.completed_at) throw httpError(400, "Task already completed");
+  return dt;
+}
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const dayKey = dayKeyNairobi();
+    const p = await allocator.dailyProfile(req.user.id, dayKey, {
+      capabilities: allocator.parseCapabilities(req.query.caps),
+    });
+    const rows = await todaysTasks(req.user.id, dayKey);
+
+    const me = await get("SELECT balance_ksh FROM users WHERE id=?", [req.user.id]);
+    const remaining = rows.filter(r => !r.completed).length;
+
+    res.json({
+      day_key: dayKey,
+      tier: p?.tier || null,
+      quota: p?.quota ?? rows.length,
+      remaining,
+      balance_ksh: me?.balance_ksh || 0,
+      lease_seconds: reservations.LEASE_SECONDS,
+      tasks: await media.signTaskRows(rows, req.user.id),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load tasks" });
+  }
+});
+
+// The task types this server knows (task_types/), for the client's
+// renderers and the admin import docs.
+router.get("/types", requireAuth, (req, res) => {
+  res.json({ types: taskTypes.publicList() });
+});
+
+// ---- Leases and drafts (see reservations.js) ----
+router.post(["/:id/claim", "/:id/heartbeat"], requireAuth, requireActive, async (req, res) => {
+  try {
+    const taskId = Number(req.params.id);
+    await assignedToday(req.user.id, taskId);
+    const lease = await reservations.claim(req.user.id, taskId);
+    res.json({ task_id: taskId, expires_at: lease.expires_at, lease_seconds: reservations.LEASE_SECONDS });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Claim failed" });
+  }
+});
+
+router.post("/:id/release", requireAuth, async (req, res) => {
+  try {
+    res.json(await reservations.release(req.user.id, Number(req.params.id)));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Release failed" });
+  }
+});
+
+router.get("/:id/draft", requireAuth, async (req, res) => {
+  try {
+    const draft = await reservations.getDraft(req.user.id, Number(req.params.id));
+    if (!draft) return res.status(404).json({ error: "No draft saved" });
+    res.json(draft);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load draft" });
+  }
+});
+
+router.put("/:id/draft", requireAuth, async (req, res) => {
+  try {
+    const taskId = Number(req.params.id);
+    await assignedToday(req.user.id, taskId);
+    const text = req.body?.answer_text ?? req.body?.answer ?? "";
+    res.json(await reservations.saveDraft(req.user.id, taskId, text, sessions.clientInfo(req).deviceId));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Failed to save draft" });
+  }
+});
+
+router.post("/:id/complete", requireAuth, requireActive, async (req, res) => {
+  try {
+    const dayKey = dayKeyNairobi();
+    const taskId = Number(req.params.id);
+    if (!Number.isFinite(taskId)) return res.status(400).json({ error: "Invalid task id" });
+
+    // structured answers may come as JSON text or as the object itself
+    const raw = req.body.answer_text ?? req.body.answer ?? "";
+    let ans = (typeof raw === "object" ? JSON.stringify(raw) : String(raw)).trim();
+    if (ans.length < 2) return res.status(400).json({ error: "Answer is required" });
+
+    const dt = await assignedToday(req.user.id, taskId);
+
+    const task = await get(
+      "SELECT id, type, reward_ksh, gold_answer, consensus_target, labels FROM tasks WHERE id=? AND active=1",
+      [taskId]
+    );
+    if (!task) return res.status(404).json({ error: "Task not found" });
+    // checked and scored the way the task's type says (task_types/)
+    ans = taskTypes.parseAnswer(task, ans);
+    const result = taskTypes.scoreCompletion(task, ans);
+    const review = await reviews.triage({ userId: req.user.id, result });
+
+    await transaction(async () => {
+      // the check above can race a second submit; only one of them marks it done
+      const marked = await run(
+        "UPDATE daily_tasks SET completed_at=CURRENT_TIMESTAMP, answer_text=? WHERE id=? AND completed_at IS NULL",
+        [ans, dt.id]
+      );
+      if (!marked.changes) throw httpError(409, "Task already completed");
+      // must be leased (older clients never claim, so a free slot is taken
+      // here); in the same transaction, so the slot can't go to someone else
+      // before the answer is in
+      await reservations.claim(req.user.id, taskId);
+      await reservations.finish(req.user.id, taskId);
+      const tc = await run(
+        `INSERT INTO task_completions
+           (user_id, task_id, reward_ksh, answer_text, score, wer, cer, score_band, base_reward_ksh,
+            review_status, review_reason, reward_held)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
+        [
+          req.user.id, taskId, result.reward_ksh, ans, result.score, result.wer, result.cer, result.band, result.base_reward_ksh,
+          review ? "pending" : null, review?.reason || null, review?.hold ? 1 : 0,
+        ]
+      );
+      // low-scoring answers are recorded but not paid; held ones wait for review
+      if (result.reward_ksh > 0 && !review?.hold) {
+        await ledger.creditTaskReward(req.user.id, result.reward_ksh, tc.lastID);
+        await campaigns.payCommissions(tc.lastID);
+      }
+      const consensus = await quality.recordCompletion({ completionId: tc.lastID, userId: req.user.id, task, result });
+      if (consensus?.status === "disputed") await reviews.queueDisputed(task.id);
+    });
+    await referralVesting.checkReferee(req.user.id).catch((e) => console.error("referral check failed:", e.message));
+
+    const me = await get("SELECT balance_ksh FROM users WHERE id=?", [req.user.id]);
+    const { remaining } = await get(
+      "SELECT COUNT(*) AS remaining FROM daily_tasks WHERE user_id=? AND day_key=? AND completed_at IS NULL",
+      [req.user.id, dayKey]
+    );
+
+    res.json({
+      ok: true,
+      balance_ksh: me?.balance_ksh || 0,
+      remaining,
+      reward_ksh: result.reward_ksh,
+      score: result.score,
+      wer: result.wer,
+      cer: result.cer,
+      band: result.band,
+      review_status: review ? "pending" : null,
+      reward_held: !!review?.hold,
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Complete failed" });
+  }
+});
+
+// The caller's recent submissions. Also served at the old /api/history.
+async function history(req, res) {
+  try {
+    const rows = await all(
+      `SELECT tc.id, tc.created_at, tc.reward_ksh, tc.base_reward_ksh, tc.score, tc.wer, tc.cer, tc.score_band,
+              tc.review_status, tc.review_note, tc.reviewed_at, tc.reward_held,
+              t.title, t.type
+       FROM task_completions tc
+       JOIN tasks t ON t.id = tc.task_id
+       WHERE tc.user_id = ?
+       ORDER BY tc.id DESC
+       LIMIT 50`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load history" });
+  }
+}
+
+router.get("/history", requireAuth, history);
+
+module.exports = { router, history, dayKeyNairobi };
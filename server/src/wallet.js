@@ -0,0 +1,30 @@
+const express = require("express");
+const { requireAuth } = require("./auth");
+const ledger = require("./ledger");
+
+const router = express.Router();
+
+// Wallet balances as derived from the ledger.
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const b = await ledger.getBalances(req.user.id);
+    res.json({ balance_ksh: b.main, bonus_ksh: b.bonus, held_ksh: b.held });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load wallet" });
+  }
+});
+
+// Journal lines touching the caller's accounts, newest first.
+// ?before=<entry id> pages backwards.
+router.get("/ledger", requireAuth, async (req, res) => {
+  try {
+    const limit = Number(req.query.limit) || 50;
+    const beforeId = Number(req.query.before) || null;
+    const rows = await ledger.listEntries(req.user.id, { limit, beforeId });
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Failed to load ledger" });
+  }
+});
+
+module.exports = router;
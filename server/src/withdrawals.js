@@ -0,0 +1,287 @@
+const express = require("express");
+const { z } = require("zod");
+const { requireAuth, requireActive, requireRole, requireStepUp } = require("./auth");
+const { run, get, all, transaction } = require("./db");
+const ledger = require("./ledger");
+const { normalizeMethod, toMsisdn } = require("./payouts/common");
+const otp = require("./otp");
+const { limit } = require("./ratelimit");
+
+const router = express.Router();
+
+// requested → under_review → approved → processing → paid
+//                                               ↘ failed
+// Any state before processing can be rejected; the owner can cancel while the
+// request is still requested/under_review. failed/rejected/cancelled refund.
+const TRANSITIONS = {
+  requested: ["under_review", "approved", "rejected", "cancelled"],
+  under_review: ["approved", "rejected", "cancelled"],
+  approved: ["processing", "paid", "rejected"],
+  processing: ["paid", "failed"],
+  paid: [],
+  failed: [],
+  rejected: [],
+  cancelled: [],
+};
+
+const REFUND_STATUSES = new Set(["failed", "rejected", "cancelled"]);
+const USER_CANCELLABLE = new Set(["requested", "under_review"]);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+async function recordEvent(withdrawalId, from, to, { actorType, actorId = null, reason = null }) {
+  await run(
+    `INSERT INTO withdrawal_events (withdrawal_id, from_status, to_status, actor_type, actor_id, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [withdrawalId, from, to, actorType, actorId, reason]
+  );
+}
+
+// Creates a withdrawal in "requested" and moves the amount from the main
+// wallet into the held wallet. Paying out to a number the user hasn't proven
+// yet needs the SMS code sent to it (otpCode). actorType "system" is for
+// payouts the platform starts itself, such as settling a deleted account.
+async function createWithdrawal(userId, { amount, phoneNumber, method, otpCode = null, actorType = "user" }) {
+  const amt = Math.floor(Number(amount));
+  if (!Number.isFinite(amt) || amt <= 0) throw httpError(400, "Enter a valid amount");
+
+  const u = await get("SELECT email_verified_at FROM users WHERE id = ?", [userId]);
+  if (!u?.email_verified_at) throw httpError(403, "Verify your email address before withdrawing.");
+
+  if (!(await otp.isVerifiedNumber(userId, phoneNumber))) {
+    if (!otpCode) {
+      const err = httpError(403, "Confirm this number with the code we send to it by SMS.");
+      err.code = "otp_required";
+      throw err;
+    }
+    const r = await otp.verify({ phone: phoneNumber, purpose: "withdraw_number", code: otpCode, userId });
+    // the number is proven even if the withdrawal itself fails below
+    await otp.linkNumber(userId, r.msisdn);
+  }
+
+  return transaction(async () => {
+    const ins = await run(
+      "INSERT INTO withdrawals (user_id, amount_ksh, phone_number, method, status, updated_at) VALUES (?,?,?,?, 'requested', CURRENT_TIMESTAMP)",
+      [userId, amt, phoneNumber, method]
+    );
+    await ledger.holdWithdrawal(userId, amt, ins.lastID);
+    await recordEvent(ins.lastID, null, "requested", { actorType, actorId: actorType === "user" ? userId : null });
+    return ins.lastID;
+  });
+}
+
+// The single place a withdrawal changes status. Applies the wallet effect of
+// the target state and writes the audit event in the same transaction.
+//
+// opts: { actorType: "user"|"operator"|"system"|"provider", actorId, reason,
+//         receiptRef, expectUserId }
+async function transition(withdrawalId, to, opts = {}) {
+  if (!TRANSITIONS[to]) throw httpError(400, `Unknown status: ${to}`);
+
+  return transaction(async () => {
+    const w = await get("SELECT id, user_id, amount_ksh, status FROM withdrawals WHERE id = ?", [withdrawalId]);
+    if (!w) throw httpError(404, "Withdrawal not found");
+    if (opts.expectUserId != null && w.user_id !== opts.expectUserId) throw httpError(404, "Withdrawal not found");
+    if (!canTransition(w.status, to)) throw httpError(409, `Cannot move withdrawal from ${w.status} to ${to}`);
+
+    const upd = await run(
+      `UPDATE withdrawals
+       SET status = ?, status_reason = ?, receipt_ref = COALESCE(?, receipt_ref), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ?`,
+      [to, opts.reason || null, opts.receiptRef || null, w.id, w.status]
+    );
+    if (!upd.changes) throw httpError(409, "Withdrawal was updated concurrently");
+
+    if (to === "paid") {
+      await ledger.settleWithdrawal(w.user_id, w.amount_ksh, w.id, opts.receiptRef || null);
+    } else if (REFUND_STATUSES.has(to)) {
+      await ledger.releaseWithdrawal(w.user_id, w.amount_ksh, w.id, opts.reason || to);
+    }
+
+    await recordEvent(w.id, w.status, to, opts);
+    return { ...w, from: w.status, status: to };
+  });
+}
+
+async function listEvents(withdrawalIds) {
+  if (!withdrawalIds.length) return new Map();
+  const rows = await all(
+    `SELECT withdrawal_id, from_status, to_status, actor_type, reason, created_at
+     FROM withdrawal_events
+     WHERE withdrawal_id IN (${withdrawalIds.map(() => "?").join(",")})
+     ORDER BY id ASC`,
+    withdrawalIds
+  );
+  const byId = new Map();
+  for (const r of rows) {
+    if (!byId.has(r.withdrawal_id)) byId.set(r.withdrawal_id, []);
+    const { withdrawal_id: _ignored, ...ev } = r;
+    byId.get(r.withdrawal_id).push(ev);
+  }
+  return byId;
+}
+
+async function withEvents(rows) {
+  const events = await listEvents(rows.map((r) => r.id));
+  return rows.map((r) => ({ ...r, events: events.get(r.id) || [] }));
+}
+
+// Withdrawals that were debited before the ledger existed have no hold entry.
+// Give them one so release/settle balance out.
+async function backfillLegacyHolds() {
+  const rows = await all(
+    `SELECT w.id, w.user_id, w.amount_ksh
+     FROM withdrawals w
+     WHERE w.status IN ('requested', 'under_review', 'approved', 'processing')
+       AND NOT EXISTS (
+         SELECT 1 FROM ledger_entries e WHERE e.ref_type = 'withdrawal' AND e.ref_id = w.id
+       )`
+  );
+  for (const w of rows) {
+    await transaction(() =>
+      ledger.adjust(w.user_id, "held", w.amount_ksh, {
+        memo: "Hold for withdrawal debited before the ledger",
+        refType: "withdrawal",
+        refId: w.id,
+      })
+    );
+  }
+  return rows.length;
+}
+
+function sendError(res, e, fallback) {
+  if (e?.issues) return res.status(400).json({ error: e.issues.map((i) => i.message).join(", ") });
+  res.status(e.status || 500).json({ error: e.message || fallback, ...(e.code ? { code: e.code } : {}) });
+}
+
+// Staff who may move withdrawals through review and payout.
+const requireOperator = [requireAuth, requireRole("finance")];
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const rows = await all(
+      `SELECT id, amount_ksh, phone_number, method, status, status_reason, receipt_ref, provider_status, created_at, updated_at
+       FROM withdrawals WHERE user_id = ? ORDER BY id DESC LIMIT 50`,
+      [req.user.id]
+    );
+    res.json(await withEvents(rows));
+  } catch (e) {
+    sendError(res, e, "Failed to load withdrawals");
+  }
+});
+
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    const row = await get(
+      `SELECT id, amount_ksh, phone_number, method, status, status_reason, receipt_ref, provider_status, created_at, updated_at
+       FROM withdrawals WHERE id = ? AND user_id = ?`,
+      [Number(req.params.id), req.user.id]
+    );
+    if (!row) return res.status(404).json({ error: "Withdrawal not found" });
+    const [out] = await withEvents([row]);
+    res.json(out);
+  } catch (e) {
+    sendError(res, e, "Failed to load withdrawal");
+  }
+});
+
+const CreateSchema = z.object({
+  amount: z.number().positive(),
+  phone_number: z.string().refine((p) => !!toMsisdn(p), "Enter a valid Kenyan mobile number"),
+  method: z.string().transform(normalizeMethod).refine((m) => !!m, "Method must be M-Pesa or Airtel Money"),
+  otp_code: z.string().trim().optional(),
+});
+
+// Sends the SMS code needed to withdraw to a number not yet on the account.
+router.post("/otp", requireAuth, requireActive, async (req, res) => {
+  try {
+    const msisdn = toMsisdn(req.body?.phone_number);
+    if (!msisdn) return res.status(400).json({ error: "Enter a valid Kenyan mobile number" });
+    const owner = await otp.ownerOf(msisdn);
+    if (owner === req.user.id) return res.json({ ok: true, already_verified: true });
+    if (owner) return res.status(409).json({ error: "This number is already linked to another account" });
+    const r = await otp.request({ phone: msisdn, purpose: "withdraw_number", userId: req.user.id });
+    res.json({ ok: true, expires_in: r.expires_in, resend_in: r.resend_in });
+  } catch (e) {
+    sendError(res, e, "Could not send code");
+  }
+});
+
+router.post("/", requireAuth, limit("withdraw"), requireActive, requireStepUp, async (req, res) => {
+  try {
+    const data = CreateSchema.parse(req.body);
+    const id = await createWithdrawal(req.user.id, {
+      amount: data.amount,
+      phoneNumber: data.phone_number,
+      method: data.method,
+      otpCode: data.otp_code || null,
+    });
+    const me = await get("SELECT balance_ksh FROM users WHERE id=?", [req.user.id]);
+    res.json({ ok: true, id, status: "requested", balance_ksh: me.balance_ksh });
+  } catch (e) {
+    sendError(res, e, "Bad request");
+  }
+});
+
+router.post("/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const w = await get("SELECT status FROM withdrawals WHERE id = ? AND user_id = ?", [id, req.user.id]);
+    if (!w) return res.status(404).json({ error: "Withdrawal not found" });
+    if (!USER_CANCELLABLE.has(w.status)) {
+      return res.status(409).json({ error: "Only pending withdrawals can be cancelled" });
+    }
+
+    await transition(id, "cancelled", {
+      actorType: "user",
+      actorId: req.user.id,
+      reason: (req.body?.reason || "Cancelled by user").toString().slice(0, 200),
+      expectUserId: req.user.id,
+    });
+    const me = await get("SELECT balance_ksh FROM users WHERE id=?", [req.user.id]);
+    res.json({ ok: true, status: "cancelled", balance_ksh: me.balance_ksh });
+  } catch (e) {
+    sendError(res, e, "Cancel failed");
+  }
+});
+
+const TransitionSchema = z.object({
+  to: z.enum(Object.keys(TRANSITIONS)),
+  reason: z.string().max(500).optional(),
+  receipt_ref: z.string().max(100).optional(),
+});
+
+router.post("/:id/transition", requireOperator, async (req, res) => {
+  try {
+    const data = TransitionSchema.parse(req.body || {});
+    if (data.to === "paid" && !data.receipt_ref) return res.status(400).json({ error: "receipt_ref is required" });
+    const w = await transition(Number(req.params.id), data.to, {
+      actorType: "operator",
+      actorId: req.user.id,
+      reason: data.reason,
+      receiptRef: data.receipt_ref,
+    });
+    res.json({ ok: true, id: w.id, status: w.status });
+  } catch (e) {
+    sendError(res, e, "Transition failed");
+  }
+});
+
+module.exports = {
+  router,
+  requireOperator,
+  TRANSITIONS,
+  canTransition,
+  createWithdrawal,
+  transition,
+  withEvents,
+  backfillLegacyHolds,
+};
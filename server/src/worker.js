@@ -0,0 +1,23 @@
+require("dotenv").config();
+const { initDb } = require("./db");
+const worker = require("./jobs/worker");
+
+// Runs background jobs (src/jobs) in its own process, next to the API.
+// Start one with "npm run worker"; more can run against the same database.
+
+(async () => {
+  try {
+    await initDb();
+    const stop = worker.start();
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, async () => {
+        console.log(`${signal}: finishing the current job`);
+        await stop();
+        process.exit(0);
+      });
+    }
+  } catch (e) {
+    console.error("Worker startup failed:", e);
+    process.exit(1);
+  }
+})();